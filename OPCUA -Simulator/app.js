@@ -1,11 +1,17 @@
 (function() {
     "use strict";
 
-    // --- Helper Functions ---
-    function getUtcTimestamp() {
-        return new Date().toISOString();
-    }
+    const {
+        StatusCodes, INJECTABLE_STATUS_CODES, getStatusCodeName, isGood, isUncertain, isBad, getUtcTimestamp,
+        ROOT_NODE_ID, OBJECTS_FOLDER_NODE_ID, REFERENCE_TYPES, NODE_CLASS_MASKS, parseJsonModel, parseNodeSet2Xml, serializeModelToNodeSet2Xml, SIGNAL_PROFILE_DEFAULTS,
+        parseCsvSamples, IndexedDbHistoryStore, SCALAR_VALUE_RANK, INTEGER_RANGES, DataTypeRegistry, formatDataType, parseIndexRange, ATTRIBUTE_IDS, ACCESS_LEVELS,
+        DEFAULT_MODEL, LOAD_TEST_DEFAULTS, createLoadTestModel, parseScenario, ScenarioRunner, SessionRecorder, SimulatedOpcUaServer,
+        AUDIT_CATEGORIES, AUDIT_OUTCOMES, formatAuditLogCsv
+    } = window.OpcUaSimulator;
+    const { formatRequestError, OpcUaClient } = window.OpcUaSimulatorClient;
+    const { DEFAULT_TOPIC_PREFIX, createDefaultPubSubConfig, PubSubPublisher, PubSubSubscriber, MemoryBroker, MqttClient } = window.OpcUaSimulatorPubSub;
 
+    // --- Helper Functions ---
     function formatUtcToLocalTime(utcTimestamp) {
         const date = new Date(utcTimestamp);
         return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
@@ -19,213 +25,185 @@
         return `UTC${offsetHours > 0 ? '+' : ''}${offsetHours}`;
     }
 
-    // --- Simulated OPC UA Server Class ---
-    class SimulatedOpcUaServer {
-        constructor() {
-            this.addressSpace = {
-                'ns=0;i=84': {
-                    browseName: 'Objects',
-                    nodeId: 'ns=0;i=84',
-                    nodeClass: 'Object',
-                    children: {
-                        'ns=1;s=Folder1': {
-                            browseName: 'MyDevices',
-                            nodeId: 'ns=1;s=Folder1',
-                            nodeClass: 'Object',
-                            children: {
-                                'ns=1;s=Temperature': {
-                                    browseName: 'Temperature',
-                                    nodeId: 'ns=1;s=Temperature',
-                                    nodeClass: 'Variable',
-                                    dataType: 'Float',
-                                    value: 25.5,
-                                    accessLevel: 'ReadWrite',
-                                    timestamp: getUtcTimestamp()
-                                },
-                                'ns=1;s=Pressure': {
-                                    browseName: 'Pressure',
-                                    nodeId: 'ns=1;s=Pressure',
-                                    nodeClass: 'Variable',
-                                    dataType: 'Float',
-                                    value: 101.2,
-                                    accessLevel: 'ReadWrite',
-                                    timestamp: getUtcTimestamp()
-                                },
-                                'ns=1;s=Status': {
-                                    browseName: 'Status',
-                                    nodeId: 'ns=1;s=Status',
-                                    nodeClass: 'Variable',
-                                    dataType: 'Boolean',
-                                    value: true,
-                                    accessLevel: 'ReadOnly',
-                                    timestamp: getUtcTimestamp()
-                                },
-                                'ns=1;s=DeviceName': {
-                                    browseName: 'DeviceName',
-                                    nodeId: 'ns=1;s=DeviceName',
-                                    nodeClass: 'Variable',
-                                    dataType: 'String',
-                                    value: 'SensorUnit-A',
-                                    accessLevel: 'ReadOnly',
-                                    timestamp: getUtcTimestamp()
-                                }
-                            }
-                        }
-                    }
-                }
-            };
-            this.subscriptions = {};
-            this.updateInterval = null;
-        }
-
-        findNode(nodeId, currentSpace = this.addressSpace) {
-            if (currentSpace[nodeId]) {
-                return currentSpace[nodeId];
-            }
-            for (const key in currentSpace) {
-                if (currentSpace[key].children) {
-                    const found = this.findNode(nodeId, currentSpace[key].children);
-                    if (found) return found;
-                }
-            }
-            return null;
-        }
-
-        readNode(nodeId) {
-            const node = this.findNode(nodeId);
-            if (node && node.nodeClass === 'Variable') {
-                return { value: node.value, dataType: node.dataType, accessLevel: node.accessLevel, timestamp: node.timestamp };
-            }
-            return null;
-        }
-
-        writeNode(nodeId, newValue) {
-            const node = this.findNode(nodeId);
-            if (!node || node.nodeClass !== 'Variable') {
-                return { success: false, message: `Node '${nodeId}' not found or not a Variable.` };
-            }
-            if (node.accessLevel !== 'ReadWrite') {
-                return { success: false, message: `Node '${node.browseName}' is ReadOnly.` };
-            }
-
-            let convertedValue;
-            try {
-                switch (node.dataType) {
-                    case 'Float':
-                        convertedValue = parseFloat(newValue);
-                        if (isNaN(convertedValue)) throw new Error(`Invalid float value.`);
-                        break;
-                    case 'Boolean':
-                        convertedValue = (newValue.toLowerCase() === 'true' || newValue === '1');
-                        break;
-                    case 'String':
-                        convertedValue = String(newValue);
-                        break;
-                    default:
-                        convertedValue = newValue;
-                }
-            } catch (e) {
-                return { success: false, message: `${e.message} for ${node.dataType} type.` };
-            }
-            
-            node.value = convertedValue;
-            node.timestamp = getUtcTimestamp();
-            if (this.subscriptions[nodeId]) {
-                this.subscriptions[nodeId](node.value, node.timestamp);
-            }
-            return { success: true, message: `Value of ${node.browseName} updated to ${node.value}`, timestamp: node.timestamp, dataType: node.dataType };
-        }
-
-        browseNodes(parentNodeId = 'ns=0;i=84') {
-            const parentNode = this.findNode(parentNodeId);
-            if (parentNode && parentNode.children) {
-                return Object.values(parentNode.children).map(node => ({
-                    nodeId: node.nodeId,
-                    browseName: node.browseName,
-                    nodeClass: node.nodeClass,
-                    dataType: node.dataType,
-                    hasChildren: Object.keys(node.children || {}).length > 0,
-                    value: node.value,
-                    timestamp: node.timestamp
-                }));
-            }
-            return [];
-        }
-
-        subscribe(nodeId, callback) {
-            const node = this.findNode(nodeId);
-            if (node && node.nodeClass === 'Variable') {
-                this.subscriptions[nodeId] = callback;
-                return { success: true, message: `Subscribed to '${node.browseName}'.` };
-            }
-            return { success: false, message: `Cannot subscribe to '${nodeId}'. Not a Variable.` };
-        }
-
-        unsubscribe(nodeId) {
-            if (this.subscriptions[nodeId]) {
-                delete this.subscriptions[nodeId];
-                return { success: true, message: `Unsubscribed from '${nodeId}'.` };
-            }
-            return { success: false, message: `No active subscription for '${nodeId}'.` };
-        }
-
-        startDataSimulation() {
-            if (this.updateInterval) return;
-            this.updateInterval = setInterval(() => {
-                const tempNode = this.findNode('ns=1;s=Temperature');
-                if (tempNode) {
-                    tempNode.value = (Math.random() * 10 + 20).toFixed(2);
-                    tempNode.timestamp = getUtcTimestamp();
-                    if (this.subscriptions['ns=1;s=Temperature']) {
-                        this.subscriptions['ns=1;s=Temperature'](tempNode.value, tempNode.timestamp);
-                    }
-                }
-
-                const pressureNode = this.findNode('ns=1;s=Pressure');
-                if (pressureNode) {
-                    pressureNode.value = (Math.random() * 5 + 98).toFixed(2);
-                    pressureNode.timestamp = getUtcTimestamp();
-                    if (this.subscriptions['ns=1;s=Pressure']) {
-                        this.subscriptions['ns=1;s=Pressure'](pressureNode.value, pressureNode.timestamp);
-                    }
-                }
-                updateServerNodeDisplay();
-                if (isConnected) renderAddressSpaceTree(addressSpaceTree, server.browseNodes());
-            }, 2000);
-        }
-
-        stopDataSimulation() {
-            if (this.updateInterval) {
-                clearInterval(this.updateInterval);
-                this.updateInterval = null;
-            }
-        }
-    }
-
     // --- Global Instances and DOM Caching ---
     const server = new SimulatedOpcUaServer();
+    const MAX_CONNECTION_LOG_ENTRIES = 20;
+    // Set from Connect to Disconnect and stays true while the client reconnects.
     let isConnected = false;
-    let subscribedNodeId = null;
+    let client = null;
+    let treeRefreshTimer = null;
+    let watchRefreshTimer = null;
+    let isRefreshingTree = false;
+    // "subscriptionId/monitoredItemId" -> { card, entriesElement } for every item shown with its own log
+    const monitoredItemViews = {};
 
     const clientConnectionStatus = document.getElementById('client-connection-status');
+    const endpointInput = document.getElementById('endpoint-input');
+    const securityEndpointSelect = document.getElementById('security-endpoint-select');
+    const getEndpointsBtn = document.getElementById('get-endpoints-btn');
+    const sessionTimeoutInput = document.getElementById('session-timeout-input');
+    const connectionLog = document.getElementById('connection-log');
+    const identityTypeSelect = document.getElementById('identity-type-select');
+    const identityUserNameFields = document.getElementById('identity-username-fields');
+    const identityUserNameInput = document.getElementById('identity-username-input');
+    const identityPasswordInput = document.getElementById('identity-password-input');
+    const identityCertificateField = document.getElementById('identity-certificate-field');
+    const identityThumbprintInput = document.getElementById('identity-thumbprint-input');
     const connectBtn = document.getElementById('connect-btn');
     const disconnectBtn = document.getElementById('disconnect-btn');
     const addressSpaceTree = document.getElementById('address-space-tree');
+    const browseDirectionSelect = document.getElementById('browse-direction-select');
+    const browseReferenceTypeSelect = document.getElementById('browse-reference-type-select');
+    const browseNodeClassSelect = document.getElementById('browse-node-class-select');
+    const browseReferencesBtn = document.getElementById('browse-references-btn');
+    const referenceList = document.getElementById('reference-list');
+    const browsePathInput = document.getElementById('browse-path-input');
+    const resolvePathBtn = document.getElementById('resolve-path-btn');
+    const methodCallPanel = document.getElementById('method-call-panel');
+    const attributeList = document.getElementById('attribute-list');
+    const propertyList = document.getElementById('property-list');
     const nodeIdInput = document.getElementById('node-id-input');
     const nodeValueInput = document.getElementById('node-value-input');
+    const valueEditor = document.getElementById('value-editor');
+    const valueTypeHint = document.getElementById('value-type-hint');
     const readBtn = document.getElementById('read-btn');
     const writeBtn = document.getElementById('write-btn');
     const subscribeBtn = document.getElementById('subscribe-btn');
+    const monitorAllBtn = document.getElementById('monitor-all-btn');
+    const throughputMeter = document.getElementById('throughput-meter');
+    const watchIndexRangeInput = document.getElementById('watch-index-range-input');
+    const addWatchBtn = document.getElementById('add-watch-btn');
+    const readWatchBtn = document.getElementById('read-watch-btn');
+    const writePendingBtn = document.getElementById('write-pending-btn');
+    const clearWatchBtn = document.getElementById('clear-watch-btn');
+    const watchListBody = document.getElementById('watch-list');
     const clientMessageBox = document.getElementById('client-message-box');
     const serverNodesDisplay = document.getElementById('server-nodes-display');
     const currentLocalTimeDisplay = document.getElementById('current-local-time');
     const localUtcOffsetDisplay = document.getElementById('local-utc-offset');
     const subscriptionLogContainer = document.getElementById('subscription-log');
-    const subscriptionEntries = document.getElementById('subscription-entries');
-    const subscribedNodeIdDisplay = document.getElementById('subscribed-node-id');
+    const monitoredItemsContainer = document.getElementById('monitored-items-container');
+    const publishingIntervalInput = document.getElementById('publishing-interval-input');
+    const subscriptionSelect = document.getElementById('subscription-select');
+    const createSubscriptionBtn = document.getElementById('create-subscription-btn');
+    const deleteSubscriptionBtn = document.getElementById('delete-subscription-btn');
+    const samplingIntervalInput = document.getElementById('sampling-interval-input');
+    const queueSizeInput = document.getElementById('queue-size-input');
+    const discardOldestInput = document.getElementById('discard-oldest-input');
+    const deadbandTypeSelect = document.getElementById('deadband-type-select');
+    const deadbandValueInput = document.getElementById('deadband-value-input');
+    const modelFileInput = document.getElementById('model-file-input');
+    const exportXmlBtn = document.getElementById('export-xml-btn');
+    const exportJsonBtn = document.getElementById('export-json-btn');
+    const loadTestLinesInput = document.getElementById('load-test-lines-input');
+    const loadTestMachinesInput = document.getElementById('load-test-machines-input');
+    const loadTestTagsInput = document.getElementById('load-test-tags-input');
+    const loadTestUpdateRateInput = document.getElementById('load-test-update-rate-input');
+    const generatePlantBtn = document.getElementById('generate-plant-btn');
+    const restoreModelBtn = document.getElementById('restore-model-btn');
+    const loadTestSummary = document.getElementById('load-test-summary');
+    const generatorNodeSelect = document.getElementById('generator-node-select');
+    const generatorTypeSelect = document.getElementById('generator-type-select');
+    const generatorUpdateRateInput = document.getElementById('generator-update-rate-input');
+    const generatorNoiseInput = document.getElementById('generator-noise-input');
+    const generatorParameters = document.getElementById('generator-parameters');
+    const generatorCsvField = document.getElementById('generator-csv-field');
+    const generatorCsvInput = document.getElementById('generator-csv-input');
+    const applyGeneratorBtn = document.getElementById('apply-generator-btn');
+    const removeGeneratorBtn = document.getElementById('remove-generator-btn');
+    const qualityNodeSelect = document.getElementById('quality-node-select');
+    const qualityStatusSelect = document.getElementById('quality-status-select');
+    const injectQualityBtn = document.getElementById('inject-quality-btn');
+    const clearQualityBtn = document.getElementById('clear-quality-btn');
+    const historyCapacityInput = document.getElementById('history-capacity-input');
+    const historyCapacityBtn = document.getElementById('history-capacity-btn');
+    const historyPersistInput = document.getElementById('history-persist-input');
+    const historyRangeSelect = document.getElementById('history-range-select');
+    const historyAggregateSelect = document.getElementById('history-aggregate-select');
+    const historyIntervalInput = document.getElementById('history-interval-input');
+    const historyReadBtn = document.getElementById('history-read-btn');
+    const historyLiveInput = document.getElementById('history-live-input');
+    const trendChart = document.getElementById('trend-chart');
+    const trendSummary = document.getElementById('trend-summary');
+    let historyRefreshTimer = null;
+    const alarmNodeSelect = document.getElementById('alarm-node-select');
+    const alarmLimitFields = document.getElementById('alarm-limit-fields');
+    const alarmHighHighInput = document.getElementById('alarm-highhigh-input');
+    const alarmHighInput = document.getElementById('alarm-high-input');
+    const alarmLowInput = document.getElementById('alarm-low-input');
+    const alarmLowLowInput = document.getElementById('alarm-lowlow-input');
+    const alarmNormalField = document.getElementById('alarm-normal-field');
+    const alarmNormalStateSelect = document.getElementById('alarm-normal-state-select');
+    const applyAlarmBtn = document.getElementById('apply-alarm-btn');
+    const removeAlarmBtn = document.getElementById('remove-alarm-btn');
+    const alarmCommentInput = document.getElementById('alarm-comment-input');
+    const shelveDurationInput = document.getElementById('shelve-duration-input');
+    const alarmList = document.getElementById('alarm-list');
+    // conditionId -> latest event of every retained condition
+    const clientAlarms = {};
+    const faultLatencyInput = document.getElementById('fault-latency-input');
+    const faultDropRateInput = document.getElementById('fault-drop-rate-input');
+    const applyFaultsBtn = document.getElementById('apply-faults-btn');
+    const outageDurationInput = document.getElementById('outage-duration-input');
+    const startOutageBtn = document.getElementById('start-outage-btn');
+    const restartServerBtn = document.getElementById('restart-server-btn');
+    const expireSessionsBtn = document.getElementById('expire-sessions-btn');
+    const sessionList = document.getElementById('session-list');
+    const serverDiagnostics = document.getElementById('server-diagnostics');
+    const auditCategorySelect = document.getElementById('audit-category-select');
+    const auditOutcomeSelect = document.getElementById('audit-outcome-select');
+    const auditFilterInput = document.getElementById('audit-filter-input');
+    const auditEntryList = document.getElementById('audit-entry-list');
+    const auditExportCsvBtn = document.getElementById('audit-export-csv-btn');
+    const auditExportJsonBtn = document.getElementById('audit-export-json-btn');
+    const auditClearBtn = document.getElementById('audit-clear-btn');
+    const scenarioFileInput = document.getElementById('scenario-file-input');
+    const scenarioSpeedSelect = document.getElementById('scenario-speed-select');
+    const scenarioRunBtn = document.getElementById('scenario-run-btn');
+    const scenarioPauseBtn = document.getElementById('scenario-pause-btn');
+    const scenarioStopBtn = document.getElementById('scenario-stop-btn');
+    const scenarioStatus = document.getElementById('scenario-status');
+    const scenarioLog = document.getElementById('scenario-log');
+    const recordBtn = document.getElementById('record-btn');
+    let loadedScenario = null;
+    let scenarioRunner = null;
+    const sessionRecorder = new SessionRecorder(server);
+    const pubSubBrokerInput = document.getElementById('pubsub-broker-input');
+    const pubSubConfigInput = document.getElementById('pubsub-config-input');
+    const pubSubStartBtn = document.getElementById('pubsub-start-btn');
+    const pubSubStopBtn = document.getElementById('pubsub-stop-btn');
+    const pubSubDefaultBtn = document.getElementById('pubsub-default-btn');
+    const pubSubPublisherStatus = document.getElementById('pubsub-publisher-status');
+    const pubSubSubscriberBrokerInput = document.getElementById('pubsub-subscriber-broker-input');
+    const pubSubTopicPrefixInput = document.getElementById('pubsub-topic-prefix-input');
+    const pubSubSubscribeBtn = document.getElementById('pubsub-subscribe-btn');
+    const pubSubUnsubscribeBtn = document.getElementById('pubsub-unsubscribe-btn');
+    const pubSubSubscriberStatus = document.getElementById('pubsub-subscriber-status');
+    const pubSubFieldList = document.getElementById('pubsub-field-list');
 
 
     // --- UI Functions ---
+    function getQualityClass(statusCode) {
+        if (isBad(statusCode)) return 'quality-bad';
+        if (isUncertain(statusCode)) return 'quality-uncertain';
+        return 'quality-good';
+    }
+
+    function formatUtcTime(timestamp) {
+        return timestamp ? `${new Date(timestamp).toLocaleTimeString('en-US', { hour12: false, timeZone: 'UTC' })} UTC` : 'n/a';
+    }
+
+    function formatValue(value) {
+        if (value !== null && typeof value === 'object') return JSON.stringify(value);
+        return typeof value === 'number' && !Number.isInteger(value) ? String(Number(value.toFixed(4))) : String(value);
+    }
+
+    // Instances of one type share BrowseNames (every sensor has a 'Value'), so string NodeIds make better labels.
+    function getNodeLabel(node) {
+        const match = /;s=(.+)$/.exec(node.nodeId);
+        return match ? match[1] : node.browseName;
+    }
+
     function displayClientMessage(message, type = 'info', timeout = 5000) {
         clientMessageBox.textContent = message;
         clientMessageBox.className = 'message-box';
@@ -239,253 +217,2418 @@
         }
     }
 
+    function isLocalSession() {
+        return client !== null && client.isLocal;
+    }
+
+    // The client can go away while a handler awaits, so every request asks for it again.
+    function requireClient() {
+        if (!client) throw Object.assign(new Error('Not connected.'), { statusCode: StatusCodes.BadNotConnected });
+        return client;
+    }
+
+    function sendRequest(service, params) {
+        try {
+            return requireClient().request(service, params);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    function displayRequestError(action, error) {
+        displayClientMessage(`${action} failed: ${formatRequestError(error)}`, 'error');
+    }
+
+    function logConnectionEvent(text) {
+        const entry = document.createElement('div');
+        entry.classList.add('connection-log-entry');
+        entry.textContent = `${formatUtcToLocalTime(getUtcTimestamp())} ${text}`;
+        connectionLog.prepend(entry);
+        while (connectionLog.children.length > MAX_CONNECTION_LOG_ENTRIES) connectionLog.lastElementChild.remove();
+    }
+
     function updateClientButtons() {
+        [endpointInput, securityEndpointSelect, getEndpointsBtn, identityTypeSelect, identityUserNameInput, identityPasswordInput, identityThumbprintInput, sessionTimeoutInput]
+            .forEach(element => { element.disabled = isConnected; });
         connectBtn.disabled = isConnected;
         disconnectBtn.disabled = !isConnected;
         readBtn.disabled = !isConnected;
         writeBtn.disabled = !isConnected;
         subscribeBtn.disabled = !isConnected;
-        
-        if (subscribedNodeId) {
-            subscribeBtn.textContent = 'Unsubscribe';
-            subscribeBtn.classList.remove('btn-secondary');
-            subscribeBtn.classList.add('btn-red');
-        } else {
-            subscribeBtn.textContent = 'Subscribe (Simulated)';
-            subscribeBtn.classList.add('btn-secondary');
-            subscribeBtn.classList.remove('btn-red');
-        }
+        monitorAllBtn.disabled = !isConnected;
+        createSubscriptionBtn.disabled = !isConnected;
+        historyReadBtn.disabled = !isConnected;
+        browseReferencesBtn.disabled = !isConnected;
+        resolvePathBtn.disabled = !isConnected;
+        deleteSubscriptionBtn.disabled = !isConnected || !subscriptionSelect.value;
+        updateWatchListButtons();
     }
     
-    function renderAddressSpaceTree(parentElement, nodes, level = 0) {
-        // Clear children for dynamic updates
-        if (level === 0) {
-            parentElement.innerHTML = '';
-        } else {
-            const oldUl = parentElement.querySelector(`ul.level-${level}`);
-            if (oldUl) oldUl.remove();
-        }
-
-        const ul = document.createElement('ul');
-        ul.classList.add(`level-${level}`);
-        if (level > 0) ul.style.display = 'none';
-
-        nodes.forEach(node => {
-            const li = document.createElement('li');
-            const nodeNameSpan = document.createElement('span');
-            nodeNameSpan.classList.add('node-name');
-            nodeNameSpan.textContent = node.browseName;
-            nodeNameSpan.dataset.nodeId = node.nodeId;
-
-            nodeNameSpan.onclick = (event) => {
-                event.stopPropagation();
-                document.querySelectorAll('.browse-tree .node-name.selected').forEach(el => el.classList.remove('selected'));
-                nodeNameSpan.classList.add('selected');
-                nodeIdInput.value = node.nodeId;
-                displayClientMessage(`Node ID '${node.nodeId}' selected.`, 'info');
-
-                if (node.hasChildren) {
-                    const childUl = li.querySelector(`ul.level-${level + 1}`);
-                    if (childUl) {
-                        const isHidden = childUl.style.display === 'none';
-                        childUl.style.display = isHidden ? 'block' : 'none';
-                        const toggleIcon = nodeNameSpan.querySelector('.toggle-icon');
-                        if (toggleIcon) toggleIcon.classList.toggle('rotated', isHidden);
-                    }
-                }
+    // --- Value Editors ---
+    // { nodeId, getValue } of the editor shown in place of the plain value field, or null.
+    let valueEditorState = null;
+    const VALUE_EDITOR_PLACEHOLDERS = {
+        Guid: '72962B91-FA75-4AE6-8D28-B404DC7DAF63',
+        ByteString: 'Base64 or 0x0102...',
+        NodeId: 'ns=1;s=Name'
+    };
+
+    // datetime-local inputs work in local time without a zone; the server keeps UTC ISO strings.
+    function toDateTimeInputValue(isoString) {
+        const date = new Date(isoString);
+        if (Number.isNaN(date.getTime())) return '';
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 23);
+    }
+
+    function createInput(type, placeholder) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.classList.add('input-field');
+        if (placeholder) input.placeholder = placeholder;
+        return input;
+    }
+
+    // Returns { element, getValue } for one value of the given type. Arrays are edited as JSON text,
+    // Structures get one editor per field.
+    function createValueEditor(dataTypes, dataType, valueRank, value) {
+        if (valueRank !== SCALAR_VALUE_RANK) {
+            const textarea = document.createElement('textarea');
+            textarea.classList.add('input-field', 'value-editor-json');
+            textarea.rows = 3;
+            textarea.value = value === undefined ? '[]' : JSON.stringify(value);
+            return { element: textarea, getValue: () => textarea.value.trim() };
+        }
+
+        const builtInType = dataTypes.getBuiltInType(dataType);
+        if (builtInType === 'Structure') {
+            const group = document.createElement('div');
+            group.classList.add('value-editor-structure');
+            const fieldEditors = dataTypes.getDefinition(dataType).fields.map(field => {
+                const label = document.createElement('label');
+                label.textContent = `${field.name} (${formatDataType(field.dataType, field.valueRank, field.arrayDimensions)})`;
+                const editor = createValueEditor(dataTypes, field.dataType, field.valueRank, value ? value[field.name] : undefined);
+                label.appendChild(editor.element);
+                group.appendChild(label);
+                return { name: field.name, editor };
+            });
+            return {
+                element: group,
+                getValue: () => Object.fromEntries(fieldEditors.map(({ name, editor }) => [name, editor.getValue()]))
             };
+        }
+
+        if (builtInType === 'Boolean' || builtInType === 'Enumeration') {
+            const select = document.createElement('select');
+            select.classList.add('input-field');
+            const choices = builtInType === 'Boolean'
+                ? [{ label: 'true', value: true }, { label: 'false', value: false }]
+                : dataTypes.getDefinition(dataType).fields.map(field => ({ label: `${field.name} (${field.value})`, value: field.value }));
+            choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = String(choice.value);
+                option.textContent = choice.label;
+                select.appendChild(option);
+            });
+            if (value !== undefined) select.value = String(value);
+            return { element: select, getValue: () => builtInType === 'Boolean' ? select.value === 'true' : Number(select.value) };
+        }
 
-            if (node.hasChildren) {
-                const toggleIcon = document.createElement('span');
-                toggleIcon.classList.add('toggle-icon');
-                toggleIcon.innerHTML = '&#9658;';
-                nodeNameSpan.prepend(toggleIcon);
+        if (builtInType === 'LocalizedText' || builtInType === 'QualifiedName') {
+            const isText = builtInType === 'LocalizedText';
+            const group = document.createElement('div');
+            group.classList.add('value-editor-pair');
+            const prefixInput = createInput(isText ? 'text' : 'number', isText ? 'Locale' : 'ns');
+            prefixInput.classList.add('value-editor-prefix');
+            if (!isText) prefixInput.min = '0';
+            const textInput = createInput('text', isText ? 'Text' : 'Name');
+            if (value) {
+                prefixInput.value = isText ? value.locale : value.namespaceIndex;
+                textInput.value = isText ? value.text : value.name;
             }
+            group.append(prefixInput, textInput);
+            return {
+                element: group,
+                getValue: () => isText
+                    ? { locale: prefixInput.value.trim(), text: textInput.value }
+                    : { namespaceIndex: prefixInput.value.trim() || 0, name: textInput.value.trim() }
+            };
+        }
+
+        if (builtInType === 'DateTime') {
+            const input = createInput('datetime-local');
+            input.step = '0.001';
+            if (value) input.value = toDateTimeInputValue(value);
+            return { element: input, getValue: () => input.value ? new Date(input.value).toISOString() : '' };
+        }
+
+        const range = INTEGER_RANGES[builtInType];
+        let input;
+        if (range && builtInType !== 'Int64' && builtInType !== 'UInt64') {
+            input = createInput('number');
+            input.step = '1';
+            input.min = String(range[0]);
+            input.max = String(range[1]);
+        } else if (builtInType === 'Float' || builtInType === 'Double') {
+            input = createInput('number');
+            input.step = 'any';
+        } else {
+            // 64-bit integers are edited as text; a number input would round them to a Double.
+            input = createInput('text', range ? `${range[0]} to ${range[1]}` : VALUE_EDITOR_PLACEHOLDERS[builtInType]);
+        }
+        if (value !== undefined && value !== null) input.value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        // Strings are written exactly as typed, everything else without surrounding blanks.
+        return { element: input, getValue: () => builtInType === 'String' ? input.value : input.value.trim() };
+    }
+
+    function clearValueEditor() {
+        valueEditorState = null;
+        valueEditor.innerHTML = '';
+        valueEditor.classList.add('hidden');
+        valueTypeHint.textContent = '';
+        nodeValueInput.classList.remove('hidden');
+    }
+
+    // Replaces the plain value field with an editor for the node's data type, filled with the value just read.
+    function renderValueEditor(nodeId, result) {
+        clearValueEditor();
+        if (!result.dataType) return;
+        const dataTypes = new DataTypeRegistry(Object.values(result.dataTypeDefinitions || {}));
+        const editor = createValueEditor(dataTypes, result.dataType, result.valueRank, result.value);
+        valueEditorState = { nodeId, getValue: editor.getValue };
+        valueEditor.appendChild(editor.element);
+        valueEditor.classList.remove('hidden');
+        nodeValueInput.classList.add('hidden');
+
+        const typeText = formatDataType(result.dataType, result.valueRank, result.arrayDimensions);
+        const range = INTEGER_RANGES[dataTypes.getBuiltInType(result.dataType)];
+        if (result.valueRank !== SCALAR_VALUE_RANK) valueTypeHint.textContent = `${typeText}, as a JSON array`;
+        else valueTypeHint.textContent = range ? `${typeText}, ${range[0]} to ${range[1]}` : typeText;
+    }
+
+    async function loadValueEditor(nodeId) {
+        try {
+            const result = await sendRequest('read', { nodeId });
+            // Another node may have been picked while the read was on its way.
+            if (nodeIdInput.value.trim() === nodeId) renderValueEditor(nodeId, result);
+        } catch (e) {
+            clearValueEditor();
+        }
+    }
+
+    function formatReadValue(result) {
+        const definition = result.dataTypeDefinitions && result.dataTypeDefinitions[result.dataType];
+        const field = definition && definition.baseType === 'Enumeration' && result.valueRank === SCALAR_VALUE_RANK
+            && definition.fields.find(candidate => candidate.value === result.value);
+        return field ? `${field.name} (${result.value})` : formatValue(result.value);
+    }
 
-            const nodeTypeSpan = document.createElement('span');
-            nodeTypeSpan.classList.add('node-type');
-            nodeTypeSpan.textContent = node.nodeClass;
-            nodeNameSpan.appendChild(nodeTypeSpan);
+    // --- Virtual Lists ---
+    // Rows rendered above and below the viewport, so fast scrolling does not show gaps.
+    const VIRTUAL_LIST_OVERSCAN = 10;
+    // Lists rendered before layout (or in a hidden panel) have no height yet.
+    const DEFAULT_VIEWPORT_HEIGHT = 600;
 
-            li.appendChild(nodeNameSpan);
+    // Renders only the rows of a scrolling container that are in view; every row has the same height.
+    // Rows are kept by key while they stay in view, so an update only rewrites what changed.
+    class VirtualList {
+        constructor(container, { rowHeight, getKey, createRow, updateRow }) {
+            this.container = container;
+            this.rowHeight = rowHeight;
+            this.getKey = getKey;
+            this.createRow = createRow;
+            this.updateRow = updateRow;
+            this.items = [];
+            this.firstIndex = 0;
+            this.lastIndex = 0;
+            // key -> row element, and row element -> the item it shows
+            this.rows = new Map();
+            this.rowItems = new WeakMap();
+            this.content = document.createElement('div');
+            this.content.classList.add('virtual-list');
+            container.addEventListener('scroll', () => this.render());
+        }
 
-            if (node.nodeClass === 'Variable') {
-                const nodeValueTimestampDisplay = document.createElement('span');
-                nodeValueTimestampDisplay.classList.add('node-value-display');
-                const utcTime = new Date(node.timestamp).toLocaleTimeString('en-US', { hour12: false, timeZone: 'UTC' });
-                nodeValueTimestampDisplay.textContent = ` (Value: ${node.value}, Type: ${node.dataType}, UTC: ${utcTime})`;
-                li.appendChild(nodeValueTimestampDisplay);
+        setItems(items) {
+            this.items = items;
+            if (this.content.parentNode !== this.container) {
+                this.container.innerHTML = '';
+                this.container.appendChild(this.content);
             }
+            this.content.style.height = `${items.length * this.rowHeight}px`;
+            this.render();
+        }
 
-            if (node.hasChildren) {
-                const children = server.browseNodes(node.nodeId);
-                renderAddressSpaceTree(li, children, level + 1);
+        render() {
+            if (this.content.parentNode !== this.container) return;
+            const viewportHeight = this.container.clientHeight || DEFAULT_VIEWPORT_HEIGHT;
+            this.firstIndex = Math.max(0, Math.floor(this.container.scrollTop / this.rowHeight) - VIRTUAL_LIST_OVERSCAN);
+            this.lastIndex = Math.min(this.items.length, Math.ceil((this.container.scrollTop + viewportHeight) / this.rowHeight) + VIRTUAL_LIST_OVERSCAN);
+            const keys = new Set();
+            for (let index = this.firstIndex; index < this.lastIndex; index++) {
+                const item = this.items[index];
+                const key = this.getKey(item);
+                keys.add(key);
+                let row = this.rows.get(key);
+                if (!row) {
+                    row = this.createRow();
+                    row.classList.add('virtual-list-row');
+                    this.rows.set(key, row);
+                    this.content.appendChild(row);
+                }
+                this.rowItems.set(row, item);
+                row.style.top = `${index * this.rowHeight}px`;
+                this.updateRow(row, item);
             }
-            ul.appendChild(li);
-        });
-        parentElement.appendChild(ul);
+            this.rows.forEach((row, key) => {
+                if (keys.has(key)) return;
+                row.remove();
+                this.rows.delete(key);
+            });
+        }
+
+        getItem(row) {
+            return this.rowItems.get(row);
+        }
+
+        getVisibleItems() {
+            return this.items.slice(this.firstIndex, this.lastIndex);
+        }
+
+        clear() {
+            this.items = [];
+            this.rows.clear();
+            this.content.innerHTML = '';
+            this.content.remove();
+        }
     }
 
-    function updateServerNodeDisplay() {
-        serverNodesDisplay.innerHTML = '';
-        const nodesToDisplay = ['ns=1;s=Temperature', 'ns=1;s=Pressure', 'ns=1;s=Status', 'ns=1;s=DeviceName'];
-        nodesToDisplay.forEach(nodeId => {
-            const node = server.findNode(nodeId);
-            if (node) {
-                const div = document.createElement('div');
-                div.classList.add('node-item');
-                div.innerHTML = `
-                    <span class="node-id">${node.browseName}</span>
-                    <span class="node-value">${node.value}</span>
-                    <span class="node-timestamp">${new Date(node.timestamp).toLocaleTimeString('en-US', { hour12: false, timeZone: 'UTC' })} UTC</span>
-                `;
-                serverNodesDisplay.appendChild(div);
-            }
+    // Only touches the DOM when the text really changed.
+    function setText(element, text) {
+        if (element.textContent !== text) element.textContent = text;
+    }
+
+    // --- Address Space Tree ---
+    const TREE_ROW_HEIGHT = 28;
+    const TREE_INDENT = 15;
+    // Tree state that has to survive the periodic refresh. The Objects folder starts expanded.
+    const expandedNodeIds = new Set([OBJECTS_FOLDER_NODE_ID]);
+    // nodeId -> reference descriptions of its children. A node is browsed the first time it is expanded.
+    const treeChildren = new Map();
+    let selectedTreeNodeId = null;
+    let addressSpaceTreeList = null;
+    // methodNodeId -> { args: [string], result }
+    const methodCallState = {};
+
+    function renderMethodCallForm(node, objectId) {
+        const state = methodCallState[node.nodeId] || (methodCallState[node.nodeId] = { args: [], result: null });
+        methodCallPanel.innerHTML = '';
+        methodCallPanel.classList.remove('hidden');
+        const form = document.createElement('div');
+        form.classList.add('method-call-form');
+
+        const title = document.createElement('div');
+        title.classList.add('method-call-title');
+        title.textContent = `${node.browseName} on ${objectId}`;
+        form.appendChild(title);
+
+        node.inputArguments.forEach((argument, index) => {
+            const label = document.createElement('label');
+            label.textContent = `${argument.name} (${formatDataType(argument.dataType, argument.valueRank, argument.arrayDimensions)})`;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = state.args[index] || '';
+            input.oninput = () => { state.args[index] = input.value; };
+            label.appendChild(input);
+            form.appendChild(label);
         });
+
+        const callButton = document.createElement('button');
+        callButton.textContent = 'Call';
+        callButton.classList.add('method-call-btn');
+        callButton.onclick = () => {
+            handleCallMethod(node, objectId).then(() => renderMethodResult(resultDisplay, state.result));
+        };
+        form.appendChild(callButton);
+
+        const resultDisplay = document.createElement('div');
+        resultDisplay.classList.add('method-call-result');
+        renderMethodResult(resultDisplay, state.result);
+        form.appendChild(resultDisplay);
+        methodCallPanel.appendChild(form);
     }
 
-    function updateLocalTimeDisplay() {
-        const now = new Date();
-        currentLocalTimeDisplay.textContent = `Current Local Time: ${now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false })} ${now.toLocaleDateString()}`;
-        localUtcOffsetDisplay.textContent = `Your Offset: ${getLocalUtcOffset()}`;
+    function hideMethodCallForm() {
+        methodCallPanel.innerHTML = '';
+        methodCallPanel.classList.add('hidden');
     }
 
-    // --- Event Handlers ---
-    function handleConnect() {
-        if (isConnected) return;
-        isConnected = true;
-        clientConnectionStatus.textContent = 'Client Status: Connected';
-        clientConnectionStatus.classList.remove('bg-red-100', 'text-red-800', 'border-red-300');
-        clientConnectionStatus.classList.add('bg-green-100', 'text-green-800', 'border-green-300');
-        
-        updateClientButtons();
-        server.startDataSimulation();
-        updateServerNodeDisplay();
-        
-        addressSpaceTree.innerHTML = '';
-        const rootNodes = server.browseNodes();
-        renderAddressSpaceTree(addressSpaceTree, rootNodes);
+    function renderMethodResult(element, result) {
+        if (!result) {
+            element.textContent = '';
+            return;
+        }
+        element.className = `method-call-result ${getQualityClass(result.statusCode)}`;
+        const outputs = result.outputArguments.map((value, index) => `${result.outputNames[index] || `Output${index}`} = ${formatValue(value)}`);
+        element.textContent = `${getStatusCodeName(result.statusCode)}${outputs.length ? ` | ${outputs.join(', ')}` : ''}`;
+    }
 
-        displayClientMessage('Successfully connected to simulated OPC UA Server.', 'success');
+    async function handleCallMethod(node, objectId) {
+        if (!isConnected) {
+            displayClientMessage('Not connected to the server.', 'error');
+            return;
+        }
+        const state = methodCallState[node.nodeId];
+        const inputArguments = node.inputArguments.map((argument, index) => state.args[index] ?? '');
+        try {
+            const result = await sendRequest('call', { objectId, methodId: node.nodeId, inputArguments });
+            state.result = { ...result, outputNames: node.outputArguments.map(argument => argument.name) };
+            displayClientMessage(result.message, result.success ? 'success' : 'error');
+            if (result.success) updateServerNodeDisplay();
+        } catch (e) {
+            displayRequestError('Call', e);
+        }
     }
 
-    function handleDisconnect() {
-        if (!isConnected) return;
-        isConnected = false;
-        clientConnectionStatus.textContent = 'Client Status: Disconnected';
-        clientConnectionStatus.classList.remove('bg-green-100', 'text-green-800', 'border-green-300');
-        clientConnectionStatus.classList.add('bg-red-100', 'text-red-800', 'border-red-300');
+    async function browseChildren(nodeId) {
+        const result = await sendRequest('browse', { nodeId });
+        if (!result.success) throw Object.assign(new Error(result.message), { statusCode: result.statusCode });
+        treeChildren.set(nodeId, result.references);
+    }
+
+    // The rows of the tree in display order: the children of an expanded node follow it. A node that
+    // Organizes one of its own ancestors is shown but cannot be expanded again.
+    function getTreeRows() {
+        const rows = [];
+        const addChildren = (parentNodeId, parentKey, level, ancestors) => {
+            (treeChildren.get(parentNodeId) || []).forEach(node => {
+                const key = `${parentKey}>${node.nodeId}`;
+                const canExpand = node.hasChildren && !ancestors.has(node.nodeId);
+                const isExpanded = canExpand && expandedNodeIds.has(node.nodeId) && treeChildren.has(node.nodeId);
+                rows.push({ key, node, level, parentNodeId, canExpand, isExpanded });
+                if (isExpanded) addChildren(node.nodeId, key, level + 1, new Set(ancestors).add(node.nodeId));
+            });
+        };
+        addChildren(ROOT_NODE_ID, '', 0, new Set([ROOT_NODE_ID]));
+        return rows;
+    }
 
-        if (subscribedNodeId) {
-            server.unsubscribe(subscribedNodeId);
-            subscribedNodeId = null;
+    // Expanded nodes whose children were never browsed, e.g. the Objects folder after connecting.
+    async function browseExpandedNodes() {
+        let pending;
+        while ((pending = getTreeRows().filter(row => row.canExpand && expandedNodeIds.has(row.node.nodeId) && !treeChildren.has(row.node.nodeId))).length > 0) {
+            for (const row of pending) await browseChildren(row.node.nodeId);
         }
-        subscriptionLogContainer.style.display = 'none';
-        subscriptionEntries.innerHTML = '<p class="text-gray-500 text-center text-sm py-4">No active subscription data.</p>';
-        
-        updateClientButtons();
-        server.stopDataSimulation();
-        
-        addressSpaceTree.innerHTML = '<p class="text-gray-500 text-center py-4">Connect to server to browse.</p>';
-        displayClientMessage('Disconnected from simulated OPC UA Server.', 'info');
     }
 
-    function handleRead() {
-        const nodeId = nodeIdInput.value.trim();
-        if (!nodeId) {
-            displayClientMessage('Please enter a Node ID to read.', 'error');
+    // Re-browses only the nodes whose children are in view, so a large plant costs no more than a small one.
+    async function refreshAddressSpaceTree() {
+        if (!isConnected || isRefreshingTree) return;
+        isRefreshingTree = true;
+        try {
+            const visibleParents = new Set(addressSpaceTreeList.getVisibleItems().map(row => row.parentNodeId));
+            if (!treeChildren.has(ROOT_NODE_ID)) visibleParents.add(ROOT_NODE_ID);
+            for (const nodeId of visibleParents) await browseChildren(nodeId);
+            await browseExpandedNodes();
+            if (isConnected) renderAddressSpaceTree();
+        } catch (e) {
+            displayRequestError('Browse', e);
+        } finally {
+            isRefreshingTree = false;
+        }
+    }
+
+    function renderAddressSpaceTree() {
+        addressSpaceTreeList.setItems(getTreeRows());
+    }
+
+    function clearAddressSpaceTree() {
+        treeChildren.clear();
+        selectedTreeNodeId = null;
+        addressSpaceTreeList.clear();
+        hideMethodCallForm();
+        resetInspector();
+    }
+
+    function createTreeRow() {
+        const row = document.createElement('div');
+        row.classList.add('tree-row');
+        const nodeNameSpan = document.createElement('span');
+        nodeNameSpan.classList.add('node-name');
+        const toggleIcon = document.createElement('span');
+        toggleIcon.classList.add('toggle-icon');
+        toggleIcon.innerHTML = '&#9658;';
+        const nameText = document.createElement('span');
+        const nodeTypeSpan = document.createElement('span');
+        nodeTypeSpan.classList.add('node-type');
+        nodeNameSpan.append(toggleIcon, nameText, nodeTypeSpan);
+        const watchButton = document.createElement('button');
+        watchButton.classList.add('alarm-action', 'watch-add');
+        watchButton.textContent = '+';
+        watchButton.title = 'Add to watch list';
+        const detailsDisplay = document.createElement('span');
+        detailsDisplay.classList.add('node-value-display');
+        row.append(nodeNameSpan, watchButton, detailsDisplay);
+        nodeNameSpan.onclick = () => handleTreeNodeClick(addressSpaceTreeList.getItem(row));
+        watchButton.onclick = () => addToWatchList(addressSpaceTreeList.getItem(row).node.nodeId);
+        return row;
+    }
+
+    // Variables show their value, Methods their signature.
+    function formatTreeNodeDetails(node) {
+        if (node.nodeClass === 'Variable') {
+            const utcTime = new Date(node.dataValue.sourceTimestamp).toLocaleTimeString('en-US', { hour12: false, timeZone: 'UTC' });
+            return ` (Value: ${formatValue(node.dataValue.value)}, Type: ${formatDataType(node.dataType, node.valueRank, node.arrayDimensions)}, Status: ${getStatusCodeName(node.dataValue.statusCode)}, UTC: ${utcTime})`;
+        }
+        if (node.nodeClass === 'Method') {
+            const inputs = node.inputArguments.map(argument => `${argument.name}: ${formatDataType(argument.dataType, argument.valueRank, argument.arrayDimensions)}`).join(', ');
+            const outputs = node.outputArguments.map(argument => formatDataType(argument.dataType, argument.valueRank, argument.arrayDimensions)).join(', ');
+            return ` (${inputs})${outputs ? ` -> ${outputs}` : ''}`;
+        }
+        return '';
+    }
+
+    function updateTreeRow(row, { node, level, canExpand, isExpanded }) {
+        const [nodeNameSpan, watchButton, detailsDisplay] = row.children;
+        const [toggleIcon, nameText, nodeTypeSpan] = nodeNameSpan.children;
+        watchButton.style.display = node.nodeClass === 'Variable' ? '' : 'none';
+        row.style.paddingLeft = `${level * TREE_INDENT}px`;
+        nodeNameSpan.dataset.nodeId = node.nodeId;
+        nodeNameSpan.title = `${node.referenceType} ${node.nodeId}`;
+        nodeNameSpan.classList.toggle('selected', node.nodeId === selectedTreeNodeId);
+        toggleIcon.style.visibility = canExpand ? 'visible' : 'hidden';
+        toggleIcon.classList.toggle('rotated', isExpanded);
+        setText(nameText, node.browseName);
+        setText(nodeTypeSpan, node.nodeClass);
+        setText(detailsDisplay, formatTreeNodeDetails(node));
+        if (node.nodeClass === 'Variable') detailsDisplay.className = `node-value-display ${getQualityClass(node.dataValue.statusCode)}`;
+    }
+
+    async function handleTreeNodeClick({ node, parentNodeId, canExpand }) {
+        selectedTreeNodeId = node.nodeId;
+        nodeIdInput.value = node.nodeId;
+        displayClientMessage(`Node ID '${node.nodeId}' selected.`, 'info');
+        if (node.nodeClass === 'Variable') loadValueEditor(node.nodeId);
+        else clearValueEditor();
+        if (node.nodeClass === 'Method') renderMethodCallForm(node, parentNodeId);
+        else hideMethodCallForm();
+        inspectNode(node);
+
+        if (canExpand) {
+            if (expandedNodeIds.has(node.nodeId)) {
+                expandedNodeIds.delete(node.nodeId);
+            } else {
+                expandedNodeIds.add(node.nodeId);
+                try {
+                    if (!treeChildren.has(node.nodeId)) await browseChildren(node.nodeId);
+                    await browseExpandedNodes();
+                } catch (e) {
+                    expandedNodeIds.delete(node.nodeId);
+                    displayRequestError('Browse', e);
+                }
+            }
+        }
+        renderAddressSpaceTree();
+    }
+
+    // --- Reference Browser ---
+    function populateBrowseFilters() {
+        const addOption = (select, value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+        addOption(browseReferenceTypeSelect, '', 'All References');
+        Object.keys(REFERENCE_TYPES).forEach(name => addOption(browseReferenceTypeSelect, name, name));
+        browseReferenceTypeSelect.value = 'HierarchicalReferences';
+        addOption(browseNodeClassSelect, '0', 'All Node Classes');
+        Object.entries(NODE_CLASS_MASKS).forEach(([nodeClass, mask]) => addOption(browseNodeClassSelect, String(mask), nodeClass));
+    }
+
+    function resetReferenceList(text = 'Select a node and browse its references.') {
+        referenceList.innerHTML = `<tr><td colspan="4" class="text-gray-500 text-center py-2">${text}</td></tr>`;
+    }
+
+    // Inverse references are labelled with the ReferenceType's InverseName, e.g. ComponentOf.
+    function renderReferenceList(references) {
+        if (references.length === 0) {
+            resetReferenceList('No matching references.');
             return;
         }
-        const result = server.readNode(nodeId);
-        if (result) {
-            const utcTime = new Date(result.timestamp).toLocaleTimeString('en-US', { hour12: false, timeZone: 'UTC' });
-            const localTime = formatUtcToLocalTime(result.timestamp);
-            const offset = getLocalUtcOffset();
-            displayClientMessage(`Read Node '${nodeId}': Value = ${result.value}, Data Type = ${result.dataType}, Access = ${result.accessLevel}, UTC Timestamp = ${utcTime} UTC, Local Timestamp = ${localTime} ${offset}`, 'success', 10000);
-        } else {
-            displayClientMessage(`Failed to read Node '${nodeId}'. Node not found or not a variable.`, 'error');
+        referenceList.innerHTML = '';
+        references.forEach(reference => {
+            const row = document.createElement('tr');
+            row.dataset.nodeId = reference.nodeId;
+            row.title = reference.nodeId;
+            const referenceName = reference.isForward ? reference.referenceType : REFERENCE_TYPES[reference.referenceType].inverseName;
+            [referenceName, reference.browseName, reference.nodeClass, reference.typeDefinition || ''].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.onclick = () => {
+                nodeIdInput.value = reference.nodeId;
+                clearValueEditor();
+                handleBrowseReferences();
+            };
+            referenceList.appendChild(row);
+        });
+    }
+
+    async function handleBrowseReferences() {
+        const nodeId = nodeIdInput.value.trim() || ROOT_NODE_ID;
+        let result;
+        try {
+            result = await sendRequest('browse', {
+                nodeId,
+                browseDirection: browseDirectionSelect.value,
+                referenceType: browseReferenceTypeSelect.value || null,
+                nodeClassMask: Number(browseNodeClassSelect.value)
+            });
+        } catch (e) {
+            displayRequestError('Browse', e);
+            return;
+        }
+        if (!result.success) {
+            resetReferenceList();
+            displayClientMessage(`Browse failed: ${getStatusCodeName(result.statusCode)} - ${result.message}`, 'error');
+            return;
         }
+        renderReferenceList(result.references);
+        displayClientMessage(result.message, 'info');
     }
 
-    function handleWrite() {
-        const nodeId = nodeIdInput.value.trim();
-        const newValue = nodeValueInput.value.trim();
-        if (!nodeId || !newValue) {
-            displayClientMessage('Please enter both a Node ID and a value to write.', 'error');
+    // Resolves a relative path such as /1:Sensors/Sensor1/Value and selects the first node it leads to.
+    async function handleResolvePath() {
+        const relativePath = browsePathInput.value.trim();
+        if (!relativePath) {
+            displayClientMessage('Please enter a browse path, e.g. /1:Sensors/Sensor1/Value.', 'error');
             return;
         }
-        const result = server.writeNode(nodeId, newValue);
-        if (result.success) {
-            const utcTime = new Date(result.timestamp).toLocaleTimeString('en-US', { hour12: false, timeZone: 'UTC' });
-            const localTime = formatUtcToLocalTime(result.timestamp);
-            const offset = getLocalUtcOffset();
-            displayClientMessage(`${result.message}, UTC Timestamp = ${utcTime} UTC, Local Timestamp = ${localTime} ${offset}`, 'success', 10000);
-            nodeValueInput.value = '';
-        } else {
-            displayClientMessage(`Failed to write to Node '${nodeId}': ${result.message}`, 'error');
+        const startingNode = nodeIdInput.value.trim() || OBJECTS_FOLDER_NODE_ID;
+        let result;
+        try {
+            result = await sendRequest('translateBrowsePaths', { browsePaths: [{ startingNode, relativePath }] });
+        } catch (e) {
+            displayRequestError('Translate', e);
+            return;
+        }
+        const pathResult = result.success ? result.results[0] : result;
+        if (!isGood(pathResult.statusCode)) {
+            displayClientMessage(`Failed to resolve '${relativePath}': ${getStatusCodeName(pathResult.statusCode)} - ${pathResult.message}`, 'error');
+            return;
         }
+        nodeIdInput.value = pathResult.targetIds[0];
+        clearValueEditor();
+        displayClientMessage(`'${relativePath}' resolves to ${pathResult.targetIds.join(', ')}.`, 'success');
     }
 
-    function handleSubscribe() {
-        const nodeId = nodeIdInput.value.trim();
-        if (!nodeId) {
-            displayClientMessage('Please enter a Node ID to subscribe.', 'error');
+    // --- Attribute Inspector ---
+    // Shows every attribute the selected node's class has, read in one batch, and the values of its properties.
+    let inspectedNodeId = null;
+
+    function setInspectorMessage(tbody, text) {
+        tbody.innerHTML = `<tr><td colspan="2" class="text-gray-500 text-center py-2">${text}</td></tr>`;
+    }
+
+    function resetInspector() {
+        inspectedNodeId = null;
+        setInspectorMessage(attributeList, 'Select a node in the tree to inspect it.');
+        setInspectorMessage(propertyList, 'Select a node in the tree to inspect it.');
+    }
+
+    function renderInspectorRows(tbody, rows, emptyText) {
+        if (rows.length === 0) {
+            setInspectorMessage(tbody, emptyText);
             return;
         }
+        tbody.innerHTML = '';
+        rows.forEach(([name, text, title]) => {
+            const row = document.createElement('tr');
+            [name, text].forEach(content => {
+                const cell = document.createElement('td');
+                cell.textContent = content;
+                row.appendChild(cell);
+            });
+            if (title) row.title = title;
+            tbody.appendChild(row);
+        });
+    }
 
-        if (subscribedNodeId === nodeId) {
-            const result = server.unsubscribe(nodeId);
-            if (result.success) {
-                subscribedNodeId = null;
-                subscriptionLogContainer.style.display = 'none';
-                subscriptionEntries.innerHTML = '<p class="text-gray-500 text-center text-sm py-4">No active subscription data.</p>';
-                displayClientMessage(result.message, 'info');
-            } else {
-                displayClientMessage(`Unsubscription failed: ${result.message}`, 'error');
-            }
-        } else {
-            if (subscribedNodeId) {
-                server.unsubscribe(subscribedNodeId);
-                subscriptionEntries.innerHTML = '';
-            }
+    function formatAccessLevel(bits) {
+        const names = Object.keys(ACCESS_LEVELS).filter(name => (bits & ACCESS_LEVELS[name]) !== 0);
+        return names.length > 0 ? names.join(', ') : 'None';
+    }
 
-            const result = server.subscribe(nodeId, (newValue, newTimestamp) => {
-                const utcTime = new Date(newTimestamp).toLocaleTimeString('en-US', { hour12: false, timeZone: 'UTC' });
-                const localTime = formatUtcToLocalTime(newTimestamp);
-                const newEntry = document.createElement('div');
-                newEntry.classList.add('subscription-entry');
-                newEntry.textContent = `New Value: ${newValue} (UTC: ${utcTime} | Local: ${localTime})`;
-                subscriptionEntries.prepend(newEntry);
-                if (subscriptionEntries.children.length > 10) {
-                    subscriptionEntries.removeChild(subscriptionEntries.lastElementChild);
-                }
+    function formatAttributeValue(attributeName, value, node) {
+        if (value === null || value === undefined) return '';
+        switch (attributeName) {
+            case 'NodeClass':
+                return Object.keys(NODE_CLASS_MASKS).find(nodeClass => NODE_CLASS_MASKS[nodeClass] === value) || String(value);
+            case 'AccessLevel':
+            case 'UserAccessLevel':
+                return `${formatAccessLevel(value)} (${value})`;
+            case 'DataType':
+                return node.dataType ? `${node.dataType} (${value})` : value;
+            case 'ValueRank':
+                return node.dataType ? `${value} (${formatDataType(node.dataType, value, node.arrayDimensions)})` : String(value);
+            case 'BrowseName':
+                return `${value.namespaceIndex}:${value.name}`;
+            case 'DisplayName':
+            case 'Description':
+            case 'InverseName':
+                return value.text;
+            default:
+                return formatValue(value);
+        }
+    }
+
+    // Ranges and units read better than their structures.
+    function formatPropertyValue(property) {
+        const value = property.dataValue ? property.dataValue.value : undefined;
+        if (value === undefined || value === null) return '';
+        if (property.dataType === 'Range') return `${value.Low} to ${value.High}`;
+        if (property.dataType === 'EUInformation') return `${value.DisplayName.text}${value.Description.text ? ` (${value.Description.text})` : ''}`;
+        return formatValue(value);
+    }
+
+    async function inspectNode(node) {
+        inspectedNodeId = node.nodeId;
+        const attributeNames = Object.keys(ATTRIBUTE_IDS);
+        let readResult;
+        let browseResult;
+        try {
+            readResult = await sendRequest('read', { nodesToRead: attributeNames.map(attributeId => ({ nodeId: node.nodeId, attributeId })) });
+            browseResult = await sendRequest('browse', { nodeId: node.nodeId, referenceType: 'HasProperty', browseDirection: 'Forward' });
+        } catch (e) {
+            displayRequestError('Read', e);
+            return;
+        }
+        // Another node may have been selected while the requests were out.
+        if (inspectedNodeId !== node.nodeId) return;
+        if (!readResult.success) {
+            setInspectorMessage(attributeList, `Read failed: ${getStatusCodeName(readResult.statusCode)}`);
+        } else {
+            const rows = [];
+            readResult.results.forEach((result, index) => {
+                if (result.statusCode === StatusCodes.BadAttributeIdInvalid) return;
+                const name = attributeNames[index];
+                rows.push(isGood(result.statusCode)
+                    ? [name, formatAttributeValue(name, result.value, node)]
+                    : [name, getStatusCodeName(result.statusCode), result.message]);
             });
+            renderInspectorRows(attributeList, rows, 'The node has no readable attributes.');
+        }
+        const properties = browseResult.success ? browseResult.references : [];
+        renderInspectorRows(propertyList, properties.map(property => [
+            property.browseName,
+            formatPropertyValue(property),
+            `${property.nodeId} (${formatDataType(property.dataType, property.valueRank, property.arrayDimensions)})`
+        ]), 'The node has no properties.');
+    }
 
-            if (result.success) {
-                subscribedNodeId = nodeId;
-                subscriptionLogContainer.style.display = 'block';
-                subscribedNodeIdDisplay.textContent = nodeId;
-                displayClientMessage(result.message, 'success');
-            } else {
-                subscribedNodeId = null;
-                displayClientMessage(`Subscription failed: ${result.message}`, 'error');
-            }
+    const SERVER_NODE_ROW_HEIGHT = 40;
+    let serverNodeList = null;
+
+    function createServerNodeRow() {
+        const row = document.createElement('div');
+        row.classList.add('node-item');
+        ['node-id', 'node-value', 'node-status', 'node-timestamp'].forEach(className => {
+            const span = document.createElement('span');
+            span.classList.add(className);
+            row.appendChild(span);
+        });
+        return row;
+    }
+
+    function updateServerNodeRow(row, node) {
+        const [label, valueDisplay, statusDisplay, timestampDisplay] = row.children;
+        const { value, statusCode, sourceTimestamp } = node.dataValue;
+        setText(label, getNodeLabel(node));
+        setText(valueDisplay, formatValue(value));
+        setText(statusDisplay, getStatusCodeName(statusCode));
+        statusDisplay.className = `node-status ${getQualityClass(statusCode)}`;
+        setText(timestampDisplay, `${new Date(sourceTimestamp).toLocaleTimeString('en-US', { hour12: false, timeZone: 'UTC' })} UTC`);
+    }
+
+    function updateServerNodeDisplay() {
+        serverNodeList.setItems(server.listVariables());
+    }
+
+    function resetSubscriptionLog() {
+        subscriptionLogContainer.style.display = 'none';
+        monitoredItemsContainer.innerHTML = '<p class="text-gray-500 text-center text-sm py-4">No active subscription data.</p>';
+    }
+
+    function renderMonitoredItem(subscriptionId, monitoredItemId, nodeId, revisedParameters) {
+        if (!monitoredItemsContainer.querySelector('.monitored-item')) monitoredItemsContainer.innerHTML = '';
+        subscriptionLogContainer.style.display = 'block';
+
+        const card = document.createElement('div');
+        card.classList.add('monitored-item');
+
+        const header = document.createElement('div');
+        header.classList.add('monitored-item-header');
+        const title = document.createElement('span');
+        const nodeIdLabel = document.createElement('span');
+        nodeIdLabel.classList.add('font-mono');
+        nodeIdLabel.textContent = nodeId;
+        const params = document.createElement('span');
+        params.classList.add('monitored-item-params');
+        const ids = document.createElement('span');
+        ids.classList.add('monitored-item-ids');
+        params.append('(', ids, `, ${revisedParameters})`);
+        title.append(nodeIdLabel, ' ', params);
+        const removeBtn = document.createElement('button');
+        removeBtn.classList.add('monitored-item-remove');
+        removeBtn.textContent = '\u2715';
+        removeBtn.title = 'Delete monitored item';
+        // Read the ids on click; a reconnect may have recreated the item under new ones.
+        removeBtn.onclick = () => handleDeleteMonitoredItem(card.dataset.subscriptionId, card.dataset.monitoredItemId);
+        header.append(title, removeBtn);
+
+        const entriesElement = document.createElement('div');
+        entriesElement.classList.add('monitored-item-entries');
+        card.append(header, entriesElement);
+        setMonitoredItemIds(card, subscriptionId, monitoredItemId);
+        monitoredItemsContainer.appendChild(card);
+        return card;
+    }
+
+    function setMonitoredItemIds(card, subscriptionId, monitoredItemId) {
+        card.dataset.subscriptionId = subscriptionId;
+        card.dataset.monitoredItemId = monitoredItemId;
+        card.querySelector('.monitored-item-ids').textContent = `Sub ${subscriptionId} / Item ${monitoredItemId}`;
+    }
+
+    function getMonitoredItemKey(subscriptionId, monitoredItemId) {
+        return `${subscriptionId}/${monitoredItemId}`;
+    }
+
+    function renderDataChange({ subscriptionId, monitoredItemId, dataValue, sequenceNumber, overflow, isRepublished }) {
+        notificationCount += 1;
+        // Items added in bulk only count towards the throughput meter.
+        const view = monitoredItemViews[getMonitoredItemKey(subscriptionId, monitoredItemId)];
+        if (!view) return;
+        const { value, statusCode, sourceTimestamp, serverTimestamp } = dataValue;
+        const localTime = formatUtcToLocalTime(sourceTimestamp);
+        const newEntry = document.createElement('div');
+        newEntry.classList.add('subscription-entry', getQualityClass(statusCode));
+        newEntry.textContent = `#${sequenceNumber} Value: ${formatValue(value)} [${getStatusCodeName(statusCode)}] (Source: ${formatUtcTime(sourceTimestamp)} | Local: ${localTime} | Server: ${formatUtcTime(serverTimestamp)})${overflow ? ' [overflow]' : ''}${isRepublished ? ' [republished]' : ''}`;
+        view.entriesElement.prepend(newEntry);
+        if (view.entriesElement.children.length > 10) {
+            view.entriesElement.removeChild(view.entriesElement.lastElementChild);
         }
+    }
+
+    function removeMonitoredItemViews(subscriptionId) {
+        Object.keys(monitoredItemViews)
+            .filter(key => key.startsWith(`${subscriptionId}/`))
+            .forEach(key => delete monitoredItemViews[key]);
+    }
+
+    // Client-side bookkeeping only; the server drops the subscriptions when the session closes.
+    function clearClientSubscriptions() {
+        if (client) client.clearSubscriptions();
+        Object.keys(monitoredItemViews).forEach(key => delete monitoredItemViews[key]);
+        subscriptionSelect.innerHTML = '';
+        resetSubscriptionLog();
         updateClientButtons();
     }
 
+    function downloadTextFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    function drawTrendChart(dataValues, title) {
+        const context = trendChart.getContext && trendChart.getContext('2d');
+        if (!context) return;
+        const { width, height } = trendChart;
+        const padding = { top: 20, right: 12, bottom: 24, left: 48 };
+        context.clearRect(0, 0, width, height);
+        context.font = '11px sans-serif';
+        context.fillStyle = '#334155';
+        context.fillText(title, padding.left, 12);
+
+        // Int64 and UInt64 values arrive as decimal strings.
+        const points = dataValues
+            .filter(dataValue => typeof dataValue.value === 'number' || typeof dataValue.value === 'boolean'
+                || (typeof dataValue.value === 'string' && /^-?\d+$/.test(dataValue.value)))
+            .map(dataValue => ({ time: Date.parse(dataValue.sourceTimestamp), value: Number(dataValue.value), statusCode: dataValue.statusCode }));
+        if (points.length === 0) {
+            context.fillText('No history data for this range.', padding.left, height / 2);
+            return;
+        }
+
+        const minTime = points[0].time;
+        const maxTime = Math.max(points[points.length - 1].time, minTime + 1);
+        let minValue = Math.min(...points.map(point => point.value));
+        let maxValue = Math.max(...points.map(point => point.value));
+        if (minValue === maxValue) {
+            minValue -= 1;
+            maxValue += 1;
+        }
+        const x = time => padding.left + (time - minTime) / (maxTime - minTime) * (width - padding.left - padding.right);
+        const y = value => height - padding.bottom - (value - minValue) / (maxValue - minValue) * (height - padding.top - padding.bottom);
+
+        context.strokeStyle = '#cbd5e1';
+        context.beginPath();
+        context.moveTo(padding.left, padding.top);
+        context.lineTo(padding.left, height - padding.bottom);
+        context.lineTo(width - padding.right, height - padding.bottom);
+        context.stroke();
+        context.fillStyle = '#64748b';
+        context.fillText(formatValue(maxValue), 4, padding.top + 4);
+        context.fillText(formatValue(minValue), 4, height - padding.bottom);
+        context.fillText(formatUtcTime(new Date(minTime).toISOString()), padding.left, height - 6);
+        const endLabel = formatUtcTime(new Date(maxTime).toISOString());
+        context.fillText(endLabel, width - padding.right - context.measureText(endLabel).width, height - 6);
+
+        context.strokeStyle = '#3b82f6';
+        context.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) context.moveTo(x(point.time), y(point.value));
+            else context.lineTo(x(point.time), y(point.value));
+        });
+        context.stroke();
+
+        // Mark samples that were not Good so degraded periods stand out on the trend.
+        points.filter(point => !isGood(point.statusCode)).forEach(point => {
+            context.fillStyle = isBad(point.statusCode) ? '#dc2626' : '#d97706';
+            context.fillRect(x(point.time) - 2, y(point.value) - 2, 4, 4);
+        });
+    }
+
+    function renderAlarmList() {
+        alarmList.innerHTML = '';
+        const alarms = Object.values(clientAlarms).sort((a, b) => b.severity - a.severity || b.time.localeCompare(a.time));
+        if (alarms.length === 0) {
+            alarmList.innerHTML = '<tr><td colspan="6" class="text-gray-500 text-center py-2">No active alarms.</td></tr>';
+            return;
+        }
+        alarms.forEach(event => {
+            const row = document.createElement('tr');
+            if (event.activeState) row.classList.add('alarm-active');
+            if (!event.ackedState) row.classList.add('alarm-unacked');
+            if (event.shelvingState !== 'Unshelved') row.classList.add('alarm-shelved');
+
+            const states = [
+                event.activeState ? `Active (${event.limitState})` : 'Inactive',
+                event.ackedState ? 'Acked' : 'Unacked',
+                event.confirmedState ? 'Confirmed' : 'Unconfirmed'
+            ];
+            if (event.shelvingState !== 'Unshelved') states.push(event.shelvingState);
+            [formatUtcTime(event.time), event.sourceName, event.severity, event.comment ? `${event.message} "${event.comment}"` : event.message, states.join(', ')]
+                .forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+
+            const actionsCell = document.createElement('td');
+            const isShelved = event.shelvingState !== 'Unshelved';
+            const { conditionId, eventId } = event;
+            [
+                ['Ack', event.ackedState, () => sendRequest('acknowledge', { conditionId, eventId, comment: alarmCommentInput.value.trim() })],
+                ['Confirm', !event.ackedState || event.confirmedState, () => sendRequest('confirm', { conditionId, eventId, comment: alarmCommentInput.value.trim() })],
+                ['Shelve Once', isShelved, () => sendRequest('shelve', { conditionId, shelvingState: 'OneShotShelved' })],
+                ['Shelve Timed', isShelved, () => sendRequest('shelve', { conditionId, shelvingState: 'TimedShelved', shelvingTime: Number(shelveDurationInput.value) * 1000 })],
+                ['Unshelve', !isShelved, () => sendRequest('shelve', { conditionId, shelvingState: 'Unshelved' })]
+            ].forEach(([label, disabled, action]) => {
+                const button = document.createElement('button');
+                button.classList.add('alarm-action');
+                button.textContent = label;
+                button.disabled = disabled || !isConnected;
+                button.onclick = async () => {
+                    try {
+                        const result = await action();
+                        if (result.success) alarmCommentInput.value = '';
+                        displayClientMessage(result.success ? result.message : `${label} failed: ${getStatusCodeName(result.statusCode)} - ${result.message}`, result.success ? 'success' : 'error');
+                    } catch (e) {
+                        displayRequestError(label, e);
+                    }
+                };
+                actionsCell.appendChild(button);
+            });
+            row.appendChild(actionsCell);
+            alarmList.appendChild(row);
+        });
+    }
+
+    function handleConditionEvent(event) {
+        if (event.retain) clientAlarms[event.conditionId] = event;
+        else delete clientAlarms[event.conditionId];
+        renderAlarmList();
+    }
+
+    function clearClientAlarms() {
+        Object.keys(clientAlarms).forEach(conditionId => delete clientAlarms[conditionId]);
+        renderAlarmList();
+    }
+
+    function updateLocalTimeDisplay() {
+        const now = new Date();
+        currentLocalTimeDisplay.textContent = `Current Local Time: ${now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false })} ${now.toLocaleDateString()}`;
+        localUtcOffsetDisplay.textContent = `Your Offset: ${getLocalUtcOffset()}`;
+    }
+
+    // --- Event Handlers ---
+    const CONNECTION_STATUS_CLASSES = {
+        connected: ['bg-green-100', 'text-green-800', 'border-green-300'],
+        reconnecting: ['bg-yellow-100', 'text-yellow-800', 'border-yellow-300'],
+        disconnected: ['bg-red-100', 'text-red-800', 'border-red-300']
+    };
+
+    function setConnectionStatus(text, state) {
+        clientConnectionStatus.textContent = text;
+        Object.values(CONNECTION_STATUS_CLASSES).forEach(classes => clientConnectionStatus.classList.remove(...classes));
+        clientConnectionStatus.classList.add(...CONNECTION_STATUS_CLASSES[state]);
+    }
+
+    // Events of a client that is no longer the current one (after Disconnect) are ignored.
+    function createClient() {
+        const endpoint = endpointInput.value.trim();
+        const created = new OpcUaClient(endpoint ? { endpoint } : { server });
+        const forCurrentClient = handler => payload => {
+            if (created === client) handler(payload);
+        };
+        created.on('dataChange', forCurrentClient(renderDataChange));
+        created.on('event', forCurrentClient(handleConditionEvent));
+        created.on('log', forCurrentClient(logConnectionEvent));
+        created.on('connectionLost', forCurrentClient(handleConnectionLost));
+        created.on('reconnecting', forCurrentClient(handleReconnecting));
+        created.on('reconnected', forCurrentClient(handleReconnected));
+        created.on('subscriptionRecreated', forCurrentClient(handleSubscriptionRecreated));
+        created.on('disconnected', forCurrentClient(handleReconnectAbandoned));
+        return created;
+    }
+
+    function renderSecurityEndpoints(endpoints) {
+        const previousValue = securityEndpointSelect.value;
+        securityEndpointSelect.innerHTML = '';
+        endpoints.forEach(endpoint => {
+            const option = document.createElement('option');
+            option.value = `${endpoint.securityMode}|${endpoint.securityPolicy}`;
+            option.textContent = `${endpoint.securityMode} - ${endpoint.securityPolicy} (${endpoint.userTokenTypes.join(', ')})`;
+            securityEndpointSelect.appendChild(option);
+        });
+        if (endpoints.some(endpoint => `${endpoint.securityMode}|${endpoint.securityPolicy}` === previousValue)) {
+            securityEndpointSelect.value = previousValue;
+        }
+    }
+
+    // GetEndpoints on a short-lived connection, the way a client discovers a server before connecting.
+    async function handleGetEndpoints() {
+        const discovery = createClient();
+        try {
+            const endpoints = await discovery.getEndpoints();
+            renderSecurityEndpoints(endpoints);
+            displayClientMessage(`${discovery.endpoint} offers ${endpoints.length} endpoint(s).`, 'info');
+        } catch (e) {
+            displayRequestError('GetEndpoints', e);
+        }
+    }
+
+    function handleIdentityTypeChange() {
+        identityUserNameFields.classList.toggle('hidden', identityTypeSelect.value !== 'UserName');
+        identityCertificateField.classList.toggle('hidden', identityTypeSelect.value !== 'Certificate');
+    }
+
+    function getIdentityToken() {
+        switch (identityTypeSelect.value) {
+            case 'UserName':
+                return { type: 'UserName', userName: identityUserNameInput.value.trim(), password: identityPasswordInput.value };
+            case 'Certificate':
+                return { type: 'Certificate', thumbprint: identityThumbprintInput.value.trim() };
+            default:
+                return { type: 'Anonymous' };
+        }
+    }
+
+    function showConnectedStatus() {
+        const { securityMode, securityPolicy, userName, roles, sessionId } = client.session;
+        const user = userName ? `${userName} [${roles.join(', ')}]` : 'Anonymous';
+        setConnectionStatus(`Client Status: Connected (${client.endpoint}, ${securityMode}/${securityPolicy}, ${user}, session ${sessionId})`, 'connected');
+    }
+
+    // What the UI runs while the session is up: the tree and watch list refresh and the event subscription.
+    async function startSessionActivity() {
+        await refreshAddressSpaceTree();
+        treeRefreshTimer = setInterval(refreshAddressSpaceTree, 2000);
+        await readWatchList();
+        watchRefreshTimer = setInterval(readWatchList, WATCH_LIST_REFRESH_INTERVAL);
+        // ConditionRefresh reports every retained condition, so alarms that cleared meanwhile drop out.
+        clearClientAlarms();
+        try {
+            await sendRequest('subscribeEvents');
+            (await sendRequest('conditionRefresh')).forEach(handleConditionEvent);
+        } catch (e) {
+            displayRequestError('Event subscription', e);
+        }
+        renderAlarmList();
+    }
+
+    function stopSessionActivity() {
+        clearInterval(treeRefreshTimer);
+        treeRefreshTimer = null;
+        clearInterval(watchRefreshTimer);
+        watchRefreshTimer = null;
+    }
+
+    async function handleConnect() {
+        if (isConnected) return;
+        const candidate = createClient();
+        const [securityMode, securityPolicy] = securityEndpointSelect.value.split('|');
+        connectBtn.disabled = true;
+        let session;
+        try {
+            session = await candidate.connect({ securityMode, securityPolicy, identityToken: getIdentityToken(), sessionTimeout: Number(sessionTimeoutInput.value) * 1000 });
+        } catch (e) {
+            connectBtn.disabled = false;
+            displayClientMessage(`Connect failed: ${formatRequestError(e)}`, 'error', 10000);
+            return;
+        }
+        client = candidate;
+        identityPasswordInput.value = '';
+
+        isConnected = true;
+        showConnectedStatus();
+        updateClientButtons();
+        logConnectionEvent(`Session ${session.sessionId} activated (timeout ${session.revisedSessionTimeout / 1000} s).`);
+        if (isLocalSession()) {
+            server.startDataSimulation();
+            updateServerNodeDisplay();
+        }
+
+        clearAddressSpaceTree();
+        await startSessionActivity();
+        displayClientMessage(`Successfully connected to ${client.endpoint}.`, 'success');
+    }
+
+    function handleConnectionLost(reason) {
+        stopSessionActivity();
+        logConnectionEvent(reason);
+    }
+
+    function handleReconnecting({ attempt, delay }) {
+        setConnectionStatus(delay > 0 ? `Client Status: Reconnecting (attempt ${attempt} in ${delay / 1000} s)` : `Client Status: Reconnecting (attempt ${attempt})`, 'reconnecting');
+    }
+
+    async function handleReconnected(summary) {
+        showConnectedStatus();
+        logConnectionEvent(summary);
+        await startSessionActivity();
+        displayClientMessage(`Reconnected to ${client.endpoint}. ${summary}`, 'success');
+    }
+
+    function handleReconnectAbandoned(error) {
+        client = null;
+        setConnectionStatus('Client Status: Disconnected', 'disconnected');
+        resetClientState();
+        displayClientMessage(`Reconnect abandoned: ${formatRequestError(error)}`, 'error', 10000);
+    }
+
+    // A reconnect created the subscription again under a new id, and its monitored items with it.
+    function handleSubscriptionRecreated({ previousSubscriptionId, subscriptionId, revisedPublishingInterval, monitoredItems }) {
+        const option = subscriptionSelect.querySelector(`option[value="${previousSubscriptionId}"]`);
+        if (option) setSubscriptionOption(option, subscriptionId, revisedPublishingInterval);
+        monitoredItems.forEach(({ previousMonitoredItemId, monitoredItemId }) => {
+            const previousKey = getMonitoredItemKey(previousSubscriptionId, previousMonitoredItemId);
+            const view = monitoredItemViews[previousKey];
+            if (!view) return;
+            delete monitoredItemViews[previousKey];
+            if (monitoredItemId === null) {
+                view.card.remove();
+                return;
+            }
+            setMonitoredItemIds(view.card, subscriptionId, monitoredItemId);
+            monitoredItemViews[getMonitoredItemKey(subscriptionId, monitoredItemId)] = view;
+        });
+        monitoredItemsContainer.querySelectorAll(`.monitored-item-bulk[data-subscription-id="${previousSubscriptionId}"]`)
+            .forEach(card => { card.dataset.subscriptionId = subscriptionId; });
+        if (!monitoredItemsContainer.querySelector('.monitored-item')) resetSubscriptionLog();
+    }
+
+    function resetClientState() {
+        isConnected = false;
+        stopSessionActivity();
+        clearClientSubscriptions();
+        clearClientAlarms();
+        stopHistoryRefresh();
+        expandedNodeIds.clear();
+        expandedNodeIds.add(OBJECTS_FOLDER_NODE_ID);
+        Object.keys(methodCallState).forEach(nodeId => delete methodCallState[nodeId]);
+        clearValueEditor();
+        resetReferenceList();
+        clearWatchListValues();
+        updateClientButtons();
+        clearAddressSpaceTree();
+        addressSpaceTree.innerHTML = '<p class="text-gray-500 text-center py-4">Connect to server to browse.</p>';
+    }
+
+    function handleDisconnect() {
+        if (!isConnected) return;
+        const wasLocal = isLocalSession();
+        const closingClient = client;
+        client = null;
+        closingClient.disconnect();
+        setConnectionStatus('Client Status: Disconnected', 'disconnected');
+        logConnectionEvent('Disconnected.');
+        resetClientState();
+        if (wasLocal) server.stopDataSimulation();
+        displayClientMessage('Disconnected from simulated OPC UA Server.', 'info');
+    }
+
+    async function handleRead() {
+        const nodeId = nodeIdInput.value.trim();
+        if (!nodeId) {
+            displayClientMessage('Please enter a Node ID to read.', 'error');
+            return;
+        }
+        let result;
+        try {
+            result = await sendRequest('read', { nodeId });
+        } catch (e) {
+            displayRequestError('Read', e);
+            return;
+        }
+        const statusName = getStatusCodeName(result.statusCode);
+        if (result.dataType) renderValueEditor(nodeId, result);
+        if (result.sourceTimestamp) {
+            const localTime = formatUtcToLocalTime(result.sourceTimestamp);
+            const offset = getLocalUtcOffset();
+            // Uncertain and Bad reads still carry a value; only the message colour tells them apart.
+            displayClientMessage(`Read Node '${nodeId}': Value = ${formatReadValue(result)}, Status = ${statusName}, Data Type = ${formatDataType(result.dataType, result.valueRank, result.arrayDimensions)}, Access = ${result.accessLevel}, Source Timestamp = ${formatUtcTime(result.sourceTimestamp)}, Local Timestamp = ${localTime} ${offset}, Server Timestamp = ${formatUtcTime(result.serverTimestamp)}`, isGood(result.statusCode) ? 'success' : 'error', 10000);
+        } else {
+            displayClientMessage(`Failed to read Node '${nodeId}': ${statusName}.`, 'error');
+        }
+    }
+
+    async function handleWrite() {
+        const nodeId = nodeIdInput.value.trim();
+        const usesEditor = valueEditorState !== null && valueEditorState.nodeId === nodeId;
+        const newValue = usesEditor ? valueEditorState.getValue() : nodeValueInput.value.trim();
+        if (!nodeId || newValue === '') {
+            displayClientMessage('Please enter both a Node ID and a value to write.', 'error');
+            return;
+        }
+        let result;
+        try {
+            result = await sendRequest('write', { nodeId, value: newValue });
+        } catch (e) {
+            displayRequestError('Write', e);
+            return;
+        }
+        if (result.success) {
+            const localTime = formatUtcToLocalTime(result.dataValue.sourceTimestamp);
+            const offset = getLocalUtcOffset();
+            displayClientMessage(`${result.message}, Status = ${getStatusCodeName(result.statusCode)}, Source Timestamp = ${formatUtcTime(result.dataValue.sourceTimestamp)}, Local Timestamp = ${localTime} ${offset}`, 'success', 10000);
+            if (!usesEditor) nodeValueInput.value = '';
+        } else {
+            displayClientMessage(`Failed to write to Node '${nodeId}': ${getStatusCodeName(result.statusCode)} - ${result.message}`, 'error');
+        }
+    }
+
+    async function handleHistoryRead() {
+        const nodeId = nodeIdInput.value.trim();
+        if (!nodeId) {
+            displayClientMessage('Please select a node to read its history.', 'error');
+            return;
+        }
+        const endTime = getUtcTimestamp();
+        const startTime = new Date(Date.parse(endTime) - Number(historyRangeSelect.value)).toISOString();
+        const aggregateType = historyAggregateSelect.value;
+        let result;
+        try {
+            result = aggregateType === 'Raw'
+                ? await sendRequest('historyReadRaw', { nodeId, startTime, endTime })
+                : await sendRequest('historyReadProcessed', { nodeId, startTime, endTime, processingInterval: historyIntervalInput.value, aggregateType });
+        } catch (e) {
+            stopHistoryRefresh();
+            displayRequestError('History read', e);
+            return;
+        }
+        if (!result.success) {
+            stopHistoryRefresh();
+            displayClientMessage(`History read failed: ${getStatusCodeName(result.statusCode)} - ${result.message}`, 'error');
+            return;
+        }
+        drawTrendChart(result.dataValues, `${nodeId} - ${aggregateType}`);
+        trendSummary.textContent = `${result.message} Status: ${getStatusCodeName(result.statusCode)}.`;
+    }
+
+    function stopHistoryRefresh() {
+        clearInterval(historyRefreshTimer);
+        historyRefreshTimer = null;
+        historyLiveInput.checked = false;
+    }
+
+    async function handleHistoryLiveToggle() {
+        if (!historyLiveInput.checked) {
+            stopHistoryRefresh();
+            return;
+        }
+        await handleHistoryRead();
+        if (historyLiveInput.checked) historyRefreshTimer = setInterval(handleHistoryRead, 2000);
+    }
+
+    function handleHistoryCapacity() {
+        const result = server.setHistoryCapacity(historyCapacityInput.value);
+        displayClientMessage(result.message, result.success ? 'success' : 'error');
+    }
+
+    function handleHistoryPersistToggle() {
+        if (!historyPersistInput.checked) {
+            server.disableHistoryPersistence();
+            displayClientMessage('History persistence disabled; history is kept in memory only.', 'info');
+            return;
+        }
+        if (!window.indexedDB) {
+            historyPersistInput.checked = false;
+            displayClientMessage('IndexedDB is not available in this browser.', 'error');
+            return;
+        }
+        new IndexedDbHistoryStore().open()
+            .then(store => server.enableHistoryPersistence(store))
+            .then(() => displayClientMessage('History is now persisted in IndexedDB.', 'success'))
+            .catch(e => {
+                historyPersistInput.checked = false;
+                displayClientMessage(`Failed to enable history persistence: ${e.message}`, 'error');
+            });
+    }
+
+    function updateSessionList() {
+        const sessions = server.sessionManager.listSessions();
+        const orphanedCount = server.sessionManager.countOrphanedSubscriptions();
+        sessionList.innerHTML = '';
+        if (sessions.length === 0 && orphanedCount === 0) {
+            sessionList.innerHTML = '<p class="text-gray-500 text-center text-sm py-2">No sessions.</p>';
+            return;
+        }
+        sessions.forEach(session => {
+            const entry = document.createElement('div');
+            entry.classList.add('session-entry');
+            if (!session.isConnected) entry.classList.add('session-disconnected');
+            const user = session.isActivated ? session.userName || 'Anonymous' : 'not activated';
+            entry.textContent = `${session.sessionId} ${user}: ${session.isConnected ? 'connected' : 'no channel'}, ${session.subscriptionCount} subscription(s), idle ${Math.round(session.idleTime / 1000)} of ${session.sessionTimeout / 1000} s`;
+            sessionList.appendChild(entry);
+        });
+        if (orphanedCount > 0) {
+            const entry = document.createElement('div');
+            entry.classList.add('session-entry', 'session-disconnected');
+            entry.textContent = `${orphanedCount} subscription(s) waiting for transfer`;
+            sessionList.appendChild(entry);
+        }
+    }
+
+    function handleFaultResult(result) {
+        displayClientMessage(result.message, result.success ? 'info' : 'error');
+        updateSessionList();
+    }
+
+    function handleApplyFaults() {
+        handleFaultResult(server.sessionManager.setFaults({ latency: faultLatencyInput.value, dropRate: faultDropRateInput.value }));
+    }
+
+    function handleStartOutage() {
+        handleFaultResult(server.sessionManager.startOutage(Number(outageDurationInput.value) * 1000));
+    }
+
+    function handleRestartServer() {
+        handleFaultResult(server.sessionManager.restart());
+    }
+
+    function handleExpireSessions() {
+        handleFaultResult(server.sessionManager.expireSessions());
+    }
+
+    async function createClientSubscription() {
+        let result;
+        try {
+            result = await requireClient().createSubscription({ publishingInterval: publishingIntervalInput.value });
+        } catch (e) {
+            displayRequestError('Create subscription', e);
+            return null;
+        }
+        if (!result.success) {
+            displayClientMessage(`Create subscription failed: ${result.message}`, 'error');
+            return null;
+        }
+        const option = document.createElement('option');
+        setSubscriptionOption(option, result.subscriptionId, result.revisedPublishingInterval);
+        subscriptionSelect.appendChild(option);
+        subscriptionSelect.value = result.subscriptionId;
+        updateClientButtons();
+        displayClientMessage(result.message, 'success');
+        return result.subscriptionId;
+    }
+
+    function setSubscriptionOption(option, subscriptionId, publishingInterval) {
+        option.value = subscriptionId;
+        option.textContent = `Subscription ${subscriptionId} (${publishingInterval} ms)`;
+    }
+
+    function handleCreateSubscription() {
+        createClientSubscription();
+    }
+
+    async function handleDeleteSubscription() {
+        const subscriptionId = subscriptionSelect.value;
+        if (!subscriptionId) return;
+        let result;
+        try {
+            result = await requireClient().deleteSubscription(subscriptionId);
+        } catch (e) {
+            displayRequestError('Delete subscription', e);
+            return;
+        }
+        removeMonitoredItemViews(subscriptionId);
+        subscriptionSelect.querySelector(`option[value="${subscriptionId}"]`).remove();
+        monitoredItemsContainer.querySelectorAll(`.monitored-item[data-subscription-id="${subscriptionId}"]`).forEach(card => card.remove());
+        if (!monitoredItemsContainer.querySelector('.monitored-item')) resetSubscriptionLog();
+        updateClientButtons();
+        displayClientMessage(result.message, result.success ? 'info' : 'error');
+    }
+
+    async function handleDeleteMonitoredItem(subscriptionId, monitoredItemId) {
+        let result;
+        try {
+            result = await requireClient().deleteMonitoredItem(subscriptionId, monitoredItemId);
+        } catch (e) {
+            displayRequestError('Delete monitored item', e);
+            return;
+        }
+        delete monitoredItemViews[getMonitoredItemKey(subscriptionId, monitoredItemId)];
+        const card = monitoredItemsContainer.querySelector(`.monitored-item[data-subscription-id="${subscriptionId}"][data-monitored-item-id="${monitoredItemId}"]`);
+        if (card) card.remove();
+        if (!monitoredItemsContainer.querySelector('.monitored-item')) resetSubscriptionLog();
+        displayClientMessage(result.message, result.success ? 'info' : 'error');
+    }
+
+    function getMonitoredItemParameters() {
+        return {
+            samplingInterval: samplingIntervalInput.value,
+            queueSize: queueSizeInput.value,
+            discardOldest: discardOldestInput.checked,
+            deadbandType: deadbandTypeSelect.value,
+            deadbandValue: deadbandValueInput.value
+        };
+    }
+
+    // Every Variable below a node, including Properties of Variables.
+    async function collectVariableIds(startNodeId) {
+        const nodeClassMask = NODE_CLASS_MASKS.Object | NODE_CLASS_MASKS.Variable;
+        const visited = new Set([startNodeId]);
+        const variableIds = [];
+        const pending = [startNodeId];
+        while (pending.length > 0) {
+            const result = await sendRequest('browse', { nodeId: pending.pop(), nodeClassMask });
+            if (!result.success) throw Object.assign(new Error(result.message), { statusCode: result.statusCode });
+            result.references.forEach(reference => {
+                if (visited.has(reference.nodeId)) return;
+                visited.add(reference.nodeId);
+                if (reference.nodeClass === 'Variable') variableIds.push(reference.nodeId);
+                if (reference.hasChildren) pending.push(reference.nodeId);
+            });
+        }
+        return variableIds;
+    }
+
+    // Monitors every Variable below the Node ID (or the Objects folder) for load tests. One card stands
+    // for all of these items; their notifications only feed the throughput meter.
+    async function handleMonitorAll() {
+        const startNodeId = nodeIdInput.value.trim() || OBJECTS_FOLDER_NODE_ID;
+        const subscriptionId = subscriptionSelect.value || await createClientSubscription();
+        if (!subscriptionId) return;
+        let variableIds;
+        try {
+            variableIds = await collectVariableIds(startNodeId);
+        } catch (e) {
+            displayRequestError('Browse', e);
+            return;
+        }
+        if (variableIds.length === 0) {
+            displayClientMessage(`No Variables below '${startNodeId}'.`, 'error');
+            return;
+        }
+
+        const parameters = getMonitoredItemParameters();
+        if (!monitoredItemsContainer.querySelector('.monitored-item')) monitoredItemsContainer.innerHTML = '';
+        subscriptionLogContainer.style.display = 'block';
+        const card = document.createElement('div');
+        card.classList.add('monitored-item', 'monitored-item-bulk');
+        card.dataset.subscriptionId = subscriptionId;
+        monitoredItemsContainer.appendChild(card);
+        monitorAllBtn.disabled = true;
+        let created = 0;
+        let failed = 0;
+        try {
+            for (const nodeId of variableIds) {
+                // The subscription may be deleted or lost to a reconnect while the items are being added.
+                if (!requireClient().subscriptions[card.dataset.subscriptionId]) break;
+                const result = await requireClient().createMonitoredItem(card.dataset.subscriptionId, nodeId, parameters);
+                if (result.success) {
+                    created += 1;
+                } else {
+                    failed += 1;
+                }
+                card.textContent = `${created} of ${variableIds.length} Variables below ${startNodeId} monitored${failed ? `, ${failed} rejected` : ''} (delete the subscription to remove them).`;
+            }
+        } catch (e) {
+            displayRequestError('Subscription', e);
+        } finally {
+            monitorAllBtn.disabled = !isConnected;
+        }
+        displayClientMessage(`Monitoring ${created} Variable(s) below '${startNodeId}' in subscription ${card.dataset.subscriptionId}.`, failed ? 'error' : 'success');
+    }
+
+    // --- Watch List ---
+    const WATCH_LIST_STORAGE_KEY = 'opcua-simulator-watch-list';
+    const WATCH_LIST_REFRESH_INTERVAL = 1000;
+    // { nodeId, indexRange, dataValue, pendingValue, error, row }; only nodeId and indexRange are stored.
+    let watchList = [];
+    let isReadingWatchList = false;
+
+    function createWatchEntry(nodeId, indexRange = '') {
+        return { nodeId, indexRange, dataValue: null, pendingValue: null, error: null, row: null };
+    }
+
+    function getWatchEntryLabel({ nodeId, indexRange }) {
+        return indexRange ? `${nodeId} [${indexRange}]` : nodeId;
+    }
+
+    function loadWatchList() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(WATCH_LIST_STORAGE_KEY) || '[]');
+            watchList = stored.filter(item => item && typeof item.nodeId === 'string')
+                .map(({ nodeId, indexRange }) => createWatchEntry(nodeId, indexRange || ''));
+        } catch (e) {
+            watchList = [];
+        }
+        renderWatchList();
+    }
+
+    // Without storage (private browsing, a full quota) the list only lasts until the page is reloaded.
+    function saveWatchList() {
+        try {
+            localStorage.setItem(WATCH_LIST_STORAGE_KEY, JSON.stringify(watchList.map(({ nodeId, indexRange }) => ({ nodeId, indexRange }))));
+        } catch (e) {
+            displayClientMessage(`The watch list could not be saved: ${e.message}`, 'error');
+        }
+    }
+
+    function addToWatchList(nodeId, indexRange = '') {
+        const label = getWatchEntryLabel({ nodeId, indexRange });
+        if (watchList.some(entry => entry.nodeId === nodeId && entry.indexRange === indexRange)) {
+            displayClientMessage(`'${label}' is already on the watch list.`, 'info');
+            return;
+        }
+        watchList.push(createWatchEntry(nodeId, indexRange));
+        saveWatchList();
+        renderWatchList();
+        displayClientMessage(`'${label}' added to the watch list.`, 'success');
+        readWatchList();
+    }
+
+    function removeFromWatchList(removed) {
+        watchList = watchList.filter(entry => entry !== removed);
+        saveWatchList();
+        renderWatchList();
+    }
+
+    function updateWatchListButtons() {
+        readWatchBtn.disabled = !isConnected || watchList.length === 0;
+        writePendingBtn.disabled = !isConnected || !watchList.some(entry => entry.pendingValue !== null);
+        clearWatchBtn.disabled = watchList.length === 0;
+    }
+
+    function renderWatchList() {
+        watchListBody.innerHTML = '';
+        if (watchList.length === 0) {
+            watchListBody.innerHTML = '<tr><td colspan="6" class="text-gray-500 text-center py-2">Add nodes with the Node ID field or the + in the browse tree.</td></tr>';
+        }
+        watchList.forEach(entry => {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('td');
+            labelCell.textContent = getWatchEntryLabel(entry);
+            const valueCell = document.createElement('td');
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.classList.add('watch-value-input');
+            // Edits stay pending until "Write All Pending"; Escape drops them.
+            valueInput.oninput = () => {
+                entry.pendingValue = valueInput.value;
+                entry.error = null;
+                updateWatchRow(entry);
+                updateWatchListButtons();
+            };
+            valueInput.onkeydown = event => {
+                if (event.key !== 'Escape') return;
+                entry.pendingValue = null;
+                entry.error = null;
+                valueInput.blur();
+                updateWatchRow(entry);
+                updateWatchListButtons();
+            };
+            valueCell.appendChild(valueInput);
+            const actionsCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.classList.add('alarm-action');
+            removeButton.textContent = 'Remove';
+            removeButton.onclick = () => removeFromWatchList(entry);
+            actionsCell.appendChild(removeButton);
+            row.append(labelCell, valueCell, document.createElement('td'), document.createElement('td'), document.createElement('td'), actionsCell);
+            entry.row = row;
+            updateWatchRow(entry);
+            watchListBody.appendChild(row);
+        });
+        updateWatchListButtons();
+    }
+
+    function updateWatchRow(entry) {
+        const [, valueCell, qualityCell, sourceTimeCell, serverTimeCell] = entry.row.children;
+        const valueInput = valueCell.firstChild;
+        const { dataValue } = entry;
+        entry.row.classList.toggle('watch-pending', entry.pendingValue !== null);
+        entry.row.classList.toggle('watch-failed', entry.error !== null);
+        valueInput.title = entry.error || '';
+        // Refreshes never overwrite what is being typed.
+        if (entry.pendingValue === null && document.activeElement !== valueInput) {
+            valueInput.value = dataValue && dataValue.value !== undefined ? formatValue(dataValue.value) : '';
+        }
+        setText(qualityCell, dataValue ? getStatusCodeName(dataValue.statusCode) : '');
+        qualityCell.className = dataValue ? getQualityClass(dataValue.statusCode) : '';
+        qualityCell.title = (dataValue && dataValue.message) || '';
+        setText(sourceTimeCell, dataValue ? formatUtcTime(dataValue.sourceTimestamp) : '');
+        setText(serverTimeCell, dataValue ? formatUtcTime(dataValue.serverTimestamp) : '');
+    }
+
+    function clearWatchListValues() {
+        watchList.forEach(entry => { entry.dataValue = null; });
+        renderWatchList();
+    }
+
+    // One batch Read for the whole list.
+    async function readWatchList() {
+        if (!isConnected || isReadingWatchList || watchList.length === 0) return;
+        isReadingWatchList = true;
+        const entries = watchList.slice();
+        try {
+            const results = await requireClient().readMultiple(entries.map(({ nodeId, indexRange }) => ({ nodeId, indexRange: indexRange || undefined })));
+            entries.forEach((entry, index) => {
+                entry.dataValue = results[index];
+                if (entry.row) updateWatchRow(entry);
+            });
+        } catch (e) {
+            displayRequestError('Watch list read', e);
+        } finally {
+            isReadingWatchList = false;
+        }
+    }
+
+    function handleAddWatch() {
+        const nodeId = nodeIdInput.value.trim();
+        const indexRange = watchIndexRangeInput.value.trim();
+        if (!nodeId) {
+            displayClientMessage('Please enter or select a Node ID to watch.', 'error');
+            return;
+        }
+        if (indexRange) {
+            try {
+                parseIndexRange(indexRange);
+            } catch (e) {
+                displayClientMessage(`${e.message}.`, 'error');
+                return;
+            }
+        }
+        addToWatchList(nodeId, indexRange);
+        watchIndexRangeInput.value = '';
+    }
+
+    // One batch Write for every edited row; rows that fail keep their value and show why.
+    async function handleWritePending() {
+        const entries = watchList.filter(entry => entry.pendingValue !== null);
+        if (entries.length === 0) return;
+        let results;
+        try {
+            results = await requireClient().writeMultiple(entries.map(({ nodeId, indexRange, pendingValue }) => ({ nodeId, indexRange: indexRange || undefined, value: pendingValue })));
+        } catch (e) {
+            displayRequestError('Write', e);
+            return;
+        }
+        const failures = [];
+        entries.forEach((entry, index) => {
+            const result = results[index];
+            if (result.success) {
+                entry.pendingValue = null;
+                entry.error = null;
+            } else {
+                entry.error = `${getStatusCodeName(result.statusCode)} - ${result.message}`;
+                failures.push(`${getWatchEntryLabel(entry)}: ${entry.error}`);
+            }
+            if (entry.row) updateWatchRow(entry);
+        });
+        updateWatchListButtons();
+        if (failures.length === 0) {
+            displayClientMessage(`Wrote ${entries.length} pending value(s).`, 'success');
+        } else {
+            displayClientMessage(`Wrote ${entries.length - failures.length} of ${entries.length} pending value(s). ${failures.join('; ')}`, 'error', 10000);
+        }
+        await readWatchList();
+    }
+
+    function handleClearWatchList() {
+        watchList = [];
+        saveWatchList();
+        renderWatchList();
+    }
+
+    // --- Throughput Meter ---
+    let notificationCount = 0;
+    let peakNotificationRate = 0;
+
+    function updateThroughputMeter() {
+        const rate = notificationCount;
+        notificationCount = 0;
+        peakNotificationRate = Math.max(peakNotificationRate, rate);
+        const subscriptions = client ? Object.values(client.subscriptions) : [];
+        const itemCount = subscriptions.reduce((count, subscription) => count + Object.keys(subscription.monitoredItems).length, 0);
+        setText(throughputMeter, `${rate} notifications/s (peak ${peakNotificationRate}) from ${itemCount} monitored item(s)`);
+    }
+
+    async function handleSubscribe() {
+        const nodeId = nodeIdInput.value.trim();
+        if (!nodeId) {
+            displayClientMessage('Please enter a Node ID to subscribe.', 'error');
+            return;
+        }
+
+        const subscriptionId = subscriptionSelect.value || await createClientSubscription();
+        if (!subscriptionId) return;
+
+        const parameters = getMonitoredItemParameters();
+        let result;
+        try {
+            result = await requireClient().createMonitoredItem(subscriptionId, nodeId, parameters);
+        } catch (e) {
+            displayRequestError('Subscription', e);
+            return;
+        }
+        if (result.success) {
+            const deadband = deadbandTypeSelect.value === 'None' ? 'no deadband' : `${deadbandTypeSelect.value} deadband ${deadbandValueInput.value}`;
+            const revisedParameters = `${result.revisedSamplingInterval} ms, queue ${result.revisedQueueSize}, ${deadband}`;
+            const card = renderMonitoredItem(subscriptionId, result.monitoredItemId, nodeId, revisedParameters);
+            monitoredItemViews[getMonitoredItemKey(subscriptionId, result.monitoredItemId)] = { card, entriesElement: card.querySelector('.monitored-item-entries') };
+            displayClientMessage(result.message, 'success');
+        } else {
+            displayClientMessage(`Subscription failed: ${result.message}`, 'error');
+        }
+    }
+
+    function populateVariableSelect(selectElement) {
+        const previousNodeId = selectElement.value;
+        const options = document.createDocumentFragment();
+        server.listVariables().forEach(node => {
+            const option = document.createElement('option');
+            option.value = node.nodeId;
+            option.textContent = `${getNodeLabel(node)} (${formatDataType(node.dataType, node.valueRank, node.arrayDimensions)})`;
+            options.appendChild(option);
+        });
+        selectElement.replaceChildren(options);
+        if (server.findNode(previousNodeId)) selectElement.value = previousNodeId;
+    }
+
+    function populateServerNodeSelects() {
+        populateVariableSelect(generatorNodeSelect);
+        populateVariableSelect(qualityNodeSelect);
+        populateVariableSelect(alarmNodeSelect);
+        handleGeneratorNodeChange();
+        handleAlarmNodeChange();
+    }
+
+    function handleAlarmNodeChange() {
+        const node = server.findNode(alarmNodeSelect.value);
+        if (!node) return;
+        const alarm = node.alarm || {};
+        const isBoolean = node.dataType === 'Boolean';
+        alarmLimitFields.classList.toggle('hidden', isBoolean);
+        alarmNormalField.classList.toggle('hidden', !isBoolean);
+        alarmHighHighInput.value = alarm.highHighLimit === undefined ? '' : alarm.highHighLimit;
+        alarmHighInput.value = alarm.highLimit === undefined ? '' : alarm.highLimit;
+        alarmLowInput.value = alarm.lowLimit === undefined ? '' : alarm.lowLimit;
+        alarmLowLowInput.value = alarm.lowLowLimit === undefined ? '' : alarm.lowLowLimit;
+        alarmNormalStateSelect.value = String(alarm.normalState !== false);
+    }
+
+    function handleApplyAlarm() {
+        const node = server.findNode(alarmNodeSelect.value);
+        if (!node) return;
+        const definition = node.dataType === 'Boolean'
+            ? { type: 'OffNormalAlarm', normalState: alarmNormalStateSelect.value === 'true' }
+            : {
+                type: 'ExclusiveLimitAlarm',
+                highHighLimit: alarmHighHighInput.value,
+                highLimit: alarmHighInput.value,
+                lowLimit: alarmLowInput.value,
+                lowLowLimit: alarmLowLowInput.value
+            };
+        // Replacing the alarm starts a fresh condition; it reports itself again if the new limits are violated.
+        if (isLocalSession()) delete clientAlarms[`${node.nodeId}.Alarm`];
+        const result = server.setAlarm(node.nodeId, definition);
+        renderAlarmList();
+        displayClientMessage(result.message, result.success ? 'success' : 'error');
+    }
+
+    function handleRemoveAlarm() {
+        const result = server.setAlarm(alarmNodeSelect.value, null);
+        // The condition is gone from the server, so drop it from the client list as well.
+        if (isLocalSession()) delete clientAlarms[`${alarmNodeSelect.value}.Alarm`];
+        renderAlarmList();
+        handleAlarmNodeChange();
+        displayClientMessage(result.message, result.success ? 'success' : 'error');
+    }
+
+    function handleInjectQuality() {
+        const result = server.injectQuality(qualityNodeSelect.value, StatusCodes[qualityStatusSelect.value]);
+        displayClientMessage(result.message, result.success ? 'success' : 'error');
+        updateServerNodeDisplay();
+    }
+
+    function handleClearQuality() {
+        const result = server.injectQuality(qualityNodeSelect.value, null);
+        displayClientMessage(result.message, result.success ? 'success' : 'error');
+        updateServerNodeDisplay();
+    }
+
+    function renderGeneratorParameters(type, profile = {}) {
+        generatorParameters.innerHTML = '';
+        const defaults = SIGNAL_PROFILE_DEFAULTS[type];
+        Object.keys(defaults).forEach(key => {
+            if (key === 'samples') return;
+            const current = profile[key] === undefined ? defaults[key] : profile[key];
+            const field = document.createElement('div');
+            const label = document.createElement('label');
+            label.classList.add('block', 'text-sm', 'font-medium', 'text-gray-700', 'mb-1');
+            label.textContent = `${key}:`;
+            const input = document.createElement('input');
+            input.dataset.parameter = key;
+            if (key === 'loop') {
+                input.type = 'checkbox';
+                input.checked = current;
+            } else {
+                input.type = key === 'values' ? 'text' : 'number';
+                input.step = 'any';
+                input.classList.add('input-field');
+                input.value = Array.isArray(current) ? current.join(',') : current;
+            }
+            field.append(label, input);
+            generatorParameters.appendChild(field);
+        });
+        generatorCsvField.classList.toggle('hidden', type !== 'replay');
+    }
+
+    function handleGeneratorNodeChange() {
+        const node = server.findNode(generatorNodeSelect.value);
+        const profile = (node && node.simulation) || { type: generatorTypeSelect.value };
+        generatorTypeSelect.value = profile.type;
+        generatorUpdateRateInput.value = profile.updateRate || 1000;
+        generatorNoiseInput.value = profile.noise || 0;
+        generatorCsvInput.value = '';
+        renderGeneratorParameters(profile.type, profile);
+    }
+
+    function handleGeneratorTypeChange() {
+        renderGeneratorParameters(generatorTypeSelect.value);
+    }
+
+    function applyGeneratorProfile(profile) {
+        const result = server.setSimulationProfile(generatorNodeSelect.value, profile);
+        displayClientMessage(result.message, result.success ? 'success' : 'error');
+    }
+
+    function handleApplyGenerator() {
+        const nodeId = generatorNodeSelect.value;
+        if (!nodeId) return;
+        const profile = {
+            type: generatorTypeSelect.value,
+            updateRate: generatorUpdateRateInput.value,
+            noise: generatorNoiseInput.value
+        };
+        generatorParameters.querySelectorAll('[data-parameter]').forEach(input => {
+            profile[input.dataset.parameter] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        if (profile.type !== 'replay') {
+            applyGeneratorProfile(profile);
+            return;
+        }
+
+        const csvFile = generatorCsvInput.files[0];
+        if (!csvFile) {
+            // Re-applying a replay profile without a new file keeps the samples already loaded.
+            const node = server.findNode(nodeId);
+            profile.samples = node.simulation && node.simulation.samples ? node.simulation.samples : [];
+            applyGeneratorProfile(profile);
+            return;
+        }
+        csvFile.text()
+            .then(text => {
+                profile.samples = parseCsvSamples(text, Number(profile.updateRate));
+                applyGeneratorProfile(profile);
+            })
+            .catch(e => displayClientMessage(`Failed to load '${csvFile.name}': ${e.message}`, 'error'));
+    }
+
+    function handleRemoveGenerator() {
+        if (!generatorNodeSelect.value) return;
+        applyGeneratorProfile(null);
+        handleGeneratorNodeChange();
+    }
+
+    function parseModelText(text, sourceName) {
+        const looksLikeXml = sourceName.toLowerCase().endsWith('.xml') || text.trim().startsWith('<');
+        return looksLikeXml ? parseNodeSet2Xml(text) : parseJsonModel(text);
+    }
+
+    function applyModel(text, sourceName) {
+        let model;
+        try {
+            model = parseModelText(text, sourceName);
+        } catch (e) {
+            displayClientMessage(`Failed to load model '${sourceName}': ${e.message}`, 'error', 10000);
+            return;
+        }
+        loadServerModel(model, sourceName);
+    }
+
+    function handleModelReloaded() {
+        // Subscriptions reference nodes of the old address space, so they cannot survive a reload.
+        // A client on a remote endpoint is not affected by the in-page model.
+        if (isLocalSession()) {
+            clearClientSubscriptions();
+            Object.keys(clientAlarms).forEach(conditionId => delete clientAlarms[conditionId]);
+            renderAlarmList();
+            sendRequest('conditionRefresh').then(events => events.forEach(handleConditionEvent));
+            clearAddressSpaceTree();
+            refreshAddressSpaceTree();
+        }
+        updateServerNodeDisplay();
+        populateServerNodeSelects();
+    }
+
+    function loadServerModel(model, sourceName) {
+        try {
+            server.loadModel(model);
+            handleModelReloaded();
+            displayClientMessage(`Loaded information model '${sourceName}' (${model.nodes.length} nodes).`, 'success');
+        } catch (e) {
+            displayClientMessage(`Failed to load model '${sourceName}': ${e.message}`, 'error', 10000);
+        }
+    }
+
+    function handleModelFileSelected() {
+        const file = modelFileInput.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => applyModel(text, file.name))
+            .catch(e => displayClientMessage(`Failed to read '${file.name}': ${e.message}`, 'error'))
+            .finally(() => { modelFileInput.value = ''; });
+    }
+
+    function loadModelFromUrlParameter() {
+        const modelUrl = new URLSearchParams(window.location.search).get('model');
+        if (!modelUrl) return;
+        fetch(modelUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(text => applyModel(text, modelUrl))
+            .catch(e => displayClientMessage(`Failed to fetch model '${modelUrl}': ${e.message}`, 'error', 10000));
+    }
+
+    // --- Load Test ---
+    function handleGeneratePlant() {
+        const options = {
+            lines: Number(loadTestLinesInput.value),
+            machinesPerLine: Number(loadTestMachinesInput.value),
+            tagsPerMachine: Number(loadTestTagsInput.value),
+            updateRate: Number(loadTestUpdateRateInput.value)
+        };
+        let model;
+        try {
+            model = createLoadTestModel(options);
+        } catch (e) {
+            displayClientMessage(`Load test: ${e.message}`, 'error');
+            return;
+        }
+        loadServerModel(model, `load test ${options.lines}x${options.machinesPerLine}x${options.tagsPerMachine}`);
+        const tagCount = options.lines * options.machinesPerLine * options.tagsPerMachine;
+        loadTestSummary.textContent = `${tagCount} tags updating every ${options.updateRate} ms.`;
+    }
+
+    function handleRestoreDefaultModel() {
+        loadServerModel(DEFAULT_MODEL, 'default model');
+        loadTestSummary.textContent = '';
+    }
+
+    // --- Scenarios & Recording ---
+    function formatScenarioTime(milliseconds) {
+        return `${(milliseconds / 1000).toFixed(1)} s`;
+    }
+
+    function updateScenarioControls() {
+        const isRunning = scenarioRunner !== null && scenarioRunner.isRunning;
+        const isPlaying = isRunning && scenarioRunner.isPlaying;
+        scenarioFileInput.disabled = isRunning;
+        scenarioRunBtn.disabled = !loadedScenario || isPlaying;
+        scenarioRunBtn.textContent = isRunning ? 'Resume' : 'Run';
+        scenarioPauseBtn.disabled = !isPlaying;
+        scenarioStopBtn.disabled = !isRunning;
+        // A recording is kept in real time, so it cannot span a scenario.
+        recordBtn.disabled = isRunning;
+    }
+
+    function updateScenarioStatus(elapsed) {
+        scenarioStatus.textContent = `${loadedScenario.name}: ${formatScenarioTime(elapsed)} of ${formatScenarioTime(loadedScenario.duration)}, virtual time ${getUtcTimestamp()}`;
+    }
+
+    function appendScenarioLogEntry({ at, action, success, message }) {
+        const entry = document.createElement('div');
+        entry.classList.add('scenario-log-entry');
+        if (!success) entry.classList.add('scenario-step-failed');
+        entry.textContent = `[${formatScenarioTime(at)}] ${action}: ${message}`;
+        scenarioLog.appendChild(entry);
+        scenarioLog.scrollTop = scenarioLog.scrollHeight;
+    }
+
+    function handleScenarioFileSelected() {
+        const file = scenarioFileInput.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                loadedScenario = parseScenario(text, file.name);
+                scenarioRunner = null;
+                scenarioLog.innerHTML = '';
+                scenarioStatus.textContent = `Loaded '${loadedScenario.name}': ${loadedScenario.steps.length} steps over ${formatScenarioTime(loadedScenario.duration)}.`;
+            })
+            .catch(e => displayClientMessage(`Failed to load scenario '${file.name}': ${e.message}`, 'error', 10000))
+            .finally(() => {
+                scenarioFileInput.value = '';
+                updateScenarioControls();
+            });
+    }
+
+    function handleScenarioFinished(log) {
+        const failedCount = log.filter(entry => !entry.success).length;
+        scenarioStatus.textContent = `${loadedScenario.name} finished after ${formatScenarioTime(loadedScenario.duration)}; the simulation continues in real time.`;
+        displayClientMessage(`Scenario '${loadedScenario.name}' finished: ${log.length} steps, ${failedCount} failed.`, failedCount > 0 ? 'error' : 'success');
+        updateScenarioControls();
+    }
+
+    function handleScenarioRun() {
+        const speed = Number(scenarioSpeedSelect.value);
+        if (scenarioRunner && scenarioRunner.isRunning) {
+            scenarioRunner.play(speed);
+            updateScenarioControls();
+            return;
+        }
+        if (sessionRecorder.isRecording) {
+            displayClientMessage('Stop the recording before running a scenario.', 'error');
+            return;
+        }
+        scenarioRunner = new ScenarioRunner(server, loadedScenario, {
+            onStep: appendScenarioLogEntry,
+            onProgress: updateScenarioStatus,
+            onFinish: handleScenarioFinished
+        });
+        try {
+            scenarioRunner.start();
+        } catch (e) {
+            scenarioRunner = null;
+            displayClientMessage(`Failed to run scenario '${loadedScenario.name}': ${e.message}`, 'error', 10000);
+            return;
+        }
+        scenarioLog.innerHTML = '';
+        handleModelReloaded();
+        updateScenarioStatus(0);
+        scenarioRunner.play(speed);
+        updateScenarioControls();
+    }
+
+    function handleScenarioSpeedChange() {
+        if (scenarioRunner && scenarioRunner.isPlaying) scenarioRunner.play(Number(scenarioSpeedSelect.value));
+    }
+
+    function handleScenarioPause() {
+        scenarioRunner.pause();
+        updateScenarioControls();
+    }
+
+    function handleScenarioStop() {
+        const elapsed = scenarioRunner.elapsed;
+        scenarioRunner.stop();
+        scenarioStatus.textContent = `${loadedScenario.name} stopped at ${formatScenarioTime(elapsed)}; the simulation continues in real time.`;
+        updateScenarioControls();
+    }
+
+    function handleRecordToggle() {
+        if (!sessionRecorder.isRecording) {
+            sessionRecorder.start();
+            recordBtn.textContent = 'Stop Recording & Download';
+            displayClientMessage('Recording value changes and client operations.', 'info');
+            return;
+        }
+        const recording = sessionRecorder.stop();
+        recordBtn.textContent = 'Start Recording';
+        downloadTextFile('session-recording.json', JSON.stringify(recording, null, 2), 'application/json');
+        displayClientMessage(`Recorded ${recording.events.length} events over ${formatScenarioTime(recording.duration)}. Load the file as a scenario to replay it.`, 'success');
+    }
+
+    // --- Audit Log ---
+    function getAuditFilter() {
+        return { category: auditCategorySelect.value || null, outcome: auditOutcomeSelect.value || null, text: auditFilterInput.value };
+    }
+
+    function createAuditRow(entry) {
+        const row = document.createElement('tr');
+        row.append(...Array.from({ length: 5 }, () => document.createElement('td')));
+        const [timeCell, sessionCell, serviceCell, nodeCell, statusCell] = row.children;
+        timeCell.textContent = formatUtcTime(entry.timestamp);
+        sessionCell.textContent = entry.sessionId ? `${entry.sessionId} ${entry.userName || 'Anonymous'}` : entry.userName || '-';
+        serviceCell.textContent = entry.service;
+        nodeCell.textContent = entry.nodeIds.join(', ');
+        statusCell.textContent = getStatusCodeName(entry.statusCode);
+        statusCell.className = getQualityClass(entry.statusCode);
+        if (entry.message) row.title = entry.message;
+        return row;
+    }
+
+    // Newest entries first.
+    function renderAuditLog() {
+        const entries = server.auditLog.query(getAuditFilter());
+        auditEntryList.innerHTML = '';
+        if (entries.length === 0) {
+            auditEntryList.innerHTML = '<tr><td colspan="5" class="text-gray-500 text-center py-2">No service calls logged.</td></tr>';
+            return;
+        }
+        entries.slice().reverse().forEach(entry => auditEntryList.appendChild(createAuditRow(entry)));
+    }
+
+    function handleAuditEntry(entry) {
+        updateServerDiagnostics();
+        if (!server.auditLog.matches(entry, getAuditFilter())) return;
+        // Replace the "No service calls logged." placeholder.
+        if (auditEntryList.querySelector('td[colspan]')) auditEntryList.innerHTML = '';
+        auditEntryList.prepend(createAuditRow(entry));
+        // The log drops its oldest entries, so the table does too.
+        while (auditEntryList.children.length > server.auditLog.capacity) auditEntryList.lastChild.remove();
+    }
+
+    function updateServerDiagnostics() {
+        const summary = server.getDiagnosticsSummary();
+        serverDiagnostics.textContent = `Up since ${formatUtcTime(server.startTime)}. `
+            + `Sessions: ${summary.CurrentSessionCount} open, ${summary.CumulatedSessionCount} total, ${summary.RejectedSessionCount} rejected `
+            + `(${summary.SecurityRejectedSessionCount} by security), ${summary.SessionTimeoutCount} timed out. `
+            + `Subscriptions: ${summary.CurrentSubscriptionCount} open, ${summary.CumulatedSubscriptionCount} total. `
+            + `Rejected requests: ${summary.RejectedRequestsCount} (${summary.SecurityRejectedRequestsCount} access denied).`;
+    }
+
+    function handleAuditExportCsv() {
+        downloadTextFile('audit-log.csv', formatAuditLogCsv(server.auditLog.query(getAuditFilter())), 'text/csv');
+    }
+
+    function handleAuditExportJson() {
+        downloadTextFile('audit-log.json', JSON.stringify(server.auditLog.query(getAuditFilter()), null, 2), 'application/json');
+    }
+
+    function handleAuditClear() {
+        server.auditLog.clear();
+        renderAuditLog();
+    }
+
+    // --- PubSub ---
+    // Without a broker URL, publisher and subscriber meet on a broker inside the page.
+    const inPageBroker = new MemoryBroker();
+    let pubSubPublisher = null;
+    let publisherTransport = null;
+    let pubSubSubscriber = null;
+    let subscriberTransport = null;
+    // "publisherId/dataSetWriterId/field" -> table row
+    const pubSubFieldRows = new Map();
+
+    function connectPubSubTransport(brokerUrl, onClose) {
+        return brokerUrl ? new MqttClient(brokerUrl, { onClose }).connect() : inPageBroker.connect({ onClose });
+    }
+
+    function describeBroker(brokerUrl) {
+        return brokerUrl || 'the in-page broker';
+    }
+
+    function updatePubSubControls() {
+        const isPublishing = pubSubPublisher !== null;
+        [pubSubBrokerInput, pubSubConfigInput, pubSubDefaultBtn, pubSubStartBtn].forEach(element => { element.disabled = isPublishing; });
+        pubSubStopBtn.disabled = publisherTransport === null;
+        const isSubscribed = pubSubSubscriber !== null;
+        [pubSubSubscriberBrokerInput, pubSubTopicPrefixInput, pubSubSubscribeBtn].forEach(element => { element.disabled = isSubscribed; });
+        pubSubUnsubscribeBtn.disabled = subscriberTransport === null;
+    }
+
+    function handlePubSubDefaultConfig() {
+        pubSubConfigInput.value = JSON.stringify(createDefaultPubSubConfig(server), null, 2);
+    }
+
+    async function handlePubSubStart() {
+        const brokerUrl = pubSubBrokerInput.value.trim();
+        let publisher;
+        try {
+            publisher = new PubSubPublisher(server, JSON.parse(pubSubConfigInput.value), {
+                onPublish: () => {
+                    pubSubPublisherStatus.textContent = `Publishing to ${describeBroker(brokerUrl)}: ${publisher.networkMessageCount} data messages, last at ${formatUtcTime(getUtcTimestamp())}.`;
+                }
+            });
+        } catch (e) {
+            displayClientMessage(`PubSub configuration: ${e.message}`, 'error', 10000);
+            return;
+        }
+        pubSubPublisher = publisher;
+        updatePubSubControls();
+        pubSubPublisherStatus.textContent = `Connecting to ${describeBroker(brokerUrl)}...`;
+        try {
+            publisherTransport = await connectPubSubTransport(brokerUrl, reason => handlePublisherTransportClosed(publisher, reason));
+        } catch (e) {
+            pubSubPublisher = null;
+            pubSubPublisherStatus.textContent = e.message;
+            updatePubSubControls();
+            return;
+        }
+        publisher.start(publisherTransport);
+        const fieldCount = publisher.config.publishedDataSets.reduce((count, dataSet) => count + dataSet.fields.length, 0);
+        pubSubPublisherStatus.textContent = `Publishing ${fieldCount} fields to ${describeBroker(brokerUrl)} under '${publisher.config.topicPrefix}'.`;
+        updatePubSubControls();
+    }
+
+    function handlePublisherTransportClosed(publisher, reason) {
+        if (pubSubPublisher !== publisher || !publisher.isRunning) return;
+        publisher.stop();
+        pubSubPublisher = null;
+        publisherTransport = null;
+        pubSubPublisherStatus.textContent = `Stopped publishing: the broker connection closed (${reason}).`;
+        updatePubSubControls();
+    }
+
+    function handlePubSubStop() {
+        const transport = publisherTransport;
+        pubSubPublisher.stop();
+        pubSubPublisher = null;
+        publisherTransport = null;
+        transport.close();
+        pubSubPublisherStatus.textContent = 'Not publishing.';
+        updatePubSubControls();
+    }
+
+    function clearPubSubFields() {
+        pubSubFieldRows.clear();
+        pubSubFieldList.innerHTML = '<tr><td colspan="5" class="text-gray-500 text-center py-2">No PubSub messages received.</td></tr>';
+    }
+
+    // Delta frames only carry what changed; the subscriber has already merged them into the last key frame.
+    function renderPubSubFields(subscriber, errorCount) {
+        subscriber.writers.forEach(writer => {
+            writer.fields.forEach((dataValue, fieldName) => {
+                const key = `${writer.publisherId}/${writer.dataSetWriterId}/${fieldName}`;
+                let row = pubSubFieldRows.get(key);
+                if (!row) {
+                    if (pubSubFieldRows.size === 0) pubSubFieldList.innerHTML = '';
+                    row = document.createElement('tr');
+                    row.append(...Array.from({ length: 5 }, () => document.createElement('td')));
+                    row.children[0].textContent = `${writer.name || writer.dataSetWriterId} (${writer.publisherId})`;
+                    row.children[1].textContent = fieldName;
+                    pubSubFieldRows.set(key, row);
+                    pubSubFieldList.appendChild(row);
+                }
+                const [, , valueCell, qualityCell, sourceTimeCell] = row.children;
+                setText(valueCell, formatValue(dataValue.value));
+                setText(qualityCell, getStatusCodeName(dataValue.statusCode));
+                qualityCell.className = getQualityClass(dataValue.statusCode);
+                setText(sourceTimeCell, formatUtcTime(dataValue.sourceTimestamp));
+            });
+        });
+        const writerSummaries = Array.from(subscriber.writers.values()).filter(writer => writer.lastMessageType).map(writer =>
+            `${writer.name || writer.dataSetWriterId}: #${writer.sequenceNumber} ${writer.lastMessageType}${writer.missedMessages ? `, ${writer.missedMessages} missed` : ''}`);
+        const counts = `${subscriber.messageCount} messages${errorCount ? `, ${errorCount} undecodable` : ''}`;
+        pubSubSubscriberStatus.textContent = [counts, ...writerSummaries].join('; ');
+    }
+
+    async function handlePubSubSubscribe() {
+        const brokerUrl = pubSubSubscriberBrokerInput.value.trim();
+        let errorCount = 0;
+        const subscriber = new PubSubSubscriber({
+            topicPrefix: pubSubTopicPrefixInput.value.trim() || DEFAULT_TOPIC_PREFIX,
+            onMessage: () => renderPubSubFields(subscriber, errorCount),
+            onError: () => {
+                errorCount++;
+                renderPubSubFields(subscriber, errorCount);
+            }
+        });
+        pubSubSubscriber = subscriber;
+        updatePubSubControls();
+        clearPubSubFields();
+        pubSubSubscriberStatus.textContent = `Connecting to ${describeBroker(brokerUrl)}...`;
+        try {
+            subscriberTransport = await connectPubSubTransport(brokerUrl, reason => handleSubscriberTransportClosed(subscriber, reason));
+            pubSubSubscriberStatus.textContent = `Subscribed to '${subscriber.topicPrefix}' on ${describeBroker(brokerUrl)}.`;
+            await subscriber.start(subscriberTransport);
+        } catch (e) {
+            if (subscriberTransport) subscriberTransport.close();
+            pubSubSubscriber = null;
+            subscriberTransport = null;
+            pubSubSubscriberStatus.textContent = e.message;
+        }
+        updatePubSubControls();
+    }
+
+    function handleSubscriberTransportClosed(subscriber, reason) {
+        if (pubSubSubscriber !== subscriber || subscriberTransport === null) return;
+        subscriber.stop();
+        pubSubSubscriber = null;
+        subscriberTransport = null;
+        pubSubSubscriberStatus.textContent = `Unsubscribed: the broker connection closed (${reason}).`;
+        updatePubSubControls();
+    }
+
+    function handlePubSubUnsubscribe() {
+        const transport = subscriberTransport;
+        pubSubSubscriber.stop();
+        pubSubSubscriber = null;
+        subscriberTransport = null;
+        transport.close();
+        pubSubSubscriberStatus.textContent = 'Not subscribed.';
+        updatePubSubControls();
+    }
+
+    function handleExportXml() {
+        downloadTextFile('address-space.NodeSet2.xml', serializeModelToNodeSet2Xml(server.exportModel()), 'application/xml');
+    }
+
+    function handleExportJson() {
+        downloadTextFile('address-space.json', JSON.stringify(server.exportModel(), null, 2), 'application/json');
+    }
+
     // --- Initialization ---
     function init() {
         connectBtn.addEventListener('click', handleConnect);
         disconnectBtn.addEventListener('click', handleDisconnect);
         readBtn.addEventListener('click', handleRead);
+        nodeIdInput.addEventListener('input', clearValueEditor);
+        browseReferencesBtn.addEventListener('click', handleBrowseReferences);
+        resolvePathBtn.addEventListener('click', handleResolvePath);
         writeBtn.addEventListener('click', handleWrite);
         subscribeBtn.addEventListener('click', handleSubscribe);
+        createSubscriptionBtn.addEventListener('click', handleCreateSubscription);
+        deleteSubscriptionBtn.addEventListener('click', handleDeleteSubscription);
+        subscriptionSelect.addEventListener('change', updateClientButtons);
+        modelFileInput.addEventListener('change', handleModelFileSelected);
+        exportXmlBtn.addEventListener('click', handleExportXml);
+        exportJsonBtn.addEventListener('click', handleExportJson);
+        generatorNodeSelect.addEventListener('change', handleGeneratorNodeChange);
+        generatorTypeSelect.addEventListener('change', handleGeneratorTypeChange);
+        applyGeneratorBtn.addEventListener('click', handleApplyGenerator);
+        removeGeneratorBtn.addEventListener('click', handleRemoveGenerator);
+        injectQualityBtn.addEventListener('click', handleInjectQuality);
+        clearQualityBtn.addEventListener('click', handleClearQuality);
+        historyCapacityBtn.addEventListener('click', handleHistoryCapacity);
+        alarmNodeSelect.addEventListener('change', handleAlarmNodeChange);
+        applyAlarmBtn.addEventListener('click', handleApplyAlarm);
+        removeAlarmBtn.addEventListener('click', handleRemoveAlarm);
+        historyPersistInput.addEventListener('change', handleHistoryPersistToggle);
+        historyReadBtn.addEventListener('click', handleHistoryRead);
+        historyLiveInput.addEventListener('change', handleHistoryLiveToggle);
+        applyFaultsBtn.addEventListener('click', handleApplyFaults);
+        startOutageBtn.addEventListener('click', handleStartOutage);
+        restartServerBtn.addEventListener('click', handleRestartServer);
+        expireSessionsBtn.addEventListener('click', handleExpireSessions);
+        monitorAllBtn.addEventListener('click', handleMonitorAll);
+        generatePlantBtn.addEventListener('click', handleGeneratePlant);
+        restoreModelBtn.addEventListener('click', handleRestoreDefaultModel);
+        scenarioFileInput.addEventListener('change', handleScenarioFileSelected);
+        scenarioSpeedSelect.addEventListener('change', handleScenarioSpeedChange);
+        scenarioRunBtn.addEventListener('click', handleScenarioRun);
+        scenarioPauseBtn.addEventListener('click', handleScenarioPause);
+        scenarioStopBtn.addEventListener('click', handleScenarioStop);
+        recordBtn.addEventListener('click', handleRecordToggle);
+        addWatchBtn.addEventListener('click', handleAddWatch);
+        readWatchBtn.addEventListener('click', readWatchList);
+        writePendingBtn.addEventListener('click', handleWritePending);
+        clearWatchBtn.addEventListener('click', handleClearWatchList);
+        pubSubStartBtn.addEventListener('click', handlePubSubStart);
+        pubSubStopBtn.addEventListener('click', handlePubSubStop);
+        pubSubDefaultBtn.addEventListener('click', handlePubSubDefaultConfig);
+        pubSubSubscribeBtn.addEventListener('click', handlePubSubSubscribe);
+        pubSubUnsubscribeBtn.addEventListener('click', handlePubSubUnsubscribe);
+        auditCategorySelect.addEventListener('change', renderAuditLog);
+        auditOutcomeSelect.addEventListener('change', renderAuditLog);
+        auditFilterInput.addEventListener('input', renderAuditLog);
+        auditExportCsvBtn.addEventListener('click', handleAuditExportCsv);
+        auditExportJsonBtn.addEventListener('click', handleAuditExportJson);
+        auditClearBtn.addEventListener('click', handleAuditClear);
+
+        addressSpaceTreeList = new VirtualList(addressSpaceTree, {
+            rowHeight: TREE_ROW_HEIGHT,
+            getKey: row => row.key,
+            createRow: createTreeRow,
+            updateRow: updateTreeRow
+        });
+        serverNodeList = new VirtualList(serverNodesDisplay, {
+            rowHeight: SERVER_NODE_ROW_HEIGHT,
+            getKey: node => node.nodeId,
+            createRow: createServerNodeRow,
+            updateRow: updateServerNodeRow
+        });
+        loadTestLinesInput.value = LOAD_TEST_DEFAULTS.lines;
+        loadTestMachinesInput.value = LOAD_TEST_DEFAULTS.machinesPerLine;
+        loadTestTagsInput.value = LOAD_TEST_DEFAULTS.tagsPerMachine;
+        loadTestUpdateRateInput.value = LOAD_TEST_DEFAULTS.updateRate;
+        pubSubTopicPrefixInput.value = DEFAULT_TOPIC_PREFIX;
+        handlePubSubDefaultConfig();
 
         updateServerNodeDisplay();
+        populateServerNodeSelects();
+        populateBrowseFilters();
+        loadWatchList();
+        INJECTABLE_STATUS_CODES.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            qualityStatusSelect.appendChild(option);
+        });
+        [[auditCategorySelect, [...Object.keys(AUDIT_CATEGORIES), 'Other']], [auditOutcomeSelect, AUDIT_OUTCOMES]].forEach(([select, names]) => {
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        });
+        getEndpointsBtn.addEventListener('click', handleGetEndpoints);
+        identityTypeSelect.addEventListener('change', handleIdentityTypeChange);
+        endpointInput.value = new URLSearchParams(window.location.search).get('endpoint') || '';
+        renderSecurityEndpoints(server.getEndpoints());
+        server.on('update', updateServerNodeDisplay);
+        server.on('update', updateSessionList);
+        server.on('update', updateServerDiagnostics);
+        server.on('auditEntry', handleAuditEntry);
+        updateServerDiagnostics();
         server.startDataSimulation();
+        loadModelFromUrlParameter();
         updateLocalTimeDisplay();
         setInterval(updateLocalTimeDisplay, 1000);
+        updateThroughputMeter();
+        setInterval(updateThroughputMeter, 1000);
     }
 
     window.onload = init;
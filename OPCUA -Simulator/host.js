@@ -0,0 +1,427 @@
+"use strict";
+// Runs the simulated OPC UA server under Node.js. Serves the browser UI over HTTP and the address
+// space as a WebSocket JSON-RPC 2.0 endpoint at /rpc. Only Node's built-in modules are used.
+//
+//   node host.js [--port 8080] [--host 127.0.0.1] [--model my-model.json] [--latency 0] [--packet-loss 0]
+//   node host.js --load-test 50x20x30 [--update-rate 1000]
+//   node host.js --scenario overheat.yaml [--speed 1] [--record session.json]
+//   node host.js --mqtt mqtt://127.0.0.1:1883 [--pubsub pubsub.json]
+//   node host.js --audit-log audit.jsonl
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    SimulatedOpcUaServer, RPC_ERRORS, parseJsonModel, parseNodeSet2Xml, createLoadTestModel, parseScenario, ScenarioRunner, SessionRecorder
+} = require('./opcua-server.js');
+const { PubSubPublisher, MqttClient, createDefaultPubSubConfig } = require('./opcua-pubsub.js');
+
+const STATIC_ROOT = __dirname;
+const RPC_PATH = '/rpc';
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.csv': 'text/csv'
+};
+
+// --- WebSocket (RFC 6455) ---
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+const OPCODES = { Continuation: 0x0, Text: 0x1, Binary: 0x2, Close: 0x8, Ping: 0x9, Pong: 0xA };
+
+class WebSocketConnection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        // Payloads of a fragmented message until its final frame arrives.
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.isClosed = false;
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.handleSocketClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let frame;
+        while (!this.isClosed && (frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+        }
+    }
+
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = buffer.readUInt32BE(2) * 2 ** 32 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, masked, payload };
+    }
+
+    handleFrame(frame) {
+        // Clients must mask every frame they send (RFC 6455, section 5.1).
+        if (!frame.masked) {
+            this.close(1002, 'Client frames must be masked');
+            return;
+        }
+        switch (frame.opcode) {
+            case OPCODES.Text:
+            case OPCODES.Continuation: {
+                const isContinuation = frame.opcode === OPCODES.Continuation;
+                if (isContinuation !== this.fragments.length > 0) {
+                    this.close(1002, 'Unexpected continuation frame');
+                    return;
+                }
+                this.fragments.push(frame.payload);
+                this.fragmentsLength += frame.payload.length;
+                if (this.fragmentsLength > MAX_MESSAGE_SIZE) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (frame.fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.onMessage(text);
+                }
+                break;
+            }
+            case OPCODES.Binary:
+                this.close(1003, 'Only text messages are supported');
+                break;
+            case OPCODES.Close:
+                this.close(1000);
+                break;
+            case OPCODES.Ping:
+                this.sendFrame(OPCODES.Pong, frame.payload);
+                break;
+            case OPCODES.Pong:
+                break;
+            default:
+                this.close(1002, `Unknown opcode ${frame.opcode}`);
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+            header.writeUInt32BE(payload.length % 2 ** 32, 6);
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(text) {
+        if (this.isClosed) return;
+        this.sendFrame(OPCODES.Text, Buffer.from(text, 'utf8'));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.Close, payload);
+        this.socket.end();
+        this.buffer = Buffer.alloc(0);
+    }
+
+    handleSocketClose() {
+        this.isClosed = true;
+        if (this.onClose) this.onClose();
+        this.onClose = null;
+    }
+}
+
+function acceptWebSocket(request, socket, head, onMessage, onClose) {
+    const key = request.headers['sec-websocket-key'];
+    if (String(request.headers.upgrade).toLowerCase() !== 'websocket' || !key || request.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    const webSocket = new WebSocketConnection(socket, onMessage, onClose);
+    // Bytes that arrived with the handshake; handled once the caller has set up its session.
+    if (head && head.length > 0) process.nextTick(() => webSocket.receive(head));
+    return webSocket;
+}
+
+// --- JSON-RPC ---
+function rpcError(id, code, message, statusCode) {
+    const error = { code, message };
+    if (statusCode !== undefined) error.data = { statusCode };
+    return { jsonrpc: '2.0', id, error };
+}
+
+// Resolves with the response object, or null for notifications (requests without an id). A request the
+// channel drops never settles, so no response is sent for it.
+function handleRpcMessage(channel, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (e) {
+        return Promise.resolve(rpcError(null, RPC_ERRORS.ParseError, 'Invalid JSON.'));
+    }
+    const id = message && message.id !== undefined ? message.id : null;
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        return Promise.resolve(rpcError(id, RPC_ERRORS.InvalidRequest, 'Expected a JSON-RPC 2.0 request object.'));
+    }
+    return channel.request(message.method, message.params).then(
+        result => message.id === undefined ? null : { jsonrpc: '2.0', id, result },
+        e => message.id === undefined ? null : rpcError(id, e.code || RPC_ERRORS.InternalError, e.message, e.statusCode));
+}
+
+// --- HTTP ---
+function serveStaticFile(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { Allow: 'GET, HEAD' });
+        response.end();
+        return;
+    }
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (e) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    const filePath = path.resolve(STATIC_ROOT, urlPath === '/' ? 'Index.html' : `.${urlPath}`);
+    const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+    if (!filePath.startsWith(STATIC_ROOT + path.sep) || !contentType) {
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': contentType });
+        response.end(request.method === 'HEAD' ? undefined : content);
+    });
+}
+
+function loadModelFile(fileName) {
+    const text = fs.readFileSync(fileName, 'utf8');
+    const looksLikeXml = fileName.toLowerCase().endsWith('.xml') || text.trim().startsWith('<');
+    return looksLikeXml ? parseNodeSet2Xml(text) : parseJsonModel(text);
+}
+
+// '50x20x30' -> 50 lines of 20 machines with 30 tags each.
+function parseLoadTestSize(size, updateRate) {
+    const match = /^(\d+)x(\d+)x(\d+)$/.exec(size);
+    if (!match) throw new Error(`Expected <lines>x<machines>x<tags>, not '${size}'.`);
+    return createLoadTestModel({ lines: match[1], machinesPerLine: match[2], tagsPerMachine: match[3], updateRate });
+}
+
+// Scenario steps are logged as they run; at the end the clock returns to real time.
+function startScenario(server, fileName, speed) {
+    let runner;
+    try {
+        if (!(speed > 0)) throw new Error('--speed must be a positive number.');
+        const scenario = parseScenario(fs.readFileSync(fileName, 'utf8'), fileName);
+        runner = new ScenarioRunner(server, scenario, {
+            onStep: entry => console.log(`[${(entry.at / 1000).toFixed(1)} s] ${entry.action}: ${entry.message}`),
+            onFinish: () => console.log(`Scenario '${scenario.name}' finished; the simulation continues in real time.`)
+        });
+        runner.start();
+        console.log(`Running scenario '${scenario.name}' (${scenario.steps.length} steps, ${scenario.duration / 1000} s) at ${speed}x.`);
+    } catch (e) {
+        console.error(`Failed to run scenario '${fileName}': ${e.message}`);
+        process.exit(1);
+    }
+    runner.play(speed);
+}
+
+// Publishes to the broker while it is reachable and reconnects after it goes away.
+const MQTT_RECONNECT_DELAY = 5000;
+
+function startPubSub(server, configFile, brokerUrl) {
+    let publisher;
+    try {
+        const config = configFile ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : createDefaultPubSubConfig(server);
+        publisher = new PubSubPublisher(server, config);
+    } catch (e) {
+        console.error(`Failed to load PubSub configuration '${configFile || 'default'}': ${e.message}`);
+        process.exit(1);
+    }
+    const connect = () => {
+        const mqtt = new MqttClient(brokerUrl, {
+            clientId: `${publisher.config.publisherId}-${process.pid}`,
+            onClose: reason => {
+                if (publisher.isRunning) console.log(`Lost the MQTT broker at ${brokerUrl} (${reason}); retrying in ${MQTT_RECONNECT_DELAY / 1000} s.`);
+                publisher.stop();
+                setTimeout(connect, MQTT_RECONNECT_DELAY);
+            }
+        });
+        mqtt.connect().then(() => {
+            publisher.start(mqtt);
+            const fieldCount = publisher.config.publishedDataSets.reduce((count, dataSet) => count + dataSet.fields.length, 0);
+            console.log(`Publishing ${fieldCount} fields to ${brokerUrl} under '${publisher.config.topicPrefix}'.`);
+        }, e => console.error(e.message));
+    };
+    connect();
+    return publisher;
+}
+
+// Appends every audit log entry as one line of JSON; written synchronously so nothing is lost on exit.
+function startAuditLog(server, fileName) {
+    let fd;
+    try {
+        fd = fs.openSync(fileName, 'a');
+    } catch (e) {
+        console.error(`Failed to open audit log '${fileName}': ${e.message}`);
+        process.exit(1);
+    }
+    server.on('auditEntry', entry => fs.writeSync(fd, `${JSON.stringify(entry)}\n`));
+    console.log(`Appending the audit log to ${fileName}.`);
+}
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8080' },
+            host: { type: 'string', default: '127.0.0.1' },
+            model: { type: 'string' },
+            latency: { type: 'string', default: '0' },
+            'packet-loss': { type: 'string', default: '0' },
+            'load-test': { type: 'string' },
+            'update-rate': { type: 'string' },
+            scenario: { type: 'string' },
+            speed: { type: 'string', default: '1' },
+            record: { type: 'string' },
+            pubsub: { type: 'string' },
+            mqtt: { type: 'string' },
+            'audit-log': { type: 'string' }
+        }
+    });
+
+    let server;
+    try {
+        let model;
+        if (values['load-test']) model = parseLoadTestSize(values['load-test'], values['update-rate']);
+        else if (values.model) model = loadModelFile(values.model);
+        server = new SimulatedOpcUaServer(model);
+    } catch (e) {
+        const source = values['load-test'] ? `load test '${values['load-test']}'` : `model '${values.model}'`;
+        console.error(`Failed to load ${source}: ${e.message}`);
+        process.exit(1);
+    }
+    if (values['load-test']) console.log(`Load test plant with ${server.listVariables().length} tags.`);
+    const faults = server.sessionManager.setFaults({ latency: values.latency, dropRate: values['packet-loss'] });
+    if (!faults.success) {
+        console.error(faults.message);
+        process.exit(1);
+    }
+    if (values['audit-log']) startAuditLog(server, values['audit-log']);
+    server.startDataSimulation();
+    if (values.scenario) startScenario(server, values.scenario, Number(values.speed));
+    const recorder = new SessionRecorder(server);
+    if (values.record) recorder.start();
+    const publisher = values.pubsub || values.mqtt ? startPubSub(server, values.pubsub, values.mqtt || 'mqtt://127.0.0.1:1883') : null;
+
+    const httpServer = http.createServer(serveStaticFile);
+    httpServer.on('upgrade', (request, socket, head) => {
+        if (new URL(request.url, 'http://localhost').pathname !== RPC_PATH) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        const clientAddress = `${socket.remoteAddress}:${socket.remotePort}`;
+        let webSocket = null;
+        let channel;
+        try {
+            channel = server.sessionManager.openChannel(
+                (method, params) => webSocket.send(JSON.stringify({ jsonrpc: '2.0', method, params })),
+                reason => webSocket.close(1001, reason));
+        } catch (e) {
+            socket.end('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+            return;
+        }
+        webSocket = acceptWebSocket(request, socket, head,
+            text => handleRpcMessage(channel, text).then(response => {
+                if (response) webSocket.send(JSON.stringify(response));
+            }),
+            () => {
+                channel.close();
+                console.log(`Client ${clientAddress} disconnected.`);
+            });
+        if (!webSocket) {
+            channel.close();
+            return;
+        }
+        console.log(`Client ${clientAddress} connected.`);
+    });
+
+    httpServer.listen(Number(values.port), values.host, () => {
+        const address = `${values.host}:${httpServer.address().port}`;
+        console.log(`OPC UA simulator UI at http://${address}/, JSON-RPC endpoint at ws://${address}${RPC_PATH}`);
+    });
+
+    process.on('SIGINT', () => {
+        if (recorder.isRecording) {
+            fs.writeFileSync(values.record, JSON.stringify(recorder.stop(), null, 2));
+            console.log(`Recording written to ${values.record}.`);
+        }
+        if (publisher) publisher.stop();
+        server.stopDataSimulation();
+        httpServer.close();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) main();
+
+module.exports = { WebSocketConnection, acceptWebSocket, handleRpcMessage };
@@ -0,0 +1,608 @@
+// OPC UA client for the simulator: connections, sessions, keep-alives, reconnects and subscriptions, without any UI.
+// Loaded as a plain script in the browser (window.OpcUaSimulatorClient) and with require() under Node.js.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./opcua-server.js'));
+    else root.OpcUaSimulatorClient = factory(root.OpcUaSimulator);
+})(typeof self !== 'undefined' ? self : this, function(simulator) {
+    "use strict";
+
+    const { StatusCodes, getStatusCodeName, isGood } = simulator;
+
+    // --- Client Connections ---
+    // Both connections expose request(service, params) -> Promise, report 'publish' and 'event'
+    // notifications through onNotification(method, params) and call onConnectionLost() when the
+    // server side goes away.
+    const REQUEST_TIMEOUT = 5000;
+    const KEEP_ALIVE_INTERVAL = 5000;
+    const RECONNECT_BASE_DELAY = 500;
+    const RECONNECT_MAX_DELAY = 16000;
+    // Retrying cannot fix a rejected identity or security setting.
+    const RECONNECT_FATAL_STATUS_CODES = [
+        StatusCodes.BadUserAccessDenied, StatusCodes.BadIdentityTokenInvalid, StatusCodes.BadIdentityTokenRejected,
+        StatusCodes.BadSecurityModeRejected, StatusCodes.BadSecurityPolicyRejected
+    ];
+
+    function requestTimeoutError(service) {
+        return Object.assign(new Error(`'${service}' timed out after ${REQUEST_TIMEOUT / 1000} s.`), { statusCode: StatusCodes.BadTimeout });
+    }
+
+    function formatRequestError(error) {
+        const statusName = error.statusCode !== undefined ? `${getStatusCodeName(error.statusCode)} - ` : '';
+        return `${statusName}${error.message}`;
+    }
+
+    class LocalConnection {
+        constructor(server, onNotification, onConnectionLost) {
+            this.endpoint = 'in-page server';
+            this.server = server;
+            this.onNotification = onNotification;
+            this.onConnectionLost = onConnectionLost;
+            this.channel = null;
+        }
+
+        open() {
+            try {
+                this.channel = this.server.sessionManager.openChannel(this.onNotification, () => this.onConnectionLost());
+            } catch (e) {
+                return Promise.reject(e);
+            }
+            return Promise.resolve(this);
+        }
+
+        // The channel never settles a dropped request, so the timeout is what the client sees.
+        request(service, params = {}) {
+            if (!this.channel || !this.channel.isOpen) {
+                return Promise.reject(new Error('Not connected.'));
+            }
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(requestTimeoutError(service)), REQUEST_TIMEOUT);
+                this.channel.request(service, params)
+                    .then(resolve, reject)
+                    .finally(() => clearTimeout(timer));
+            });
+        }
+
+        close() {
+            if (this.channel) this.channel.close();
+        }
+    }
+
+    // WebSocketImpl defaults to the global WebSocket; older Node.js versions need one passed in.
+    class RemoteConnection {
+        constructor(endpoint, onNotification, onConnectionLost, WebSocketImpl = typeof WebSocket === 'undefined' ? undefined : WebSocket) {
+            this.endpoint = endpoint;
+            this.onNotification = onNotification;
+            this.onConnectionLost = onConnectionLost;
+            this.WebSocket = WebSocketImpl;
+            this.socket = null;
+            this.nextRequestId = 1;
+            // requestId -> { resolve, reject, timer }
+            this.pendingRequests = {};
+            this.isClosing = false;
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                let isOpen = false;
+                if (!this.WebSocket) {
+                    reject(new Error('No WebSocket implementation is available.'));
+                    return;
+                }
+                try {
+                    this.socket = new this.WebSocket(this.endpoint);
+                } catch (e) {
+                    reject(new Error(`Invalid endpoint '${this.endpoint}'.`));
+                    return;
+                }
+                this.socket.onopen = () => {
+                    isOpen = true;
+                    resolve(this);
+                };
+                this.socket.onmessage = event => this.handleMessage(event.data);
+                this.socket.onclose = () => {
+                    this.rejectPendingRequests('Connection closed.');
+                    if (!isOpen) reject(new Error(`Cannot reach '${this.endpoint}'.`));
+                    else if (!this.isClosing) this.onConnectionLost();
+                };
+            });
+        }
+
+        request(service, params = {}) {
+            if (!this.socket || this.socket.readyState !== this.WebSocket.OPEN) {
+                return Promise.reject(new Error('Not connected.'));
+            }
+            const id = this.nextRequestId++;
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    delete this.pendingRequests[id];
+                    reject(requestTimeoutError(service));
+                }, REQUEST_TIMEOUT);
+                this.pendingRequests[id] = { resolve, reject, timer };
+                this.socket.send(JSON.stringify({ jsonrpc: '2.0', id, method: service, params }));
+            });
+        }
+
+        handleMessage(text) {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                return;
+            }
+            if (message.id === undefined || message.id === null) {
+                if (message.method) this.onNotification(message.method, message.params);
+                return;
+            }
+            const pending = this.pendingRequests[message.id];
+            if (!pending) return;
+            delete this.pendingRequests[message.id];
+            clearTimeout(pending.timer);
+            if (message.error) {
+                const statusCode = message.error.data ? message.error.data.statusCode : undefined;
+                pending.reject(Object.assign(new Error(message.error.message), { code: message.error.code, statusCode }));
+            }
+            else {
+                pending.resolve(message.result);
+            }
+        }
+
+        rejectPendingRequests(reason) {
+            Object.keys(this.pendingRequests).forEach(id => {
+                clearTimeout(this.pendingRequests[id].timer);
+                this.pendingRequests[id].reject(new Error(reason));
+                delete this.pendingRequests[id];
+            });
+        }
+
+        close() {
+            this.isClosing = true;
+            if (this.socket) this.socket.close();
+        }
+    }
+
+    async function openSession(candidate, securityMode, securityPolicy, identityToken, requestedSessionTimeout) {
+        const created = await candidate.request('createSession', { requestedSessionTimeout });
+        if (!created.success) throw Object.assign(new Error(`CreateSession rejected: ${created.message}`), { statusCode: created.statusCode });
+        const activated = await candidate.request('activateSession', { authenticationToken: created.authenticationToken, securityMode, securityPolicy, identityToken });
+        if (!activated.success) {
+            candidate.request('closeSession', { deleteSubscriptions: true }).catch(() => {});
+            throw Object.assign(new Error(`ActivateSession rejected: ${activated.message}`), { statusCode: activated.statusCode });
+        }
+        return {
+            sessionId: created.sessionId,
+            authenticationToken: created.authenticationToken,
+            revisedSessionTimeout: created.revisedSessionTimeout,
+            securityMode,
+            securityPolicy,
+            identityToken,
+            userName: activated.userName,
+            roles: activated.roles
+        };
+    }
+
+    // --- Client ---
+    // Talks to a server object in the same process ({ server }) or to a WebSocket endpoint ({ endpoint }).
+    // Service calls resolve with the server's result, which carries its own statusCode; they reject only
+    // when the request itself fails (not connected, timed out or refused by the server). Events:
+    //   'dataChange'  { subscriptionId, monitoredItemId, nodeId, dataValue, sequenceNumber, overflow, isRepublished }
+    //   'event'       an alarm event of the event subscription
+    //   'connectionLost' (reason), 'reconnecting' { attempt, delay }, 'reconnected' (summary)
+    //   'subscriptionRecreated' { previousSubscriptionId, subscriptionId, revisedPublishingInterval,
+    //                             monitoredItems: [{ previousMonitoredItemId, monitoredItemId (null if lost), nodeId }] }
+    //   'disconnected' (error) when reconnecting is given up, 'log' (text) for everything else worth telling
+    class OpcUaClient {
+        constructor({ server = null, endpoint = '', WebSocket: WebSocketImpl, reconnect = true } = {}) {
+            if (!server && !endpoint) throw new Error('An OpcUaClient needs a server or an endpoint.');
+            this.server = server;
+            this.endpoint = server ? 'in-page server' : endpoint;
+            this.WebSocket = WebSocketImpl;
+            this.reconnect = reconnect;
+            this.listeners = {};
+            // null until connect(), and while reconnecting
+            this.connection = null;
+            // { sessionId, authenticationToken, revisedSessionTimeout, securityMode, securityPolicy, identityToken, userName, roles }.
+            // The identity token is kept in memory so a reconnect can activate the session again.
+            this.session = null;
+            // subscriptionId -> { publishingInterval, maxKeepAliveCount, lastSequenceNumber, pendingRepublishCount,
+            //   onDataChange, monitoredItems: { monitoredItemId: { nodeId, parameters } } }
+            this.subscriptions = {};
+            this.keepAliveTimer = null;
+            this.isKeepAliveInFlight = false;
+            // { attempt, timer } while reconnecting.
+            this.reconnectState = null;
+        }
+
+        on(eventName, listener) {
+            (this.listeners[eventName] = this.listeners[eventName] || []).push(listener);
+        }
+
+        off(eventName, listener) {
+            this.listeners[eventName] = (this.listeners[eventName] || []).filter(existing => existing !== listener);
+        }
+
+        emit(eventName, payload) {
+            (this.listeners[eventName] || []).forEach(listener => listener(payload));
+        }
+
+        // True from connect() until disconnect(), including while reconnecting.
+        get isConnected() {
+            return this.session !== null;
+        }
+
+        get isReconnecting() {
+            return this.reconnectState !== null;
+        }
+
+        get isLocal() {
+            return this.connection instanceof LocalConnection;
+        }
+
+        createConnection(onNotification, onConnectionLost) {
+            return this.server
+                ? new LocalConnection(this.server, onNotification, onConnectionLost)
+                : new RemoteConnection(this.endpoint, onNotification, onConnectionLost, this.WebSocket);
+        }
+
+        // Each connection reports which connection it is, so a late loss of an old one is ignored.
+        openConnection() {
+            let created = null;
+            created = this.createConnection(
+                (method, params) => this.handleNotification(method, params, created),
+                () => this.handleConnectionLost(created)
+            );
+            return created.open();
+        }
+
+        // GetEndpoints on a short-lived connection, the way a client discovers a server before connecting.
+        async getEndpoints() {
+            const discovery = this.createConnection(() => {}, () => {});
+            try {
+                await discovery.open();
+                return await discovery.request('getEndpoints');
+            } finally {
+                discovery.close();
+            }
+        }
+
+        async connect({ securityMode = 'None', securityPolicy = 'None', identityToken = { type: 'Anonymous' }, sessionTimeout } = {}) {
+            if (this.session) throw new Error('Already connected.');
+            let candidate = null;
+            let session;
+            try {
+                candidate = await this.openConnection();
+                session = await openSession(candidate, securityMode, securityPolicy, identityToken, sessionTimeout);
+            } catch (e) {
+                if (candidate) candidate.close();
+                throw e;
+            }
+            this.connection = candidate;
+            this.session = session;
+            this.startKeepAlive();
+            return session;
+        }
+
+        // Closing the session deletes its subscriptions; the transport goes once the server has answered.
+        async disconnect() {
+            if (!this.session) return;
+            this.cancelReconnect();
+            const closingConnection = this.connection;
+            this.connection = null;
+            this.resetSession();
+            if (!closingConnection) return;
+            try {
+                await closingConnection.request('closeSession', { deleteSubscriptions: true });
+            } catch (e) {
+                // The session times out on the server anyway.
+            } finally {
+                closingConnection.close();
+            }
+        }
+
+        resetSession() {
+            this.session = null;
+            this.subscriptions = {};
+            this.stopKeepAlive();
+        }
+
+        request(service, params) {
+            if (!this.connection) {
+                return Promise.reject(Object.assign(new Error(this.reconnectState ? 'Reconnecting to the server.' : 'Not connected.'), { statusCode: StatusCodes.BadNotConnected }));
+            }
+            return this.connection.request(service, params);
+        }
+
+        browse(nodeId, options = {}) {
+            return this.request('browse', { ...options, nodeId });
+        }
+
+        translateBrowsePaths(browsePaths) {
+            return this.request('translateBrowsePaths', { browsePaths });
+        }
+
+        // options: { attributeId, indexRange }
+        read(nodeId, options = {}) {
+            return this.request('read', { ...options, nodeId });
+        }
+
+        // nodesToRead: NodeIds or { nodeId, attributeId, indexRange }. Resolves with one DataValue per item.
+        async readMultiple(nodesToRead) {
+            const result = await this.request('read', { nodesToRead: nodesToRead.map(item => (typeof item === 'string' ? { nodeId: item } : item)) });
+            if (!result.success) throw Object.assign(new Error(`Read rejected: ${result.message}`), { statusCode: result.statusCode });
+            return result.results;
+        }
+
+        write(nodeId, value, options = {}) {
+            return this.request('write', { ...options, nodeId, value });
+        }
+
+        // nodesToWrite: [{ nodeId, value, attributeId, indexRange }]. Resolves with one result per item.
+        async writeMultiple(nodesToWrite) {
+            const result = await this.request('write', { nodesToWrite });
+            if (!result.success) throw Object.assign(new Error(`Write rejected: ${result.message}`), { statusCode: result.statusCode });
+            return result.results;
+        }
+
+        call(objectId, methodId, inputArguments = []) {
+            return this.request('call', { objectId, methodId, inputArguments });
+        }
+
+        async createSubscription({ publishingInterval, maxKeepAliveCount } = {}) {
+            const result = await this.request('createSubscription', { publishingInterval, maxKeepAliveCount });
+            if (result.success) {
+                this.subscriptions[result.subscriptionId] = {
+                    publishingInterval: result.revisedPublishingInterval,
+                    maxKeepAliveCount: result.revisedMaxKeepAliveCount,
+                    lastSequenceNumber: 0,
+                    pendingRepublishCount: 0,
+                    onDataChange: null,
+                    monitoredItems: {}
+                };
+            }
+            return result;
+        }
+
+        async deleteSubscription(subscriptionId) {
+            const result = await this.request('deleteSubscription', { subscriptionId });
+            delete this.subscriptions[subscriptionId];
+            return result;
+        }
+
+        // Forgets the subscriptions without asking the server, which has dropped them itself (a model reload).
+        clearSubscriptions() {
+            this.subscriptions = {};
+        }
+
+        async createMonitoredItem(subscriptionId, nodeId, parameters = {}) {
+            const result = await this.request('createMonitoredItem', { subscriptionId, nodeId, parameters });
+            const subscription = this.subscriptions[subscriptionId];
+            if (result.success && subscription) subscription.monitoredItems[result.monitoredItemId] = { nodeId, parameters };
+            return result;
+        }
+
+        async deleteMonitoredItem(subscriptionId, monitoredItemId) {
+            const result = await this.request('deleteMonitoredItem', { subscriptionId, monitoredItemId });
+            const subscription = this.subscriptions[subscriptionId];
+            if (subscription) delete subscription.monitoredItems[monitoredItemId];
+            return result;
+        }
+
+        // Creates a subscription with one monitored item per node and passes every data change of it to
+        // onDataChange, also after a reconnect. Resolves with the subscription result and one result per item.
+        async subscribe(nodeIds, { publishingInterval, maxKeepAliveCount, ...parameters } = {}, onDataChange = () => {}) {
+            const created = await this.createSubscription({ publishingInterval, maxKeepAliveCount });
+            if (!created.success) throw Object.assign(new Error(`CreateSubscription rejected: ${created.message}`), { statusCode: created.statusCode });
+            this.subscriptions[created.subscriptionId].onDataChange = onDataChange;
+            const items = [];
+            for (const nodeId of [].concat(nodeIds)) {
+                items.push(await this.createMonitoredItem(created.subscriptionId, nodeId, parameters));
+            }
+            return { ...created, items };
+        }
+
+        handleNotification(method, params, source) {
+            if (method === 'publish') this.handlePublishResponse(params, source);
+            else if (method === 'event') this.emit('event', params);
+        }
+
+        // Both data messages and keep-alives tell the client which sequence number comes next, so a gap
+        // means messages were lost and can be fetched again with Republish.
+        handlePublishResponse(response, source) {
+            const subscription = this.subscriptions[response.subscriptionId];
+            if (!subscription) return;
+            if (!response.keepAlive && response.sequenceNumber <= subscription.lastSequenceNumber) return;
+            const firstMissing = subscription.lastSequenceNumber + 1;
+            const lastMissing = response.sequenceNumber - 1;
+            if (lastMissing >= firstMissing) {
+                this.republishMissingMessages(source, response.subscriptionId, subscription, firstMissing, lastMissing, response.availableSequenceNumbers || []);
+            }
+            subscription.lastSequenceNumber = Math.max(subscription.lastSequenceNumber, response.keepAlive ? lastMissing : response.sequenceNumber);
+            if (!response.keepAlive) this.deliverNotifications(response.subscriptionId, subscription, response, false);
+        }
+
+        deliverNotifications(subscriptionId, subscription, message, isRepublished) {
+            message.notifications.forEach(notification => {
+                const item = subscription.monitoredItems[notification.monitoredItemId];
+                const dataChange = {
+                    subscriptionId: Number(subscriptionId),
+                    monitoredItemId: notification.monitoredItemId,
+                    nodeId: item ? item.nodeId : undefined,
+                    dataValue: notification.dataValue,
+                    sequenceNumber: message.sequenceNumber,
+                    overflow: Boolean(notification.overflow),
+                    isRepublished
+                };
+                if (subscription.onDataChange) subscription.onDataChange(dataChange);
+                this.emit('dataChange', dataChange);
+            });
+        }
+
+        async republishMissingMessages(source, subscriptionId, subscription, firstMissing, lastMissing, availableSequenceNumbers) {
+            const sequenceNumbers = availableSequenceNumbers.filter(sequenceNumber => sequenceNumber >= firstMissing && sequenceNumber <= lastMissing);
+            subscription.pendingRepublishCount += 1;
+            let recovered = 0;
+            try {
+                for (const sequenceNumber of sequenceNumbers) {
+                    const result = await source.request('republish', { subscriptionId, retransmitSequenceNumber: sequenceNumber });
+                    if (!result.success) continue;
+                    this.deliverNotifications(subscriptionId, subscription, result.notificationMessage, true);
+                    recovered += 1;
+                }
+            } catch (e) {
+                // The connection failed again; the reconnect logic takes over.
+            } finally {
+                subscription.pendingRepublishCount -= 1;
+            }
+            const missing = lastMissing - firstMissing + 1;
+            this.emit('log', `Subscription ${subscriptionId}: missed ${missing} message(s), republished ${recovered}.`);
+        }
+
+        startKeepAlive() {
+            this.keepAliveTimer = setInterval(() => this.sendKeepAlive(), Math.min(KEEP_ALIVE_INTERVAL, this.session.revisedSessionTimeout / 3));
+        }
+
+        stopKeepAlive() {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+
+        // Keep-alives keep the session from timing out, acknowledge received publish messages and detect a dead connection.
+        async sendKeepAlive() {
+            const activeConnection = this.connection;
+            if (!activeConnection || this.isKeepAliveInFlight) return;
+            const acknowledgements = Object.keys(this.subscriptions)
+                .filter(subscriptionId => this.subscriptions[subscriptionId].pendingRepublishCount === 0 && this.subscriptions[subscriptionId].lastSequenceNumber > 0)
+                .map(subscriptionId => ({ subscriptionId, sequenceNumber: this.subscriptions[subscriptionId].lastSequenceNumber }));
+            this.isKeepAliveInFlight = true;
+            try {
+                await activeConnection.request('keepAlive', { acknowledgements });
+            } catch (e) {
+                if (activeConnection === this.connection) this.startReconnect(`Keep-alive failed: ${formatRequestError(e)}`);
+            } finally {
+                this.isKeepAliveInFlight = false;
+            }
+        }
+
+        handleConnectionLost(lostConnection) {
+            if (lostConnection !== this.connection) return;
+            this.startReconnect(`Connection to ${lostConnection.endpoint} was lost.`);
+        }
+
+        startReconnect(reason) {
+            if (this.reconnectState || !this.session) return;
+            const lostConnection = this.connection;
+            this.connection = null;
+            if (lostConnection) lostConnection.close();
+            this.stopKeepAlive();
+            this.emit('connectionLost', reason);
+            if (!this.reconnect) {
+                this.resetSession();
+                this.emit('disconnected', Object.assign(new Error(reason), { statusCode: StatusCodes.BadNotConnected }));
+                return;
+            }
+            this.reconnectState = { attempt: 0, timer: null };
+            this.scheduleReconnect();
+        }
+
+        scheduleReconnect() {
+            this.reconnectState.attempt += 1;
+            const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (this.reconnectState.attempt - 1), RECONNECT_MAX_DELAY);
+            this.emit('reconnecting', { attempt: this.reconnectState.attempt, delay });
+            this.reconnectState.timer = setTimeout(() => this.attemptReconnect(), delay);
+        }
+
+        cancelReconnect() {
+            if (!this.reconnectState) return;
+            clearTimeout(this.reconnectState.timer);
+            this.reconnectState = null;
+        }
+
+        async attemptReconnect() {
+            const attempt = this.reconnectState.attempt;
+            this.emit('reconnecting', { attempt, delay: 0 });
+            let candidate = null;
+            let summary;
+            try {
+                candidate = await this.openConnection();
+                summary = await this.restoreSession(candidate);
+            } catch (e) {
+                if (candidate) candidate.close();
+                if (!this.reconnectState) return;
+                this.emit('log', `Reconnect attempt ${attempt} failed: ${formatRequestError(e)}`);
+                if (RECONNECT_FATAL_STATUS_CODES.includes(e.statusCode)) {
+                    this.cancelReconnect();
+                    this.resetSession();
+                    this.emit('disconnected', e);
+                    return;
+                }
+                this.scheduleReconnect();
+                return;
+            }
+            // disconnect() was called while the attempt was running.
+            if (!this.reconnectState) {
+                candidate.close();
+                return;
+            }
+            this.reconnectState = null;
+            this.connection = candidate;
+            this.startKeepAlive();
+            this.emit('reconnected', summary);
+        }
+
+        // Activates the old session on the new connection. If the server no longer knows it, a new session takes
+        // over the subscriptions with TransferSubscriptions, and the ones that did not survive are created again.
+        async restoreSession(candidate) {
+            const { securityMode, securityPolicy, identityToken, authenticationToken, sessionId } = this.session;
+            const resumed = await candidate.request('activateSession', { authenticationToken, securityMode, securityPolicy, identityToken });
+            if (resumed.success) return `Session ${sessionId} resumed.`;
+            if (resumed.statusCode !== StatusCodes.BadSessionIdInvalid) {
+                throw Object.assign(new Error(`ActivateSession rejected: ${resumed.message}`), { statusCode: resumed.statusCode });
+            }
+            this.session = await openSession(candidate, securityMode, securityPolicy, identityToken, this.session.revisedSessionTimeout);
+            const subscriptionIds = Object.keys(this.subscriptions).map(Number);
+            if (subscriptionIds.length === 0) return `Session ${sessionId} is gone; created session ${this.session.sessionId}.`;
+
+            const transfer = await candidate.request('transferSubscriptions', { subscriptionIds });
+            const failedIds = transfer.results.filter(result => !isGood(result.statusCode)).map(result => result.subscriptionId);
+            for (const subscriptionId of failedIds) {
+                await this.recreateSubscription(candidate, subscriptionId);
+            }
+            return `Session ${sessionId} is gone; created session ${this.session.sessionId}, transferred ${subscriptionIds.length - failedIds.length} and recreated ${failedIds.length} subscription(s).`;
+        }
+
+        async recreateSubscription(candidate, subscriptionId) {
+            const subscription = this.subscriptions[subscriptionId];
+            const result = await candidate.request('createSubscription', { publishingInterval: subscription.publishingInterval, maxKeepAliveCount: subscription.maxKeepAliveCount });
+            if (!result.success) throw Object.assign(new Error(`CreateSubscription rejected: ${result.message}`), { statusCode: result.statusCode });
+            const recreated = { ...subscription, lastSequenceNumber: 0, pendingRepublishCount: 0, monitoredItems: {} };
+            delete this.subscriptions[subscriptionId];
+            this.subscriptions[result.subscriptionId] = recreated;
+
+            const monitoredItems = [];
+            for (const [previousMonitoredItemId, item] of Object.entries(subscription.monitoredItems)) {
+                const itemResult = await candidate.request('createMonitoredItem', { subscriptionId: result.subscriptionId, nodeId: item.nodeId, parameters: item.parameters });
+                if (itemResult.success) {
+                    recreated.monitoredItems[itemResult.monitoredItemId] = item;
+                } else {
+                    this.emit('log', `Could not recreate monitored item on ${item.nodeId}: ${getStatusCodeName(itemResult.statusCode)}.`);
+                }
+                monitoredItems.push({ previousMonitoredItemId: Number(previousMonitoredItemId), monitoredItemId: itemResult.success ? itemResult.monitoredItemId : null, nodeId: item.nodeId });
+            }
+            this.emit('subscriptionRecreated', {
+                previousSubscriptionId: Number(subscriptionId),
+                subscriptionId: result.subscriptionId,
+                revisedPublishingInterval: result.revisedPublishingInterval,
+                monitoredItems
+            });
+            this.emit('log', `Subscription ${subscriptionId} recreated as ${result.subscriptionId} with ${Object.keys(recreated.monitoredItems).length} monitored item(s).`);
+        }
+    }
+
+    return {
+        REQUEST_TIMEOUT,
+        KEEP_ALIVE_INTERVAL,
+        formatRequestError,
+        LocalConnection,
+        RemoteConnection,
+        OpcUaClient
+    };
+});
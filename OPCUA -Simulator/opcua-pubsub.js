@@ -0,0 +1,755 @@
+// OPC UA PubSub for the simulator: PublishedDataSets, WriterGroups and DataSetWriters that publish JSON
+// NetworkMessages (OPC UA Part 14) to an MQTT broker, and a subscriber that decodes them again.
+// Loaded as a plain script in the browser (window.OpcUaSimulatorPubSub) and with require() under Node.js.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./opcua-server.js'), require('net'));
+    else root.OpcUaSimulatorPubSub = factory(root.OpcUaSimulator, null);
+})(typeof self !== 'undefined' ? self : this, function(simulator, net) {
+    "use strict";
+
+    const { StatusCodes, simulationClock } = simulator;
+
+    // --- PubSub Configuration ---
+    const DEFAULT_TOPIC_PREFIX = 'opcua/json';
+    const DEFAULT_PUBLISHER_ID = 'opcua-simulator';
+    const MIN_PUBLISHING_INTERVAL = 100;
+    const DEFAULT_PUBLISHING_INTERVAL = 1000;
+    const DEFAULT_KEY_FRAME_COUNT = 10;
+    // A writer with nothing new to send still sends a keep-alive after this many publishing intervals.
+    const DEFAULT_KEEP_ALIVE_INTERVALS = 10;
+    const MAX_DEFAULT_FIELDS = 100;
+    const MAX_DATA_SET_WRITER_ID = 0xFFFF;
+    // Names become MQTT topic levels, which cannot contain these characters.
+    const TOPIC_LEVEL_PATTERN = /^[^/#+]+$/;
+
+    function requireName(value, description) {
+        const name = String(value === undefined || value === null ? '' : value).trim();
+        if (!TOPIC_LEVEL_PATTERN.test(name)) throw new Error(`${description} needs a name without '/', '#' or '+'.`);
+        return name;
+    }
+
+    function requirePositiveInteger(value, fallback, description) {
+        const number = value === undefined ? fallback : Number(value);
+        if (!Number.isInteger(number) || number < 1) throw new Error(`${description} must be a positive whole number, not '${value}'.`);
+        return number;
+    }
+
+    // 'ns=1;s=Line1.Temperature' -> 'Line1.Temperature'; other NodeIds fall back to the BrowseName.
+    function getFieldName(node) {
+        const match = /;s=(.+)$/.exec(node.nodeId);
+        return match ? match[1] : node.browseName;
+    }
+
+    // Checks a configuration against the server's address space and fills in the defaults.
+    function normalizePubSubConfig(raw, server) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('A PubSub configuration must be a JSON object.');
+        const publisherId = requireName(raw.publisherId === undefined ? DEFAULT_PUBLISHER_ID : raw.publisherId, 'The publisher');
+        const topicPrefix = String(raw.topicPrefix === undefined ? DEFAULT_TOPIC_PREFIX : raw.topicPrefix).trim().replace(/\/+$/, '');
+        if (!topicPrefix || /[#+]/.test(topicPrefix)) throw new Error(`Invalid topic prefix '${raw.topicPrefix}'.`);
+
+        const dataSetNames = new Set();
+        const publishedDataSets = (raw.publishedDataSets || []).map(dataSet => {
+            const name = requireName(dataSet.name, 'Every PublishedDataSet');
+            if (dataSetNames.has(name)) throw new Error(`There are two PublishedDataSets named '${name}'.`);
+            dataSetNames.add(name);
+            const fieldNames = new Set();
+            const fields = (dataSet.fields || []).map(field => {
+                const definition = typeof field === 'string' ? { nodeId: field } : field;
+                const node = server.findNode(definition.nodeId);
+                if (!node || node.nodeClass !== 'Variable') throw new Error(`Field '${definition.nodeId}' of DataSet '${name}' is not a Variable.`);
+                const fieldName = String(definition.name || getFieldName(node)).trim();
+                if (fieldNames.has(fieldName)) throw new Error(`DataSet '${name}' has two fields named '${fieldName}'.`);
+                fieldNames.add(fieldName);
+                return { name: fieldName, nodeId: node.nodeId };
+            });
+            if (fields.length === 0) throw new Error(`DataSet '${name}' has no fields.`);
+            return { name, fields };
+        });
+
+        const groupNames = new Set();
+        const writerIds = new Set();
+        const writerGroups = (raw.writerGroups || []).map((group, groupIndex) => {
+            const name = requireName(group.name, 'Every WriterGroup');
+            if (groupNames.has(name)) throw new Error(`There are two WriterGroups named '${name}'.`);
+            groupNames.add(name);
+            const writerGroupId = requirePositiveInteger(group.writerGroupId, groupIndex + 1, `The WriterGroupId of '${name}'`);
+            const publishingInterval = requirePositiveInteger(group.publishingInterval, DEFAULT_PUBLISHING_INTERVAL, `The publishing interval of '${name}'`);
+            if (publishingInterval < MIN_PUBLISHING_INTERVAL) {
+                throw new Error(`The publishing interval of '${name}' must be at least ${MIN_PUBLISHING_INTERVAL} ms.`);
+            }
+            const keepAliveTime = requirePositiveInteger(group.keepAliveTime, publishingInterval * DEFAULT_KEEP_ALIVE_INTERVALS, `The keep-alive time of '${name}'`);
+            if (keepAliveTime < publishingInterval) throw new Error(`The keep-alive time of '${name}' is shorter than its publishing interval.`);
+
+            const writerNames = new Set();
+            const dataSetWriters = (group.dataSetWriters || []).map(writer => {
+                const writerName = requireName(writer.name, `Every DataSetWriter of '${name}'`);
+                if (writerNames.has(writerName)) throw new Error(`WriterGroup '${name}' has two DataSetWriters named '${writerName}'.`);
+                writerNames.add(writerName);
+                const dataSetWriterId = requirePositiveInteger(writer.dataSetWriterId, writerIds.size + 1, `The DataSetWriterId of '${writerName}'`);
+                if (dataSetWriterId > MAX_DATA_SET_WRITER_ID) throw new Error(`The DataSetWriterId of '${writerName}' is larger than ${MAX_DATA_SET_WRITER_ID}.`);
+                if (writerIds.has(dataSetWriterId)) throw new Error(`DataSetWriterId ${dataSetWriterId} is used twice.`);
+                writerIds.add(dataSetWriterId);
+                if (!dataSetNames.has(writer.dataSet)) throw new Error(`DataSetWriter '${writerName}' publishes the unknown DataSet '${writer.dataSet}'.`);
+                const keyFrameCount = requirePositiveInteger(writer.keyFrameCount, DEFAULT_KEY_FRAME_COUNT, `The key frame count of '${writerName}'`);
+                return { name: writerName, dataSetWriterId, dataSet: writer.dataSet, keyFrameCount };
+            });
+            if (dataSetWriters.length === 0) throw new Error(`WriterGroup '${name}' has no DataSetWriters.`);
+            return { name, writerGroupId, publishingInterval, keepAliveTime, dataSetWriters };
+        });
+        if (writerGroups.length === 0) throw new Error('The configuration has no WriterGroups.');
+        return { publisherId, topicPrefix, publishedDataSets, writerGroups };
+    }
+
+    // One DataSet with the simulated variables, published every second with a key frame every tenth message.
+    function createDefaultPubSubConfig(server) {
+        const fields = server.listVariables().filter(node => node.simulation).slice(0, MAX_DEFAULT_FIELDS)
+            .map(node => ({ nodeId: node.nodeId, name: getFieldName(node) }));
+        return {
+            publisherId: DEFAULT_PUBLISHER_ID,
+            topicPrefix: DEFAULT_TOPIC_PREFIX,
+            publishedDataSets: [{ name: 'SimulatedValues', fields }],
+            writerGroups: [{
+                name: 'Simulator',
+                writerGroupId: 1,
+                publishingInterval: DEFAULT_PUBLISHING_INTERVAL,
+                dataSetWriters: [{ name: 'SimulatedValues', dataSetWriterId: 1, dataSet: 'SimulatedValues', keyFrameCount: DEFAULT_KEY_FRAME_COUNT }]
+            }]
+        };
+    }
+
+    // --- JSON Network Messages ---
+    // Topics follow Part 14: <prefix>/data/<publisher>/<writer group> for data and
+    // <prefix>/metadata/<publisher>/<writer group>/<writer> for the retained DataSetMetaData.
+    const DATA_SET_MESSAGE_TYPES = ['ua-keyframe', 'ua-deltaframe', 'ua-keepalive'];
+    // BuiltInType ids of the types that have no DataType NodeId of their own in the simulator.
+    const BUILT_IN_TYPE_IDS = { Enumeration: 6, Structure: 22, BaseDataType: 24 };
+
+    function getDataTopic(config, group) {
+        return `${config.topicPrefix}/data/${config.publisherId}/${group.name}`;
+    }
+
+    function getMetaDataTopic(config, group, writer) {
+        return `${config.topicPrefix}/metadata/${config.publisherId}/${group.name}/${writer.name}`;
+    }
+
+    // ConfigurationVersion uses VersionTime: seconds since 2000-01-01.
+    function getVersionTime() {
+        return Math.floor((simulationClock.now() - Date.UTC(2000, 0, 1)) / 1000);
+    }
+
+    // The JSON encoding leaves out a Good StatusCode.
+    function encodeDataValue(dataValue) {
+        const encoded = { Value: dataValue.value, SourceTimestamp: dataValue.sourceTimestamp };
+        if (dataValue.statusCode !== StatusCodes.Good) encoded.StatusCode = dataValue.statusCode;
+        return encoded;
+    }
+
+    function decodeDataValue(field) {
+        if (!field || typeof field !== 'object' || !('Value' in field)) {
+            return { value: field === undefined ? null : field, statusCode: StatusCodes.Good, sourceTimestamp: null };
+        }
+        return {
+            value: field.Value,
+            statusCode: typeof field.StatusCode === 'object' && field.StatusCode ? field.StatusCode.Code : (field.StatusCode || StatusCodes.Good),
+            sourceTimestamp: field.SourceTimestamp || null
+        };
+    }
+
+    // Parses a 'ua-data' or 'ua-metadata' NetworkMessage into plain camelCase objects.
+    function decodeNetworkMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Not a JSON NetworkMessage: ${e.message}`);
+        }
+        if (!message || typeof message !== 'object') throw new Error('Not a JSON NetworkMessage.');
+        if (message.MessageType === 'ua-metadata') {
+            if (!message.MetaData || !Array.isArray(message.MetaData.Fields)) throw new Error('A metadata message without MetaData.');
+            return {
+                messageType: 'ua-metadata',
+                messageId: message.MessageId,
+                publisherId: message.PublisherId,
+                dataSetWriterId: message.DataSetWriterId,
+                metaData: {
+                    name: message.MetaData.Name,
+                    fields: message.MetaData.Fields.map(field => ({
+                        name: field.Name, builtInType: field.BuiltInType, dataType: field.DataType, valueRank: field.ValueRank
+                    })),
+                    configurationVersion: message.MetaData.ConfigurationVersion || null
+                }
+            };
+        }
+        if (message.MessageType !== 'ua-data') throw new Error(`Unsupported NetworkMessage type '${message.MessageType}'.`);
+        if (!Array.isArray(message.Messages)) throw new Error('A data message without Messages.');
+        return {
+            messageType: 'ua-data',
+            messageId: message.MessageId,
+            publisherId: message.PublisherId,
+            writerGroupName: message.WriterGroupName || null,
+            messages: message.Messages.map(dataSetMessage => {
+                const messageType = dataSetMessage.MessageType || 'ua-keyframe';
+                if (!DATA_SET_MESSAGE_TYPES.includes(messageType)) throw new Error(`Unsupported DataSetMessage type '${messageType}'.`);
+                const payload = {};
+                Object.entries(dataSetMessage.Payload || {}).forEach(([name, field]) => { payload[name] = decodeDataValue(field); });
+                return {
+                    dataSetWriterId: dataSetMessage.DataSetWriterId,
+                    dataSetWriterName: dataSetMessage.DataSetWriterName || null,
+                    publisherId: dataSetMessage.PublisherId || message.PublisherId,
+                    sequenceNumber: dataSetMessage.SequenceNumber,
+                    timestamp: dataSetMessage.Timestamp || null,
+                    messageType,
+                    payload
+                };
+            })
+        };
+    }
+
+    // --- Publisher ---
+    // Publishes every WriterGroup on its own timer on simulationClock, so scenarios and tests can drive it
+    // in virtual time. onPublish({ topic, message }) sees every message that was sent.
+    class PubSubPublisher {
+        constructor(server, config, { onPublish = () => {} } = {}) {
+            this.server = server;
+            this.config = normalizePubSubConfig(config, server);
+            this.onPublish = onPublish;
+            this.transport = null;
+            this.timers = [];
+            this.writerStates = new Map();
+            this.networkMessageCount = 0;
+            this.configurationVersion = getVersionTime();
+        }
+
+        get isRunning() {
+            return this.transport !== null;
+        }
+
+        // transport: anything with publish(topic, payload, { retain }), i.e. an MqttClient or a MemoryBroker connection.
+        start(transport) {
+            this.stop();
+            this.transport = transport;
+            this.config.writerGroups.forEach(group => {
+                group.dataSetWriters.forEach(writer => {
+                    this.writerStates.set(writer.dataSetWriterId, { sequenceNumber: 0, dataMessageCount: 0, lastValues: new Map(), lastSentAt: null });
+                    this.send(getMetaDataTopic(this.config, group, writer), this.createMetaDataMessage(writer), true);
+                });
+                this.timers.push(simulationClock.setInterval(() => this.publishGroup(group), group.publishingInterval));
+            });
+        }
+
+        stop() {
+            this.timers.forEach(timer => simulationClock.clearTimer(timer));
+            this.timers = [];
+            this.transport = null;
+        }
+
+        send(topic, message, retain) {
+            this.transport.publish(topic, JSON.stringify(message), { retain });
+            this.onPublish({ topic, message });
+        }
+
+        getDataSet(writer) {
+            return this.config.publishedDataSets.find(dataSet => dataSet.name === writer.dataSet);
+        }
+
+        createMetaDataMessage(writer) {
+            const version = { MajorVersion: this.configurationVersion, MinorVersion: this.configurationVersion };
+            const dataSet = this.getDataSet(writer);
+            return {
+                MessageId: `${this.config.publisherId}-metadata-${writer.dataSetWriterId}`,
+                MessageType: 'ua-metadata',
+                PublisherId: this.config.publisherId,
+                DataSetWriterId: writer.dataSetWriterId,
+                MetaData: {
+                    Name: dataSet.name,
+                    Fields: dataSet.fields.map(field => this.describeField(field)),
+                    ConfigurationVersion: version
+                }
+            };
+        }
+
+        describeField(field) {
+            const node = this.server.findNode(field.nodeId);
+            const builtIn = this.server.dataTypes.getBuiltInType(node.dataType);
+            const builtInId = /i=(\d+)$/.exec(this.server.getDataTypeNodeId(builtIn) || '');
+            const builtInType = builtIn in BUILT_IN_TYPE_IDS ? BUILT_IN_TYPE_IDS[builtIn] : (builtInId ? Number(builtInId[1]) : 0);
+            return { Name: field.name, BuiltInType: builtInType, DataType: this.server.getDataTypeNodeId(node.dataType), ValueRank: node.valueRank };
+        }
+
+        publishGroup(group) {
+            const now = simulationClock.now();
+            const messages = group.dataSetWriters.map(writer => this.createDataSetMessage(group, writer, now)).filter(Boolean);
+            if (messages.length === 0) return;
+            this.networkMessageCount++;
+            this.send(getDataTopic(this.config, group), {
+                MessageId: `${this.config.publisherId}-${group.writerGroupId}-${this.networkMessageCount}`,
+                MessageType: 'ua-data',
+                PublisherId: this.config.publisherId,
+                WriterGroupName: group.name,
+                Messages: messages
+            }, false);
+        }
+
+        // Key frames carry every field and delta frames only the fields that changed since the last message.
+        // A writer without changes sends a keep-alive once keepAliveTime has passed, and nothing before that.
+        createDataSetMessage(group, writer, now) {
+            const state = this.writerStates.get(writer.dataSetWriterId);
+            const isKeyFrame = state.dataMessageCount % writer.keyFrameCount === 0;
+            const payload = {};
+            this.getDataSet(writer).fields.forEach(field => {
+                const node = this.server.findNode(field.nodeId);
+                const dataValue = node && node.dataValue ? node.dataValue : { value: null, statusCode: StatusCodes.BadNodeIdUnknown, sourceTimestamp: null };
+                const encoded = encodeDataValue(dataValue);
+                const text = JSON.stringify(encoded);
+                if (isKeyFrame || state.lastValues.get(field.name) !== text) payload[field.name] = encoded;
+                state.lastValues.set(field.name, text);
+            });
+            const header = {
+                DataSetWriterId: writer.dataSetWriterId,
+                DataSetWriterName: writer.name,
+                MetaDataVersion: { MajorVersion: this.configurationVersion, MinorVersion: this.configurationVersion },
+                Timestamp: new Date(now).toISOString()
+            };
+            if (isKeyFrame || Object.keys(payload).length > 0) {
+                state.dataMessageCount++;
+                state.lastSentAt = now;
+                return { ...header, SequenceNumber: ++state.sequenceNumber, MessageType: isKeyFrame ? 'ua-keyframe' : 'ua-deltaframe', Payload: payload };
+            }
+            if (now - state.lastSentAt < group.keepAliveTime) return null;
+            state.lastSentAt = now;
+            // A keep-alive carries the sequence number of the next data message.
+            return { ...header, SequenceNumber: state.sequenceNumber + 1, MessageType: 'ua-keepalive' };
+        }
+    }
+
+    // --- Subscriber ---
+    // Decodes the messages of every publisher under a topic prefix and keeps the latest value of each field,
+    // merging delta frames into the last key frame. onMessage(message, topic) is called per NetworkMessage.
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    class PubSubSubscriber {
+        constructor({ topicPrefix = DEFAULT_TOPIC_PREFIX, onMessage = () => {}, onError = () => {} } = {}) {
+            this.topicPrefix = String(topicPrefix).replace(/\/+$/, '');
+            this.onMessage = onMessage;
+            this.onError = onError;
+            this.transport = null;
+            this.writers = new Map();
+            this.messageCount = 0;
+        }
+
+        get topicFilters() {
+            return [`${this.topicPrefix}/data/#`, `${this.topicPrefix}/metadata/#`];
+        }
+
+        start(transport) {
+            this.stop();
+            this.transport = transport;
+            return Promise.all(this.topicFilters.map(filter => transport.subscribe(filter, (topic, payload) => this.receive(topic, payload))));
+        }
+
+        stop() {
+            if (this.transport && this.transport.isConnected) {
+                this.topicFilters.forEach(filter => Promise.resolve(this.transport.unsubscribe(filter)).catch(() => {}));
+            }
+            this.transport = null;
+        }
+
+        receive(topic, payload) {
+            let message;
+            try {
+                message = decodeNetworkMessage(typeof payload === 'string' ? payload : textDecoder.decode(payload));
+            } catch (e) {
+                this.onError(new Error(`${topic}: ${e.message}`));
+                return;
+            }
+            this.messageCount++;
+            if (message.messageType === 'ua-metadata') {
+                this.getWriter(message.publisherId, message.dataSetWriterId).metaData = message.metaData;
+            } else {
+                message.messages.forEach(dataSetMessage => this.applyDataSetMessage(message, dataSetMessage));
+            }
+            this.onMessage(message, topic);
+        }
+
+        getWriter(publisherId, dataSetWriterId) {
+            const key = `${publisherId}/${dataSetWriterId}`;
+            if (!this.writers.has(key)) {
+                this.writers.set(key, {
+                    publisherId, dataSetWriterId, writerGroupName: null, name: null, metaData: null,
+                    fields: new Map(), sequenceNumber: null, missedMessages: 0, lastMessageType: null, timestamp: null
+                });
+            }
+            return this.writers.get(key);
+        }
+
+        applyDataSetMessage(networkMessage, message) {
+            const writer = this.getWriter(message.publisherId, message.dataSetWriterId);
+            writer.writerGroupName = networkMessage.writerGroupName;
+            writer.name = message.dataSetWriterName || writer.name;
+            writer.lastMessageType = message.messageType;
+            writer.timestamp = message.timestamp;
+            if (message.messageType === 'ua-keepalive') return;
+            // A gap in the sequence means messages were lost on the way; a lower number means the publisher restarted.
+            if (writer.sequenceNumber !== null && message.sequenceNumber > writer.sequenceNumber + 1) {
+                writer.missedMessages += message.sequenceNumber - writer.sequenceNumber - 1;
+            }
+            writer.sequenceNumber = message.sequenceNumber;
+            if (message.messageType === 'ua-keyframe') writer.fields.clear();
+            Object.entries(message.payload).forEach(([name, dataValue]) => writer.fields.set(name, dataValue));
+        }
+    }
+
+    // --- In-Page Broker ---
+    // Has the same publish/subscribe interface as MqttClient, so the page can publish and subscribe without
+    // a real broker. Retained messages are replayed to new subscriptions, as an MQTT broker does.
+    function matchesTopicFilter(filter, topic) {
+        const filterLevels = filter.split('/');
+        const topicLevels = topic.split('/');
+        for (let i = 0; i < filterLevels.length; i++) {
+            if (filterLevels[i] === '#') return true;
+            if (i >= topicLevels.length) return false;
+            if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+        }
+        return filterLevels.length === topicLevels.length;
+    }
+
+    class MemoryBroker {
+        constructor() {
+            this.connections = new Set();
+            this.retained = new Map();
+        }
+
+        connect({ onClose = () => {} } = {}) {
+            const connection = new MemoryBrokerConnection(this, onClose);
+            this.connections.add(connection);
+            return Promise.resolve(connection);
+        }
+
+        deliver(topic, payload, retain) {
+            if (retain && payload.length === 0) this.retained.delete(topic);
+            else if (retain) this.retained.set(topic, payload);
+            this.connections.forEach(connection => connection.receive(topic, payload));
+        }
+    }
+
+    class MemoryBrokerConnection {
+        constructor(broker, onClose) {
+            this.broker = broker;
+            this.onClose = onClose;
+            this.handlers = new Map();
+            this.isConnected = true;
+        }
+
+        publish(topic, payload, { retain = false } = {}) {
+            if (!this.isConnected) return false;
+            this.broker.deliver(topic, payload, retain);
+            return true;
+        }
+
+        subscribe(filter, handler) {
+            this.handlers.set(filter, handler);
+            this.broker.retained.forEach((payload, topic) => {
+                if (matchesTopicFilter(filter, topic)) handler(topic, payload);
+            });
+            return Promise.resolve();
+        }
+
+        unsubscribe(filter) {
+            this.handlers.delete(filter);
+        }
+
+        receive(topic, payload) {
+            this.handlers.forEach((handler, filter) => {
+                if (matchesTopicFilter(filter, topic)) handler(topic, payload);
+            });
+        }
+
+        close() {
+            if (!this.isConnected) return;
+            this.isConnected = false;
+            this.broker.connections.delete(this);
+            this.onClose('closed by the client');
+        }
+    }
+
+    // --- MQTT 3.1.1 ---
+    // Just enough MQTT for PubSub: QoS 0 publish and subscribe, retained messages and keep-alive pings.
+    const MQTT_PACKET_TYPES = { Connect: 1, ConnAck: 2, Publish: 3, Subscribe: 8, SubAck: 9, Unsubscribe: 10, UnsubAck: 11, PingReq: 12, PingResp: 13, Disconnect: 14 };
+    const MQTT_CONNECT_ERRORS = {
+        1: 'unacceptable protocol version', 2: 'client identifier rejected', 3: 'server unavailable', 4: 'bad user name or password', 5: 'not authorized'
+    };
+    const MQTT_PROTOCOL_LEVEL = 4;
+    const MQTT_CLEAN_SESSION = 0x02;
+    const MQTT_SUBSCRIBE_FAILURE = 0x80;
+    const MQTT_KEEP_ALIVE = 30;
+    const MQTT_CONNECT_TIMEOUT = 5000;
+    const MAX_MQTT_PACKET_SIZE = 16 * 1024 * 1024;
+    const DEFAULT_MQTT_PORT = 1883;
+
+    function concatBytes(parts) {
+        const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            bytes.set(part, offset);
+            offset += part.length;
+        });
+        return bytes;
+    }
+
+    function encodeMqttString(text) {
+        const bytes = textEncoder.encode(text);
+        return concatBytes([Uint8Array.of(bytes.length >> 8, bytes.length & 0xFF), bytes]);
+    }
+
+    function encodeUInt16(value) {
+        return Uint8Array.of(value >> 8, value & 0xFF);
+    }
+
+    // Fixed header: packet type and flags, then the remaining length as a base-128 varint.
+    function encodeMqttPacket(type, flags, parts = []) {
+        const body = concatBytes(parts);
+        const header = [(type << 4) | flags];
+        let length = body.length;
+        do {
+            let byte = length % 128;
+            length = Math.floor(length / 128);
+            if (length > 0) byte |= 0x80;
+            header.push(byte);
+        } while (length > 0);
+        return concatBytes([Uint8Array.from(header), body]);
+    }
+
+    function decodeMqttPublish(packet) {
+        const body = packet.body;
+        const topicLength = (body[0] << 8) | body[1];
+        const topic = textDecoder.decode(body.subarray(2, 2 + topicLength));
+        const qos = (packet.flags >> 1) & 0x03;
+        const payloadOffset = 2 + topicLength + (qos > 0 ? 2 : 0);
+        return { topic, payload: body.slice(payloadOffset), retain: (packet.flags & 0x01) !== 0, qos };
+    }
+
+    // Splits a byte stream into packets { type, flags, body }, keeping partial packets for the next chunk.
+    class MqttPacketReader {
+        constructor() {
+            this.buffer = new Uint8Array(0);
+        }
+
+        push(bytes) {
+            this.buffer = concatBytes([this.buffer, bytes]);
+            const packets = [];
+            while (this.buffer.length >= 2) {
+                let length = 0;
+                let multiplier = 1;
+                let offset = 1;
+                let byte;
+                do {
+                    if (offset > 4) throw new Error('Malformed MQTT remaining length.');
+                    if (offset >= this.buffer.length) return packets;
+                    byte = this.buffer[offset++];
+                    length += (byte & 0x7F) * multiplier;
+                    multiplier *= 128;
+                } while (byte & 0x80);
+                if (length > MAX_MQTT_PACKET_SIZE) throw new Error(`MQTT packet of ${length} bytes is too large.`);
+                if (this.buffer.length < offset + length) break;
+                packets.push({ type: this.buffer[0] >> 4, flags: this.buffer[0] & 0x0F, body: this.buffer.slice(offset, offset + length) });
+                this.buffer = this.buffer.slice(offset + length);
+            }
+            return packets;
+        }
+    }
+
+    // Connects over TCP (mqtt://, Node.js only) or WebSockets (ws:// and wss://, e.g. Mosquitto's websockets
+    // listener). onClose(reason) is called once when the connection ends, including a failed connect().
+    class MqttClient {
+        constructor(url, options = {}) {
+            this.url = url;
+            this.clientId = options.clientId || `opcua-simulator-${Math.random().toString(16).slice(2, 10)}`;
+            this.keepAlive = options.keepAlive || MQTT_KEEP_ALIVE;
+            this.WebSocket = options.WebSocket || (typeof WebSocket === 'undefined' ? null : WebSocket);
+            this.onClose = options.onClose || (() => {});
+            this.reader = new MqttPacketReader();
+            this.handlers = new Map();
+            this.pendingAcks = new Map();
+            this.pendingConnect = null;
+            this.nextPacketId = 1;
+            this.pingTimer = null;
+            this.sendBytes = null;
+            this.closeSocket = null;
+            this.isConnected = false;
+            this.isClosed = false;
+        }
+
+        connect() {
+            return new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => this.handleClose(`no answer within ${MQTT_CONNECT_TIMEOUT / 1000} s`), MQTT_CONNECT_TIMEOUT);
+                this.pendingConnect = { resolve, reject, timeout };
+                try {
+                    this.open(() => this.write(this.createConnectPacket()));
+                } catch (e) {
+                    this.handleClose(e.message);
+                }
+            });
+        }
+
+        // Opens the socket; sendBytes and closeSocket hide the difference between TCP and WebSockets.
+        open(onOpen) {
+            const url = new URL(this.url);
+            if (url.protocol === 'mqtt:' || url.protocol === 'tcp:') {
+                if (!net) throw new Error('browsers reach MQTT brokers over WebSockets, use a ws:// URL such as ws://localhost:9001');
+                const socket = net.createConnection({ host: url.hostname, port: Number(url.port) || DEFAULT_MQTT_PORT }, onOpen);
+                socket.on('data', bytes => this.receive(bytes));
+                socket.on('error', error => this.handleClose(error.message));
+                socket.on('close', () => this.handleClose('connection closed'));
+                this.sendBytes = bytes => socket.write(bytes);
+                this.closeSocket = () => socket.destroy();
+            } else if (url.protocol === 'ws:' || url.protocol === 'wss:') {
+                if (!this.WebSocket) throw new Error('no WebSocket implementation is available');
+                const socket = new this.WebSocket(this.url, 'mqtt');
+                socket.binaryType = 'arraybuffer';
+                socket.onopen = onOpen;
+                socket.onmessage = event => this.receive(new Uint8Array(event.data));
+                socket.onerror = () => this.handleClose('WebSocket error');
+                socket.onclose = () => this.handleClose('connection closed');
+                this.sendBytes = bytes => socket.send(bytes);
+                this.closeSocket = () => socket.close();
+            } else {
+                throw new Error(`unsupported URL '${this.url}', use mqtt://host:1883 or ws://host:9001`);
+            }
+        }
+
+        createConnectPacket() {
+            return encodeMqttPacket(MQTT_PACKET_TYPES.Connect, 0, [
+                encodeMqttString('MQTT'), Uint8Array.of(MQTT_PROTOCOL_LEVEL, MQTT_CLEAN_SESSION), encodeUInt16(this.keepAlive), encodeMqttString(this.clientId)
+            ]);
+        }
+
+        write(bytes) {
+            if (!this.isClosed && this.sendBytes) this.sendBytes(bytes);
+        }
+
+        receive(bytes) {
+            let packets;
+            try {
+                packets = this.reader.push(bytes);
+            } catch (e) {
+                this.close(e.message);
+                return;
+            }
+            packets.forEach(packet => {
+                switch (packet.type) {
+                    case MQTT_PACKET_TYPES.ConnAck: this.handleConnAck(packet.body); break;
+                    case MQTT_PACKET_TYPES.Publish: this.handlePublish(decodeMqttPublish(packet)); break;
+                    case MQTT_PACKET_TYPES.SubAck: this.settleAck((packet.body[0] << 8) | packet.body[1], packet.body[2] === MQTT_SUBSCRIBE_FAILURE); break;
+                    case MQTT_PACKET_TYPES.UnsubAck: this.settleAck((packet.body[0] << 8) | packet.body[1], false); break;
+                }
+            });
+        }
+
+        handleConnAck(body) {
+            const pending = this.pendingConnect;
+            if (!pending) return;
+            this.pendingConnect = null;
+            clearTimeout(pending.timeout);
+            const returnCode = body[1];
+            if (returnCode !== 0) {
+                const reason = `the broker refused the connection (${MQTT_CONNECT_ERRORS[returnCode] || `code ${returnCode}`})`;
+                pending.reject(new Error(`Could not connect to the MQTT broker at ${this.url}: ${reason}.`));
+                this.handleClose(reason);
+                return;
+            }
+            this.isConnected = true;
+            // Ping at half the keep-alive so the broker never sees a silent client.
+            this.pingTimer = setInterval(() => this.write(encodeMqttPacket(MQTT_PACKET_TYPES.PingReq, 0)), this.keepAlive * 500);
+            pending.resolve(this);
+        }
+
+        handlePublish({ topic, payload }) {
+            this.handlers.forEach((handler, filter) => {
+                if (matchesTopicFilter(filter, topic)) handler(topic, payload);
+            });
+        }
+
+        takePacketId() {
+            const packetId = this.nextPacketId;
+            this.nextPacketId = packetId === 0xFFFF ? 1 : packetId + 1;
+            return packetId;
+        }
+
+        waitForAck(packetId, description) {
+            return new Promise((resolve, reject) => this.pendingAcks.set(packetId, { resolve, reject, description }));
+        }
+
+        settleAck(packetId, failed) {
+            const pending = this.pendingAcks.get(packetId);
+            if (!pending) return;
+            this.pendingAcks.delete(packetId);
+            if (failed) pending.reject(new Error(`The MQTT broker refused ${pending.description}.`));
+            else pending.resolve();
+        }
+
+        publish(topic, payload, { retain = false } = {}) {
+            if (!this.isConnected) return false;
+            const bytes = typeof payload === 'string' ? textEncoder.encode(payload) : payload;
+            this.write(encodeMqttPacket(MQTT_PACKET_TYPES.Publish, retain ? 1 : 0, [encodeMqttString(topic), bytes]));
+            return true;
+        }
+
+        // QoS 0 subscription; resolves on SUBACK. handler(topic, payloadBytes) sees every matching message.
+        subscribe(filter, handler) {
+            if (!this.isConnected) return Promise.reject(new Error('Not connected to an MQTT broker.'));
+            const packetId = this.takePacketId();
+            this.handlers.set(filter, handler);
+            this.write(encodeMqttPacket(MQTT_PACKET_TYPES.Subscribe, 0x02, [encodeUInt16(packetId), encodeMqttString(filter), Uint8Array.of(0)]));
+            return this.waitForAck(packetId, `the subscription to '${filter}'`).catch(e => {
+                this.handlers.delete(filter);
+                throw e;
+            });
+        }
+
+        unsubscribe(filter) {
+            this.handlers.delete(filter);
+            if (!this.isConnected) return Promise.resolve();
+            const packetId = this.takePacketId();
+            this.write(encodeMqttPacket(MQTT_PACKET_TYPES.Unsubscribe, 0x02, [encodeUInt16(packetId), encodeMqttString(filter)]));
+            return this.waitForAck(packetId, `to unsubscribe from '${filter}'`);
+        }
+
+        close(reason = 'closed by the client') {
+            if (this.isConnected) this.write(encodeMqttPacket(MQTT_PACKET_TYPES.Disconnect, 0));
+            this.handleClose(reason);
+        }
+
+        handleClose(reason) {
+            if (this.isClosed) return;
+            this.isClosed = true;
+            this.isConnected = false;
+            clearInterval(this.pingTimer);
+            if (this.closeSocket) this.closeSocket();
+            if (this.pendingConnect) {
+                clearTimeout(this.pendingConnect.timeout);
+                this.pendingConnect.reject(new Error(`Could not connect to the MQTT broker at ${this.url}: ${reason}.`));
+                this.pendingConnect = null;
+            }
+            this.pendingAcks.forEach(pending => pending.reject(new Error(`The MQTT connection closed: ${reason}.`)));
+            this.pendingAcks.clear();
+            this.onClose(reason);
+        }
+    }
+
+    return {
+        DEFAULT_TOPIC_PREFIX,
+        MIN_PUBLISHING_INTERVAL,
+        normalizePubSubConfig,
+        createDefaultPubSubConfig,
+        decodeNetworkMessage,
+        PubSubPublisher,
+        PubSubSubscriber,
+        matchesTopicFilter,
+        MemoryBroker,
+        MQTT_PACKET_TYPES,
+        encodeMqttPacket,
+        MqttPacketReader,
+        MqttClient
+    };
+});
@@ -0,0 +1,5292 @@
+// Simulated OPC UA server: information model, simulation, subscriptions, history, alarms and methods.
+// Loaded as a plain script in the browser (window.OpcUaSimulator) and with require() under Node.js.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.OpcUaSimulator = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // --- Simulation Clock & Random Numbers ---
+    // The plant's time: value timestamps, signal generators, sampling, publishing and shelving. It follows
+    // Date.now() until a scenario switches it to virtual time, which only moves when advance() is called.
+    // Sessions, keep-alives and injected communication faults stay on wall-clock time, since a real client
+    // sits on the other end.
+    class SimulationClock {
+        constructor() {
+            // null while the clock follows Date.now()
+            this.virtualTime = null;
+            // { callback, interval, due, realTimer }; interval is null for one-shot timers.
+            this.timers = new Set();
+        }
+
+        get isVirtual() {
+            return this.virtualTime !== null;
+        }
+
+        now() {
+            return this.isVirtual ? this.virtualTime : Date.now();
+        }
+
+        setTimeout(callback, delay) {
+            return this.addTimer(callback, delay, null);
+        }
+
+        setInterval(callback, interval) {
+            return this.addTimer(callback, interval, Math.max(1, Number(interval) || 0));
+        }
+
+        clearTimer(timer) {
+            if (!timer) return;
+            this.timers.delete(timer);
+            clearTimeout(timer.realTimer);
+            timer.realTimer = null;
+        }
+
+        addTimer(callback, delay, interval) {
+            const timer = { callback, interval, due: this.now() + Math.max(0, Number(delay) || 0), realTimer: null };
+            this.timers.add(timer);
+            if (!this.isVirtual) this.armRealTimer(timer);
+            return timer;
+        }
+
+        armRealTimer(timer) {
+            timer.realTimer = setTimeout(() => this.fire(timer), Math.max(0, timer.due - Date.now()));
+        }
+
+        fire(timer) {
+            if (timer.interval === null) {
+                this.timers.delete(timer);
+            } else {
+                // Like setInterval, a late timer does not try to catch up on the ticks it missed.
+                timer.due = Math.max(timer.due + timer.interval, this.now());
+                if (!this.isVirtual) this.armRealTimer(timer);
+            }
+            timer.callback();
+        }
+
+        // Pending timers keep their remaining time when the clock switches between real and virtual time.
+        useVirtualTime(startTime) {
+            const offset = startTime - this.now();
+            this.timers.forEach(timer => {
+                clearTimeout(timer.realTimer);
+                timer.realTimer = null;
+                timer.due += offset;
+            });
+            this.virtualTime = startTime;
+        }
+
+        useRealTime() {
+            if (!this.isVirtual) return;
+            const offset = Date.now() - this.virtualTime;
+            this.virtualTime = null;
+            this.timers.forEach(timer => {
+                timer.due += offset;
+                this.armRealTimer(timer);
+            });
+        }
+
+        // Runs every timer that falls due within the next duration ms, in order of due time.
+        advance(duration) {
+            if (!this.isVirtual) throw new Error('Only a virtual clock can be advanced.');
+            const target = this.virtualTime + Math.max(0, Number(duration) || 0);
+            for (;;) {
+                let next = null;
+                this.timers.forEach(timer => {
+                    if (timer.due <= target && (!next || timer.due < next.due)) next = timer;
+                });
+                if (!next) break;
+                this.virtualTime = next.due;
+                this.fire(next);
+            }
+            this.virtualTime = target;
+        }
+    }
+
+    // mulberry32: a small seeded generator, so simulated noise repeats exactly for the same seed.
+    class SeededRandom {
+        constructor(seed = Date.now()) {
+            this.seed(seed);
+        }
+
+        seed(value) {
+            this.state = Number(value) >>> 0;
+        }
+
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    }
+
+    const simulationClock = new SimulationClock();
+    const simulationRandom = new SeededRandom();
+
+    // --- Helper Functions ---
+    function getUtcTimestamp() {
+        return new Date(simulationClock.now()).toISOString();
+    }
+
+    // --- Status Codes & DataValues ---
+    const StatusCodes = {
+        Good: 0x00000000,
+        GoodNoData: 0x00A50000,
+        Uncertain: 0x40000000,
+        UncertainLastUsableValue: 0x40900000,
+        UncertainSubstituteValue: 0x40910000,
+        UncertainInitialValue: 0x40920000,
+        UncertainSensorNotAccurate: 0x40930000,
+        UncertainEngineeringUnitsExceeded: 0x40940000,
+        UncertainSubNormal: 0x40950000,
+        Bad: 0x80000000,
+        BadInternalError: 0x80020000,
+        BadCommunicationError: 0x80050000,
+        BadTimeout: 0x800A0000,
+        BadServerHalted: 0x800E0000,
+        BadNothingToDo: 0x800F0000,
+        BadTooManyOperations: 0x80100000,
+        BadUserAccessDenied: 0x801F0000,
+        BadIdentityTokenInvalid: 0x80200000,
+        BadIdentityTokenRejected: 0x80210000,
+        BadSessionIdInvalid: 0x80250000,
+        BadSessionClosed: 0x80260000,
+        BadSessionNotActivated: 0x80270000,
+        BadWaitingForInitialData: 0x80320000,
+        BadNodeIdUnknown: 0x80340000,
+        BadNotImplemented: 0x80400000,
+        BadReferenceTypeIdInvalid: 0x804C0000,
+        BadBrowseDirectionInvalid: 0x804D0000,
+        BadBrowseNameInvalid: 0x80600000,
+        BadNoMatch: 0x806F0000,
+        BadSecurityModeRejected: 0x80540000,
+        BadSecurityPolicyRejected: 0x80550000,
+        BadMethodInvalid: 0x80750000,
+        BadArgumentsMissing: 0x80760000,
+        BadTooManyArguments: 0x80E50000,
+        BadMessageNotAvailable: 0x807B0000,
+        BadSecureChannelClosed: 0x80860000,
+        BadAttributeIdInvalid: 0x80350000,
+        BadIndexRangeInvalid: 0x80360000,
+        BadIndexRangeNoData: 0x80370000,
+        BadNotWritable: 0x803B0000,
+        BadOutOfRange: 0x803C0000,
+        BadHistoryOperationUnsupported: 0x80720000,
+        BadEventIdUnknown: 0x809A0000,
+        BadNoData: 0x809B0000,
+        BadInvalidArgument: 0x80AB0000,
+        BadAggregateNotSupported: 0x80D50000,
+        BadAggregateInvalidInputs: 0x80D60000,
+        BadConditionBranchAlreadyAcked: 0x80CF0000,
+        BadConditionBranchAlreadyConfirmed: 0x80D00000,
+        BadConditionAlreadyShelved: 0x80D10000,
+        BadConditionNotShelved: 0x80D20000,
+        BadShelvingTimeOutOfRange: 0x80D30000,
+        BadSubscriptionIdInvalid: 0x80280000,
+        BadMonitoredItemIdInvalid: 0x80420000,
+        BadMonitoredItemFilterUnsupported: 0x80440000,
+        BadTypeMismatch: 0x80740000,
+        BadConfigurationError: 0x80890000,
+        BadNotConnected: 0x808A0000,
+        BadDeviceFailure: 0x808B0000,
+        BadSensorFailure: 0x808C0000,
+        BadOutOfService: 0x808D0000,
+        BadDeadbandFilterInvalid: 0x808E0000
+    };
+    // Codes an operator may inject on a node from the server panel.
+    const INJECTABLE_STATUS_CODES = [
+        'UncertainLastUsableValue', 'UncertainSensorNotAccurate', 'UncertainEngineeringUnitsExceeded', 'UncertainSubNormal',
+        'BadSensorFailure', 'BadDeviceFailure', 'BadCommunicationError', 'BadNotConnected', 'BadOutOfService', 'BadConfigurationError'
+    ];
+
+    function getStatusCodeName(statusCode) {
+        const name = Object.keys(StatusCodes).find(key => StatusCodes[key] === statusCode);
+        return name || `0x${statusCode.toString(16).toUpperCase().padStart(8, '0')}`;
+    }
+
+    // The two top bits of a StatusCode carry its severity: 00 Good, 01 Uncertain, 10 Bad.
+    function isGood(statusCode) {
+        return (statusCode >>> 30) === 0;
+    }
+
+    function isUncertain(statusCode) {
+        return (statusCode >>> 30) === 1;
+    }
+
+    function isBad(statusCode) {
+        return (statusCode >>> 30) >= 2;
+    }
+
+    function createDataValue(value, statusCode = StatusCodes.Good, sourceTimestamp = getUtcTimestamp()) {
+        return { value, statusCode, sourceTimestamp, serverTimestamp: getUtcTimestamp() };
+    }
+
+    // --- Data Types ---
+    const BUILT_IN_DATA_TYPES = {
+        'i=1': 'Boolean', 'i=2': 'SByte', 'i=3': 'Byte', 'i=4': 'Int16', 'i=5': 'UInt16',
+        'i=6': 'Int32', 'i=7': 'UInt32', 'i=8': 'Int64', 'i=9': 'UInt64', 'i=10': 'Float',
+        'i=11': 'Double', 'i=12': 'String', 'i=13': 'DateTime', 'i=14': 'Guid', 'i=15': 'ByteString',
+        'i=17': 'NodeId', 'i=20': 'QualifiedName', 'i=21': 'LocalizedText', 'i=22': 'Structure', 'i=24': 'BaseDataType',
+        'i=29': 'Enumeration', 'i=288': 'IntegerId', 'i=289': 'Counter', 'i=290': 'Duration', 'i=291': 'NumericRange',
+        'i=294': 'UtcTime', 'i=295': 'LocaleId'
+    };
+    // Standard subtypes that are encoded exactly like their parent type.
+    const DATA_TYPE_SUPERTYPES = {
+        IntegerId: 'UInt32', Counter: 'UInt32', Duration: 'Double', NumericRange: 'String', UtcTime: 'DateTime', LocaleId: 'String'
+    };
+    const NUMERIC_DATA_TYPES = ['SByte', 'Byte', 'Int16', 'UInt16', 'Int32', 'UInt32', 'Int64', 'UInt64', 'Float', 'Double'];
+    const INTEGER_RANGES = {
+        SByte: [-128n, 127n], Byte: [0n, 255n], Int16: [-32768n, 32767n], UInt16: [0n, 65535n],
+        Int32: [-2147483648n, 2147483647n], UInt32: [0n, 4294967295n],
+        Int64: [-(2n ** 63n), 2n ** 63n - 1n], UInt64: [0n, 2n ** 64n - 1n]
+    };
+    // 64-bit integers do not fit a JavaScript number, so they are kept as decimal strings (as in the OPC UA JSON encoding).
+    const INT64_DATA_TYPES = ['Int64', 'UInt64'];
+    const FLOAT_MAX = 3.4028234663852886e38;
+    const DATE_TIME_MIN = Date.UTC(1601, 0, 1);
+    const DATE_TIME_MAX = Date.UTC(9999, 11, 31, 23, 59, 59, 999);
+    // UA Binary DateTimes count 100 ns ticks since 1601-01-01.
+    const UNIX_EPOCH_TICKS = 116444736000000000n;
+    // ValueRank: -3 ScalarOrOneDimension, -2 Any, -1 Scalar, 0 OneOrMoreDimensions, n > 0 exactly n dimensions.
+    const SCALAR_VALUE_RANK = -1;
+    const MIN_VALUE_RANK = -3;
+    const GUID_PATTERN = /^\{?([0-9a-f]{8})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{4})-([0-9a-f]{12})\}?$/i;
+    const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+    const NODE_ID_PATTERN = /^(?:ns=(\d+);)?([isgb])=(.+)$/s;
+    // Structure and field names double as XML element names in NodeSet2 values.
+    const DATA_TYPE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+    class DataTypeError extends Error {
+        constructor(message, statusCode = StatusCodes.BadTypeMismatch) {
+            super(message);
+            this.name = 'DataTypeError';
+            this.statusCode = statusCode;
+        }
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function describeValue(value) {
+        return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+    }
+
+    // "Int16", "Float[2][3]", "Byte[]" or, for the open ranks, "Double[]..." and "Double or Double[]".
+    function formatDataType(dataType, valueRank = SCALAR_VALUE_RANK, arrayDimensions) {
+        if (valueRank === SCALAR_VALUE_RANK) return dataType;
+        if (valueRank > 0) {
+            return dataType + Array.from({ length: valueRank }, (_, index) => `[${(arrayDimensions && arrayDimensions[index]) || ''}]`).join('');
+        }
+        if (valueRank === 0) return `${dataType}[]...`;
+        return valueRank === -3 ? `${dataType} or ${dataType}[]` : `${dataType} (any rank)`;
+    }
+
+    function normalizeValueRank(rawValueRank = SCALAR_VALUE_RANK, rawDimensions) {
+        const valueRank = Number(rawValueRank);
+        if (!Number.isInteger(valueRank) || valueRank < MIN_VALUE_RANK) throw new Error(`Invalid ValueRank '${rawValueRank}'.`);
+        if (rawDimensions === undefined || rawDimensions === null || rawDimensions === '' || rawDimensions.length === 0) {
+            return { valueRank, arrayDimensions: undefined };
+        }
+        const list = Array.isArray(rawDimensions) ? rawDimensions : String(rawDimensions).split(',');
+        const arrayDimensions = list.map(dimension => {
+            const length = Number(dimension);
+            if (String(dimension).trim() === '' || !Number.isInteger(length) || length < 0) throw new Error(`Invalid array dimension '${dimension}'.`);
+            return length;
+        });
+        if (valueRank < 1 || arrayDimensions.length !== valueRank) {
+            throw new Error(`ArrayDimensions [${arrayDimensions.join(', ')}] do not match ValueRank ${valueRank}.`);
+        }
+        return { valueRank, arrayDimensions };
+    }
+
+    // Lengths of a rectangular nested array, descending at most maxDepth levels.
+    function getArrayDimensions(value, maxDepth) {
+        const dimensions = [];
+        let level = [value];
+        while (dimensions.length < maxDepth && level.every(Array.isArray)) {
+            const length = level[0].length;
+            if (level.some(items => items.length !== length)) throw new DataTypeError('the array is not rectangular');
+            dimensions.push(length);
+            level = level.flat();
+            if (level.length === 0) {
+                // An empty array says nothing about its inner dimensions.
+                while (Number.isFinite(maxDepth) && dimensions.length < maxDepth) dimensions.push(0);
+                break;
+            }
+        }
+        return dimensions;
+    }
+
+    function mapArrayItems(value, depth, convertItem, path = '') {
+        return value.map((item, index) => depth > 1
+            ? mapArrayItems(item, depth - 1, convertItem, `${path}[${index}]`)
+            : convertItem(item, `${path}[${index}]`));
+    }
+
+    function reshapeArray(items, dimensions) {
+        if (dimensions.length <= 1) return items;
+        const rowLength = items.length / dimensions[0];
+        return Array.from({ length: dimensions[0] }, (_, index) => reshapeArray(items.slice(index * rowLength, (index + 1) * rowLength), dimensions.slice(1)));
+    }
+
+    function base64ToBytes(text) {
+        return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+    }
+
+    function bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    function parseNodeIdText(text) {
+        const match = NODE_ID_PATTERN.exec(String(text).trim());
+        if (!match) return null;
+        const namespaceIndex = match[1] === undefined ? 0 : Number(match[1]);
+        const identifierType = match[2];
+        let identifier = match[3];
+        if (namespaceIndex > 65535) return null;
+        if (identifierType === 'i' && !(/^\d+$/.test(identifier) && Number(identifier) <= 4294967295)) return null;
+        if (identifierType === 'g') {
+            const guid = GUID_PATTERN.exec(identifier);
+            if (!guid) return null;
+            identifier = guid.slice(1).join('-').toUpperCase();
+        }
+        if (identifierType === 'b' && !BASE64_PATTERN.test(identifier)) return null;
+        return { namespaceIndex, identifierType, identifier };
+    }
+
+    function convertInteger(raw, dataType) {
+        let integer;
+        if (typeof raw === 'number') {
+            if (!Number.isInteger(raw)) throw new DataTypeError(`${raw} is not an integer`);
+            if (INT64_DATA_TYPES.includes(dataType) && !Number.isSafeInteger(raw)) {
+                throw new DataTypeError(`${raw} is beyond the exact range of a JSON number; send it as a decimal string`);
+            }
+            integer = BigInt(raw);
+        } else {
+            const match = typeof raw === 'string' && /^([+-]?)(\d+|0x[0-9a-f]+)$/i.exec(raw.trim());
+            if (!match) throw new DataTypeError(`${describeValue(raw)} is not an integer`);
+            integer = match[1] === '-' ? -BigInt(match[2]) : BigInt(match[2]);
+        }
+        const [min, max] = INTEGER_RANGES[dataType];
+        if (integer < min || integer > max) throw new DataTypeError(`${integer} is out of range (${min} to ${max})`, StatusCodes.BadOutOfRange);
+        return INT64_DATA_TYPES.includes(dataType) ? integer.toString() : Number(integer);
+    }
+
+    function convertFloatingPoint(raw, dataType) {
+        const number = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+        if (!Number.isFinite(number)) throw new DataTypeError(`${describeValue(raw)} is not a finite number`);
+        if (dataType === 'Float' && Math.abs(number) > FLOAT_MAX) {
+            throw new DataTypeError(`${number} is out of range (-${FLOAT_MAX} to ${FLOAT_MAX})`, StatusCodes.BadOutOfRange);
+        }
+        return number;
+    }
+
+    // Built-in scalar type -> converter from client or model input; each throws a DataTypeError on mismatch.
+    const SCALAR_CONVERTERS = {
+        Boolean(raw) {
+            if (typeof raw === 'boolean') return raw;
+            const text = String(raw).trim().toLowerCase();
+            if (text === 'true' || text === '1') return true;
+            if (text === 'false' || text === '0') return false;
+            throw new DataTypeError(`${describeValue(raw)} is not true, false, 1 or 0`);
+        },
+        ...Object.fromEntries(Object.keys(INTEGER_RANGES).map(dataType => [dataType, raw => convertInteger(raw, dataType)])),
+        Float: raw => convertFloatingPoint(raw, 'Float'),
+        Double: raw => convertFloatingPoint(raw, 'Double'),
+        String(raw) {
+            if (typeof raw !== 'string') throw new DataTypeError(`${describeValue(raw)} is not a string`);
+            return raw;
+        },
+        DateTime(raw) {
+            const time = typeof raw === 'string' && raw.trim() !== '' ? Date.parse(raw) : NaN;
+            if (isNaN(time)) throw new DataTypeError(`${describeValue(raw)} is not an ISO 8601 date and time`);
+            if (time < DATE_TIME_MIN || time > DATE_TIME_MAX) {
+                throw new DataTypeError(`${describeValue(raw)} is out of range (1601-01-01 to 9999-12-31)`, StatusCodes.BadOutOfRange);
+            }
+            return new Date(time).toISOString();
+        },
+        Guid(raw) {
+            const match = typeof raw === 'string' && GUID_PATTERN.exec(raw.trim());
+            if (!match) throw new DataTypeError(`${describeValue(raw)} is not a GUID`);
+            return match.slice(1).join('-').toUpperCase();
+        },
+        ByteString(raw) {
+            const text = typeof raw === 'string' ? raw.trim() : '';
+            const hex = /^0x([0-9a-f]*)$/i.exec(text);
+            if (hex && hex[1].length % 2 === 0) {
+                return bytesToBase64(Uint8Array.from(hex[1].match(/../g) || [], pair => parseInt(pair, 16)));
+            }
+            if (typeof raw !== 'string' || hex || !BASE64_PATTERN.test(text)) {
+                throw new DataTypeError(`${describeValue(raw)} is not Base64 or 0x-prefixed hex`);
+            }
+            return text;
+        },
+        NodeId(raw) {
+            const nodeId = typeof raw === 'string' && parseNodeIdText(raw);
+            if (!nodeId) throw new DataTypeError(`${describeValue(raw)} is not a NodeId such as 'ns=1;s=Name' or 'i=85'`);
+            return `ns=${nodeId.namespaceIndex};${nodeId.identifierType}=${nodeId.identifier}`;
+        },
+        QualifiedName(raw) {
+            const match = typeof raw === 'string' && /^(?:(\d+):)?(.+)$/s.exec(raw.trim());
+            const qualifiedName = match ? { namespaceIndex: match[1] || 0, name: match[2] } : raw;
+            if (isPlainObject(qualifiedName) && typeof qualifiedName.name === 'string' && qualifiedName.name !== '') {
+                const namespaceIndex = qualifiedName.namespaceIndex === undefined ? 0 : Number(qualifiedName.namespaceIndex);
+                if (Number.isInteger(namespaceIndex) && namespaceIndex >= 0 && namespaceIndex <= 65535) {
+                    return { namespaceIndex, name: qualifiedName.name };
+                }
+            }
+            throw new DataTypeError(`${describeValue(raw)} is not a QualifiedName such as '1:Name' or {namespaceIndex, name}`);
+        },
+        LocalizedText(raw) {
+            if (typeof raw === 'string') return { locale: '', text: raw };
+            const isLocalizedText = isPlainObject(raw) && typeof raw.text === 'string'
+                && (raw.locale === undefined || typeof raw.locale === 'string')
+                && Object.keys(raw).every(key => key === 'locale' || key === 'text');
+            if (!isLocalizedText) throw new DataTypeError(`${describeValue(raw)} is not a LocalizedText {locale, text}`);
+            return { locale: raw.locale || '', text: raw.text };
+        },
+        // BaseDataType takes any JSON value unchecked.
+        BaseDataType: raw => raw
+    };
+
+    // --- UA Binary Encoding ---
+    class BinaryWriter {
+        constructor() {
+            this.chunks = [];
+        }
+
+        writeFixed(byteLength, write) {
+            const view = new DataView(new ArrayBuffer(byteLength));
+            write(view);
+            this.chunks.push(new Uint8Array(view.buffer));
+        }
+
+        writeBytes(bytes) {
+            this.chunks.push(bytes);
+        }
+
+        toBytes() {
+            const bytes = new Uint8Array(this.chunks.reduce((length, chunk) => length + chunk.length, 0));
+            let offset = 0;
+            this.chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.length;
+            });
+            return bytes;
+        }
+    }
+
+    class BinaryReader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            this.offset = 0;
+        }
+
+        ensureAvailable(byteLength) {
+            if (this.offset + byteLength > this.bytes.length) throw new DataTypeError('the encoded body ends early');
+        }
+
+        readFixed(byteLength, read) {
+            this.ensureAvailable(byteLength);
+            const value = read(this.view, this.offset);
+            this.offset += byteLength;
+            return value;
+        }
+
+        readBytes(length) {
+            this.ensureAvailable(length);
+            const bytes = this.bytes.slice(this.offset, this.offset + length);
+            this.offset += length;
+            return bytes;
+        }
+    }
+
+    function fixedCodec(byteLength, type) {
+        return {
+            encode: (writer, value) => writer.writeFixed(byteLength, view => view[`set${type}`](0, value, true)),
+            decode: reader => reader.readFixed(byteLength, (view, offset) => view[`get${type}`](offset, true))
+        };
+    }
+
+    // Strings and ByteStrings are an Int32 length (-1 for null) followed by the bytes.
+    const LENGTH_PREFIX = fixedCodec(4, 'Int32');
+    const BYTES_CODEC = {
+        encode(writer, bytes) {
+            LENGTH_PREFIX.encode(writer, bytes.length);
+            writer.writeBytes(bytes);
+        },
+        decode(reader) {
+            const length = LENGTH_PREFIX.decode(reader);
+            return length < 0 ? new Uint8Array(0) : reader.readBytes(length);
+        }
+    };
+    const STRING_CODEC = {
+        encode: (writer, value) => BYTES_CODEC.encode(writer, new TextEncoder().encode(value)),
+        decode: reader => new TextDecoder().decode(BYTES_CODEC.decode(reader))
+    };
+    const INT64_CODECS = { Int64: fixedCodec(8, 'BigInt64'), UInt64: fixedCodec(8, 'BigUint64') };
+    const GUID_CODEC = {
+        encode(writer, value) {
+            const hex = value.replace(/-/g, '');
+            writer.writeFixed(8, view => {
+                view.setUint32(0, parseInt(hex.slice(0, 8), 16), true);
+                view.setUint16(4, parseInt(hex.slice(8, 12), 16), true);
+                view.setUint16(6, parseInt(hex.slice(12, 16), 16), true);
+            });
+            writer.writeBytes(Uint8Array.from(hex.slice(16).match(/../g), pair => parseInt(pair, 16)));
+        },
+        decode(reader) {
+            const [data1, data2, data3] = reader.readFixed(8, (view, offset) => [view.getUint32(offset, true), view.getUint16(offset + 4, true), view.getUint16(offset + 6, true)]);
+            const data4 = Array.from(reader.readBytes(8), byte => byte.toString(16).padStart(2, '0')).join('');
+            return [data1.toString(16).padStart(8, '0'), data2.toString(16).padStart(4, '0'), data3.toString(16).padStart(4, '0'), data4.slice(0, 4), data4.slice(4)]
+                .join('-').toUpperCase();
+        }
+    };
+    const BYTE_CODEC = fixedCodec(1, 'Uint8');
+    const UINT16_CODEC = fixedCodec(2, 'Uint16');
+    const UINT32_CODEC = fixedCodec(4, 'Uint32');
+    // NodeId encoding bytes: 0 two-byte, 1 four-byte, 2 numeric, 3 string, 4 GUID, 5 opaque (ByteString).
+    const NODE_ID_CODEC = {
+        encode(writer, value) {
+            const { namespaceIndex, identifierType, identifier } = parseNodeIdText(value);
+            if (identifierType === 'i') {
+                const numericId = Number(identifier);
+                if (namespaceIndex === 0 && numericId <= 255) {
+                    BYTE_CODEC.encode(writer, 0);
+                    BYTE_CODEC.encode(writer, numericId);
+                } else if (namespaceIndex <= 255 && numericId <= 65535) {
+                    BYTE_CODEC.encode(writer, 1);
+                    BYTE_CODEC.encode(writer, namespaceIndex);
+                    UINT16_CODEC.encode(writer, numericId);
+                } else {
+                    BYTE_CODEC.encode(writer, 2);
+                    UINT16_CODEC.encode(writer, namespaceIndex);
+                    UINT32_CODEC.encode(writer, numericId);
+                }
+                return;
+            }
+            BYTE_CODEC.encode(writer, { s: 3, g: 4, b: 5 }[identifierType]);
+            UINT16_CODEC.encode(writer, namespaceIndex);
+            if (identifierType === 's') STRING_CODEC.encode(writer, identifier);
+            else if (identifierType === 'g') GUID_CODEC.encode(writer, identifier);
+            else BYTES_CODEC.encode(writer, base64ToBytes(identifier));
+        },
+        decode(reader) {
+            const encoding = BYTE_CODEC.decode(reader);
+            switch (encoding) {
+                case 0: return `ns=0;i=${BYTE_CODEC.decode(reader)}`;
+                case 1: return `ns=${BYTE_CODEC.decode(reader)};i=${UINT16_CODEC.decode(reader)}`;
+                case 2: return `ns=${UINT16_CODEC.decode(reader)};i=${UINT32_CODEC.decode(reader)}`;
+                case 3: return `ns=${UINT16_CODEC.decode(reader)};s=${STRING_CODEC.decode(reader)}`;
+                case 4: return `ns=${UINT16_CODEC.decode(reader)};g=${GUID_CODEC.decode(reader)}`;
+                case 5: return `ns=${UINT16_CODEC.decode(reader)};b=${bytesToBase64(BYTES_CODEC.decode(reader))}`;
+                default: throw new DataTypeError(`unknown NodeId encoding 0x${encoding.toString(16)}`);
+            }
+        }
+    };
+
+    // Built-in scalar type -> UA Binary encoder/decoder working on the converted JSON representation.
+    const BINARY_CODECS = {
+        Boolean: { encode: (writer, value) => BYTE_CODEC.encode(writer, value ? 1 : 0), decode: reader => BYTE_CODEC.decode(reader) !== 0 },
+        SByte: fixedCodec(1, 'Int8'),
+        Byte: BYTE_CODEC,
+        Int16: fixedCodec(2, 'Int16'),
+        UInt16: UINT16_CODEC,
+        Int32: fixedCodec(4, 'Int32'),
+        UInt32: UINT32_CODEC,
+        ...Object.fromEntries(INT64_DATA_TYPES.map(dataType => [dataType, {
+            encode: (writer, value) => INT64_CODECS[dataType].encode(writer, BigInt(value)),
+            decode: reader => INT64_CODECS[dataType].decode(reader).toString()
+        }])),
+        Float: fixedCodec(4, 'Float32'),
+        Double: fixedCodec(8, 'Float64'),
+        String: STRING_CODEC,
+        DateTime: {
+            encode: (writer, value) => INT64_CODECS.Int64.encode(writer, BigInt(Date.parse(value)) * 10000n + UNIX_EPOCH_TICKS),
+            decode(reader) {
+                const time = Number((INT64_CODECS.Int64.decode(reader) - UNIX_EPOCH_TICKS) / 10000n);
+                return new Date(Math.min(Math.max(time, DATE_TIME_MIN), DATE_TIME_MAX)).toISOString();
+            }
+        },
+        Guid: GUID_CODEC,
+        ByteString: {
+            encode: (writer, value) => BYTES_CODEC.encode(writer, base64ToBytes(value)),
+            decode: reader => bytesToBase64(BYTES_CODEC.decode(reader))
+        },
+        NodeId: NODE_ID_CODEC,
+        QualifiedName: {
+            encode(writer, value) {
+                UINT16_CODEC.encode(writer, value.namespaceIndex);
+                STRING_CODEC.encode(writer, value.name);
+            },
+            decode: reader => ({ namespaceIndex: UINT16_CODEC.decode(reader), name: STRING_CODEC.decode(reader) })
+        },
+        // The mask byte flags which of locale (1) and text (2) follow.
+        LocalizedText: {
+            encode(writer, value) {
+                BYTE_CODEC.encode(writer, (value.locale ? 1 : 0) | (value.text ? 2 : 0));
+                if (value.locale) STRING_CODEC.encode(writer, value.locale);
+                if (value.text) STRING_CODEC.encode(writer, value.text);
+            },
+            decode(reader) {
+                const mask = BYTE_CODEC.decode(reader);
+                const locale = mask & 1 ? STRING_CODEC.decode(reader) : '';
+                return { locale, text: mask & 2 ? STRING_CODEC.decode(reader) : '' };
+            }
+        }
+    };
+
+    // --- Custom Data Types ---
+    // Data types from namespace 0 that every registry knows, for the properties of analog items, methods and the Server object.
+    const STANDARD_DATA_TYPES = [
+        {
+            name: 'Range', nodeId: 'ns=0;i=884', baseType: 'Structure',
+            fields: [{ name: 'Low', dataType: 'Double', valueRank: SCALAR_VALUE_RANK }, { name: 'High', dataType: 'Double', valueRank: SCALAR_VALUE_RANK }]
+        },
+        {
+            name: 'EUInformation', nodeId: 'ns=0;i=887', baseType: 'Structure',
+            fields: [
+                { name: 'NamespaceUri', dataType: 'String', valueRank: SCALAR_VALUE_RANK }, { name: 'UnitId', dataType: 'Int32', valueRank: SCALAR_VALUE_RANK },
+                { name: 'DisplayName', dataType: 'LocalizedText', valueRank: SCALAR_VALUE_RANK }, { name: 'Description', dataType: 'LocalizedText', valueRank: SCALAR_VALUE_RANK }
+            ]
+        },
+        {
+            name: 'Argument', nodeId: 'ns=0;i=296', baseType: 'Structure',
+            fields: [
+                { name: 'Name', dataType: 'String', valueRank: SCALAR_VALUE_RANK }, { name: 'DataType', dataType: 'NodeId', valueRank: SCALAR_VALUE_RANK },
+                { name: 'ValueRank', dataType: 'Int32', valueRank: SCALAR_VALUE_RANK }, { name: 'ArrayDimensions', dataType: 'UInt32', valueRank: 1 },
+                { name: 'Description', dataType: 'LocalizedText', valueRank: SCALAR_VALUE_RANK }
+            ]
+        },
+        {
+            name: 'ServerState', nodeId: 'ns=0;i=852', baseType: 'Enumeration',
+            fields: ['Running', 'Failed', 'NoConfiguration', 'Suspended', 'Shutdown', 'Test', 'CommunicationFault', 'Unknown'].map((name, value) => ({ name, value }))
+        },
+        {
+            name: 'BuildInfo', nodeId: 'ns=0;i=338', baseType: 'Structure',
+            fields: [
+                ...['ProductUri', 'ManufacturerName', 'ProductName', 'SoftwareVersion', 'BuildNumber'].map(name => ({ name, dataType: 'String', valueRank: SCALAR_VALUE_RANK })),
+                { name: 'BuildDate', dataType: 'UtcTime', valueRank: SCALAR_VALUE_RANK }
+            ]
+        },
+        {
+            name: 'ServerStatusDataType', nodeId: 'ns=0;i=862', baseType: 'Structure',
+            fields: [
+                { name: 'StartTime', dataType: 'UtcTime', valueRank: SCALAR_VALUE_RANK }, { name: 'CurrentTime', dataType: 'UtcTime', valueRank: SCALAR_VALUE_RANK },
+                { name: 'State', dataType: 'ServerState', valueRank: SCALAR_VALUE_RANK }, { name: 'BuildInfo', dataType: 'BuildInfo', valueRank: SCALAR_VALUE_RANK },
+                { name: 'SecondsTillShutdown', dataType: 'UInt32', valueRank: SCALAR_VALUE_RANK }, { name: 'ShutdownReason', dataType: 'LocalizedText', valueRank: SCALAR_VALUE_RANK }
+            ]
+        },
+        {
+            name: 'ServerDiagnosticsSummaryDataType', nodeId: 'ns=0;i=859', baseType: 'Structure',
+            fields: [
+                'ServerViewCount', 'CurrentSessionCount', 'CumulatedSessionCount', 'SecurityRejectedSessionCount', 'RejectedSessionCount', 'SessionTimeoutCount',
+                'SessionAbortCount', 'PublishingIntervalCount', 'CurrentSubscriptionCount', 'CumulatedSubscriptionCount', 'SecurityRejectedRequestsCount', 'RejectedRequestsCount'
+            ].map(name => ({ name, dataType: 'UInt32', valueRank: SCALAR_VALUE_RANK }))
+        }
+    ];
+
+    function normalizeDataTypeDefinition(definition) {
+        const name = String(definition.name || '').trim();
+        if (!DATA_TYPE_NAME_PATTERN.test(name)) throw new Error(`Invalid data type name '${name}'.`);
+        if (SCALAR_CONVERTERS[name] || DATA_TYPE_SUPERTYPES[name] || name === 'Enumeration' || name === 'Structure'
+            || STANDARD_DATA_TYPES.some(standard => standard.name === name)) {
+            throw new Error(`'${name}' is a built-in data type.`);
+        }
+        const baseType = definition.baseType;
+        if (!baseType) throw new Error(`Data type '${name}' needs a baseType (Enumeration, Structure or another data type).`);
+        const normalized = { name, nodeId: normalizeNodeId(definition.nodeId || `ns=1;s=DataTypes.${name}`), baseType };
+        if (definition.description) normalized.description = String(definition.description);
+        const fields = definition.fields || [];
+        const names = new Set();
+        const checkName = (fieldName) => {
+            if (names.has(fieldName)) throw new Error(`Data type '${name}' has two fields named '${fieldName}'.`);
+            names.add(fieldName);
+        };
+
+        if (baseType === 'Enumeration') {
+            if (fields.length === 0) throw new Error(`Enumeration '${name}' needs at least one field.`);
+            const values = new Set();
+            normalized.fields = fields.map(field => {
+                const fieldName = String(field.name || '').trim();
+                const value = Number(field.value);
+                if (!fieldName) throw new Error(`Every field of '${name}' needs a name.`);
+                checkName(fieldName);
+                if (!Number.isInteger(value) || value < -2147483648 || value > 2147483647) throw new Error(`Enumeration value '${field.value}' of ${name}.${fieldName} is not an Int32.`);
+                if (values.has(value)) throw new Error(`Enumeration '${name}' uses the value ${value} twice.`);
+                values.add(value);
+                return { name: fieldName, value };
+            });
+        } else if (baseType === 'Structure') {
+            if (fields.length === 0) throw new Error(`Structure '${name}' needs at least one field.`);
+            normalized.fields = fields.map(field => {
+                const fieldName = String(field.name || '').trim();
+                if (!DATA_TYPE_NAME_PATTERN.test(fieldName)) throw new Error(`Invalid field name '${fieldName}' in '${name}'.`);
+                checkName(fieldName);
+                if (!field.dataType || field.dataType === 'BaseDataType') throw new Error(`Field ${name}.${fieldName} needs a concrete dataType.`);
+                const { valueRank, arrayDimensions } = normalizeValueRank(field.valueRank, field.arrayDimensions);
+                if (valueRank !== SCALAR_VALUE_RANK && valueRank !== 1) throw new Error(`Field ${name}.${fieldName} must be a scalar or a one-dimensional array.`);
+                const normalizedField = { name: fieldName, dataType: String(field.dataType), valueRank };
+                if (arrayDimensions) normalizedField.arrayDimensions = arrayDimensions;
+                return normalizedField;
+            });
+        } else if (fields.length > 0) {
+            throw new Error(`Only Enumeration and Structure data types have fields, not '${name}'.`);
+        }
+        return normalized;
+    }
+
+    // Custom Enumeration, Structure and subtype definitions of one model, plus conversion and encoding of
+    // values of any data type (built-in or custom) in JSON, UA Binary and NodeSet2 XML form.
+    class DataTypeRegistry {
+        constructor(definitions = []) {
+            this.types = {};
+            STANDARD_DATA_TYPES.forEach(definition => { this.types[definition.name] = definition; });
+            const nodeIds = new Set(STANDARD_DATA_TYPES.map(definition => definition.nodeId));
+            definitions.forEach(rawDefinition => {
+                let definition;
+                try {
+                    definition = normalizeDataTypeDefinition(rawDefinition);
+                } catch (e) {
+                    throw new Error(`Data type '${rawDefinition && rawDefinition.name}': ${e.message}`);
+                }
+                if (this.types[definition.name]) throw new Error(`Duplicate data type '${definition.name}'.`);
+                if (nodeIds.has(definition.nodeId)) throw new Error(`Duplicate data type NodeId '${definition.nodeId}'.`);
+                nodeIds.add(definition.nodeId);
+                this.types[definition.name] = definition;
+            });
+            // Check references once all types are known, so definitions may use types listed after them.
+            Object.values(this.types).forEach(definition => {
+                if (definition.baseType === 'Structure') {
+                    definition.fields.forEach(field => {
+                        if (!this.has(field.dataType)) throw new Error(`Field ${definition.name}.${field.name} has unknown data type '${field.dataType}'.`);
+                    });
+                } else if (definition.baseType !== 'Enumeration' && !this.has(definition.baseType)) {
+                    throw new Error(`Data type '${definition.name}' has unknown baseType '${definition.baseType}'.`);
+                }
+                this.assertAcyclic(definition.name);
+            });
+        }
+
+        assertAcyclic(name, path = []) {
+            if (path.includes(name)) throw new Error(`Data type '${name}' contains itself (${[...path, name].join(' > ')}).`);
+            const definition = this.types[name];
+            if (!definition || definition.baseType === 'Enumeration') return;
+            if (definition.baseType === 'Structure') {
+                // Array fields may be empty, so only scalar fields make a cycle.
+                definition.fields.filter(field => field.valueRank === SCALAR_VALUE_RANK).forEach(field => this.assertAcyclic(field.dataType, [...path, name]));
+            } else {
+                this.assertAcyclic(definition.baseType, [...path, name]);
+            }
+        }
+
+        has(dataType) {
+            return Boolean(this.types[dataType] || SCALAR_CONVERTERS[dataType] || DATA_TYPE_SUPERTYPES[dataType]);
+        }
+
+        get(dataType) {
+            return this.types[dataType] || null;
+        }
+
+        findByNodeId(nodeId) {
+            return Object.values(this.types).find(definition => definition.nodeId === nodeId) || null;
+        }
+
+        // The model's own definitions, without the standard data types.
+        list() {
+            return Object.values(this.types).filter(definition => !STANDARD_DATA_TYPES.includes(definition))
+                .map(definition => JSON.parse(JSON.stringify(definition)));
+        }
+
+        // The built-in type a value is stored as: a built-in scalar name, 'Enumeration' or 'Structure'.
+        getBuiltInType(dataType) {
+            const definition = this.types[dataType];
+            if (!definition) return DATA_TYPE_SUPERTYPES[dataType] || dataType;
+            return definition.baseType === 'Enumeration' || definition.baseType === 'Structure' ? definition.baseType : this.getBuiltInType(definition.baseType);
+        }
+
+        // The custom definition behind an Enumeration or Structure type, following subtypes.
+        getDefinition(dataType) {
+            const definition = this.types[dataType];
+            if (!definition) return null;
+            return definition.baseType === 'Enumeration' || definition.baseType === 'Structure' ? definition : this.getDefinition(definition.baseType);
+        }
+
+        // Every custom definition a value of this type depends on, keyed by name, for clients that render editors.
+        collectDefinitions(dataType, collected = {}) {
+            const definition = this.types[dataType];
+            if (!definition || collected[dataType]) return collected;
+            collected[dataType] = JSON.parse(JSON.stringify(definition));
+            if (definition.baseType === 'Structure') definition.fields.forEach(field => this.collectDefinitions(field.dataType, collected));
+            else if (definition.baseType !== 'Enumeration') this.collectDefinitions(definition.baseType, collected);
+            return collected;
+        }
+
+        // Checks a client or model value against the declared type and shape and returns it in its stored form.
+        convert(dataType, raw, valueRank = SCALAR_VALUE_RANK, arrayDimensions) {
+            if (valueRank === SCALAR_VALUE_RANK) return this.convertScalar(dataType, raw);
+            let value = raw;
+            if (typeof raw === 'string' && (valueRank >= 0 || raw.trim().startsWith('['))) {
+                try {
+                    value = JSON.parse(raw);
+                } catch (e) {
+                    if (valueRank >= 0) throw new DataTypeError(`${describeValue(raw)} is not a JSON array`);
+                }
+            }
+            if (!Array.isArray(value)) {
+                if (valueRank >= 0) throw new DataTypeError(`expected an array, got ${describeValue(raw)}`);
+                return this.convertScalar(dataType, raw);
+            }
+            const dimensions = getArrayDimensions(value, valueRank > 0 ? valueRank : Infinity);
+            if (valueRank > 0 && dimensions.length !== valueRank) {
+                throw new DataTypeError(`expected ${valueRank} array dimension(s), got ${dimensions.length}`);
+            }
+            if (valueRank === -3 && dimensions.length > 1) throw new DataTypeError('expected a scalar or a one-dimensional array');
+            (arrayDimensions || []).forEach((maxLength, index) => {
+                if (maxLength > 0 && dimensions[index] > maxLength) {
+                    throw new DataTypeError(`dimension ${index + 1} has ${dimensions[index]} elements, at most ${maxLength} allowed`, StatusCodes.BadOutOfRange);
+                }
+            });
+            return mapArrayItems(value, dimensions.length, (item, path) => {
+                try {
+                    return this.convertScalar(dataType, item);
+                } catch (e) {
+                    throw new DataTypeError(`${path}: ${e.message}`, e.statusCode);
+                }
+            });
+        }
+
+        convertScalar(dataType, raw) {
+            const definition = this.types[dataType];
+            if (definition) {
+                if (definition.baseType === 'Enumeration') return this.convertEnumeration(definition, raw);
+                if (definition.baseType === 'Structure') return this.convertStructure(definition, raw);
+                return this.convertScalar(definition.baseType, raw);
+            }
+            const builtInType = DATA_TYPE_SUPERTYPES[dataType] || dataType;
+            const converter = SCALAR_CONVERTERS[builtInType];
+            if (!converter) throw new DataTypeError(`unknown data type '${dataType}'`);
+            if ((raw === undefined || raw === null) && builtInType !== 'BaseDataType') throw new DataTypeError('a value is required');
+            return converter(raw);
+        }
+
+        // Enumeration values are stored as their Int32 value; clients may also send the name or "Name_Value".
+        convertEnumeration(definition, raw) {
+            const text = typeof raw === 'string' ? raw.trim() : null;
+            let field;
+            if (typeof raw === 'number' || (text !== null && /^-?\d+$/.test(text))) {
+                field = definition.fields.find(candidate => candidate.value === Number(raw));
+            } else if (text !== null) {
+                const suffixed = /^(.*)_(-?\d+)$/.exec(text);
+                field = definition.fields.find(candidate => candidate.name === text)
+                    || (suffixed && definition.fields.find(candidate => candidate.name === suffixed[1] && candidate.value === Number(suffixed[2])));
+            }
+            if (!field) {
+                const choices = definition.fields.map(candidate => `${candidate.name} (${candidate.value})`).join(', ');
+                throw new DataTypeError(`${describeValue(raw)} is not one of ${choices}`);
+            }
+            return field.value;
+        }
+
+        convertStructure(definition, raw) {
+            let value = raw;
+            if (typeof raw === 'string') {
+                try {
+                    value = JSON.parse(raw);
+                } catch (e) {
+                    throw new DataTypeError(`${describeValue(raw)} is not a JSON object`);
+                }
+            }
+            if (!isPlainObject(value)) throw new DataTypeError(`${describeValue(raw)} is not a ${definition.name} object`);
+            // A binary ExtensionObject { typeId, body } as returned by read's encodedValue.
+            const keys = Object.keys(value);
+            if (keys.length === 2 && 'typeId' in value && 'body' in value && normalizeNodeId(value.typeId) === definition.nodeId) {
+                if (typeof value.body !== 'string' || !BASE64_PATTERN.test(value.body)) throw new DataTypeError('the ExtensionObject body is not Base64');
+                return this.decode(definition.name, base64ToBytes(value.body));
+            }
+            const unknownFields = keys.filter(key => !definition.fields.some(field => field.name === key));
+            if (unknownFields.length > 0) throw new DataTypeError(`unknown field(s) ${unknownFields.join(', ')}`);
+            const converted = {};
+            definition.fields.forEach(field => {
+                if (!(field.name in value)) throw new DataTypeError(`field ${field.name} is missing`);
+                try {
+                    converted[field.name] = this.convert(field.dataType, value[field.name], field.valueRank, field.arrayDimensions);
+                } catch (e) {
+                    throw new DataTypeError(`${field.name}: ${e.message}`, e.statusCode);
+                }
+            });
+            return converted;
+        }
+
+        // UA Binary encoding of a converted value, e.g. the body of a Structure's ExtensionObject.
+        encode(dataType, value, valueRank = SCALAR_VALUE_RANK) {
+            const writer = new BinaryWriter();
+            this.writeValue(writer, dataType, value, valueRank);
+            return writer.toBytes();
+        }
+
+        decode(dataType, bytes, valueRank = SCALAR_VALUE_RANK) {
+            const reader = new BinaryReader(bytes);
+            const value = this.readValue(reader, dataType, valueRank);
+            if (reader.offset !== bytes.length) throw new DataTypeError(`${bytes.length - reader.offset} byte(s) left over after decoding ${dataType}`);
+            // Run the decoded value through the converter so it meets the same checks as a JSON write.
+            return this.convert(dataType, value, valueRank);
+        }
+
+        encodeExtensionObject(dataType, value) {
+            return { typeId: this.getDefinition(dataType).nodeId, body: bytesToBase64(this.encode(dataType, value)) };
+        }
+
+        // Multi-dimensional arrays are written as their dimensions followed by the flattened elements.
+        writeValue(writer, dataType, value, valueRank) {
+            if (valueRank !== SCALAR_VALUE_RANK) {
+                const dimensions = getArrayDimensions(value, valueRank > 0 ? valueRank : Infinity);
+                if (dimensions.length > 1) {
+                    LENGTH_PREFIX.encode(writer, dimensions.length);
+                    dimensions.forEach(length => LENGTH_PREFIX.encode(writer, length));
+                } else {
+                    LENGTH_PREFIX.encode(writer, value.length);
+                }
+                value.flat(dimensions.length - 1).forEach(item => this.writeValue(writer, dataType, item, SCALAR_VALUE_RANK));
+                return;
+            }
+            const definition = this.types[dataType];
+            if (definition && definition.baseType === 'Enumeration') {
+                BINARY_CODECS.Int32.encode(writer, value);
+            } else if (definition && definition.baseType === 'Structure') {
+                definition.fields.forEach(field => this.writeValue(writer, field.dataType, value[field.name], field.valueRank));
+            } else if (definition) {
+                this.writeValue(writer, definition.baseType, value, SCALAR_VALUE_RANK);
+            } else {
+                const codec = BINARY_CODECS[DATA_TYPE_SUPERTYPES[dataType] || dataType];
+                if (!codec) throw new DataTypeError(`${dataType} values have no fixed binary encoding`);
+                codec.encode(writer, value);
+            }
+        }
+
+        readValue(reader, dataType, valueRank) {
+            if (valueRank > 1) {
+                const rank = LENGTH_PREFIX.decode(reader);
+                if (rank !== valueRank) throw new DataTypeError(`expected ${valueRank} array dimensions, got ${rank}`);
+                const dimensions = Array.from({ length: rank }, () => LENGTH_PREFIX.decode(reader));
+                const items = Array.from({ length: dimensions.reduce((product, length) => product * length, 1) }, () => this.readValue(reader, dataType, SCALAR_VALUE_RANK));
+                return reshapeArray(items, dimensions);
+            }
+            if (valueRank !== SCALAR_VALUE_RANK) {
+                const length = LENGTH_PREFIX.decode(reader);
+                reader.ensureAvailable(Math.max(length, 0));
+                return Array.from({ length: Math.max(length, 0) }, () => this.readValue(reader, dataType, SCALAR_VALUE_RANK));
+            }
+            const definition = this.types[dataType];
+            if (definition && definition.baseType === 'Enumeration') return BINARY_CODECS.Int32.decode(reader);
+            if (definition && definition.baseType === 'Structure') {
+                const value = {};
+                definition.fields.forEach(field => { value[field.name] = this.readValue(reader, field.dataType, field.valueRank); });
+                return value;
+            }
+            if (definition) return this.readValue(reader, definition.baseType, SCALAR_VALUE_RANK);
+            const codec = BINARY_CODECS[DATA_TYPE_SUPERTYPES[dataType] || dataType];
+            if (!codec) throw new DataTypeError(`${dataType} values have no fixed binary encoding`);
+            return codec.decode(reader);
+        }
+
+        getXmlElementName(dataType, value) {
+            const builtInType = this.getBuiltInType(dataType);
+            if (builtInType === 'Enumeration') return 'Int32';
+            if (builtInType === 'Structure') return 'ExtensionObject';
+            if (builtInType === 'BaseDataType') return typeof value === 'number' ? 'Double' : typeof value === 'boolean' ? 'Boolean' : 'String';
+            return builtInType;
+        }
+
+        // Content of a NodeSet2 <Value> element: a scalar, a ListOf<Type> or a Matrix.
+        toXml(dataType, value, valueRank = SCALAR_VALUE_RANK) {
+            if (valueRank === SCALAR_VALUE_RANK || !Array.isArray(value)) return this.scalarToXml(dataType, value);
+            const dimensions = getArrayDimensions(value, valueRank > 0 ? valueRank : Infinity);
+            const items = value.flat(dimensions.length - 1).map(item => this.scalarToXml(dataType, item)).join('');
+            if (dimensions.length === 1) {
+                const elementName = this.getXmlElementName(dataType, value[0]);
+                return `<uax:ListOf${elementName}>${items}</uax:ListOf${elementName}>`;
+            }
+            const dimensionsXml = dimensions.map(length => `<uax:Int32>${length}</uax:Int32>`).join('');
+            return `<uax:Matrix><uax:Dimensions>${dimensionsXml}</uax:Dimensions><uax:Elements>${items}</uax:Elements></uax:Matrix>`;
+        }
+
+        scalarToXml(dataType, value) {
+            const definition = this.getDefinition(dataType);
+            if (definition && definition.baseType === 'Structure') {
+                return `<uax:ExtensionObject><uax:TypeId><uax:Identifier>${escapeXml(toShortNodeId(definition.nodeId))}</uax:Identifier></uax:TypeId>`
+                    + `<uax:Body><${definition.name}>${this.innerXml(dataType, value)}</${definition.name}></uax:Body></uax:ExtensionObject>`;
+            }
+            const elementName = this.getXmlElementName(dataType, value);
+            return `<uax:${elementName}>${this.innerXml(dataType, value)}</uax:${elementName}>`;
+        }
+
+        innerXml(dataType, value) {
+            switch (this.getBuiltInType(dataType)) {
+                case 'Structure':
+                    return this.getDefinition(dataType).fields.map(field => {
+                        const fieldValue = value[field.name];
+                        const content = field.valueRank === SCALAR_VALUE_RANK
+                            ? this.innerXml(field.dataType, fieldValue)
+                            : fieldValue.map(item => this.scalarToXml(field.dataType, item)).join('');
+                        return `<${field.name}>${content}</${field.name}>`;
+                    }).join('');
+                case 'LocalizedText':
+                    return `<uax:Locale>${escapeXml(value.locale)}</uax:Locale><uax:Text>${escapeXml(value.text)}</uax:Text>`;
+                case 'QualifiedName':
+                    return `<uax:NamespaceIndex>${value.namespaceIndex}</uax:NamespaceIndex><uax:Name>${escapeXml(value.name)}</uax:Name>`;
+                case 'Guid':
+                    return `<uax:String>${value}</uax:String>`;
+                case 'NodeId':
+                    return `<uax:Identifier>${escapeXml(toShortNodeId(value))}</uax:Identifier>`;
+                case 'BaseDataType':
+                    return escapeXml(typeof value === 'object' ? JSON.stringify(value) : value);
+                default:
+                    return escapeXml(value);
+            }
+        }
+
+        // Reads the child of a NodeSet2 <Value> element back into raw input for convert().
+        fromXml(element, dataType) {
+            if (element.localName.startsWith('ListOf')) return Array.from(element.children).map(item => this.scalarFromXml(item, dataType));
+            if (element.localName === 'Matrix') {
+                const dimensionsElement = getChildElement(element, 'Dimensions');
+                const elementsElement = getChildElement(element, 'Elements');
+                const dimensions = dimensionsElement ? Array.from(dimensionsElement.children).map(child => Number(child.textContent)) : [];
+                const items = elementsElement ? Array.from(elementsElement.children).map(item => this.scalarFromXml(item, dataType)) : [];
+                if (dimensions.reduce((product, length) => product * length, 1) !== items.length) {
+                    throw new Error(`Matrix has ${items.length} elements, expected dimensions [${dimensions.join(', ')}].`);
+                }
+                return reshapeArray(items, dimensions);
+            }
+            return this.scalarFromXml(element, dataType);
+        }
+
+        scalarFromXml(element, dataType) {
+            if (element.localName === 'ExtensionObject') {
+                const body = getChildElement(element, 'Body');
+                return body && body.firstElementChild ? this.innerFromXml(body.firstElementChild, dataType) : undefined;
+            }
+            return this.innerFromXml(element, dataType);
+        }
+
+        innerFromXml(element, dataType) {
+            const childText = (localName) => {
+                const child = getChildElement(element, localName);
+                return child ? child.textContent : '';
+            };
+            switch (this.getBuiltInType(dataType)) {
+                case 'Structure': {
+                    const value = {};
+                    this.getDefinition(dataType).fields.forEach(field => {
+                        const fieldElement = getChildElement(element, field.name);
+                        if (!fieldElement) return;
+                        value[field.name] = field.valueRank === SCALAR_VALUE_RANK
+                            ? this.scalarFromXml(fieldElement, field.dataType)
+                            : Array.from(fieldElement.children).map(item => this.scalarFromXml(item, field.dataType));
+                    });
+                    return value;
+                }
+                case 'LocalizedText':
+                    return { locale: childText('Locale'), text: childText('Text') };
+                case 'QualifiedName':
+                    return { namespaceIndex: childText('NamespaceIndex').trim() || 0, name: childText('Name') };
+                case 'Guid':
+                    return (getChildElement(element, 'String') || element).textContent.trim();
+                case 'NodeId':
+                    return (getChildElement(element, 'Identifier') || element).textContent.trim();
+                case 'String':
+                    return element.textContent;
+                default:
+                    return element.textContent.trim();
+            }
+        }
+    }
+
+    // --- Address Space (Nodes & References) ---
+    const ROOT_NODE_ID = 'ns=0;i=84';
+    const OBJECTS_FOLDER_NODE_ID = 'ns=0;i=85';
+    const TYPES_FOLDER_NODE_ID = 'ns=0;i=86';
+    const VIEWS_FOLDER_NODE_ID = 'ns=0;i=87';
+    const BASE_OBJECT_TYPE_NODE_ID = 'ns=0;i=58';
+    const FOLDER_TYPE_NODE_ID = 'ns=0;i=61';
+    const BASE_VARIABLE_TYPE_NODE_ID = 'ns=0;i=62';
+    const BASE_DATA_VARIABLE_TYPE_NODE_ID = 'ns=0;i=63';
+    const PROPERTY_TYPE_NODE_ID = 'ns=0;i=68';
+    const DATA_ITEM_TYPE_NODE_ID = 'ns=0;i=2365';
+    const ANALOG_ITEM_TYPE_NODE_ID = 'ns=0;i=2368';
+
+    // The standard ReferenceType hierarchy; only concrete types can be used between nodes.
+    const REFERENCE_TYPES = {
+        References: { nodeId: 'ns=0;i=31', isAbstract: true, inverseName: 'References' },
+        HierarchicalReferences: { nodeId: 'ns=0;i=33', supertype: 'References', isAbstract: true, inverseName: 'InverseHierarchicalReferences' },
+        NonHierarchicalReferences: { nodeId: 'ns=0;i=32', supertype: 'References', isAbstract: true, inverseName: 'NonHierarchicalReferences' },
+        HasChild: { nodeId: 'ns=0;i=34', supertype: 'HierarchicalReferences', isAbstract: true, inverseName: 'ChildOf' },
+        Organizes: { nodeId: 'ns=0;i=35', supertype: 'HierarchicalReferences', inverseName: 'OrganizedBy' },
+        Aggregates: { nodeId: 'ns=0;i=44', supertype: 'HasChild', isAbstract: true, inverseName: 'AggregatedBy' },
+        HasSubtype: { nodeId: 'ns=0;i=45', supertype: 'HasChild', inverseName: 'SubtypeOf' },
+        HasProperty: { nodeId: 'ns=0;i=46', supertype: 'Aggregates', inverseName: 'PropertyOf' },
+        HasComponent: { nodeId: 'ns=0;i=47', supertype: 'Aggregates', inverseName: 'ComponentOf' },
+        HasTypeDefinition: { nodeId: 'ns=0;i=40', supertype: 'NonHierarchicalReferences', inverseName: 'TypeDefinitionOf' }
+    };
+    // Instance declarations carry a ModellingRule; only NodeSet2 files spell it out as a reference.
+    const HAS_MODELLING_RULE_NODE_ID = 'ns=0;i=37';
+    const MODELLING_RULES = { Mandatory: 'ns=0;i=78', Optional: 'ns=0;i=80' };
+    const BROWSE_DIRECTIONS = ['Forward', 'Inverse', 'Both'];
+    // NodeClass values from the OPC UA spec, used as bits of a browse nodeClassMask.
+    const NODE_CLASS_MASKS = { Object: 1, Variable: 2, Method: 4, ObjectType: 8, VariableType: 16, ReferenceType: 32, DataType: 64, View: 128 };
+    const TYPE_NODE_CLASSES = ['ObjectType', 'VariableType', 'DataType', 'ReferenceType'];
+    // NodeClasses a model file may define; DataTypes come from its dataTypes section.
+    const MODEL_NODE_CLASSES = ['Object', 'Variable', 'Method', 'ObjectType', 'VariableType'];
+    // NodeClasses each parent may hold as a child.
+    const CHILD_NODE_CLASSES = {
+        Object: ['Object', 'Variable', 'Method', 'ObjectType', 'VariableType', 'DataType', 'ReferenceType'],
+        ObjectType: ['Object', 'Variable', 'Method', 'ObjectType'],
+        Variable: ['Variable'],
+        VariableType: ['Variable', 'VariableType'],
+        DataType: ['DataType'],
+        ReferenceType: ['ReferenceType'],
+        Method: ['Variable']
+    };
+    // Types that contain instances of themselves would be stamped out forever.
+    const MAX_INSTANCE_DEPTH = 16;
+
+    // The folders and base types every server has. Reference types and data types are added from their tables.
+    const STANDARD_NODES = [
+        { nodeId: ROOT_NODE_ID, browseName: 'Root', nodeClass: 'Object', typeDefinition: FOLDER_TYPE_NODE_ID },
+        { nodeId: OBJECTS_FOLDER_NODE_ID, browseName: 'Objects', nodeClass: 'Object', parentNodeId: ROOT_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+        { nodeId: TYPES_FOLDER_NODE_ID, browseName: 'Types', nodeClass: 'Object', parentNodeId: ROOT_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+        { nodeId: VIEWS_FOLDER_NODE_ID, browseName: 'Views', nodeClass: 'Object', parentNodeId: ROOT_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+        { nodeId: 'ns=0;i=88', browseName: 'ObjectTypes', nodeClass: 'Object', parentNodeId: TYPES_FOLDER_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+        { nodeId: 'ns=0;i=89', browseName: 'VariableTypes', nodeClass: 'Object', parentNodeId: TYPES_FOLDER_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+        { nodeId: 'ns=0;i=90', browseName: 'DataTypes', nodeClass: 'Object', parentNodeId: TYPES_FOLDER_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+        { nodeId: 'ns=0;i=91', browseName: 'ReferenceTypes', nodeClass: 'Object', parentNodeId: TYPES_FOLDER_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+        { nodeId: BASE_OBJECT_TYPE_NODE_ID, browseName: 'BaseObjectType', nodeClass: 'ObjectType', parentNodeId: 'ns=0;i=88' },
+        { nodeId: FOLDER_TYPE_NODE_ID, browseName: 'FolderType', nodeClass: 'ObjectType', parentNodeId: BASE_OBJECT_TYPE_NODE_ID },
+        { nodeId: BASE_VARIABLE_TYPE_NODE_ID, browseName: 'BaseVariableType', nodeClass: 'VariableType', parentNodeId: 'ns=0;i=89', isAbstract: true, dataType: 'BaseDataType', valueRank: -2 },
+        { nodeId: BASE_DATA_VARIABLE_TYPE_NODE_ID, browseName: 'BaseDataVariableType', nodeClass: 'VariableType', parentNodeId: BASE_VARIABLE_TYPE_NODE_ID, dataType: 'BaseDataType', valueRank: -2 },
+        { nodeId: PROPERTY_TYPE_NODE_ID, browseName: 'PropertyType', nodeClass: 'VariableType', parentNodeId: BASE_VARIABLE_TYPE_NODE_ID, dataType: 'BaseDataType', valueRank: -2 },
+        { nodeId: DATA_ITEM_TYPE_NODE_ID, browseName: 'DataItemType', nodeClass: 'VariableType', parentNodeId: BASE_DATA_VARIABLE_TYPE_NODE_ID, dataType: 'BaseDataType', valueRank: -2 },
+        { nodeId: ANALOG_ITEM_TYPE_NODE_ID, browseName: 'AnalogItemType', nodeClass: 'VariableType', parentNodeId: DATA_ITEM_TYPE_NODE_ID, dataType: 'BaseDataType', valueRank: -2 },
+        { nodeId: 'ns=0;i=2004', browseName: 'ServerType', nodeClass: 'ObjectType', parentNodeId: BASE_OBJECT_TYPE_NODE_ID },
+        { nodeId: 'ns=0;i=2020', browseName: 'ServerDiagnosticsType', nodeClass: 'ObjectType', parentNodeId: BASE_OBJECT_TYPE_NODE_ID },
+        { nodeId: 'ns=0;i=2138', browseName: 'ServerStatusType', nodeClass: 'VariableType', parentNodeId: BASE_DATA_VARIABLE_TYPE_NODE_ID, dataType: 'ServerStatusDataType' },
+        { nodeId: 'ns=0;i=3051', browseName: 'BuildInfoType', nodeClass: 'VariableType', parentNodeId: BASE_DATA_VARIABLE_TYPE_NODE_ID, dataType: 'BuildInfo' },
+        { nodeId: 'ns=0;i=2150', browseName: 'ServerDiagnosticsSummaryType', nodeClass: 'VariableType', parentNodeId: BASE_DATA_VARIABLE_TYPE_NODE_ID, dataType: 'ServerDiagnosticsSummaryDataType' }
+    ];
+    // Abstract DataTypes that group the built-in ones in the Types/DataTypes tree.
+    const ABSTRACT_DATA_TYPES = { 'i=26': 'Number', 'i=27': 'Integer', 'i=28': 'UInteger' };
+
+    function getDataTypeSupertype(name) {
+        if (name === 'BaseDataType') return null;
+        if (DATA_TYPE_SUPERTYPES[name]) return DATA_TYPE_SUPERTYPES[name];
+        if (name === 'Integer' || name === 'UInteger' || name === 'Float' || name === 'Double') return 'Number';
+        if (INTEGER_RANGES[name]) return INTEGER_RANGES[name][0] < 0n ? 'Integer' : 'UInteger';
+        return 'BaseDataType';
+    }
+
+    // Node definitions, in the model file format, for the standard nodes plus one DataType node per data type.
+    function createStandardNodeDefinitions(dataTypes) {
+        const definitions = STANDARD_NODES.map(definition => ({ ...definition }));
+        Object.entries(REFERENCE_TYPES).forEach(([name, referenceType]) => {
+            definitions.push({
+                nodeId: referenceType.nodeId, browseName: name, nodeClass: 'ReferenceType', isAbstract: referenceType.isAbstract === true,
+                parentNodeId: referenceType.supertype ? REFERENCE_TYPES[referenceType.supertype].nodeId : 'ns=0;i=91',
+                inverseName: referenceType.inverseName
+            });
+        });
+        const dataTypeNodeIds = {};
+        Object.entries({ ...BUILT_IN_DATA_TYPES, ...ABSTRACT_DATA_TYPES }).forEach(([nodeId, name]) => {
+            dataTypeNodeIds[name] = `ns=0;${nodeId}`;
+        });
+        [...STANDARD_DATA_TYPES, ...dataTypes.list()].forEach(definition => {
+            dataTypeNodeIds[definition.name] = definition.nodeId;
+        });
+        Object.entries(dataTypeNodeIds).forEach(([name, nodeId]) => {
+            const custom = dataTypes.get(name);
+            const supertype = custom ? custom.baseType : getDataTypeSupertype(name);
+            definitions.push({
+                nodeId, browseName: name, nodeClass: 'DataType',
+                isAbstract: !custom && ['BaseDataType', 'Number', 'Integer', 'UInteger', 'Structure', 'Enumeration'].includes(name),
+                parentNodeId: supertype ? dataTypeNodeIds[supertype] : 'ns=0;i=90'
+            });
+        });
+        return definitions;
+    }
+
+    // Accepts a ReferenceType name or NodeId ('HasComponent', 'i=47', 'ns=0;i=47'); returns the name or null.
+    function resolveReferenceType(referenceType) {
+        if (Object.prototype.hasOwnProperty.call(REFERENCE_TYPES, referenceType)) return referenceType;
+        const nodeId = normalizeNodeId(referenceType);
+        return Object.keys(REFERENCE_TYPES).find(name => REFERENCE_TYPES[name].nodeId === nodeId) || null;
+    }
+
+    function isReferenceSubtype(referenceType, ancestor) {
+        for (let current = referenceType; current; current = REFERENCE_TYPES[current].supertype) {
+            if (current === ancestor) return true;
+        }
+        return false;
+    }
+
+    function getDefaultReferenceType(nodeClass, parent) {
+        if (TYPE_NODE_CLASSES.includes(nodeClass)) return parent.nodeClass === nodeClass ? 'HasSubtype' : 'Organizes';
+        if (nodeClass === 'Object' && parent.typeDefinition === FOLDER_TYPE_NODE_ID) return 'Organizes';
+        if (parent.nodeClass === 'Method') return 'HasProperty';
+        return 'HasComponent';
+    }
+
+    function getDefaultTypeDefinition(nodeClass, referenceType) {
+        if (nodeClass === 'Object') return BASE_OBJECT_TYPE_NODE_ID;
+        if (nodeClass === 'Variable') return referenceType === 'HasProperty' ? PROPERTY_TYPE_NODE_ID : BASE_DATA_VARIABLE_TYPE_NODE_ID;
+        return undefined;
+    }
+
+    // Children of an instance are named after it: ns=1;s=Sensor1 + Value -> ns=1;s=Sensor1.Value.
+    function createInstanceNodeId(parentNodeId, browseName) {
+        const identifier = parentNodeId.replace(/^ns=\d+;/, '').replace(/^s=/, '');
+        return `ns=${getNamespaceIndex(parentNodeId)};s=${identifier}.${browseName}`;
+    }
+
+    // Adds a copy of the Mandatory instance declarations of each Object's and Variable's type (and of the
+    // declaration it was copied from) unless the model already has a child with that BrowseName. Copies are
+    // expanded the same way, so nested types are instantiated too. Variables also take their DataType,
+    // ValueRank and default value from their VariableType when the model leaves them out.
+    function expandTypeInstances(definitions) {
+        const byId = new Map(definitions.map(definition => [definition.nodeId, definition]));
+        const childrenByParent = new Map();
+        const addChild = (definition) => {
+            if (!childrenByParent.has(definition.parentNodeId)) childrenByParent.set(definition.parentNodeId, []);
+            childrenByParent.get(definition.parentNodeId).push(definition);
+        };
+        definitions.forEach(addChild);
+        const getSupertype = (type) => {
+            const parent = byId.get(type.parentNodeId);
+            return parent && parent.nodeClass === type.nodeClass && (type.referenceType || 'HasSubtype') === 'HasSubtype' ? parent : null;
+        };
+        const declarationCache = new Map();
+        const isDeclaration = (definition) => {
+            if (!declarationCache.has(definition.nodeId)) {
+                const parent = byId.get(definition.parentNodeId);
+                declarationCache.set(definition.nodeId, !!parent && parent !== definition
+                    && !TYPE_NODE_CLASSES.includes(definition.nodeClass)
+                    && (parent.nodeClass === 'ObjectType' || parent.nodeClass === 'VariableType' || isDeclaration(parent)));
+            }
+            return declarationCache.get(definition.nodeId);
+        };
+
+        const expanded = [];
+        const queue = definitions.map(definition => ({ definition, source: null, depth: 0 }));
+        // Walked by index: shifting a queue of tens of thousands of load-test nodes is quadratic.
+        for (let next = 0; next < queue.length; next++) {
+            const { definition, source, depth } = queue[next];
+            if (isDeclaration(definition)) definition.modellingRule = definition.modellingRule || 'Mandatory';
+            expanded.push(definition);
+            if (definition.nodeClass !== 'Object' && definition.nodeClass !== 'Variable') continue;
+
+            const typeChain = [];
+            for (let type = byId.get(definition.typeDefinition); type && !typeChain.includes(type); type = getSupertype(type)) {
+                typeChain.push(type);
+            }
+            if (definition.nodeClass === 'Variable') {
+                // The standard VariableTypes allow any value, so they leave the node's own defaults alone.
+                ['dataType', 'valueRank', 'arrayDimensions', 'value'].forEach(attribute => {
+                    const type = typeChain.find(candidate => candidate.nodeClass === 'VariableType'
+                        && getNamespaceIndex(candidate.nodeId) > 0 && candidate[attribute] !== undefined);
+                    if (definition[attribute] === undefined && type) definition[attribute] = type[attribute];
+                });
+            }
+            // The declaration a node was copied from wins over its type, subtypes over supertypes.
+            const declarationSources = [source, ...typeChain].filter(Boolean);
+            const takenNames = new Set((childrenByParent.get(definition.nodeId) || []).map(child => child.browseName));
+            declarationSources.forEach(declarationSource => {
+                (childrenByParent.get(declarationSource.nodeId) || []).forEach(declaration => {
+                    if (TYPE_NODE_CLASSES.includes(declaration.nodeClass) || (declaration.modellingRule || 'Mandatory') !== 'Mandatory') return;
+                    if (takenNames.has(declaration.browseName)) return;
+                    if (depth >= MAX_INSTANCE_DEPTH) {
+                        throw new Error(`Instantiating '${definition.typeDefinition}' does not terminate; does a type contain an instance of itself?`);
+                    }
+                    takenNames.add(declaration.browseName);
+                    const copy = { ...declaration, nodeId: createInstanceNodeId(definition.nodeId, declaration.browseName), parentNodeId: definition.nodeId };
+                    delete copy.modellingRule;
+                    if (byId.has(copy.nodeId)) throw new Error(`Duplicate NodeId '${copy.nodeId}' while instantiating '${definition.nodeId}'.`);
+                    byId.set(copy.nodeId, copy);
+                    addChild(copy);
+                    queue.push({ definition: copy, source: declaration, depth: depth + 1 });
+                });
+            });
+        }
+        return expanded;
+    }
+
+    // UNECE Recommendation 20 codes of common units; the UnitId of EUInformation packs the code's characters.
+    const UNECE_UNITS_NAMESPACE_URI = 'http://www.opcfoundation.org/UA/units/un/cefact';
+    const UNECE_UNITS = {
+        degC: ['CEL', 'degree Celsius'], K: ['KEL', 'kelvin'], kPa: ['KPA', 'kilopascal'], bar: ['BAR', 'bar'],
+        '%': ['P1', 'percent'], rpm: ['RPM', 'revolutions per minute'], A: ['AMP', 'ampere'], V: ['VLT', 'volt'],
+        kW: ['KWT', 'kilowatt'], kWh: ['KWH', 'kilowatt hour'], Hz: ['HTZ', 'hertz'], mm: ['MMT', 'millimetre'],
+        m: ['MTR', 'metre'], s: ['SEC', 'second'], 'm3/h': ['MQH', 'cubic metre per hour'], 'l/min': ['L2', 'litre per minute']
+    };
+
+    // Accepts a unit symbol ('degC') or { displayName, description, unitId, namespaceUri }.
+    function normalizeEngineeringUnits(raw) {
+        const units = typeof raw === 'string' ? { displayName: raw } : raw;
+        if (!isPlainObject(units) || typeof units.displayName !== 'string' || units.displayName === '') {
+            throw new Error('engineering units need a displayName such as \'degC\'.');
+        }
+        const known = UNECE_UNITS[units.displayName];
+        const unitId = units.unitId !== undefined ? Number(units.unitId)
+            : known ? Array.from(known[0]).reduce((id, character) => (id << 8) | character.charCodeAt(0), 0) : -1;
+        if (!Number.isInteger(unitId)) throw new Error(`unitId ${JSON.stringify(units.unitId)} is not an integer.`);
+        return {
+            displayName: units.displayName,
+            description: units.description !== undefined ? String(units.description) : (known ? known[1] : ''),
+            unitId,
+            namespaceUri: units.namespaceUri !== undefined ? String(units.namespaceUri) : UNECE_UNITS_NAMESPACE_URI
+        };
+    }
+
+    function normalizeEuRange(raw) {
+        const low = Number(raw && raw.low);
+        const high = Number(raw && raw.high);
+        if (!Number.isFinite(low) || !Number.isFinite(high) || low >= high) {
+            throw new Error(`EURange ${JSON.stringify(raw)} needs numbers with low < high.`);
+        }
+        return { low, high };
+    }
+
+    // Variables with an euRange or engineeringUnits get the matching AnalogItemType properties, and become
+    // AnalogItemType instances when the model names no type. Models read from NodeSet2 files only have the
+    // properties, so the node's own fields are taken from them.
+    function addAnalogItemProperties(definitions) {
+        const childrenByParent = new Map();
+        definitions.forEach(definition => {
+            if (!definition.parentNodeId) return;
+            if (!childrenByParent.has(definition.parentNodeId)) childrenByParent.set(definition.parentNodeId, new Map());
+            childrenByParent.get(definition.parentNodeId).set(definition.browseName, definition);
+        });
+        const properties = [];
+        definitions.forEach(definition => {
+            if (definition.nodeClass !== 'Variable') return;
+            const children = childrenByParent.get(definition.nodeId) || new Map();
+            const range = children.get('EURange');
+            if (!definition.euRange && range && isPlainObject(range.value)) {
+                definition.euRange = { low: range.value.Low, high: range.value.High };
+            }
+            const units = children.get('EngineeringUnits');
+            if (!definition.engineeringUnits && units && isPlainObject(units.value) && units.value.DisplayName) {
+                definition.engineeringUnits = {
+                    displayName: units.value.DisplayName.text, description: units.value.Description ? units.value.Description.text : '',
+                    unitId: units.value.UnitId, namespaceUri: units.value.NamespaceUri
+                };
+            }
+            if (!definition.euRange && !definition.engineeringUnits) return;
+            try {
+                if (definition.euRange) definition.euRange = normalizeEuRange(definition.euRange);
+                if (definition.engineeringUnits) definition.engineeringUnits = normalizeEngineeringUnits(definition.engineeringUnits);
+            } catch (e) {
+                throw new Error(`Variable '${definition.nodeId}': ${e.message}`);
+            }
+            if (!definition.typeDefinition && definition.referenceType !== 'HasProperty') definition.typeDefinition = ANALOG_ITEM_TYPE_NODE_ID;
+            // The node's fields win over a property the model spells out, so the two cannot disagree.
+            const setProperty = (browseName, dataType, value) => {
+                if (children.has(browseName)) {
+                    children.get(browseName).value = value;
+                    return;
+                }
+                const property = {
+                    nodeId: createInstanceNodeId(definition.nodeId, browseName), browseName, nodeClass: 'Variable',
+                    parentNodeId: definition.nodeId, referenceType: 'HasProperty', dataType, value, historizing: false
+                };
+                if (definition.modellingRule) property.modellingRule = 'Mandatory';
+                properties.push(property);
+            };
+            if (definition.euRange) setProperty('EURange', 'Range', { Low: definition.euRange.low, High: definition.euRange.high });
+            if (definition.engineeringUnits) {
+                const { displayName, description, unitId, namespaceUri } = definition.engineeringUnits;
+                setProperty('EngineeringUnits', 'EUInformation', {
+                    NamespaceUri: namespaceUri, UnitId: unitId, DisplayName: { locale: '', text: displayName }, Description: { locale: '', text: description }
+                });
+            }
+        });
+        return definitions.concat(properties);
+    }
+
+    // NodeId-indexed node store. Every reference is kept on both of its nodes, so inverse browsing is a lookup.
+    class AddressSpace {
+        constructor() {
+            this.nodes = new Map();
+        }
+
+        addNode(node) {
+            node.references = [];
+            this.nodes.set(node.nodeId, node);
+            return node;
+        }
+
+        getNode(nodeId) {
+            if (typeof nodeId !== 'string') return null;
+            return this.nodes.get(nodeId) || this.nodes.get(normalizeNodeId(nodeId)) || null;
+        }
+
+        addReference(sourceNode, referenceType, targetNode) {
+            const exists = sourceNode.references.some(reference =>
+                reference.isForward && reference.referenceType === referenceType && reference.nodeId === targetNode.nodeId);
+            if (exists) return;
+            sourceNode.references.push({ referenceType, isForward: true, nodeId: targetNode.nodeId });
+            targetNode.references.push({ referenceType, isForward: false, nodeId: sourceNode.nodeId });
+        }
+
+        // referenceType null matches every reference.
+        getReferences(node, { browseDirection = 'Forward', referenceType = 'HierarchicalReferences', includeSubtypes = true } = {}) {
+            return node.references.filter(reference =>
+                (browseDirection === 'Both' || reference.isForward === (browseDirection === 'Forward'))
+                && (!referenceType || (includeSubtypes ? isReferenceSubtype(reference.referenceType, referenceType) : reference.referenceType === referenceType)));
+        }
+
+        getChildren(node) {
+            return this.getReferences(node).map(reference => this.nodes.get(reference.nodeId));
+        }
+
+        // All nodes below a node, following forward hierarchical references; shared children are listed once.
+        getDescendants(node) {
+            const visited = new Set([node.nodeId]);
+            const descendants = [];
+            const pending = [node];
+            while (pending.length > 0) {
+                this.getChildren(pending.pop()).forEach(child => {
+                    if (visited.has(child.nodeId)) return;
+                    visited.add(child.nodeId);
+                    descendants.push(child);
+                    pending.push(child);
+                });
+            }
+            return descendants;
+        }
+    }
+
+    // BrowseNames are stored without a namespace index; a '1:Name' target also checks the node's namespace.
+    function matchesBrowseName(node, targetName) {
+        const match = /^(\d+):(.*)$/s.exec(targetName);
+        if (!match) return node.browseName === targetName;
+        return node.browseName === match[2] && getNamespaceIndex(node.nodeId) === Number(match[1]);
+    }
+
+    // Parses the text form of a RelativePath: '/' follows hierarchical references, '.' aggregates, and
+    // '<HasProperty>' a given type ('<!...>' inverse, '<#...>' without subtypes). '&' escapes the next
+    // character and a BrowseName may carry a namespace index ('1:Temperature').
+    function parseRelativePath(text) {
+        const elements = [];
+        let index = 0;
+        while (index < text.length) {
+            const element = { referenceType: 'HierarchicalReferences', isInverse: false, includeSubtypes: true, targetName: '' };
+            const marker = text[index];
+            if (marker === '.') {
+                element.referenceType = 'Aggregates';
+            } else if (marker === '<') {
+                const end = text.indexOf('>', index);
+                if (end < 0) throw new Error(`Unclosed '<' at position ${index} of '${text}'.`);
+                let name = text.slice(index + 1, end);
+                while (name.startsWith('!') || name.startsWith('#')) {
+                    if (name[0] === '!') element.isInverse = true;
+                    else element.includeSubtypes = false;
+                    name = name.slice(1);
+                }
+                element.referenceType = name;
+                index = end;
+            } else if (marker !== '/') {
+                throw new Error(`A relative path element starts with '/', '.' or '<', not '${marker}'.`);
+            }
+            index++;
+            while (index < text.length && !'/.<'.includes(text[index])) {
+                if (text[index] === '&') index++;
+                element.targetName += text[index] || '';
+                index++;
+            }
+            elements.push(element);
+        }
+        return elements;
+    }
+
+    // --- Information Model (NodeSet2 XML / JSON) ---
+    const OPC_UA_NAMESPACE_URI = 'http://opcfoundation.org/UA/';
+    const NODESET2_XMLNS = 'http://opcfoundation.org/UA/2011/03/UANodeSet.xsd';
+    const UA_TYPES_XMLNS = 'http://opcfoundation.org/UA/2008/02/Types.xsd';
+    const SIMULATOR_XMLNS = 'urn:opcua-simulator:extensions';
+
+    // AccessLevel bits from the OPC UA spec.
+    const ACCESS_LEVELS = { CurrentRead: 1, CurrentWrite: 2, HistoryRead: 4 };
+
+    // Works on nodes and on model definitions, whose historizing defaults to true.
+    function getAccessLevelBits(node) {
+        return ACCESS_LEVELS.CurrentRead
+            | (node.accessLevel === 'ReadWrite' ? ACCESS_LEVELS.CurrentWrite : 0)
+            | (node.historizing !== false ? ACCESS_LEVELS.HistoryRead : 0);
+    }
+
+    // Operators see the simulation switches but only engineers may flip them.
+    const ENGINEER_ONLY_CALL = { Operator: ['Browse'], Engineer: ['Browse', 'Call'], ConfigureAdmin: ['Browse', 'Call'] };
+
+    const DEFAULT_MODEL = {
+        namespaceUris: ['urn:opcua-simulator:mydevices'],
+        dataTypes: [
+            {
+                name: 'MachineState', nodeId: 'ns=1;s=DataTypes.MachineState', baseType: 'Enumeration',
+                fields: [{ name: 'Stopped', value: 0 }, { name: 'Starting', value: 1 }, { name: 'Running', value: 2 }, { name: 'Faulted', value: 3 }]
+            },
+            {
+                name: 'PumpSettings', nodeId: 'ns=1;s=DataTypes.PumpSettings', baseType: 'Structure',
+                fields: [
+                    { name: 'Speed', dataType: 'Double' }, { name: 'Enabled', dataType: 'Boolean' },
+                    { name: 'Mode', dataType: 'MachineState' }, { name: 'Limits', dataType: 'Float', valueRank: 1, arrayDimensions: [2] }
+                ]
+            }
+        ],
+        nodes: [
+            { nodeId: 'ns=1;s=Folder1', browseName: 'MyDevices', nodeClass: 'Object', parentNodeId: OBJECTS_FOLDER_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+            {
+                nodeId: 'ns=1;s=Temperature', browseName: 'Temperature', nodeClass: 'Variable', parentNodeId: 'ns=1;s=Folder1', dataType: 'Float', accessLevel: 'ReadWrite', value: 25.5,
+                engineeringUnits: 'degC', euRange: { low: -40, high: 120 },
+                simulation: { type: 'randomWalk', updateRate: 2000, stepSize: 1, min: 20, max: 30 },
+                alarm: { type: 'ExclusiveLimitAlarm', highHighLimit: 29, highLimit: 28, lowLimit: 22, lowLowLimit: 21 }
+            },
+            {
+                nodeId: 'ns=1;s=Pressure', browseName: 'Pressure', nodeClass: 'Variable', parentNodeId: 'ns=1;s=Folder1', dataType: 'Float', accessLevel: 'ReadWrite', value: 101.2,
+                engineeringUnits: 'kPa', euRange: { low: 0, high: 200 },
+                simulation: { type: 'randomWalk', updateRate: 2000, stepSize: 0.5, min: 98, max: 103 }
+            },
+            {
+                nodeId: 'ns=1;s=Status', browseName: 'Status', nodeClass: 'Variable', parentNodeId: 'ns=1;s=Folder1', dataType: 'Boolean', accessLevel: 'ReadOnly', value: true,
+                simulation: { type: 'square', updateRate: 1000, low: 0, high: 1, period: 60000, dutyCycle: 80 },
+                alarm: { type: 'OffNormalAlarm', normalState: true }
+            },
+            { nodeId: 'ns=1;s=DeviceName', browseName: 'DeviceName', nodeClass: 'Variable', parentNodeId: 'ns=1;s=Folder1', dataType: 'String', accessLevel: 'ReadOnly', value: 'SensorUnit-A' },
+            { nodeId: 'ns=1;s=Setpoint', browseName: 'Setpoint', nodeClass: 'Variable', parentNodeId: 'ns=1;s=Folder1', dataType: 'Double', accessLevel: 'ReadOnly', value: 25 },
+            {
+                nodeId: 'ns=1;s=CycleCount', browseName: 'CycleCount', nodeClass: 'Variable', parentNodeId: 'ns=1;s=Folder1', dataType: 'UInt32', accessLevel: 'ReadOnly', value: 0,
+                simulation: { type: 'counter', updateRate: 1000, increment: 1 }
+            },
+            {
+                nodeId: 'ns=1;s=ResetCounters', browseName: 'ResetCounters', nodeClass: 'Method', parentNodeId: 'ns=1;s=Folder1', handler: 'resetCounters',
+                inputArguments: [], outputArguments: [{ name: 'CountersReset', dataType: 'UInt32' }]
+            },
+            {
+                nodeId: 'ns=1;s=SetSetpoint', browseName: 'SetSetpoint', nodeClass: 'Method', parentNodeId: 'ns=1;s=Folder1', handler: 'setSetpoint',
+                inputArguments: [{ name: 'Setpoint', dataType: 'Double' }], outputArguments: [{ name: 'PreviousSetpoint', dataType: 'Double' }]
+            },
+            {
+                nodeId: 'ns=1;s=StartSimulation', browseName: 'StartSimulation', nodeClass: 'Method', parentNodeId: 'ns=1;s=Folder1', handler: 'startSimulation',
+                inputArguments: [], outputArguments: [], rolePermissions: ENGINEER_ONLY_CALL
+            },
+            {
+                nodeId: 'ns=1;s=StopSimulation', browseName: 'StopSimulation', nodeClass: 'Method', parentNodeId: 'ns=1;s=Folder1', handler: 'stopSimulation',
+                inputArguments: [], outputArguments: [], rolePermissions: ENGINEER_ONLY_CALL
+            },
+            // Tags with the data types a typical PLC exposes.
+            { nodeId: 'ns=1;s=PLC1', browseName: 'PLC1', nodeClass: 'Object', parentNodeId: OBJECTS_FOLDER_NODE_ID },
+            { nodeId: 'ns=1;s=PLC1.MotorSpeedRaw', browseName: 'MotorSpeedRaw', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'Int16', accessLevel: 'ReadWrite', value: 1200 },
+            { nodeId: 'ns=1;s=PLC1.ErrorCode', browseName: 'ErrorCode', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'Byte', accessLevel: 'ReadWrite', value: 0 },
+            { nodeId: 'ns=1;s=PLC1.EnergyCounter', browseName: 'EnergyCounter', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'UInt64', accessLevel: 'ReadWrite', value: '9007199254740993' },
+            { nodeId: 'ns=1;s=PLC1.LastMaintenance', browseName: 'LastMaintenance', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'DateTime', accessLevel: 'ReadWrite', value: '2024-01-15T08:30:00.000Z' },
+            { nodeId: 'ns=1;s=PLC1.BatchId', browseName: 'BatchId', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'Guid', accessLevel: 'ReadWrite', value: '72962B91-FA75-4AE6-8D28-B404DC7DAF63' },
+            { nodeId: 'ns=1;s=PLC1.RawTelegram', browseName: 'RawTelegram', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'ByteString', accessLevel: 'ReadWrite', value: 'AQIDBA==' },
+            { nodeId: 'ns=1;s=PLC1.OperatorMessage', browseName: 'OperatorMessage', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'LocalizedText', accessLevel: 'ReadWrite', value: { locale: 'en-US', text: 'Line running' } },
+            { nodeId: 'ns=1;s=PLC1.ActiveTool', browseName: 'ActiveTool', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'QualifiedName', accessLevel: 'ReadWrite', value: { namespaceIndex: 1, name: 'Drill6mm' } },
+            { nodeId: 'ns=1;s=PLC1.LinkedSensor', browseName: 'LinkedSensor', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'NodeId', accessLevel: 'ReadWrite', value: 'ns=1;s=Temperature' },
+            { nodeId: 'ns=1;s=PLC1.MachineState', browseName: 'MachineState', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'MachineState', accessLevel: 'ReadWrite', value: 2 },
+            {
+                nodeId: 'ns=1;s=PLC1.PumpSettings', browseName: 'PumpSettings', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'PumpSettings', accessLevel: 'ReadWrite',
+                value: { Speed: 1450, Enabled: true, Mode: 'Running', Limits: [10, 90] }
+            },
+            {
+                nodeId: 'ns=1;s=PLC1.RecipeSteps', browseName: 'RecipeSteps', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'Int16', accessLevel: 'ReadWrite',
+                valueRank: 1, arrayDimensions: [10], value: [100, 250, 400]
+            },
+            {
+                nodeId: 'ns=1;s=PLC1.ZoneTemperatures', browseName: 'ZoneTemperatures', nodeClass: 'Variable', parentNodeId: 'ns=1;s=PLC1', dataType: 'Float', accessLevel: 'ReadWrite',
+                valueRank: 2, arrayDimensions: [2, 3], value: [[180, 185, 190], [175, 180, 185]]
+            },
+            // A sensor type stamped out three times. Each sensor gets its own Value (with EURange and EngineeringUnits)
+            // and SerialNumber; Sensor1 brings its own SerialNumber, and the Optional CalibrationDate is left out.
+            {
+                nodeId: 'ns=1;s=AnalogMeasurementType', browseName: 'AnalogMeasurementType', nodeClass: 'VariableType', parentNodeId: ANALOG_ITEM_TYPE_NODE_ID,
+                dataType: 'Double', value: 0
+            },
+            { nodeId: 'ns=1;s=SensorType', browseName: 'SensorType', nodeClass: 'ObjectType', parentNodeId: BASE_OBJECT_TYPE_NODE_ID },
+            {
+                nodeId: 'ns=1;s=SensorType.Value', browseName: 'Value', nodeClass: 'Variable', parentNodeId: 'ns=1;s=SensorType',
+                typeDefinition: 'ns=1;s=AnalogMeasurementType', accessLevel: 'ReadOnly', value: 50,
+                engineeringUnits: 'degC', euRange: { low: 0, high: 100 },
+                simulation: { type: 'randomWalk', updateRate: 1000, stepSize: 0.5, min: 40, max: 60 }
+            },
+            {
+                nodeId: 'ns=1;s=SensorType.SerialNumber', browseName: 'SerialNumber', nodeClass: 'Variable', parentNodeId: 'ns=1;s=SensorType',
+                referenceType: 'HasProperty', dataType: 'String', accessLevel: 'ReadOnly', value: 'unassigned'
+            },
+            {
+                nodeId: 'ns=1;s=SensorType.CalibrationDate', browseName: 'CalibrationDate', nodeClass: 'Variable', parentNodeId: 'ns=1;s=SensorType',
+                referenceType: 'HasProperty', modellingRule: 'Optional', dataType: 'DateTime', accessLevel: 'ReadWrite'
+            },
+            { nodeId: 'ns=1;s=Sensors', browseName: 'Sensors', nodeClass: 'Object', parentNodeId: OBJECTS_FOLDER_NODE_ID, typeDefinition: FOLDER_TYPE_NODE_ID },
+            { nodeId: 'ns=1;s=Sensor1', browseName: 'Sensor1', nodeClass: 'Object', parentNodeId: 'ns=1;s=Sensors', typeDefinition: 'ns=1;s=SensorType' },
+            {
+                nodeId: 'ns=1;s=Sensor1.SerialNumber', browseName: 'SerialNumber', nodeClass: 'Variable', parentNodeId: 'ns=1;s=Sensor1',
+                referenceType: 'HasProperty', dataType: 'String', accessLevel: 'ReadOnly', value: 'SN-1001'
+            },
+            { nodeId: 'ns=1;s=Sensor2', browseName: 'Sensor2', nodeClass: 'Object', parentNodeId: 'ns=1;s=Sensors', typeDefinition: 'ns=1;s=SensorType' },
+            { nodeId: 'ns=1;s=Sensor3', browseName: 'Sensor3', nodeClass: 'Object', parentNodeId: 'ns=1;s=Sensors', typeDefinition: 'ns=1;s=SensorType' }
+        ]
+    };
+
+    // A generated plant for load tests: Plant/LineNN/MachineNN, each machine an instance of MachineType whose
+    // tags cycle through these kinds. Tags are not historized, so memory stays flat however large the plant.
+    const LOAD_TEST_DEFAULTS = { lines: 50, machinesPerLine: 20, tagsPerMachine: 30, updateRate: 1000 };
+    const MAX_LOAD_TEST_TAGS = 100000;
+    const LOAD_TEST_TAG_KINDS = [
+        { name: 'Temperature', dataType: 'Double', value: 60, simulation: { type: 'sine', offset: 60, amplitude: 20 } },
+        { name: 'Speed', dataType: 'Double', value: 750, simulation: { type: 'randomWalk', stepSize: 25, min: 0, max: 1500 } },
+        { name: 'Running', dataType: 'Boolean', value: true, simulation: { type: 'square', low: 0, high: 1 } },
+        { name: 'PartCount', dataType: 'UInt32', value: 0, simulation: { type: 'counter', increment: 1 } },
+        { name: 'Load', dataType: 'Float', value: 0, simulation: { type: 'sawtooth', low: 0, high: 100 } }
+    ];
+
+    function createLoadTestModel(options = {}) {
+        const settings = { ...LOAD_TEST_DEFAULTS };
+        Object.keys(LOAD_TEST_DEFAULTS).forEach(key => {
+            if (options[key] === undefined || options[key] === '') return;
+            const value = Number(options[key]);
+            if (!Number.isInteger(value) || value < 1) throw new Error(`'${key}' must be a positive whole number, not '${options[key]}'.`);
+            settings[key] = value;
+        });
+        if (settings.updateRate < MIN_UPDATE_RATE) throw new Error(`The update rate must be at least ${MIN_UPDATE_RATE} ms.`);
+        const tagCount = settings.lines * settings.machinesPerLine * settings.tagsPerMachine;
+        if (tagCount > MAX_LOAD_TEST_TAGS) {
+            throw new Error(`${tagCount} tags is more than the ${MAX_LOAD_TEST_TAGS} a load test may generate.`);
+        }
+        const pad = (index, count) => String(index).padStart(String(count).length, '0');
+
+        const nodes = [
+            { nodeId: 'ns=1;s=MachineType', browseName: 'MachineType', nodeClass: 'ObjectType' },
+            { nodeId: 'ns=1;s=Plant', browseName: 'Plant', nodeClass: 'Object', typeDefinition: FOLDER_TYPE_NODE_ID }
+        ];
+        const tagsPerKind = Math.ceil(settings.tagsPerMachine / LOAD_TEST_TAG_KINDS.length);
+        for (let tag = 0; tag < settings.tagsPerMachine; tag++) {
+            const kind = LOAD_TEST_TAG_KINDS[tag % LOAD_TEST_TAG_KINDS.length];
+            const browseName = `${kind.name}${pad(Math.floor(tag / LOAD_TEST_TAG_KINDS.length) + 1, tagsPerKind)}`;
+            // Periods differ per tag so the plant does not move in lockstep.
+            const period = 10000 + tag * 1000;
+            nodes.push({
+                nodeId: `ns=1;s=MachineType.${browseName}`, browseName, nodeClass: 'Variable', parentNodeId: 'ns=1;s=MachineType',
+                dataType: kind.dataType, value: kind.value, historizing: false,
+                simulation: { ...kind.simulation, period, updateRate: settings.updateRate }
+            });
+        }
+        for (let line = 1; line <= settings.lines; line++) {
+            const lineNodeId = `ns=1;s=Plant.Line${pad(line, settings.lines)}`;
+            nodes.push({ nodeId: lineNodeId, browseName: `Line${pad(line, settings.lines)}`, nodeClass: 'Object', parentNodeId: 'ns=1;s=Plant', typeDefinition: FOLDER_TYPE_NODE_ID });
+            for (let machine = 1; machine <= settings.machinesPerLine; machine++) {
+                const browseName = `Machine${pad(machine, settings.machinesPerLine)}`;
+                nodes.push({ nodeId: `${lineNodeId}.${browseName}`, browseName, nodeClass: 'Object', parentNodeId: lineNodeId, typeDefinition: 'ns=1;s=MachineType' });
+            }
+        }
+        return { namespaceUris: ['urn:opcua-simulator:load-test'], nodes };
+    }
+
+    // NodeSet2 files often omit the namespace for ns=0 ("i=85"); we always store the long form.
+    function normalizeNodeId(nodeId) {
+        const trimmed = String(nodeId || '').trim();
+        if (!trimmed) return '';
+        return trimmed.startsWith('ns=') ? trimmed : `ns=0;${trimmed}`;
+    }
+
+    function toShortNodeId(nodeId) {
+        return nodeId.replace(/^ns=0;/, '');
+    }
+
+    function getNamespaceIndex(nodeId) {
+        const match = /^ns=(\d+);/.exec(nodeId);
+        return match ? parseInt(match[1], 10) : 0;
+    }
+
+    function parseJsonModel(text) {
+        const model = JSON.parse(text);
+        if (!model || !Array.isArray(model.nodes)) {
+            throw new Error('JSON model must contain a "nodes" array.');
+        }
+        return model;
+    }
+
+    function getChildElement(element, localName) {
+        return Array.from(element.children).find(child => child.localName === localName) || null;
+    }
+
+    const NODE_CLASS_ELEMENTS = {
+        UAObject: 'Object', UAVariable: 'Variable', UAMethod: 'Method', UAObjectType: 'ObjectType', UAVariableType: 'VariableType'
+    };
+
+    function getFieldElements(definitionElement) {
+        return definitionElement ? Array.from(definitionElement.children).filter(child => child.localName === 'Field') : [];
+    }
+
+    // A UADataType becomes an Enumeration or Structure when it has a Definition, otherwise a plain subtype.
+    function parseNodeSet2DataType(element, resolveDataType) {
+        const referencesElement = getChildElement(element, 'References');
+        const supertypeReference = referencesElement && Array.from(referencesElement.children)
+            .find(ref => ref.getAttribute('ReferenceType') === 'HasSubtype' && ref.getAttribute('IsForward') === 'false');
+        const fieldElements = getFieldElements(getChildElement(element, 'Definition'));
+        const definition = {
+            name: (element.getAttribute('BrowseName') || '').replace(/^\d+:/, ''),
+            nodeId: normalizeNodeId(element.getAttribute('NodeId')),
+            baseType: supertypeReference ? resolveDataType(supertypeReference.textContent) : 'BaseDataType'
+        };
+        if (fieldElements.length === 0) return definition;
+        if (definition.baseType === 'Enumeration' || fieldElements.every(field => field.hasAttribute('Value'))) {
+            definition.baseType = 'Enumeration';
+            definition.fields = fieldElements.map(field => ({ name: field.getAttribute('Name'), value: field.getAttribute('Value') }));
+        } else {
+            definition.baseType = 'Structure';
+            definition.fields = fieldElements.map(field => ({
+                name: field.getAttribute('Name'),
+                dataType: resolveDataType(field.getAttribute('DataType')),
+                valueRank: field.getAttribute('ValueRank') || SCALAR_VALUE_RANK,
+                arrayDimensions: field.getAttribute('ArrayDimensions') || undefined
+            }));
+        }
+        return definition;
+    }
+
+    function parseNodeSet2Xml(text) {
+        if (typeof DOMParser === 'undefined') {
+            throw new Error('NodeSet2 XML import needs a DOMParser; load a JSON model instead.');
+        }
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('NodeSet2 file is not well-formed XML.');
+        }
+        const nodeSet = doc.documentElement;
+        if (nodeSet.localName !== 'UANodeSet') {
+            throw new Error('Root element must be UANodeSet.');
+        }
+
+        const namespaceUrisElement = getChildElement(nodeSet, 'NamespaceUris');
+        const namespaceUris = namespaceUrisElement
+            ? Array.from(namespaceUrisElement.children).map(uri => uri.textContent.trim())
+            : [];
+
+        const aliases = {};
+        const aliasesElement = getChildElement(nodeSet, 'Aliases');
+        if (aliasesElement) {
+            Array.from(aliasesElement.children).forEach(alias => {
+                aliases[alias.getAttribute('Alias')] = alias.textContent.trim();
+            });
+        }
+        // Standard types are kept by name; the core NodeSet's own UADataTypes (ns=0) are not imported.
+        const dataTypeElements = Array.from(nodeSet.children)
+            .filter(element => element.localName === 'UADataType' && getNamespaceIndex(normalizeNodeId(element.getAttribute('NodeId'))) > 0);
+        const dataTypeNames = {};
+        dataTypeElements.forEach(element => {
+            dataTypeNames[normalizeNodeId(element.getAttribute('NodeId'))] = (element.getAttribute('BrowseName') || '').replace(/^\d+:/, '');
+        });
+        const resolveDataType = (dataType) => {
+            if (!dataType) return 'String';
+            if (SCALAR_CONVERTERS[dataType] || DATA_TYPE_SUPERTYPES[dataType] || Object.values(dataTypeNames).includes(dataType)) return dataType;
+            const nodeId = normalizeNodeId(aliases[dataType] || dataType);
+            const standardDataType = STANDARD_DATA_TYPES.find(definition => definition.nodeId === nodeId || definition.name === dataType);
+            if (standardDataType) return standardDataType.name;
+            // Types defined elsewhere (companion specifications) are accepted as BaseDataType.
+            return BUILT_IN_DATA_TYPES[toShortNodeId(nodeId)] || dataTypeNames[nodeId] || 'BaseDataType';
+        };
+        const dataTypeDefinitions = dataTypeElements.map(element => parseNodeSet2DataType(element, resolveDataType));
+        const dataTypes = new DataTypeRegistry(dataTypeDefinitions);
+
+        const resolveReference = (referenceType) => {
+            const resolved = aliases[referenceType] || referenceType;
+            if (resolved === 'HasModellingRule' || normalizeNodeId(resolved) === HAS_MODELLING_RULE_NODE_ID) return 'HasModellingRule';
+            return resolveReferenceType(resolved);
+        };
+        const nodes = [];
+        const methodsWithoutExtension = new Set();
+        Array.from(nodeSet.children).forEach(element => {
+            const nodeClass = NODE_CLASS_ELEMENTS[element.localName];
+            if (!nodeClass) return;
+            const nodeId = normalizeNodeId(element.getAttribute('NodeId'));
+            // Standard nodes are created by the server itself.
+            if (getNamespaceIndex(nodeId) === 0) return;
+            const browseName = (element.getAttribute('BrowseName') || '').replace(/^\d+:/, '');
+            const referencesElement = getChildElement(element, 'References');
+            const references = (referencesElement ? Array.from(referencesElement.children) : []).map(ref => ({
+                referenceType: resolveReference(ref.getAttribute('ReferenceType')),
+                isForward: ref.getAttribute('IsForward') !== 'false',
+                targetNodeId: normalizeNodeId(ref.textContent.trim())
+            }));
+            const isHierarchical = reference => reference.referenceType && reference.referenceType !== 'HasModellingRule'
+                && isReferenceSubtype(reference.referenceType, 'HierarchicalReferences');
+            // The parent comes from ParentNodeId or, when it is omitted, from the inverse hierarchical reference.
+            const declaredParent = element.getAttribute('ParentNodeId') ? normalizeNodeId(element.getAttribute('ParentNodeId')) : null;
+            const parentReference = references.find(reference => !reference.isForward && isHierarchical(reference)
+                && (!declaredParent || reference.targetNodeId === declaredParent));
+
+            const definition = { nodeId, browseName, nodeClass };
+            const displayNameElement = getChildElement(element, 'DisplayName');
+            if (displayNameElement && displayNameElement.textContent.trim() !== browseName) definition.displayName = displayNameElement.textContent.trim();
+            const descriptionElement = getChildElement(element, 'Description');
+            if (descriptionElement && descriptionElement.textContent.trim()) definition.description = descriptionElement.textContent.trim();
+            const parentNodeId = declaredParent || (parentReference && parentReference.targetNodeId);
+            if (parentNodeId) definition.parentNodeId = parentNodeId;
+            if (parentReference) definition.referenceType = parentReference.referenceType;
+            const extraReferences = [];
+            references.forEach(reference => {
+                if (reference === parentReference) return;
+                if (reference.referenceType === 'HasModellingRule') {
+                    const rule = Object.keys(MODELLING_RULES).find(name => MODELLING_RULES[name] === reference.targetNodeId);
+                    if (rule) definition.modellingRule = rule;
+                } else if (reference.referenceType === 'HasTypeDefinition' && reference.isForward) {
+                    definition.typeDefinition = reference.targetNodeId;
+                } else if (reference.referenceType && !(reference.isForward === false && reference.referenceType === 'HasSubtype')) {
+                    extraReferences.push({ referenceType: reference.referenceType, targetNodeId: reference.targetNodeId, isForward: reference.isForward });
+                }
+            });
+            if (extraReferences.length > 0) definition.references = extraReferences;
+            if (nodeClass === 'ObjectType' || nodeClass === 'VariableType') {
+                definition.isAbstract = element.getAttribute('IsAbstract') === 'true';
+            }
+            if (definition.nodeClass === 'Variable' || definition.nodeClass === 'VariableType') {
+                definition.dataType = resolveDataType(element.getAttribute('DataType') || (nodeClass === 'VariableType' ? 'BaseDataType' : null));
+                definition.valueRank = Number(element.getAttribute('ValueRank') || SCALAR_VALUE_RANK);
+                if (element.getAttribute('ArrayDimensions')) definition.arrayDimensions = element.getAttribute('ArrayDimensions').split(',').map(Number);
+                const valueElement = getChildElement(element, 'Value');
+                if (valueElement && valueElement.firstElementChild) {
+                    try {
+                        definition.value = dataTypes.fromXml(valueElement.firstElementChild, definition.dataType);
+                    } catch (e) {
+                        throw new Error(`Value of '${nodeId}': ${e.message}`);
+                    }
+                }
+            }
+            if (definition.nodeClass === 'Variable') {
+                const accessLevel = parseInt(element.getAttribute('AccessLevel') || '1', 10);
+                definition.accessLevel = (accessLevel & ACCESS_LEVELS.CurrentWrite) ? 'ReadWrite' : 'ReadOnly';
+                // Historizing defaults to false in NodeSet2, unlike in our JSON models.
+                definition.historizing = element.getAttribute('Historizing') === 'true';
+                if (element.getAttribute('MinimumSamplingInterval')) definition.minimumSamplingInterval = Number(element.getAttribute('MinimumSamplingInterval'));
+                const profileElement = element.getElementsByTagNameNS(SIMULATOR_XMLNS, 'SimulationProfile')[0];
+                if (profileElement) definition.simulation = JSON.parse(profileElement.textContent);
+                const alarmElement = element.getElementsByTagNameNS(SIMULATOR_XMLNS, 'AlarmDefinition')[0];
+                if (alarmElement) definition.alarm = JSON.parse(alarmElement.textContent);
+            } else if (definition.nodeClass === 'Method') {
+                // Our own extension wins over the InputArguments and OutputArguments properties read below.
+                const methodElement = element.getElementsByTagNameNS(SIMULATOR_XMLNS, 'MethodDefinition')[0];
+                Object.assign(definition, methodElement ? JSON.parse(methodElement.textContent) : { inputArguments: [], outputArguments: [] });
+                if (!methodElement) methodsWithoutExtension.add(nodeId);
+            }
+            const permissionsElement = element.getElementsByTagNameNS(SIMULATOR_XMLNS, 'RolePermissions')[0];
+            if (permissionsElement) definition.rolePermissions = JSON.parse(permissionsElement.textContent);
+            nodes.push(definition);
+        });
+        // NodeSets list each parent link on both nodes; the parent's forward copy is already the child's parent.
+        const parentLinks = new Set(nodes.filter(node => node.parentNodeId).map(node => `${node.parentNodeId}>${node.nodeId}`));
+        nodes.forEach(node => {
+            if (!node.references) return;
+            node.references = node.references.filter(reference => !(reference.isForward
+                && isReferenceSubtype(reference.referenceType, 'HierarchicalReferences')
+                && parentLinks.has(`${node.nodeId}>${reference.targetNodeId}`)));
+            if (node.references.length === 0) delete node.references;
+        });
+        // Standard NodeSets give a method's signature as Argument values of its InputArguments and OutputArguments.
+        nodes.forEach(node => {
+            const name = { InputArguments: 'inputArguments', OutputArguments: 'outputArguments' }[node.browseName];
+            if (!name || node.dataType !== 'Argument' || !methodsWithoutExtension.has(node.parentNodeId)) return;
+            const method = nodes.find(definition => definition.nodeId === node.parentNodeId);
+            method[name] = (node.value || []).map(argument => {
+                const dimensions = (argument.ArrayDimensions || []).map(Number);
+                return {
+                    name: argument.Name,
+                    dataType: resolveDataType(argument.DataType),
+                    valueRank: argument.ValueRank === undefined ? SCALAR_VALUE_RANK : Number(argument.ValueRank),
+                    arrayDimensions: dimensions.length > 0 ? dimensions : undefined,
+                    description: argument.Description ? argument.Description.text : ''
+                };
+            });
+        });
+        return { namespaceUris, dataTypes: dataTypes.list(), nodes };
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function serializeModelToNodeSet2Xml(model) {
+        const dataTypes = new DataTypeRegistry(model.dataTypes);
+        // Built-in types are written by name through the Aliases table, custom types by NodeId.
+        const toDataTypeReference = (dataType) => {
+            const definition = dataTypes.get(dataType);
+            return escapeXml(definition ? toShortNodeId(definition.nodeId) : dataType);
+        };
+        const toBrowseName = (nodeId, name) => {
+            const namespaceIndex = getNamespaceIndex(nodeId);
+            return namespaceIndex > 0 ? `${namespaceIndex}:${name}` : name;
+        };
+        const lines = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            `<UANodeSet xmlns="${NODESET2_XMLNS}" xmlns:uax="${UA_TYPES_XMLNS}">`,
+            '  <NamespaceUris>',
+            ...model.namespaceUris.map(uri => `    <Uri>${escapeXml(uri)}</Uri>`),
+            '  </NamespaceUris>',
+            '  <Aliases>',
+            ...Object.entries(BUILT_IN_DATA_TYPES).map(([nodeId, name]) => `    <Alias Alias="${name}">${nodeId}</Alias>`),
+            ...Object.entries(REFERENCE_TYPES).filter(([, referenceType]) => !referenceType.isAbstract)
+                .map(([name, referenceType]) => `    <Alias Alias="${name}">${toShortNodeId(referenceType.nodeId)}</Alias>`),
+            `    <Alias Alias="HasModellingRule">${toShortNodeId(HAS_MODELLING_RULE_NODE_ID)}</Alias>`,
+            '  </Aliases>'
+        ];
+        dataTypes.list().forEach(definition => {
+            const browseName = escapeXml(toBrowseName(definition.nodeId, definition.name));
+            lines.push(`  <UADataType NodeId="${escapeXml(toShortNodeId(definition.nodeId))}" BrowseName="${browseName}">`);
+            lines.push(`    <DisplayName>${escapeXml(definition.name)}</DisplayName>`);
+            lines.push('    <References>');
+            lines.push(`      <Reference ReferenceType="HasSubtype" IsForward="false">${toDataTypeReference(definition.baseType)}</Reference>`);
+            lines.push('    </References>');
+            if (definition.fields) {
+                lines.push(`    <Definition Name="${browseName}">`);
+                definition.fields.forEach(field => {
+                    let attributes = `Name="${escapeXml(field.name)}"`;
+                    if (definition.baseType === 'Enumeration') {
+                        attributes += ` Value="${field.value}"`;
+                    } else {
+                        attributes += ` DataType="${toDataTypeReference(field.dataType)}"`;
+                        if (field.valueRank !== SCALAR_VALUE_RANK) attributes += ` ValueRank="${field.valueRank}"`;
+                        if (field.arrayDimensions) attributes += ` ArrayDimensions="${field.arrayDimensions.join(',')}"`;
+                    }
+                    lines.push(`      <Field ${attributes} />`);
+                });
+                lines.push('    </Definition>');
+            }
+            lines.push('  </UADataType>');
+        });
+        model.nodes.forEach(node => {
+            const browseName = toBrowseName(node.nodeId, node.browseName);
+            const isType = node.nodeClass === 'ObjectType' || node.nodeClass === 'VariableType';
+            const parentNodeId = node.parentNodeId ? toShortNodeId(node.parentNodeId) : null;
+            const parentReferenceType = node.referenceType || (isType ? 'HasSubtype' : node.nodeClass === 'Object' ? 'Organizes' : 'HasComponent');
+            const tag = Object.keys(NODE_CLASS_ELEMENTS).find(key => NODE_CLASS_ELEMENTS[key] === node.nodeClass);
+            const valueRank = node.valueRank === undefined ? SCALAR_VALUE_RANK : node.valueRank;
+            let attributes = `NodeId="${escapeXml(toShortNodeId(node.nodeId))}" BrowseName="${escapeXml(browseName)}"`;
+            // ParentNodeId is only defined for instances; types name their supertype through HasSubtype.
+            if (parentNodeId && !isType) attributes += ` ParentNodeId="${escapeXml(parentNodeId)}"`;
+            if (isType && node.isAbstract) attributes += ' IsAbstract="true"';
+            if (node.nodeClass === 'Variable' || node.nodeClass === 'VariableType') {
+                attributes += ` DataType="${toDataTypeReference(node.dataType)}"`;
+                if (node.nodeClass === 'Variable') {
+                    attributes += ` AccessLevel="${getAccessLevelBits(node)}"`;
+                    if (node.historizing !== false) attributes += ' Historizing="true"';
+                    if (node.minimumSamplingInterval !== undefined) attributes += ` MinimumSamplingInterval="${node.minimumSamplingInterval}"`;
+                }
+                if (valueRank !== SCALAR_VALUE_RANK) attributes += ` ValueRank="${valueRank}"`;
+                if (node.arrayDimensions) attributes += ` ArrayDimensions="${node.arrayDimensions.join(',')}"`;
+            }
+            const typeDefinition = node.typeDefinition || getDefaultTypeDefinition(node.nodeClass, parentReferenceType);
+            lines.push(`  <${tag} ${attributes}>`);
+            lines.push(`    <DisplayName>${escapeXml(node.displayName || node.browseName)}</DisplayName>`);
+            if (node.description) lines.push(`    <Description>${escapeXml(node.description)}</Description>`);
+            lines.push('    <References>');
+            if (parentNodeId) {
+                lines.push(`      <Reference ReferenceType="${parentReferenceType}" IsForward="false">${escapeXml(parentNodeId)}</Reference>`);
+            }
+            if (typeDefinition) {
+                lines.push(`      <Reference ReferenceType="HasTypeDefinition">${escapeXml(toShortNodeId(typeDefinition))}</Reference>`);
+            }
+            if (node.modellingRule) {
+                lines.push(`      <Reference ReferenceType="HasModellingRule">${toShortNodeId(MODELLING_RULES[node.modellingRule])}</Reference>`);
+            }
+            (node.references || []).forEach(reference => {
+                const isForward = reference.isForward === false ? ' IsForward="false"' : '';
+                lines.push(`      <Reference ReferenceType="${escapeXml(reference.referenceType)}"${isForward}>${escapeXml(toShortNodeId(reference.targetNodeId))}</Reference>`);
+            });
+            lines.push('    </References>');
+            if (node.simulation || node.alarm || node.rolePermissions || node.nodeClass === 'Method') {
+                // Simulation profiles, alarm limits, method signatures and role permissions travel as NodeSet2 extensions.
+                lines.push('    <Extensions>');
+                if (node.simulation) {
+                    lines.push(`      <Extension><SimulationProfile xmlns="${SIMULATOR_XMLNS}">${escapeXml(JSON.stringify(node.simulation))}</SimulationProfile></Extension>`);
+                }
+                if (node.alarm) {
+                    lines.push(`      <Extension><AlarmDefinition xmlns="${SIMULATOR_XMLNS}">${escapeXml(JSON.stringify(node.alarm))}</AlarmDefinition></Extension>`);
+                }
+                if (node.nodeClass === 'Method') {
+                    const signature = { inputArguments: node.inputArguments, outputArguments: node.outputArguments, handler: node.handler };
+                    lines.push(`      <Extension><MethodDefinition xmlns="${SIMULATOR_XMLNS}">${escapeXml(JSON.stringify(signature))}</MethodDefinition></Extension>`);
+                }
+                if (node.rolePermissions) {
+                    lines.push(`      <Extension><RolePermissions xmlns="${SIMULATOR_XMLNS}">${escapeXml(JSON.stringify(node.rolePermissions))}</RolePermissions></Extension>`);
+                }
+                lines.push('    </Extensions>');
+            }
+            if ((node.nodeClass === 'Variable' || node.nodeClass === 'VariableType') && node.value !== undefined && node.value !== null) {
+                lines.push(`    <Value>${dataTypes.toXml(node.dataType, node.value, valueRank)}</Value>`);
+            }
+            lines.push(`  </${tag}>`);
+        });
+        lines.push('</UANodeSet>');
+        return lines.join('\n');
+    }
+
+    // --- Timers ---
+    // Runs periodic tasks on one shared timer per interval. A load-test plant has tens of thousands of
+    // simulated tags, which would otherwise each hold a setInterval of their own.
+    class IntervalScheduler {
+        constructor() {
+            // interval -> { timer, tasks: Map(key -> task) }
+            this.groups = new Map();
+            // key -> interval
+            this.intervals = new Map();
+        }
+
+        get size() {
+            return this.intervals.size;
+        }
+
+        has(key) {
+            return this.intervals.has(key);
+        }
+
+        add(key, interval, task) {
+            this.remove(key);
+            let group = this.groups.get(interval);
+            if (!group) {
+                group = { tasks: new Map(), timer: null };
+                group.timer = simulationClock.setInterval(() => group.tasks.forEach(run => run()), interval);
+                this.groups.set(interval, group);
+            }
+            group.tasks.set(key, task);
+            this.intervals.set(key, interval);
+        }
+
+        remove(key) {
+            const interval = this.intervals.get(key);
+            if (interval === undefined) return;
+            const group = this.groups.get(interval);
+            group.tasks.delete(key);
+            this.intervals.delete(key);
+            if (group.tasks.size === 0) {
+                simulationClock.clearTimer(group.timer);
+                this.groups.delete(interval);
+            }
+        }
+
+        clear() {
+            this.groups.forEach(group => simulationClock.clearTimer(group.timer));
+            this.groups.clear();
+            this.intervals.clear();
+        }
+    }
+
+    // --- Signal Generators ---
+    const MIN_UPDATE_RATE = 50;
+    // Parameter defaults per profile type; periods and durations are in milliseconds.
+    const SIGNAL_PROFILE_DEFAULTS = {
+        constant: { value: 0 },
+        sine: { offset: 0, amplitude: 1, period: 10000 },
+        ramp: { start: 0, end: 100, duration: 10000 },
+        sawtooth: { low: 0, high: 100, period: 10000 },
+        square: { low: 0, high: 1, period: 10000, dutyCycle: 50 },
+        step: { values: [0, 1], stepDuration: 5000 },
+        randomWalk: { stepSize: 1, min: 0, max: 100 },
+        counter: { increment: 1 },
+        replay: { samples: [], loop: true }
+    };
+    const POSITIVE_PROFILE_PARAMETERS = ['period', 'duration', 'stepDuration'];
+
+    function parseNumberList(raw) {
+        const list = Array.isArray(raw) ? raw : String(raw).split(',');
+        return list.map(item => {
+            const numericValue = Number(item);
+            if (String(item).trim() === '' || isNaN(numericValue)) throw new Error(`'${item}' is not a number.`);
+            return numericValue;
+        });
+    }
+
+    function normalizeSimulationProfile(profile) {
+        const defaults = SIGNAL_PROFILE_DEFAULTS[profile.type];
+        if (!defaults) throw new Error(`Unknown signal profile '${profile.type}'.`);
+
+        const normalized = {
+            type: profile.type,
+            updateRate: Number(profile.updateRate === undefined ? 1000 : profile.updateRate),
+            noise: Number(profile.noise || 0)
+        };
+        if (isNaN(normalized.updateRate) || normalized.updateRate < MIN_UPDATE_RATE) {
+            throw new Error(`Update rate must be at least ${MIN_UPDATE_RATE} ms.`);
+        }
+        if (isNaN(normalized.noise) || normalized.noise < 0) throw new Error('Noise must be a non-negative number.');
+
+        Object.keys(defaults).forEach(key => {
+            const raw = profile[key] === undefined || profile[key] === '' ? defaults[key] : profile[key];
+            if (key === 'values') {
+                normalized.values = parseNumberList(raw);
+                if (normalized.values.length === 0) throw new Error('Step profile needs at least one value.');
+            } else if (key === 'samples') {
+                normalized.samples = raw.map(sample => ({ offset: Number(sample.offset), value: Number(sample.value) }));
+                if (normalized.samples.length === 0) throw new Error('Replay profile needs recorded samples.');
+            } else if (key === 'loop') {
+                normalized.loop = raw !== false && raw !== 'false';
+            } else {
+                normalized[key] = Number(raw);
+                if (isNaN(normalized[key])) throw new Error(`Parameter '${key}' must be a number.`);
+                if (POSITIVE_PROFILE_PARAMETERS.includes(key) && normalized[key] <= 0) {
+                    throw new Error(`Parameter '${key}' must be greater than 0.`);
+                }
+            }
+        });
+        if (normalized.min > normalized.max) throw new Error('Parameter min must not exceed max.');
+        return normalized;
+    }
+
+    // Accepts "value" lines (one sample per update tick) or "time,value" lines where time is
+    // seconds since the first sample or an ISO timestamp. A non-numeric first line is a header.
+    function parseCsvSamples(text, updateRate) {
+        const rows = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => line.split(/[,;\t]/));
+        if (rows.length > 0 && isNaN(Number(rows[0][rows[0].length - 1]))) rows.shift();
+
+        let firstTime = null;
+        return rows.map((columns, index) => {
+            const value = Number(columns[columns.length - 1]);
+            if (isNaN(value)) throw new Error(`Line ${index + 1}: '${columns.join(',')}' has no numeric value.`);
+            if (columns.length === 1) return { offset: index * updateRate, value };
+
+            const rawTime = columns[0].trim();
+            const time = isNaN(Number(rawTime)) ? Date.parse(rawTime) : Number(rawTime) * 1000;
+            if (isNaN(time)) throw new Error(`Line ${index + 1}: invalid time '${rawTime}'.`);
+            if (firstTime === null) firstTime = time;
+            return { offset: time - firstTime, value };
+        }).sort((a, b) => a.offset - b.offset);
+    }
+
+    // Generators drive scalar variables whose built-in type can hold a number.
+    const SIMULATED_DATA_TYPES = [...NUMERIC_DATA_TYPES, 'Boolean', 'String'];
+
+    function checkSimulationTarget(node, builtInType) {
+        if (node.valueRank !== SCALAR_VALUE_RANK || !SIMULATED_DATA_TYPES.includes(builtInType)) {
+            throw new Error(`Signal generators need a scalar numeric, Boolean or String variable, not ${formatDataType(node.dataType, node.valueRank, node.arrayDimensions)}.`);
+        }
+    }
+
+    // Converts a generated number to the variable's built-in data type, clamping integers to the type's range.
+    function toDataTypeValue(builtInType, numericValue) {
+        switch (builtInType) {
+            case 'Boolean':
+                return Math.round(numericValue) !== 0;
+            case 'String':
+                return String(numericValue);
+            case 'Float':
+            case 'Double':
+                return numericValue;
+            default: {
+                if (!INTEGER_RANGES[builtInType] || !Number.isFinite(numericValue)) return numericValue;
+                const [min, max] = INTEGER_RANGES[builtInType];
+                const integer = BigInt(Math.round(numericValue));
+                const clamped = integer < min ? min : integer > max ? max : integer;
+                return INT64_DATA_TYPES.includes(builtInType) ? clamped.toString() : Number(clamped);
+            }
+        }
+    }
+
+    class SignalGenerator {
+        constructor(profile, initialValue) {
+            this.profile = profile;
+            this.currentValue = Number(initialValue) || 0;
+        }
+
+        next(elapsedMs) {
+            const profile = this.profile;
+            let value;
+            switch (profile.type) {
+                case 'constant':
+                    value = profile.value;
+                    break;
+                case 'sine':
+                    value = profile.offset + profile.amplitude * Math.sin(2 * Math.PI * elapsedMs / profile.period);
+                    break;
+                case 'ramp':
+                    value = profile.start + (profile.end - profile.start) * Math.min(1, elapsedMs / profile.duration);
+                    break;
+                case 'sawtooth':
+                    value = profile.low + (profile.high - profile.low) * ((elapsedMs % profile.period) / profile.period);
+                    break;
+                case 'square':
+                    value = (elapsedMs % profile.period) < profile.period * profile.dutyCycle / 100 ? profile.high : profile.low;
+                    break;
+                case 'step':
+                    value = profile.values[Math.floor(elapsedMs / profile.stepDuration) % profile.values.length];
+                    break;
+                case 'randomWalk': {
+                    const stepped = this.currentValue + (simulationRandom.next() * 2 - 1) * profile.stepSize;
+                    value = Math.min(profile.max, Math.max(profile.min, stepped));
+                    break;
+                }
+                case 'counter':
+                    value = this.currentValue + profile.increment;
+                    break;
+                case 'replay':
+                    value = this.replayValue(elapsedMs);
+                    break;
+                default:
+                    value = this.currentValue;
+            }
+            // Noise is layered on the output only, so it never accumulates in the random walk.
+            this.currentValue = value;
+            return profile.noise ? value + (simulationRandom.next() * 2 - 1) * profile.noise : value;
+        }
+
+        replayValue(elapsedMs) {
+            const samples = this.profile.samples;
+            const lastOffset = samples[samples.length - 1].offset;
+            // Leave one update tick after the last sample before the recording starts over.
+            const cycleLength = lastOffset + this.profile.updateRate;
+            const position = this.profile.loop ? elapsedMs % cycleLength : elapsedMs;
+            let current = samples[0];
+            for (const sample of samples) {
+                if (sample.offset > position) break;
+                current = sample;
+            }
+            return current.value;
+        }
+    }
+
+    // --- Subscriptions & Monitored Items ---
+    const MIN_PUBLISHING_INTERVAL = 100;
+    const MIN_SAMPLING_INTERVAL = 50;
+    const MAX_QUEUE_SIZE = 100;
+    const DEFAULT_MAX_KEEP_ALIVE_COUNT = 10;
+    const MAX_KEEP_ALIVE_COUNT = 1000;
+    // Sent NotificationMessages kept for Republish until the client has seen them.
+    const RETRANSMISSION_QUEUE_SIZE = 100;
+    const DEADBAND_TYPES = ['None', 'Absolute', 'Percent'];
+
+    class MonitoredItem {
+        constructor(monitoredItemId, node, parameters) {
+            this.monitoredItemId = monitoredItemId;
+            this.node = node;
+            this.nodeId = node.nodeId;
+            this.samplingInterval = parameters.samplingInterval;
+            this.queueSize = parameters.queueSize;
+            this.discardOldest = parameters.discardOldest;
+            this.deadbandType = parameters.deadbandType;
+            this.deadbandValue = parameters.deadbandValue;
+            this.queue = [];
+            this.lastReportedValue = undefined;
+            this.lastReportedStatus = undefined;
+            this.scheduler = null;
+        }
+
+        start(scheduler) {
+            // OPC UA reports the current value as soon as a monitored item is created.
+            this.sample(true);
+            this.scheduler = scheduler;
+            scheduler.add(this.monitoredItemId, this.samplingInterval, () => this.sample(false));
+        }
+
+        stop() {
+            if (this.scheduler) this.scheduler.remove(this.monitoredItemId);
+            this.scheduler = null;
+        }
+
+        sample(isInitial) {
+            const dataValue = this.node.dataValue;
+            if (!isInitial && !this.passesFilter(dataValue)) return;
+            this.lastReportedValue = dataValue.value;
+            this.lastReportedStatus = dataValue.statusCode;
+            this.enqueue({ monitoredItemId: this.monitoredItemId, nodeId: this.nodeId, dataValue: { ...dataValue } });
+        }
+
+        // Default DataChangeTrigger is StatusValue: a quality change is always reported, deadband or not.
+        passesFilter(dataValue) {
+            if (dataValue.statusCode !== this.lastReportedStatus) return true;
+            const value = dataValue.value;
+            if (this.deadbandType === 'None') return value !== this.lastReportedValue;
+            const threshold = this.deadbandType === 'Percent'
+                ? (this.deadbandValue / 100) * (this.node.euRange.high - this.node.euRange.low)
+                : this.deadbandValue;
+            return Math.abs(Number(value) - Number(this.lastReportedValue)) > threshold;
+        }
+
+        enqueue(notification) {
+            if (this.queue.length >= this.queueSize) {
+                if (this.discardOldest) this.queue.shift();
+                else this.queue.pop();
+                // A queue of one simply holds the latest value, so only longer queues report overflow.
+                if (this.queueSize > 1) notification.overflow = true;
+            }
+            this.queue.push(notification);
+        }
+
+        dequeue() {
+            const notifications = this.queue;
+            this.queue = [];
+            return notifications;
+        }
+    }
+
+    class Subscription {
+        constructor(subscriptionId, publishingInterval, callback, maxKeepAliveCount = DEFAULT_MAX_KEEP_ALIVE_COUNT) {
+            this.subscriptionId = subscriptionId;
+            this.publishingInterval = publishingInterval;
+            this.maxKeepAliveCount = maxKeepAliveCount;
+            this.callback = callback;
+            this.monitoredItems = {};
+            this.nextMonitoredItemId = 1;
+            this.sequenceNumber = 0;
+            this.keepAliveCounter = 0;
+            this.retransmissionQueue = [];
+            // Items that share a sampling interval are sampled on one timer.
+            this.samplingScheduler = new IntervalScheduler();
+            this.publishTimer = simulationClock.setInterval(() => this.publish(), publishingInterval);
+        }
+
+        addMonitoredItem(node, parameters) {
+            const item = new MonitoredItem(this.nextMonitoredItemId++, node, parameters);
+            this.monitoredItems[item.monitoredItemId] = item;
+            item.start(this.samplingScheduler);
+            return item;
+        }
+
+        removeMonitoredItem(monitoredItemId) {
+            const item = this.monitoredItems[monitoredItemId];
+            if (!item) return false;
+            item.stop();
+            delete this.monitoredItems[monitoredItemId];
+            return true;
+        }
+
+        getAvailableSequenceNumbers() {
+            return this.retransmissionQueue.map(message => message.sequenceNumber);
+        }
+
+        publish() {
+            const notifications = [];
+            Object.values(this.monitoredItems).forEach(item => notifications.push(...item.dequeue()));
+            if (notifications.length === 0) {
+                // A keep-alive carries the next sequence number without consuming it, so clients can spot lost messages.
+                this.keepAliveCounter += 1;
+                if (this.keepAliveCounter < this.maxKeepAliveCount) return;
+                this.keepAliveCounter = 0;
+                this.callback({
+                    subscriptionId: this.subscriptionId,
+                    sequenceNumber: this.sequenceNumber + 1,
+                    publishTime: getUtcTimestamp(),
+                    notifications,
+                    keepAlive: true,
+                    availableSequenceNumbers: this.getAvailableSequenceNumbers()
+                });
+                return;
+            }
+            this.keepAliveCounter = 0;
+            this.sequenceNumber += 1;
+            const message = {
+                subscriptionId: this.subscriptionId,
+                sequenceNumber: this.sequenceNumber,
+                publishTime: getUtcTimestamp(),
+                notifications
+            };
+            this.retransmissionQueue.push(message);
+            if (this.retransmissionQueue.length > RETRANSMISSION_QUEUE_SIZE) this.retransmissionQueue.shift();
+            this.callback({ ...message, availableSequenceNumbers: this.getAvailableSequenceNumbers() });
+        }
+
+        republish(sequenceNumber) {
+            return this.retransmissionQueue.find(message => message.sequenceNumber === Number(sequenceNumber)) || null;
+        }
+
+        // Messages up to sequenceNumber reached the client and need not be kept for Republish.
+        acknowledge(sequenceNumber) {
+            this.retransmissionQueue = this.retransmissionQueue.filter(message => message.sequenceNumber > Number(sequenceNumber));
+        }
+
+        close() {
+            simulationClock.clearTimer(this.publishTimer);
+            Object.values(this.monitoredItems).forEach(item => item.stop());
+            this.samplingScheduler.clear();
+            this.monitoredItems = {};
+            this.retransmissionQueue = [];
+        }
+    }
+
+    // --- Historical Access ---
+    const DEFAULT_HISTORY_CAPACITY = 1000;
+    const MAX_PROCESSED_INTERVALS = 1000;
+    const HISTORY_DATABASE_NAME = 'opcua-simulator-history';
+    const HISTORY_OBJECT_STORE = 'dataValues';
+
+    // Fixed-size ring buffer of DataValues, oldest first when read back.
+    class HistoryBuffer {
+        constructor(capacity) {
+            this.capacity = capacity;
+            this.entries = [];
+            this.start = 0;
+        }
+
+        push(dataValue) {
+            if (this.entries.length < this.capacity) {
+                this.entries.push(dataValue);
+            } else {
+                this.entries[this.start] = dataValue;
+                this.start = (this.start + 1) % this.capacity;
+            }
+        }
+
+        toArray() {
+            return this.entries.slice(this.start).concat(this.entries.slice(0, this.start));
+        }
+
+        replaceAll(dataValues) {
+            this.entries = dataValues.slice(-this.capacity);
+            this.start = 0;
+        }
+
+        resize(capacity) {
+            const dataValues = this.toArray();
+            this.capacity = capacity;
+            this.replaceAll(dataValues);
+        }
+    }
+
+    // Aggregates work on the non-Bad samples of a node as [{ time, value }] sorted by time.
+    function averageAggregate(samples, intervalStart, intervalEnd) {
+        const values = samples.filter(sample => sample.time >= intervalStart && sample.time < intervalEnd).map(sample => sample.value);
+        if (values.length === 0) return { value: null, statusCode: StatusCodes.BadNoData };
+        return { value: values.reduce((sum, value) => sum + value, 0) / values.length, statusCode: StatusCodes.Good };
+    }
+
+    function minimumAggregate(samples, intervalStart, intervalEnd) {
+        const values = samples.filter(sample => sample.time >= intervalStart && sample.time < intervalEnd).map(sample => sample.value);
+        if (values.length === 0) return { value: null, statusCode: StatusCodes.BadNoData };
+        return { value: Math.min(...values), statusCode: StatusCodes.Good };
+    }
+
+    function maximumAggregate(samples, intervalStart, intervalEnd) {
+        const values = samples.filter(sample => sample.time >= intervalStart && sample.time < intervalEnd).map(sample => sample.value);
+        if (values.length === 0) return { value: null, statusCode: StatusCodes.BadNoData };
+        return { value: Math.max(...values), statusCode: StatusCodes.Good };
+    }
+
+    function countAggregate(samples, intervalStart, intervalEnd) {
+        const count = samples.filter(sample => sample.time >= intervalStart && sample.time < intervalEnd).length;
+        return { value: count, statusCode: StatusCodes.Good };
+    }
+
+    // Linear interpolation between the bounding samples at the start of the interval.
+    function interpolativeAggregate(samples, intervalStart) {
+        let before = null;
+        let after = null;
+        for (const sample of samples) {
+            if (sample.time <= intervalStart) {
+                if (!before || sample.time >= before.time) before = sample;
+            } else if (!after || sample.time < after.time) {
+                after = sample;
+            }
+        }
+        if (!before) return { value: null, statusCode: StatusCodes.BadNoData };
+        if (before.time === intervalStart) return { value: before.value, statusCode: StatusCodes.Good };
+        if (!after) return { value: before.value, statusCode: StatusCodes.UncertainLastUsableValue };
+        const ratio = (intervalStart - before.time) / (after.time - before.time);
+        return { value: before.value + (after.value - before.value) * ratio, statusCode: StatusCodes.Good };
+    }
+
+    const AGGREGATE_FUNCTIONS = {
+        Average: averageAggregate,
+        Minimum: minimumAggregate,
+        Maximum: maximumAggregate,
+        Count: countAggregate,
+        Interpolative: interpolativeAggregate
+    };
+
+    // Optional persistence of history in the browser's IndexedDB, one record per DataValue.
+    class IndexedDbHistoryStore {
+        constructor(databaseName = HISTORY_DATABASE_NAME) {
+            this.databaseName = databaseName;
+            this.database = null;
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(HISTORY_OBJECT_STORE, { autoIncrement: true });
+                    store.createIndex('nodeId', 'nodeId');
+                };
+                request.onsuccess = () => {
+                    this.database = request.result;
+                    resolve(this);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        append(nodeId, dataValue) {
+            this.database.transaction(HISTORY_OBJECT_STORE, 'readwrite').objectStore(HISTORY_OBJECT_STORE).add({ nodeId, ...dataValue });
+        }
+
+        loadAll() {
+            return new Promise((resolve, reject) => {
+                const request = this.database.transaction(HISTORY_OBJECT_STORE).objectStore(HISTORY_OBJECT_STORE).getAll();
+                request.onsuccess = () => {
+                    const dataValuesByNode = {};
+                    request.result.forEach(({ nodeId, ...dataValue }) => {
+                        (dataValuesByNode[nodeId] = dataValuesByNode[nodeId] || []).push(dataValue);
+                    });
+                    resolve(dataValuesByNode);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        replaceAll(dataValuesByNode) {
+            return new Promise((resolve, reject) => {
+                const transaction = this.database.transaction(HISTORY_OBJECT_STORE, 'readwrite');
+                const store = transaction.objectStore(HISTORY_OBJECT_STORE);
+                store.clear();
+                Object.entries(dataValuesByNode).forEach(([nodeId, dataValues]) => {
+                    dataValues.forEach(dataValue => store.add({ nodeId, ...dataValue }));
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+
+        close() {
+            if (this.database) this.database.close();
+            this.database = null;
+        }
+    }
+
+    // --- Alarms & Conditions ---
+    const LIMIT_SEVERITIES = { HighHigh: 900, High: 700, Low: 700, LowLow: 900 };
+    const OFF_NORMAL_SEVERITY = 500;
+    const MAX_TIME_SHELVED = 3600000;
+    let nextEventId = 1;
+
+    // dataType is the variable's built-in type.
+    function normalizeAlarmDefinition(definition, dataType, valueRank = SCALAR_VALUE_RANK) {
+        if (valueRank !== SCALAR_VALUE_RANK) throw new Error(`Alarms need a scalar variable, not ${formatDataType(dataType, valueRank)}.`);
+        if (definition.type === 'ExclusiveLimitAlarm') {
+            if (!NUMERIC_DATA_TYPES.includes(dataType)) throw new Error(`Limit alarms need a numeric variable, not ${dataType}.`);
+            const normalized = { type: definition.type };
+            ['lowLowLimit', 'lowLimit', 'highLimit', 'highHighLimit'].forEach(key => {
+                if (definition[key] === undefined || definition[key] === null || definition[key] === '') return;
+                normalized[key] = Number(definition[key]);
+                if (isNaN(normalized[key])) throw new Error(`Alarm limit '${key}' must be a number.`);
+            });
+            const limits = ['lowLowLimit', 'lowLimit', 'highLimit', 'highHighLimit'].filter(key => key in normalized).map(key => normalized[key]);
+            if (limits.length === 0) throw new Error('A limit alarm needs at least one limit.');
+            if (limits.some((limit, index) => index > 0 && limit < limits[index - 1])) {
+                throw new Error('Alarm limits must be ordered LowLow <= Low <= High <= HighHigh.');
+            }
+            return normalized;
+        }
+        if (definition.type === 'OffNormalAlarm') {
+            if (dataType !== 'Boolean') throw new Error(`Off-normal alarms need a Boolean variable, not ${dataType}.`);
+            return { type: definition.type, normalState: definition.normalState !== false && definition.normalState !== 'false' };
+        }
+        throw new Error(`Unknown alarm type '${definition.type}'.`);
+    }
+
+    class AlarmCondition {
+        constructor(node, definition) {
+            this.conditionId = `${node.nodeId}.Alarm`;
+            this.sourceNode = node;
+            this.definition = definition;
+            this.limitState = null;
+            this.activeState = false;
+            this.ackedState = true;
+            this.confirmedState = true;
+            this.shelvingState = 'Unshelved';
+            this.shelvingTimer = null;
+            this.severity = 100;
+            this.message = `${node.browseName} is normal.`;
+            this.comment = '';
+            this.eventId = null;
+            this.time = null;
+        }
+
+        // A condition stays in alarm lists until it is inactive, acknowledged and confirmed.
+        get retain() {
+            return this.activeState || !this.ackedState || !this.confirmedState;
+        }
+
+        getLimitState(value) {
+            const { highHighLimit, highLimit, lowLimit, lowLowLimit } = this.definition;
+            if (highHighLimit !== undefined && value >= highHighLimit) return 'HighHigh';
+            if (highLimit !== undefined && value >= highLimit) return 'High';
+            if (lowLowLimit !== undefined && value <= lowLowLimit) return 'LowLow';
+            if (lowLimit !== undefined && value <= lowLimit) return 'Low';
+            return null;
+        }
+
+        // Returns true when the value moved the condition into a different state.
+        evaluate(value) {
+            const name = this.sourceNode.browseName;
+            const limitState = this.definition.type === 'OffNormalAlarm'
+                ? (Boolean(value) !== this.definition.normalState ? 'OffNormal' : null)
+                : this.getLimitState(Number(value));
+            if (limitState === this.limitState) return false;
+
+            this.limitState = limitState;
+            this.activeState = limitState !== null;
+            this.comment = '';
+            if (this.activeState) {
+                this.ackedState = false;
+                this.confirmedState = false;
+                this.severity = limitState === 'OffNormal' ? OFF_NORMAL_SEVERITY : LIMIT_SEVERITIES[limitState];
+                this.message = limitState === 'OffNormal'
+                    ? `${name} is off-normal (${value}, expected ${this.definition.normalState}).`
+                    : `${name} ${limitState} alarm: value ${formatAlarmValue(value)}.`;
+            } else {
+                this.severity = 100;
+                this.message = `${name} returned to normal.`;
+            }
+            return true;
+        }
+
+        toEvent() {
+            return {
+                eventId: this.eventId,
+                eventType: this.definition.type,
+                conditionId: this.conditionId,
+                sourceNodeId: this.sourceNode.nodeId,
+                sourceName: this.sourceNode.browseName,
+                time: this.time,
+                severity: this.severity,
+                message: this.message,
+                limitState: this.limitState,
+                activeState: this.activeState,
+                ackedState: this.ackedState,
+                confirmedState: this.confirmedState,
+                shelvingState: this.shelvingState,
+                retain: this.retain,
+                comment: this.comment
+            };
+        }
+    }
+
+    function formatAlarmValue(value) {
+        return typeof value === 'number' ? Number(value.toFixed(2)) : value;
+    }
+
+    // --- Security ---
+    const SECURITY_MODES = ['None', 'Sign', 'SignAndEncrypt'];
+    const SECURITY_POLICY_URI_PREFIX = 'http://opcfoundation.org/UA/SecurityPolicy#';
+    const SECURITY_POLICIES = ['None', 'Basic128Rsa15', 'Basic256', 'Basic256Sha256', 'Aes128_Sha256_RsaOaep', 'Aes256_Sha256_RsaPss'];
+    const USER_TOKEN_TYPES = ['Anonymous', 'UserName', 'Certificate'];
+    const ROLES = ['Anonymous', 'AuthenticatedUser', 'Observer', 'Operator', 'Engineer', 'Supervisor', 'ConfigureAdmin', 'SecurityAdmin'];
+    const PERMISSIONS = ['Browse', 'Read', 'Write', 'Call', 'Subscribe'];
+
+    // Nothing here is encrypted or signed: the modes only decide which endpoint a client may activate on.
+    const DEFAULT_SECURITY = {
+        endpoints: [
+            { securityMode: 'None', securityPolicy: 'None', userTokenTypes: ['Anonymous', 'UserName'] },
+            { securityMode: 'Sign', securityPolicy: 'Basic256Sha256', userTokenTypes: ['Anonymous', 'UserName', 'Certificate'] },
+            { securityMode: 'SignAndEncrypt', securityPolicy: 'Basic256Sha256', userTokenTypes: ['UserName', 'Certificate'] },
+            { securityMode: 'SignAndEncrypt', securityPolicy: 'Aes256_Sha256_RsaPss', userTokenTypes: ['UserName', 'Certificate'] }
+        ],
+        users: [
+            { userName: 'viewer', password: 'viewer', roles: ['Observer'] },
+            { userName: 'operator', password: 'operator', roles: ['Operator'] },
+            { userName: 'engineer', password: 'engineer', roles: ['Engineer'] }
+        ],
+        certificates: [
+            { thumbprint: 'A1B2C3D4E5F60718293A4B5C6D7E8F9012345678', subject: 'CN=Simulator Test Client', roles: ['Engineer'] }
+        ],
+        // Used for every node that neither it nor an ancestor overrides with rolePermissions.
+        defaultRolePermissions: {
+            Anonymous: ['Browse', 'Read', 'Subscribe'],
+            AuthenticatedUser: ['Browse', 'Read', 'Subscribe'],
+            Observer: ['Browse', 'Read', 'Subscribe'],
+            Operator: ['Browse', 'Read', 'Write', 'Call', 'Subscribe'],
+            Engineer: PERMISSIONS,
+            Supervisor: PERMISSIONS,
+            ConfigureAdmin: PERMISSIONS,
+            SecurityAdmin: PERMISSIONS
+        }
+    };
+
+    function normalizeRoles(roles) {
+        (roles || []).forEach(role => {
+            if (!ROLES.includes(role)) throw new Error(`Unknown role '${role}'. Expected one of ${ROLES.join(', ')}.`);
+        });
+        return [...(roles || [])];
+    }
+
+    // { role: [permission] }; roles that are not listed get no permissions on the node.
+    function normalizeRolePermissions(rolePermissions) {
+        if (typeof rolePermissions !== 'object' || rolePermissions === null || Array.isArray(rolePermissions)) {
+            throw new Error('rolePermissions must map role names to permission lists.');
+        }
+        const normalized = {};
+        Object.keys(rolePermissions).forEach(role => {
+            normalizeRoles([role]);
+            normalized[role] = (rolePermissions[role] || []).map(permission => {
+                if (!PERMISSIONS.includes(permission)) throw new Error(`Unknown permission '${permission}'. Expected one of ${PERMISSIONS.join(', ')}.`);
+                return permission;
+            });
+        });
+        return normalized;
+    }
+
+    function normalizeThumbprint(thumbprint) {
+        return String(thumbprint || '').replace(/[\s:]/g, '').toUpperCase();
+    }
+
+    function normalizeSecurityConfig(security = {}) {
+        const endpoints = (security.endpoints || DEFAULT_SECURITY.endpoints).map(endpoint => {
+            if (!SECURITY_MODES.includes(endpoint.securityMode)) throw new Error(`Unknown security mode '${endpoint.securityMode}'.`);
+            if (!SECURITY_POLICIES.includes(endpoint.securityPolicy)) throw new Error(`Unknown security policy '${endpoint.securityPolicy}'.`);
+            if ((endpoint.securityMode === 'None') !== (endpoint.securityPolicy === 'None')) {
+                throw new Error('Security mode None goes with security policy None, and only with it.');
+            }
+            const userTokenTypes = endpoint.userTokenTypes || ['Anonymous'];
+            userTokenTypes.forEach(type => {
+                if (!USER_TOKEN_TYPES.includes(type)) throw new Error(`Unknown user token type '${type}'.`);
+            });
+            return { securityMode: endpoint.securityMode, securityPolicy: endpoint.securityPolicy, userTokenTypes: [...userTokenTypes] };
+        });
+        if (endpoints.length === 0) throw new Error('The server needs at least one endpoint.');
+        const users = (security.users || DEFAULT_SECURITY.users).map(user => {
+            if (!user.userName) throw new Error('Every user needs a userName.');
+            return { userName: String(user.userName), password: String(user.password || ''), roles: normalizeRoles(user.roles) };
+        });
+        const certificates = (security.certificates || DEFAULT_SECURITY.certificates).map(certificate => {
+            if (!certificate.thumbprint) throw new Error('Every trusted certificate needs a thumbprint.');
+            return { thumbprint: normalizeThumbprint(certificate.thumbprint), subject: certificate.subject || '', roles: normalizeRoles(certificate.roles) };
+        });
+        const defaultRolePermissions = normalizeRolePermissions(security.defaultRolePermissions || DEFAULT_SECURITY.defaultRolePermissions);
+        return { endpoints, users, certificates, defaultRolePermissions };
+    }
+
+    // --- Methods ---
+    // Method nodes name one of these handlers; each gets the server, the owning object and converted inputs.
+    const METHOD_HANDLERS = {
+        resetCounters(server, objectNode) {
+            const counters = server.listVariables(objectNode)
+                .filter(node => node.simulation && node.simulation.type === 'counter');
+            counters.forEach(node => {
+                server.setNodeValue(node, 0);
+                // Restart the generator so it counts up from the new value.
+                if (server.generators.has(node.nodeId)) server.startSignalGenerator(node);
+            });
+            return { statusCode: StatusCodes.Good, outputArguments: [counters.length] };
+        },
+        setSetpoint(server, objectNode, [setpoint]) {
+            const setpointNode = server.listVariables(objectNode).find(node => node.browseName === 'Setpoint');
+            if (!setpointNode) return { statusCode: StatusCodes.BadConfigurationError, outputArguments: [] };
+            const previousSetpoint = setpointNode.dataValue.value;
+            server.setNodeValue(setpointNode, setpoint);
+            return { statusCode: StatusCodes.Good, outputArguments: [previousSetpoint] };
+        },
+        startSimulation(server) {
+            server.startDataSimulation();
+            return { statusCode: StatusCodes.Good, outputArguments: [] };
+        },
+        stopSimulation(server) {
+            server.stopDataSimulation();
+            return { statusCode: StatusCodes.Good, outputArguments: [] };
+        }
+    };
+
+    function normalizeArguments(argumentList, dataTypes) {
+        return (argumentList || []).map(argument => {
+            if (!argument.name) throw new Error('Every method argument needs a name.');
+            const normalized = { name: argument.name, dataType: argument.dataType || 'String', description: argument.description || '' };
+            if (!dataTypes.has(normalized.dataType)) throw new Error(`Argument '${argument.name}' has unknown data type '${normalized.dataType}'.`);
+            const { valueRank, arrayDimensions } = normalizeValueRank(argument.valueRank, argument.arrayDimensions);
+            if (valueRank !== SCALAR_VALUE_RANK) normalized.valueRank = valueRank;
+            if (arrayDimensions) normalized.arrayDimensions = arrayDimensions;
+            return normalized;
+        });
+    }
+
+    // --- Attributes & Index Ranges ---
+    const ATTRIBUTE_IDS = {
+        NodeId: 1, NodeClass: 2, BrowseName: 3, DisplayName: 4, Description: 5, WriteMask: 6, UserWriteMask: 7,
+        IsAbstract: 8, Symmetric: 9, InverseName: 10, ContainsNoLoops: 11, EventNotifier: 12, Value: 13,
+        DataType: 14, ValueRank: 15, ArrayDimensions: 16, AccessLevel: 17, UserAccessLevel: 18,
+        MinimumSamplingInterval: 19, Historizing: 20, Executable: 21, UserExecutable: 22
+    };
+    // Read and Write refuse requests with more items than this.
+    const MAX_OPERATIONS_PER_REQUEST = 10000;
+
+    // Attributes can be given by id or by name; a missing attributeId means the Value.
+    function getAttributeName(attributeId) {
+        if (attributeId === undefined || attributeId === null || attributeId === '') return 'Value';
+        if (ATTRIBUTE_IDS[attributeId] !== undefined) return attributeId;
+        return Object.keys(ATTRIBUTE_IDS).find(name => ATTRIBUTE_IDS[name] === Number(attributeId)) || null;
+    }
+
+    // A NumericRange has one 'index' or 'low:high' per array dimension, separated by commas: '2', '0:3', '1:2,0:1'.
+    function parseIndexRange(indexRange) {
+        return String(indexRange).split(',').map(part => {
+            const match = /^(\d+)(?::(\d+))?$/.exec(part.trim());
+            const low = match ? Number(match[1]) : NaN;
+            const high = match && match[2] !== undefined ? Number(match[2]) : low;
+            if (!match || (match[2] !== undefined && high <= low)) {
+                throw new DataTypeError(`Invalid index range '${indexRange}'`, StatusCodes.BadIndexRangeInvalid);
+            }
+            return { low, high };
+        });
+    }
+
+    // Strings of the String type count as arrays of characters in the last dimension of a range.
+    function checkRangeDimension(value, ranges, dimension, allowText) {
+        const isText = allowText && typeof value === 'string' && dimension === ranges.length - 1;
+        if (!Array.isArray(value) && !isText) {
+            throw new DataTypeError(`Index range with ${ranges.length} dimension(s) does not fit the value`, StatusCodes.BadIndexRangeInvalid);
+        }
+        if (ranges[dimension].low >= value.length) {
+            throw new DataTypeError(`No elements in index range ${ranges[dimension].low}:${ranges[dimension].high}`, StatusCodes.BadIndexRangeNoData);
+        }
+        return isText;
+    }
+
+    function readIndexRange(value, ranges, allowText, dimension = 0) {
+        const isText = checkRangeDimension(value, ranges, dimension, allowText);
+        const { low, high } = ranges[dimension];
+        const selected = value.slice(low, high + 1);
+        if (isText || dimension === ranges.length - 1) return selected;
+        return selected.map(item => readIndexRange(item, ranges, allowText, dimension + 1));
+    }
+
+    // Replaces the elements in the range; the written part must have exactly as many elements as the range.
+    function writeIndexRange(value, ranges, part, allowText, dimension = 0) {
+        const isText = checkRangeDimension(value, ranges, dimension, allowText);
+        const { low, high } = ranges[dimension];
+        const count = high - low + 1;
+        if (high >= value.length) {
+            throw new DataTypeError(`Index range ${low}:${high} ends after the last of ${value.length} elements`, StatusCodes.BadIndexRangeNoData);
+        }
+        if (isText ? typeof part !== 'string' || part.length !== count : !Array.isArray(part) || part.length !== count) {
+            throw new DataTypeError(`Index range ${low}:${high} needs ${count} ${isText ? 'character(s)' : 'element(s)'}, got ${describeValue(part)}`, StatusCodes.BadIndexRangeInvalid);
+        }
+        if (isText) return value.slice(0, low) + part + value.slice(high + 1);
+        const updated = value.slice();
+        if (dimension === ranges.length - 1) {
+            updated.splice(low, count, ...part);
+        } else {
+            part.forEach((item, index) => { updated[low + index] = writeIndexRange(value[low + index], ranges, item, allowText, dimension + 1); });
+        }
+        return updated;
+    }
+
+    // Batch results succeed as a whole; each item carries its own StatusCode.
+    function checkBatch(items, name) {
+        if (!Array.isArray(items)) return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `'${name}' must be an array.` };
+        if (items.length === 0) return { success: false, statusCode: StatusCodes.BadNothingToDo, message: `'${name}' is empty.` };
+        if (items.length > MAX_OPERATIONS_PER_REQUEST) {
+            return { success: false, statusCode: StatusCodes.BadTooManyOperations, message: `'${name}' has ${items.length} items, at most ${MAX_OPERATIONS_PER_REQUEST} are allowed.` };
+        }
+        return null;
+    }
+
+    function summarizeBatch(action, results) {
+        const failed = results.filter(result => isBad(result.statusCode)).length;
+        return {
+            success: true,
+            statusCode: StatusCodes.Good,
+            message: `${action} ${results.length} item(s)${failed > 0 ? `, ${failed} failed` : ''}.`,
+            results
+        };
+    }
+
+    // --- Server Object ---
+    const SERVER_NODE_ID = 'ns=0;i=2253';
+    const SERVER_STATUS_UPDATE_INTERVAL = 1000;
+    const BUILD_INFO = {
+        ProductUri: 'urn:opcua-simulator', ManufacturerName: 'OPC UA Simulator', ProductName: 'OPC UA Simulator',
+        SoftwareVersion: '1.0.0', BuildNumber: '1', BuildDate: '2024-01-01T00:00:00.000Z'
+    };
+    // ServerDiagnosticsSummary fields with the numeric ids of their variables.
+    const DIAGNOSTICS_SUMMARY_FIELDS = [
+        ['ServerViewCount', 2276], ['CurrentSessionCount', 2277], ['CumulatedSessionCount', 2278], ['SecurityRejectedSessionCount', 2279],
+        ['RejectedSessionCount', 3705], ['SessionTimeoutCount', 2281], ['SessionAbortCount', 2282], ['PublishingIntervalCount', 2284],
+        ['CurrentSubscriptionCount', 2285], ['CumulatedSubscriptionCount', 2286], ['SecurityRejectedRequestsCount', 2287], ['RejectedRequestsCount', 2288]
+    ];
+    const BUILD_INFO_FIELDS = [['ProductName', 2261], ['ProductUri', 2262], ['ManufacturerName', 2263], ['SoftwareVersion', 2264], ['BuildNumber', 2265], ['BuildDate', 2266]];
+
+    // Node definitions for the standard Server object. The server keeps their values current with updateServerStatus.
+    function createServerObjectDefinitions() {
+        const variable = (id, browseName, parentId, dataType, extra = {}) => ({
+            nodeId: `ns=0;i=${id}`, browseName, nodeClass: 'Variable', parentNodeId: `ns=0;i=${parentId}`, dataType, historizing: false, ...extra
+        });
+        const property = (id, browseName, parentId, dataType, extra = {}) => variable(id, browseName, parentId, dataType, { referenceType: 'HasProperty', ...extra });
+        return [
+            { nodeId: SERVER_NODE_ID, browseName: 'Server', nodeClass: 'Object', parentNodeId: OBJECTS_FOLDER_NODE_ID, typeDefinition: 'ns=0;i=2004' },
+            property(2254, 'ServerArray', 2253, 'String', { valueRank: 1 }),
+            property(2255, 'NamespaceArray', 2253, 'String', { valueRank: 1 }),
+            property(2267, 'ServiceLevel', 2253, 'Byte'),
+            property(2994, 'Auditing', 2253, 'Boolean'),
+            variable(2256, 'ServerStatus', 2253, 'ServerStatusDataType', { typeDefinition: 'ns=0;i=2138', minimumSamplingInterval: SERVER_STATUS_UPDATE_INTERVAL }),
+            variable(2257, 'StartTime', 2256, 'UtcTime'),
+            variable(2258, 'CurrentTime', 2256, 'UtcTime', { minimumSamplingInterval: SERVER_STATUS_UPDATE_INTERVAL }),
+            variable(2259, 'State', 2256, 'ServerState'),
+            variable(2260, 'BuildInfo', 2256, 'BuildInfo', { typeDefinition: 'ns=0;i=3051' }),
+            ...BUILD_INFO_FIELDS.map(([name, id]) => variable(id, name, 2260, name === 'BuildDate' ? 'UtcTime' : 'String')),
+            variable(2992, 'SecondsTillShutdown', 2256, 'UInt32'),
+            variable(2993, 'ShutdownReason', 2256, 'LocalizedText'),
+            { nodeId: 'ns=0;i=2274', browseName: 'ServerDiagnostics', nodeClass: 'Object', parentNodeId: SERVER_NODE_ID, typeDefinition: 'ns=0;i=2020' },
+            variable(2275, 'ServerDiagnosticsSummary', 2274, 'ServerDiagnosticsSummaryDataType', { typeDefinition: 'ns=0;i=2150' }),
+            ...DIAGNOSTICS_SUMMARY_FIELDS.map(([name, id]) => variable(id, name, 2275, 'UInt32')),
+            property(2294, 'EnabledFlag', 2274, 'Boolean')
+        ];
+    }
+    const SERVER_OBJECT_NODE_IDS = new Set(createServerObjectDefinitions().map(definition => definition.nodeId));
+
+    // Counters behind the ServerDiagnosticsSummary; the current counts are taken from the sessions and subscriptions.
+    function createDiagnosticsCounters() {
+        return {
+            cumulatedSessionCount: 0, securityRejectedSessionCount: 0, rejectedSessionCount: 0, sessionTimeoutCount: 0, sessionAbortCount: 0,
+            cumulatedSubscriptionCount: 0, securityRejectedRequestsCount: 0, rejectedRequestsCount: 0
+        };
+    }
+
+    // --- Simulated OPC UA Server Class ---
+    class SimulatedOpcUaServer {
+        constructor(model = DEFAULT_MODEL) {
+            // eventName -> listeners; 'update' fires every 2 s while the simulation runs, 'valueChange' with
+            // { node, dataValue } on every new value and 'serviceCall' with { sessionId, userName, service, params,
+            // result } (result may be a Promise) or { ..., error } for every service a client calls, and 'auditEntry'
+            // with each entry of the audit log.
+            this.listeners = {};
+            this.subscriptions = {};
+            this.nextSubscriptionId = 1;
+            this.updateInterval = null;
+            // Running signal generators, keyed by NodeId.
+            this.generators = new IntervalScheduler();
+            this.history = {};
+            this.historyCapacity = DEFAULT_HISTORY_CAPACITY;
+            this.historyStore = null;
+            this.conditions = {};
+            this.eventSubscriptions = {};
+            this.nextEventSubscriptionId = 1;
+            this.startTime = getUtcTimestamp();
+            this.statusTimer = null;
+            this.diagnostics = createDiagnosticsCounters();
+            this.sessionManager = new SessionManager(this);
+            this.auditLog = new AuditLog(this);
+            this.loadModel(model);
+        }
+
+        loadModel(model) {
+            const wasSimulating = this.updateInterval !== null;
+            const dataTypes = new DataTypeRegistry(model.dataTypes);
+            const modelDefinitions = model.nodes.map(definition => {
+                const nodeId = normalizeNodeId(definition.nodeId);
+                if (!nodeId || !definition.browseName) {
+                    throw new Error('Every node needs a nodeId and a browseName.');
+                }
+                if (!MODEL_NODE_CLASSES.includes(definition.nodeClass)) {
+                    throw new Error(`Unsupported NodeClass '${definition.nodeClass}' for '${nodeId}'.`);
+                }
+                if (getNamespaceIndex(nodeId) === 0) {
+                    throw new Error(`'${nodeId}' is in namespace 0, which is reserved for the standard nodes.`);
+                }
+                // Models written before the Root/Objects split parent their top-level nodes to the root.
+                let parentNodeId = normalizeNodeId(definition.parentNodeId);
+                if (!parentNodeId || parentNodeId === ROOT_NODE_ID) {
+                    if (definition.nodeClass === 'ObjectType') parentNodeId = BASE_OBJECT_TYPE_NODE_ID;
+                    else if (definition.nodeClass === 'VariableType') parentNodeId = BASE_DATA_VARIABLE_TYPE_NODE_ID;
+                    else parentNodeId = OBJECTS_FOLDER_NODE_ID;
+                }
+                const normalized = { ...definition, nodeId, parentNodeId };
+                if (definition.typeDefinition) normalized.typeDefinition = normalizeNodeId(definition.typeDefinition);
+                return normalized;
+            });
+            const definitions = addAnalogItemProperties(expandTypeInstances([
+                ...createStandardNodeDefinitions(dataTypes), ...modelDefinitions, ...createServerObjectDefinitions()
+            ]));
+
+            const addressSpace = new AddressSpace();
+            definitions.forEach(definition => {
+                if (addressSpace.getNode(definition.nodeId)) {
+                    throw new Error(`Duplicate NodeId '${definition.nodeId}'.`);
+                }
+                addressSpace.addNode(this.createNode(definition, dataTypes));
+            });
+
+            // Link in a second pass so files may list children before their parents.
+            definitions.forEach(definition => {
+                const node = addressSpace.getNode(definition.nodeId);
+                if (definition.parentNodeId) {
+                    // Parents from other NodeSets that were not loaded fall back to the Objects folder.
+                    const parent = addressSpace.getNode(definition.parentNodeId) || addressSpace.getNode(OBJECTS_FOLDER_NODE_ID);
+                    if (!CHILD_NODE_CLASSES[parent.nodeClass].includes(node.nodeClass)) {
+                        throw new Error(`${parent.nodeClass} '${parent.nodeId}' cannot hold the ${node.nodeClass} '${node.nodeId}'.`);
+                    }
+                    const referenceType = definition.referenceType ? resolveReferenceType(definition.referenceType) : getDefaultReferenceType(node.nodeClass, parent);
+                    if (!referenceType || REFERENCE_TYPES[referenceType].isAbstract || !isReferenceSubtype(referenceType, 'HierarchicalReferences')) {
+                        throw new Error(`'${definition.referenceType}' of '${node.nodeId}' is not a concrete hierarchical ReferenceType.`);
+                    }
+                    if (referenceType === 'HasSubtype' && parent.nodeClass !== node.nodeClass) {
+                        throw new Error(`'${node.nodeId}' can only be a subtype of another ${node.nodeClass}.`);
+                    }
+                    if (referenceType === 'HasProperty' && node.nodeClass !== 'Variable') {
+                        throw new Error(`Only Variables can be properties; '${node.nodeId}' is a ${node.nodeClass}.`);
+                    }
+                    if (parent.nodeClass === 'Method' && referenceType !== 'HasProperty') {
+                        throw new Error(`Method '${parent.nodeId}' can only hold properties; '${node.nodeId}' is referenced with ${referenceType}.`);
+                    }
+                    addressSpace.addReference(parent, referenceType, node);
+                    node.parentNodeId = parent.nodeId;
+                    node.referenceType = referenceType;
+                }
+                if (node.nodeClass === 'Object' || node.nodeClass === 'Variable') {
+                    const typeNodeClass = `${node.nodeClass}Type`;
+                    node.typeDefinition = node.typeDefinition || getDefaultTypeDefinition(node.nodeClass, node.referenceType);
+                    const type = addressSpace.getNode(node.typeDefinition);
+                    if (!type || type.nodeClass !== typeNodeClass) {
+                        throw new Error(`Type definition '${node.typeDefinition}' of '${node.nodeId}' is not an ${typeNodeClass}.`);
+                    }
+                    if (type.isAbstract) {
+                        throw new Error(`'${node.nodeId}' cannot be an instance of the abstract ${typeNodeClass} '${type.browseName}'.`);
+                    }
+                    addressSpace.addReference(node, 'HasTypeDefinition', type);
+                }
+            });
+            definitions.forEach(definition => {
+                const node = addressSpace.getNode(definition.nodeId);
+                node.modelReferences = (definition.references || []).map(reference => {
+                    const referenceType = resolveReferenceType(reference.referenceType);
+                    if (!referenceType || REFERENCE_TYPES[referenceType].isAbstract) {
+                        throw new Error(`Reference of '${node.nodeId}': '${reference.referenceType}' is not a concrete ReferenceType.`);
+                    }
+                    return { referenceType, targetNodeId: normalizeNodeId(reference.targetNodeId), isForward: reference.isForward !== false };
+                });
+                node.modelReferences.forEach(reference => {
+                    // References to nodes outside the loaded address space are dropped.
+                    const target = addressSpace.getNode(reference.targetNodeId);
+                    if (!target) return;
+                    if (reference.isForward) addressSpace.addReference(node, reference.referenceType, target);
+                    else addressSpace.addReference(target, reference.referenceType, node);
+                });
+                // Permissions are inherited along the parent chain, which therefore must end at the root.
+                const ancestors = new Set();
+                for (let current = node; current; current = current.parentNodeId ? addressSpace.getNode(current.parentNodeId) : null) {
+                    if (ancestors.has(current.nodeId)) throw new Error(`'${node.nodeId}' is its own ancestor.`);
+                    ancestors.add(current.nodeId);
+                }
+            });
+            let security;
+            try {
+                security = normalizeSecurityConfig(model.security);
+            } catch (e) {
+                throw new Error(`Security configuration: ${e.message}`);
+            }
+
+            this.stopDataSimulation();
+            this.security = security;
+            this.dataTypes = dataTypes;
+            this.namespaceArray = [OPC_UA_NAMESPACE_URI, ...(model.namespaceUris || [])];
+            this.addressSpace = addressSpace;
+            this.history = {};
+            this.listVariables().forEach(node => this.recordHistory(node));
+            Object.values(this.conditions).forEach(condition => simulationClock.clearTimer(condition.shelvingTimer));
+            this.conditions = {};
+            this.listVariables().forEach(node => {
+                if (node.alarm) this.attachCondition(node);
+            });
+            // Monitored items hold references to the old nodes, so every subscription is dropped.
+            Object.keys(this.subscriptions).forEach(subscriptionId => this.deleteSubscription(subscriptionId));
+            // The definition the address space was built from, so a scenario can start over from it.
+            this.model = model;
+            this.updateServerStatus();
+            if (wasSimulating) this.startDataSimulation();
+        }
+
+        // Builds a node without its references from a model definition.
+        createNode(definition, dataTypes) {
+            const node = { browseName: definition.browseName, nodeId: definition.nodeId, nodeClass: definition.nodeClass };
+            // The DisplayName attribute falls back to the BrowseName.
+            if (definition.displayName) node.displayName = String(definition.displayName);
+            if (definition.description) node.description = String(definition.description);
+            if (definition.modellingRule) {
+                if (!MODELLING_RULES[definition.modellingRule]) {
+                    throw new Error(`Unknown ModellingRule '${definition.modellingRule}' for '${definition.nodeId}'.`);
+                }
+                node.modellingRule = definition.modellingRule;
+            }
+            if (TYPE_NODE_CLASSES.includes(definition.nodeClass)) node.isAbstract = definition.isAbstract === true;
+            // Defaults depend on the reference from the parent, so they are filled in while linking.
+            if (definition.typeDefinition) node.typeDefinition = definition.typeDefinition;
+            if (definition.rolePermissions) {
+                try {
+                    node.rolePermissions = normalizeRolePermissions(definition.rolePermissions);
+                } catch (e) {
+                    throw new Error(`Role permissions of '${definition.nodeId}': ${e.message}`);
+                }
+            }
+            if (definition.nodeClass === 'Variable' || definition.nodeClass === 'VariableType') {
+                const isType = definition.nodeClass === 'VariableType';
+                node.dataType = definition.dataType || (isType ? 'BaseDataType' : 'String');
+                try {
+                    if (!dataTypes.has(node.dataType)) throw new Error(`unknown data type '${node.dataType}'`);
+                    Object.assign(node, normalizeValueRank(definition.valueRank, definition.arrayDimensions));
+                    const isEmpty = definition.value === undefined || definition.value === null;
+                    const value = isEmpty ? definition.value : dataTypes.convert(node.dataType, definition.value, node.valueRank, node.arrayDimensions);
+                    if (isType) {
+                        if (!isEmpty) node.value = value;
+                        return node;
+                    }
+                    node.dataValue = createDataValue(value);
+                } catch (e) {
+                    throw new Error(`${definition.nodeClass} '${definition.nodeId}': ${e.message}`);
+                }
+                node.accessLevel = definition.accessLevel === 'ReadWrite' ? 'ReadWrite' : 'ReadOnly';
+                node.historizing = definition.historizing !== false;
+                try {
+                    if (definition.euRange) node.euRange = normalizeEuRange(definition.euRange);
+                    if (definition.engineeringUnits) node.engineeringUnits = normalizeEngineeringUnits(definition.engineeringUnits);
+                } catch (e) {
+                    throw new Error(`Variable '${definition.nodeId}': ${e.message}`);
+                }
+                if (definition.minimumSamplingInterval !== undefined) {
+                    const interval = Number(definition.minimumSamplingInterval);
+                    if (!Number.isFinite(interval) || interval < 0) {
+                        throw new Error(`MinimumSamplingInterval of '${definition.nodeId}' must be a number of milliseconds, not '${definition.minimumSamplingInterval}'.`);
+                    }
+                    node.minimumSamplingInterval = interval;
+                }
+                if (definition.alarm) {
+                    try {
+                        node.alarm = normalizeAlarmDefinition(definition.alarm, dataTypes.getBuiltInType(node.dataType), node.valueRank);
+                    } catch (e) {
+                        throw new Error(`Alarm of '${definition.nodeId}': ${e.message}`);
+                    }
+                }
+                if (definition.simulation) {
+                    try {
+                        checkSimulationTarget(node, dataTypes.getBuiltInType(node.dataType));
+                        node.simulation = normalizeSimulationProfile(definition.simulation);
+                    } catch (e) {
+                        throw new Error(`Simulation profile of '${definition.nodeId}': ${e.message}`);
+                    }
+                }
+            } else if (definition.nodeClass === 'Method') {
+                try {
+                    node.inputArguments = normalizeArguments(definition.inputArguments, dataTypes);
+                    node.outputArguments = normalizeArguments(definition.outputArguments, dataTypes);
+                } catch (e) {
+                    throw new Error(`Method '${definition.nodeId}': ${e.message}`);
+                }
+                node.handler = definition.handler;
+                node.executable = true;
+            } else if (definition.nodeClass === 'ReferenceType') {
+                node.inverseName = definition.inverseName;
+            }
+            return node;
+        }
+
+        exportModel() {
+            const nodes = [];
+            this.addressSpace.nodes.forEach(node => {
+                // Standard nodes and the DataType nodes of the dataTypes section are created by the server.
+                if (!MODEL_NODE_CLASSES.includes(node.nodeClass) || getNamespaceIndex(node.nodeId) === 0) return;
+                const definition = {
+                    nodeId: node.nodeId, browseName: node.browseName, nodeClass: node.nodeClass,
+                    parentNodeId: node.parentNodeId, referenceType: node.referenceType
+                };
+                if (node.displayName) definition.displayName = node.displayName;
+                if (node.description) definition.description = node.description;
+                if (node.typeDefinition) definition.typeDefinition = node.typeDefinition;
+                if (node.modellingRule) definition.modellingRule = node.modellingRule;
+                if (node.isAbstract) definition.isAbstract = true;
+                if (node.modelReferences.length > 0) definition.references = node.modelReferences.map(reference => ({ ...reference }));
+                if (node.rolePermissions) definition.rolePermissions = node.rolePermissions;
+                if (node.nodeClass === 'Variable' || node.nodeClass === 'VariableType') {
+                    definition.dataType = node.dataType;
+                    if (node.valueRank !== SCALAR_VALUE_RANK) definition.valueRank = node.valueRank;
+                    if (node.arrayDimensions) definition.arrayDimensions = [...node.arrayDimensions];
+                }
+                if (node.nodeClass === 'VariableType') {
+                    if (node.value !== undefined) definition.value = node.value;
+                } else if (node.nodeClass === 'Variable') {
+                    definition.accessLevel = node.accessLevel;
+                    definition.value = node.dataValue.value;
+                    if (node.euRange) definition.euRange = { ...node.euRange };
+                    if (node.engineeringUnits) definition.engineeringUnits = { ...node.engineeringUnits };
+                    if (node.minimumSamplingInterval !== undefined) definition.minimumSamplingInterval = node.minimumSamplingInterval;
+                    if (node.simulation) definition.simulation = node.simulation;
+                    if (!node.historizing) definition.historizing = false;
+                    if (node.alarm) definition.alarm = node.alarm;
+                } else if (node.nodeClass === 'Method') {
+                    definition.inputArguments = node.inputArguments;
+                    definition.outputArguments = node.outputArguments;
+                    if (node.handler) definition.handler = node.handler;
+                }
+                nodes.push(definition);
+            });
+            return { namespaceUris: this.namespaceArray.slice(1), dataTypes: this.dataTypes.list(), nodes, security: this.security };
+        }
+
+        getEndpoints() {
+            return this.security.endpoints.map(endpoint => ({
+                ...endpoint,
+                securityPolicyUri: SECURITY_POLICY_URI_PREFIX + endpoint.securityPolicy,
+                userTokenTypes: [...endpoint.userTokenTypes]
+            }));
+        }
+
+        // Validates the endpoint choice and identity token of an ActivateSession request and resolves the user's roles.
+        authenticate({ securityMode, securityPolicy, identityToken = { type: 'Anonymous' } } = {}) {
+            const reject = (statusCode, message) => ({ success: false, statusCode, message });
+            const endpoint = this.security.endpoints.find(candidate => candidate.securityMode === securityMode && candidate.securityPolicy === securityPolicy);
+            if (!endpoint) {
+                return this.security.endpoints.some(candidate => candidate.securityMode === securityMode)
+                    ? reject(StatusCodes.BadSecurityPolicyRejected, `Security policy '${securityPolicy}' is not offered with mode ${securityMode}.`)
+                    : reject(StatusCodes.BadSecurityModeRejected, `Security mode '${securityMode}' is not offered.`);
+            }
+            const tokenType = identityToken && identityToken.type;
+            if (!endpoint.userTokenTypes.includes(tokenType)) {
+                return reject(StatusCodes.BadIdentityTokenInvalid, `The ${securityMode}/${securityPolicy} endpoint does not accept ${tokenType || 'untyped'} identity tokens.`);
+            }
+
+            let userName = null;
+            let roles;
+            if (tokenType === 'Anonymous') {
+                roles = ['Anonymous'];
+            } else if (tokenType === 'UserName') {
+                const user = this.security.users.find(candidate => candidate.userName === identityToken.userName);
+                if (!user || user.password !== String(identityToken.password || '')) {
+                    return reject(StatusCodes.BadUserAccessDenied, 'Invalid user name or password.');
+                }
+                userName = user.userName;
+                roles = ['AuthenticatedUser', ...user.roles];
+            } else {
+                const thumbprint = normalizeThumbprint(identityToken.thumbprint);
+                if (!thumbprint) return reject(StatusCodes.BadIdentityTokenInvalid, 'The certificate token has no thumbprint.');
+                const certificate = this.security.certificates.find(candidate => candidate.thumbprint === thumbprint);
+                if (!certificate) return reject(StatusCodes.BadIdentityTokenRejected, `Certificate ${thumbprint} is not trusted.`);
+                userName = certificate.subject || thumbprint;
+                roles = ['AuthenticatedUser', ...certificate.roles];
+            }
+            return {
+                success: true,
+                statusCode: StatusCodes.Good,
+                message: `Session activated as ${userName || 'Anonymous'} (${roles.join(', ')}) on ${securityMode}/${securityPolicy}.`,
+                userName,
+                roles,
+                securityMode,
+                securityPolicy
+            };
+        }
+
+        // Permissions come from the nearest node up the hierarchy that defines rolePermissions.
+        getUserPermissions(nodeId, roles) {
+            let node = this.findNode(nodeId);
+            if (!node) return null;
+            while (node && !node.rolePermissions) {
+                node = node.parentNodeId ? this.findNode(node.parentNodeId) : null;
+            }
+            const rolePermissions = node ? node.rolePermissions : this.security.defaultRolePermissions;
+            const permissions = new Set();
+            roles.forEach(role => (rolePermissions[role] || []).forEach(permission => permissions.add(permission)));
+            return permissions;
+        }
+
+        findNode(nodeId) {
+            return this.addressSpace.getNode(nodeId);
+        }
+
+        // nodesToRead: [{ nodeId, attributeId, indexRange }]. roles are the reading user's; null reads with full access.
+        readNodes(nodesToRead, roles = null) {
+            const rejection = checkBatch(nodesToRead, 'nodesToRead');
+            if (rejection) return rejection;
+            return summarizeBatch('Read', nodesToRead.map(item => this.readAttribute(item || {}, roles)));
+        }
+
+        // The Value needs the Read permission, the other attributes only Browse.
+        readAttribute({ nodeId, attributeId, indexRange }, roles = null) {
+            const fail = (statusCode, message) => ({ ...createDataValue(undefined, statusCode), sourceTimestamp: null, message });
+            const attributeName = getAttributeName(attributeId);
+            if (!attributeName) return fail(StatusCodes.BadAttributeIdInvalid, `Unknown attribute '${attributeId}'.`);
+            const permissions = roles ? this.getUserPermissions(nodeId, roles) : null;
+            const permission = attributeName === 'Value' ? 'Read' : 'Browse';
+            if (permissions && !permissions.has(permission)) {
+                const denied = accessDenied(permission, nodeId);
+                return fail(denied.statusCode, denied.message);
+            }
+            const node = this.findNode(nodeId);
+            if (attributeName === 'Value' && (!node || node.nodeClass !== 'VariableType')) return this.readNode(nodeId, indexRange);
+            if (!node) return fail(StatusCodes.BadNodeIdUnknown, `Node '${nodeId}' not found.`);
+            if (indexRange !== undefined && indexRange !== null && indexRange !== '') {
+                return fail(StatusCodes.BadIndexRangeNoData, 'Index ranges only apply to the Value of a Variable.');
+            }
+            const value = this.getAttributeValue(node, attributeName, permissions);
+            if (value === undefined) return fail(StatusCodes.BadAttributeIdInvalid, `${node.nodeClass} nodes have no ${attributeName} attribute.`);
+            return { ...createDataValue(value), sourceTimestamp: null, serverTimestamp: getUtcTimestamp() };
+        }
+
+        // Attribute values as JSON, or undefined if the node's class has no such attribute. permissions null means full access.
+        getAttributeValue(node, attributeName, permissions = null) {
+            const isVariable = node.nodeClass === 'Variable';
+            const hasValue = isVariable || node.nodeClass === 'VariableType';
+            const allows = permission => !permissions || permissions.has(permission);
+            switch (attributeName) {
+                case 'NodeId': return node.nodeId;
+                case 'NodeClass': return NODE_CLASS_MASKS[node.nodeClass];
+                case 'BrowseName': return { namespaceIndex: getNamespaceIndex(node.nodeId), name: node.browseName };
+                case 'DisplayName': return { locale: '', text: node.displayName || node.browseName };
+                case 'Description': return { locale: '', text: node.description || '' };
+                // Attributes other than the Value cannot be written.
+                case 'WriteMask':
+                case 'UserWriteMask': return 0;
+                case 'IsAbstract': return TYPE_NODE_CLASSES.includes(node.nodeClass) ? node.isAbstract === true : undefined;
+                case 'Symmetric': return node.nodeClass === 'ReferenceType' ? false : undefined;
+                case 'InverseName': return node.nodeClass === 'ReferenceType' ? { locale: '', text: node.inverseName || '' } : undefined;
+                // Events are subscribed to at the server, not at single objects.
+                case 'EventNotifier': return node.nodeClass === 'Object' ? 0 : undefined;
+                case 'Value': return node.nodeClass === 'VariableType' && node.value !== undefined ? node.value : undefined;
+                case 'DataType': return hasValue ? this.getDataTypeNodeId(node.dataType) : undefined;
+                case 'ValueRank': return hasValue ? node.valueRank : undefined;
+                case 'ArrayDimensions': return hasValue ? (node.arrayDimensions ? [...node.arrayDimensions] : null) : undefined;
+                case 'AccessLevel': return isVariable ? getAccessLevelBits(node) : undefined;
+                case 'UserAccessLevel':
+                    if (!isVariable) return undefined;
+                    return getAccessLevelBits(node)
+                        & ((allows('Read') ? ACCESS_LEVELS.CurrentRead | ACCESS_LEVELS.HistoryRead : 0) | (allows('Write') ? ACCESS_LEVELS.CurrentWrite : 0));
+                case 'MinimumSamplingInterval': return isVariable ? this.getMinimumSamplingInterval(node) : undefined;
+                case 'Historizing': return isVariable ? node.historizing : undefined;
+                case 'Executable': return node.nodeClass === 'Method' ? node.executable : undefined;
+                case 'UserExecutable': return node.nodeClass === 'Method' ? node.executable && allows('Call') : undefined;
+                default: return undefined;
+            }
+        }
+
+        getDataTypeNodeId(dataType) {
+            const definition = this.dataTypes.get(dataType);
+            if (definition) return definition.nodeId;
+            const builtIn = Object.entries({ ...BUILT_IN_DATA_TYPES, ...ABSTRACT_DATA_TYPES }).find(([, name]) => name === dataType);
+            return builtIn ? `ns=0;${builtIn[0]}` : null;
+        }
+
+        // The simulator never samples faster than MIN_SAMPLING_INTERVAL, whatever the node allows.
+        getMinimumSamplingInterval(node) {
+            return Math.max(MIN_SAMPLING_INTERVAL, node.minimumSamplingInterval || 0);
+        }
+
+        readNode(nodeId, indexRange) {
+            const node = this.findNode(nodeId);
+            if (node && SERVER_OBJECT_NODE_IDS.has(node.nodeId)) this.updateServerStatus();
+            if (!node) {
+                return { ...createDataValue(undefined, StatusCodes.BadNodeIdUnknown), sourceTimestamp: null };
+            }
+            if (node.nodeClass !== 'Variable') {
+                return { ...createDataValue(undefined, StatusCodes.BadAttributeIdInvalid), sourceTimestamp: null };
+            }
+            if (indexRange !== undefined && indexRange !== null && indexRange !== '') {
+                try {
+                    const value = readIndexRange(node.dataValue.value, parseIndexRange(indexRange), this.dataTypes.getBuiltInType(node.dataType) === 'String');
+                    return { ...node.dataValue, value, serverTimestamp: getUtcTimestamp(), dataType: node.dataType, valueRank: node.valueRank, accessLevel: node.accessLevel, indexRange: String(indexRange) };
+                } catch (e) {
+                    if (!(e instanceof DataTypeError)) throw e;
+                    return { ...createDataValue(undefined, e.statusCode), sourceTimestamp: null, message: `${e.message}.` };
+                }
+            }
+            const result = { ...node.dataValue, serverTimestamp: getUtcTimestamp(), dataType: node.dataType, valueRank: node.valueRank, accessLevel: node.accessLevel };
+            if (node.arrayDimensions) result.arrayDimensions = [...node.arrayDimensions];
+            const definitions = this.dataTypes.collectDefinitions(node.dataType);
+            if (Object.keys(definitions).length > 0) result.dataTypeDefinitions = definitions;
+            // Structures also come as the UA Binary body of their ExtensionObject.
+            const isStructure = this.dataTypes.getBuiltInType(node.dataType) === 'Structure';
+            if (isStructure && node.valueRank === SCALAR_VALUE_RANK && isPlainObject(result.value)) {
+                result.encodedValue = this.dataTypes.encodeExtensionObject(node.dataType, result.value);
+            }
+            return result;
+        }
+
+        // nodesToWrite: [{ nodeId, attributeId, indexRange, value }]. roles are the writing user's; null writes with full access.
+        writeNodes(nodesToWrite, roles = null) {
+            const rejection = checkBatch(nodesToWrite, 'nodesToWrite');
+            if (rejection) return rejection;
+            return summarizeBatch('Wrote', nodesToWrite.map(item => this.writeAttribute(item || {}, roles)));
+        }
+
+        writeAttribute({ nodeId, attributeId, indexRange, value }, roles = null) {
+            const attributeName = getAttributeName(attributeId);
+            if (!attributeName) return { success: false, statusCode: StatusCodes.BadAttributeIdInvalid, message: `Unknown attribute '${attributeId}'.` };
+            const permissions = roles ? this.getUserPermissions(nodeId, roles) : null;
+            if (permissions && !permissions.has('Write')) return accessDenied('Write', nodeId);
+            if (attributeName !== 'Value') return { success: false, statusCode: StatusCodes.BadNotWritable, message: `The ${attributeName} attribute is not writable.` };
+            if (value === undefined || value === null || value === '') {
+                return { success: false, statusCode: StatusCodes.BadTypeMismatch, message: `No value to write to '${nodeId}'.` };
+            }
+            return this.writeNode(nodeId, value, indexRange);
+        }
+
+        // Client writes, unlike the simulation and scenarios, must stay within a node's EURange.
+        writeNode(nodeId, newValue, indexRange) {
+            const node = this.findNode(nodeId);
+            if (!node) {
+                return { success: false, statusCode: StatusCodes.BadNodeIdUnknown, message: `Node '${nodeId}' not found.` };
+            }
+            if (node.nodeClass !== 'Variable') {
+                return { success: false, statusCode: StatusCodes.BadAttributeIdInvalid, message: `Node '${node.browseName}' is not a Variable.` };
+            }
+            if (node.accessLevel !== 'ReadWrite') {
+                return { success: false, statusCode: StatusCodes.BadNotWritable, message: `Node '${node.browseName}' is ReadOnly.` };
+            }
+            if (indexRange === undefined || indexRange === null || indexRange === '') return this.assignValue(node, newValue, true);
+            // The written elements replace part of the current value, and the result is checked like a full write.
+            const isText = this.dataTypes.getBuiltInType(node.dataType) === 'String';
+            try {
+                let part = newValue;
+                if (typeof newValue === 'string' && node.valueRank !== SCALAR_VALUE_RANK) part = JSON.parse(newValue);
+                return this.assignValue(node, writeIndexRange(node.dataValue.value, parseIndexRange(indexRange), part, isText), true);
+            } catch (e) {
+                if (e instanceof SyntaxError) return { success: false, statusCode: StatusCodes.BadTypeMismatch, message: `${describeValue(newValue)} is not a JSON array.` };
+                if (!(e instanceof DataTypeError)) throw e;
+                return { success: false, statusCode: e.statusCode, message: `${e.message} of '${node.browseName}'.` };
+            }
+        }
+
+        // Changes a value the way the device would, so scenarios can drive ReadOnly variables too.
+        setValue(nodeId, newValue) {
+            const node = this.findNode(nodeId);
+            if (!node || node.nodeClass !== 'Variable') {
+                return { success: false, statusCode: StatusCodes.BadNodeIdUnknown, message: `Node '${nodeId}' not found or not a Variable.` };
+            }
+            return this.assignValue(node, newValue);
+        }
+
+        assignValue(node, newValue, checkRange = false) {
+            let convertedValue;
+            try {
+                convertedValue = this.dataTypes.convert(node.dataType, newValue, node.valueRank, node.arrayDimensions);
+            } catch (e) {
+                const statusCode = e instanceof DataTypeError ? e.statusCode : StatusCodes.BadTypeMismatch;
+                return { success: false, statusCode, message: `${e.message} for ${formatDataType(node.dataType, node.valueRank, node.arrayDimensions)} type.` };
+            }
+            if (checkRange && node.euRange && NUMERIC_DATA_TYPES.includes(this.dataTypes.getBuiltInType(node.dataType))) {
+                const { low, high } = node.euRange;
+                const outside = [convertedValue].flat(Infinity).find(item => item !== null && (Number(item) < low || Number(item) > high));
+                if (outside !== undefined) {
+                    return { success: false, statusCode: StatusCodes.BadOutOfRange, message: `${outside} is outside the EURange ${low} to ${high} of '${node.browseName}'.` };
+                }
+            }
+
+            this.setNodeValue(node, convertedValue);
+            const valueText = typeof convertedValue === 'object' ? JSON.stringify(convertedValue) : convertedValue;
+            return {
+                success: true,
+                statusCode: StatusCodes.Good,
+                message: `Value of ${node.browseName} updated to ${valueText}`,
+                dataValue: { ...node.dataValue },
+                dataType: node.dataType
+            };
+        }
+
+        // True for scalar variables whose built-in type is one of builtInTypes.
+        hasScalarType(node, builtInTypes = NUMERIC_DATA_TYPES) {
+            return node.valueRank === SCALAR_VALUE_RANK && builtInTypes.includes(this.dataTypes.getBuiltInType(node.dataType));
+        }
+
+        // Every value change goes through here so an injected quality sticks until it is cleared.
+        setNodeValue(node, value, sourceTimestamp = getUtcTimestamp()) {
+            const statusCode = node.qualityOverride === undefined ? StatusCodes.Good : node.qualityOverride;
+            this.updateDataValue(node, createDataValue(value, statusCode, sourceTimestamp));
+        }
+
+        updateDataValue(node, dataValue) {
+            node.dataValue = dataValue;
+            this.recordHistory(node);
+            this.evaluateCondition(node);
+            this.emit('valueChange', { node, dataValue });
+        }
+
+        recordHistory(node) {
+            if (!node.historizing) return;
+            if (!this.history[node.nodeId]) this.history[node.nodeId] = new HistoryBuffer(this.historyCapacity);
+            this.history[node.nodeId].push(node.dataValue);
+            if (this.historyStore) this.historyStore.append(node.nodeId, node.dataValue);
+        }
+
+        setHistoryCapacity(capacity) {
+            const requestedCapacity = Math.floor(Number(capacity));
+            if (!(requestedCapacity > 0)) {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `Invalid history capacity '${capacity}'.` };
+            }
+            this.historyCapacity = requestedCapacity;
+            Object.values(this.history).forEach(buffer => buffer.resize(requestedCapacity));
+            return { success: true, statusCode: StatusCodes.Good, message: `History keeps the last ${requestedCapacity} values per node.` };
+        }
+
+        // Merges what the store already holds with the in-memory history, then trims the store to capacity.
+        enableHistoryPersistence(store) {
+            return store.loadAll().then(persisted => {
+                Object.entries(this.history).forEach(([nodeId, buffer]) => {
+                    const merged = (persisted[nodeId] || []).concat(buffer.toArray())
+                        .sort((a, b) => Date.parse(a.sourceTimestamp) - Date.parse(b.sourceTimestamp));
+                    buffer.replaceAll(merged);
+                });
+                const trimmed = {};
+                Object.entries(this.history).forEach(([nodeId, buffer]) => { trimmed[nodeId] = buffer.toArray(); });
+                return store.replaceAll(trimmed);
+            }).then(() => {
+                this.historyStore = store;
+            });
+        }
+
+        disableHistoryPersistence() {
+            if (this.historyStore) this.historyStore.close();
+            this.historyStore = null;
+        }
+
+        getHistoryBuffer(nodeId) {
+            const node = this.findNode(nodeId);
+            if (!node) return { statusCode: StatusCodes.BadNodeIdUnknown, message: `Node '${nodeId}' not found.` };
+            if (node.nodeClass !== 'Variable' || !node.historizing) {
+                return { statusCode: StatusCodes.BadHistoryOperationUnsupported, message: `Node '${node.browseName}' has no history.` };
+            }
+            return { node, buffer: this.history[nodeId] || new HistoryBuffer(this.historyCapacity) };
+        }
+
+        historyReadRaw(nodeId, startTime, endTime, numValuesPerNode = 0) {
+            const { node, buffer, statusCode, message } = this.getHistoryBuffer(nodeId);
+            if (!node) return { success: false, statusCode, message, dataValues: [] };
+
+            const start = startTime ? Date.parse(startTime) : -Infinity;
+            const end = endTime ? Date.parse(endTime) : Infinity;
+            if (isNaN(start) || isNaN(end) || start > end) {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: 'Invalid history time range.', dataValues: [] };
+            }
+            let dataValues = buffer.toArray().filter(dataValue => {
+                const time = Date.parse(dataValue.sourceTimestamp);
+                return time >= start && time <= end;
+            });
+            if (numValuesPerNode > 0) dataValues = dataValues.slice(0, numValuesPerNode);
+            return {
+                success: true,
+                statusCode: dataValues.length > 0 ? StatusCodes.Good : StatusCodes.GoodNoData,
+                message: `Read ${dataValues.length} raw values of '${node.browseName}'.`,
+                dataValues
+            };
+        }
+
+        historyReadProcessed(nodeId, startTime, endTime, processingInterval, aggregateType) {
+            const { node, buffer, statusCode, message } = this.getHistoryBuffer(nodeId);
+            if (!node) return { success: false, statusCode, message, dataValues: [] };
+
+            const aggregate = AGGREGATE_FUNCTIONS[aggregateType];
+            if (!aggregate) {
+                return { success: false, statusCode: StatusCodes.BadAggregateNotSupported, message: `Aggregate '${aggregateType}' is not supported.`, dataValues: [] };
+            }
+            if (aggregateType !== 'Count' && !this.hasScalarType(node, [...NUMERIC_DATA_TYPES, 'Boolean'])) {
+                return { success: false, statusCode: StatusCodes.BadAggregateInvalidInputs, message: `${aggregateType} needs numeric values; '${node.browseName}' is ${node.dataType}.`, dataValues: [] };
+            }
+            const start = Date.parse(startTime);
+            const end = Date.parse(endTime);
+            const interval = Number(processingInterval);
+            if (isNaN(start) || isNaN(end) || start >= end || !(interval > 0) || (end - start) / interval > MAX_PROCESSED_INTERVALS) {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `Invalid time range or processing interval (at most ${MAX_PROCESSED_INTERVALS} intervals).`, dataValues: [] };
+            }
+
+            const samples = buffer.toArray()
+                .filter(dataValue => !isBad(dataValue.statusCode))
+                .map(dataValue => ({ time: Date.parse(dataValue.sourceTimestamp), value: Number(dataValue.value) }))
+                // Values written on the virtual clock or replayed from a recording need not arrive in time order.
+                .sort((a, b) => a.time - b.time);
+            const dataValues = [];
+            for (let intervalStart = start; intervalStart < end; intervalStart += interval) {
+                const result = aggregate(samples, intervalStart, Math.min(intervalStart + interval, end));
+                dataValues.push(createDataValue(result.value, result.statusCode, new Date(intervalStart).toISOString()));
+            }
+            return {
+                success: true,
+                statusCode: StatusCodes.Good,
+                message: `Computed ${dataValues.length} ${aggregateType} values of '${node.browseName}'.`,
+                dataValues
+            };
+        }
+
+        injectQuality(nodeId, statusCode) {
+            const node = this.findNode(nodeId);
+            if (!node || node.nodeClass !== 'Variable') {
+                return { success: false, statusCode: StatusCodes.BadNodeIdUnknown, message: `Node '${nodeId}' not found or not a Variable.` };
+            }
+            if (statusCode === null || statusCode === StatusCodes.Good) {
+                delete node.qualityOverride;
+            } else {
+                node.qualityOverride = statusCode;
+            }
+            // The value is untouched; only its quality and source timestamp change, as a real device would report it.
+            this.setNodeValue(node, node.dataValue.value);
+            return { success: true, statusCode: StatusCodes.Good, message: `Quality of '${node.browseName}' is now ${getStatusCodeName(node.dataValue.statusCode)}.` };
+        }
+
+        // Follows the references of a node. referenceType is a name or NodeId (null for all references) and
+        // nodeClassMask a sum of NODE_CLASS_MASKS bits (0 for all NodeClasses).
+        browseNodes(nodeId = ROOT_NODE_ID, { browseDirection = 'Forward', referenceType = 'HierarchicalReferences', includeSubtypes = true, nodeClassMask = 0 } = {}) {
+            const reject = (statusCode, message) => ({ success: false, statusCode, message, references: [] });
+            const node = this.findNode(nodeId);
+            if (!node) return reject(StatusCodes.BadNodeIdUnknown, `Node '${nodeId}' not found.`);
+            if (!BROWSE_DIRECTIONS.includes(browseDirection)) {
+                return reject(StatusCodes.BadBrowseDirectionInvalid, `Browse direction must be one of ${BROWSE_DIRECTIONS.join(', ')}.`);
+            }
+            const referenceTypeName = referenceType ? resolveReferenceType(referenceType) : null;
+            if (referenceType && !referenceTypeName) {
+                return reject(StatusCodes.BadReferenceTypeIdInvalid, `'${referenceType}' is not a known ReferenceType.`);
+            }
+            const mask = Number(nodeClassMask);
+            if (!Number.isInteger(mask) || mask < 0) {
+                return reject(StatusCodes.BadInvalidArgument, `Invalid node class mask '${nodeClassMask}'.`);
+            }
+
+            const references = this.addressSpace.getReferences(node, { browseDirection, referenceType: referenceTypeName, includeSubtypes: includeSubtypes !== false })
+                .map(reference => ({ reference, target: this.findNode(reference.nodeId) }))
+                .filter(({ target }) => mask === 0 || (mask & NODE_CLASS_MASKS[target.nodeClass]) !== 0)
+                .map(({ reference, target }) => ({
+                    referenceType: reference.referenceType,
+                    isForward: reference.isForward,
+                    nodeId: target.nodeId,
+                    browseName: target.browseName,
+                    nodeClass: target.nodeClass,
+                    typeDefinition: target.typeDefinition,
+                    modellingRule: target.modellingRule,
+                    dataType: target.dataType,
+                    valueRank: target.valueRank,
+                    arrayDimensions: target.arrayDimensions,
+                    hasChildren: this.addressSpace.getReferences(target).length > 0,
+                    dataValue: target.dataValue ? { ...target.dataValue } : undefined,
+                    inputArguments: target.inputArguments,
+                    outputArguments: target.outputArguments
+                }));
+            return { success: true, statusCode: StatusCodes.Good, message: `${references.length} reference(s) of '${node.browseName}'.`, references };
+        }
+
+        // Resolves each { startingNode, relativePath } to the NodeIds it leads to. relativePath is the text form
+        // parsed by parseRelativePath or an array of { referenceType, isInverse, includeSubtypes, targetName }.
+        translateBrowsePaths(browsePaths) {
+            if (!Array.isArray(browsePaths) || browsePaths.length === 0) {
+                return { success: false, statusCode: StatusCodes.BadNothingToDo, message: 'No browse paths given.', results: [] };
+            }
+            const results = browsePaths.map(browsePath => this.translateBrowsePath(browsePath || {}));
+            const resolved = results.filter(result => isGood(result.statusCode)).length;
+            return { success: true, statusCode: StatusCodes.Good, message: `Resolved ${resolved} of ${results.length} browse path(s).`, results };
+        }
+
+        translateBrowsePath({ startingNode = ROOT_NODE_ID, relativePath }) {
+            const fail = (statusCode, message) => ({ statusCode, message, targetIds: [] });
+            const start = this.findNode(startingNode);
+            if (!start) return fail(StatusCodes.BadNodeIdUnknown, `Node '${startingNode}' not found.`);
+            let elements;
+            try {
+                elements = Array.isArray(relativePath) ? relativePath : parseRelativePath(String(relativePath || ''));
+            } catch (e) {
+                return fail(StatusCodes.BadBrowseNameInvalid, e.message);
+            }
+            if (elements.length === 0) return fail(StatusCodes.BadNothingToDo, 'The relative path is empty.');
+
+            let current = [start];
+            for (const element of elements) {
+                const referenceType = element.referenceType === undefined ? 'HierarchicalReferences' : resolveReferenceType(element.referenceType);
+                if (!referenceType) return fail(StatusCodes.BadReferenceTypeIdInvalid, `'${element.referenceType}' is not a known ReferenceType.`);
+                if (!element.targetName) return fail(StatusCodes.BadBrowseNameInvalid, 'Every path element needs a target BrowseName.');
+                const options = { browseDirection: element.isInverse ? 'Inverse' : 'Forward', referenceType, includeSubtypes: element.includeSubtypes !== false };
+                const next = new Map();
+                current.forEach(node => this.addressSpace.getReferences(node, options).forEach(reference => {
+                    const target = this.findNode(reference.nodeId);
+                    if (matchesBrowseName(target, String(element.targetName))) next.set(target.nodeId, target);
+                }));
+                if (next.size === 0) return fail(StatusCodes.BadNoMatch, `No '${element.targetName}' below ${current.map(node => `'${node.browseName}'`).join(', ')}.`);
+                current = [...next.values()];
+            }
+            return { statusCode: StatusCodes.Good, message: `Resolved to ${current.length} node(s).`, targetIds: current.map(node => node.nodeId) };
+        }
+
+        // Variables that hold live data: instance declarations inside types are left out. With a start node,
+        // only the Variables below it.
+        // The model's variables, leaving out the Server object unless startNode asks for it.
+        listVariables(startNode = null) {
+            const nodes = startNode ? this.addressSpace.getDescendants(startNode) : this.addressSpace.nodes.values();
+            return Array.from(nodes).filter(node => node.nodeClass === 'Variable' && !node.modellingRule
+                && (startNode || getNamespaceIndex(node.nodeId) > 0));
+        }
+
+        createSubscription(publishingInterval, callback, maxKeepAliveCount = DEFAULT_MAX_KEEP_ALIVE_COUNT) {
+            const requestedInterval = Number(publishingInterval);
+            if (isNaN(requestedInterval)) {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `Invalid publishing interval '${publishingInterval}'.` };
+            }
+            const requestedKeepAliveCount = Number(maxKeepAliveCount);
+            if (!Number.isInteger(requestedKeepAliveCount) || requestedKeepAliveCount < 1) {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `Invalid max keep-alive count '${maxKeepAliveCount}'.` };
+            }
+            const revisedInterval = Math.max(MIN_PUBLISHING_INTERVAL, requestedInterval);
+            const revisedKeepAliveCount = Math.min(MAX_KEEP_ALIVE_COUNT, requestedKeepAliveCount);
+            const subscription = new Subscription(this.nextSubscriptionId++, revisedInterval, callback, revisedKeepAliveCount);
+            this.subscriptions[subscription.subscriptionId] = subscription;
+            this.diagnostics.cumulatedSubscriptionCount++;
+            return {
+                success: true,
+                message: `Created subscription ${subscription.subscriptionId} (publishing every ${revisedInterval} ms).`,
+                subscriptionId: subscription.subscriptionId,
+                revisedPublishingInterval: revisedInterval,
+                revisedMaxKeepAliveCount: revisedKeepAliveCount
+            };
+        }
+
+        republish(subscriptionId, sequenceNumber) {
+            const subscription = this.subscriptions[subscriptionId];
+            if (!subscription) {
+                return { success: false, statusCode: StatusCodes.BadSubscriptionIdInvalid, message: `No subscription with id ${subscriptionId}.` };
+            }
+            const notificationMessage = subscription.republish(sequenceNumber);
+            if (!notificationMessage) {
+                return { success: false, statusCode: StatusCodes.BadMessageNotAvailable, message: `Message ${sequenceNumber} of subscription ${subscriptionId} is no longer available.` };
+            }
+            return { success: true, statusCode: StatusCodes.Good, message: `Republished message ${sequenceNumber}.`, notificationMessage };
+        }
+
+        deleteSubscription(subscriptionId) {
+            const subscription = this.subscriptions[subscriptionId];
+            if (!subscription) {
+                return { success: false, statusCode: StatusCodes.BadSubscriptionIdInvalid, message: `No subscription with id ${subscriptionId}.` };
+            }
+            subscription.close();
+            delete this.subscriptions[subscriptionId];
+            return { success: true, message: `Deleted subscription ${subscriptionId}.` };
+        }
+
+        createMonitoredItem(subscriptionId, nodeId, parameters = {}) {
+            const subscription = this.subscriptions[subscriptionId];
+            if (!subscription) {
+                return { success: false, statusCode: StatusCodes.BadSubscriptionIdInvalid, message: `No subscription with id ${subscriptionId}.` };
+            }
+            const node = this.findNode(nodeId);
+            if (!node) {
+                return { success: false, statusCode: StatusCodes.BadNodeIdUnknown, message: `Cannot monitor '${nodeId}'. Node not found.` };
+            }
+            if (node.nodeClass !== 'Variable') {
+                return { success: false, statusCode: StatusCodes.BadAttributeIdInvalid, message: `Cannot monitor '${nodeId}'. Not a Variable.` };
+            }
+
+            const deadbandType = parameters.deadbandType || 'None';
+            const deadbandValue = Number(parameters.deadbandValue || 0);
+            if (!DEADBAND_TYPES.includes(deadbandType)) {
+                return { success: false, statusCode: StatusCodes.BadMonitoredItemFilterUnsupported, message: `Unknown deadband type '${deadbandType}'.` };
+            }
+            if (deadbandType !== 'None') {
+                if (!this.hasScalarType(node)) {
+                    return { success: false, statusCode: StatusCodes.BadDeadbandFilterInvalid, message: `Deadband filters need a numeric node; '${node.browseName}' is ${node.dataType}.` };
+                }
+                if (isNaN(deadbandValue) || deadbandValue < 0) {
+                    return { success: false, statusCode: StatusCodes.BadDeadbandFilterInvalid, message: `Invalid deadband value '${parameters.deadbandValue}'.` };
+                }
+                if (deadbandType === 'Percent' && (!node.euRange || deadbandValue > 100)) {
+                    return { success: false, statusCode: StatusCodes.BadDeadbandFilterInvalid, message: `Percent deadband needs an EURange on '${node.browseName}' and a value of 0-100.` };
+                }
+            }
+
+            const requestedSampling = Number(parameters.samplingInterval);
+            const requestedQueueSize = Math.floor(Number(parameters.queueSize));
+            const item = subscription.addMonitoredItem(node, {
+                samplingInterval: Math.max(this.getMinimumSamplingInterval(node), isNaN(requestedSampling) ? subscription.publishingInterval : requestedSampling),
+                queueSize: Math.min(MAX_QUEUE_SIZE, Math.max(1, requestedQueueSize || 1)),
+                discardOldest: parameters.discardOldest !== false,
+                deadbandType,
+                deadbandValue
+            });
+            return {
+                success: true,
+                statusCode: StatusCodes.Good,
+                message: `Monitoring '${node.browseName}' in subscription ${subscriptionId}.`,
+                monitoredItemId: item.monitoredItemId,
+                revisedSamplingInterval: item.samplingInterval,
+                revisedQueueSize: item.queueSize
+            };
+        }
+
+        deleteMonitoredItem(subscriptionId, monitoredItemId) {
+            const subscription = this.subscriptions[subscriptionId];
+            if (!subscription || !subscription.removeMonitoredItem(monitoredItemId)) {
+                return { success: false, statusCode: StatusCodes.BadMonitoredItemIdInvalid, message: `No monitored item ${monitoredItemId} in subscription ${subscriptionId}.` };
+            }
+            return { success: true, message: `Deleted monitored item ${monitoredItemId}.` };
+        }
+
+        callMethod(objectId, methodId, inputArguments = []) {
+            // null stands for no arguments, as a missing list does.
+            if (inputArguments === null) inputArguments = [];
+            if (!Array.isArray(inputArguments)) {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: 'Input arguments must be a list.', inputArgumentResults: [], outputArguments: [] };
+            }
+            const objectNode = this.findNode(objectId);
+            if (!objectNode || objectNode.nodeClass !== 'Object') {
+                return { success: false, statusCode: StatusCodes.BadNodeIdUnknown, message: `Object '${objectId}' not found.`, inputArgumentResults: [], outputArguments: [] };
+            }
+            const methodNode = this.findNode(methodId);
+            const isComponent = methodNode && this.addressSpace.getReferences(objectNode, { referenceType: 'HasComponent' })
+                .some(reference => reference.nodeId === methodNode.nodeId);
+            if (!isComponent || methodNode.nodeClass !== 'Method') {
+                return { success: false, statusCode: StatusCodes.BadMethodInvalid, message: `'${methodId}' is not a method of '${objectNode.browseName}'.`, inputArgumentResults: [], outputArguments: [] };
+            }
+            const handler = METHOD_HANDLERS[methodNode.handler];
+            if (!handler) {
+                return { success: false, statusCode: StatusCodes.BadNotImplemented, message: `Method '${methodNode.browseName}' has no implementation.`, inputArgumentResults: [], outputArguments: [] };
+            }
+            const expected = methodNode.inputArguments;
+            if (inputArguments.length < expected.length) {
+                return { success: false, statusCode: StatusCodes.BadArgumentsMissing, message: `${methodNode.browseName} expects ${expected.length} argument(s), got ${inputArguments.length}.`, inputArgumentResults: [], outputArguments: [] };
+            }
+            if (inputArguments.length > expected.length) {
+                return { success: false, statusCode: StatusCodes.BadTooManyArguments, message: `${methodNode.browseName} expects ${expected.length} argument(s), got ${inputArguments.length}.`, inputArgumentResults: [], outputArguments: [] };
+            }
+
+            const convertedArguments = [];
+            const inputArgumentResults = expected.map((argument, index) => {
+                try {
+                    convertedArguments.push(this.dataTypes.convert(argument.dataType, inputArguments[index], argument.valueRank, argument.arrayDimensions));
+                    return StatusCodes.Good;
+                } catch (e) {
+                    return e instanceof DataTypeError ? e.statusCode : StatusCodes.BadTypeMismatch;
+                }
+            });
+            if (inputArgumentResults.some(isBad)) {
+                const invalid = expected.filter((argument, index) => isBad(inputArgumentResults[index]))
+                    .map(argument => `${argument.name} (${formatDataType(argument.dataType, argument.valueRank, argument.arrayDimensions)})`);
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `Invalid argument(s): ${invalid.join(', ')}.`, inputArgumentResults, outputArguments: [] };
+            }
+
+            const result = handler(this, objectNode, convertedArguments);
+            return {
+                success: !isBad(result.statusCode),
+                statusCode: result.statusCode,
+                message: `Called ${methodNode.browseName}: ${getStatusCodeName(result.statusCode)}.`,
+                inputArgumentResults,
+                outputArguments: result.outputArguments
+            };
+        }
+
+        setAlarm(nodeId, definition) {
+            const node = this.findNode(nodeId);
+            if (!node || node.nodeClass !== 'Variable') {
+                return { success: false, statusCode: StatusCodes.BadNodeIdUnknown, message: `Node '${nodeId}' not found or not a Variable.` };
+            }
+            const existing = this.conditions[`${node.nodeId}.Alarm`];
+            if (existing) {
+                simulationClock.clearTimer(existing.shelvingTimer);
+                delete this.conditions[existing.conditionId];
+            }
+            if (definition === null) {
+                delete node.alarm;
+                return { success: true, statusCode: StatusCodes.Good, message: `Removed alarm from '${node.browseName}'.` };
+            }
+            try {
+                node.alarm = normalizeAlarmDefinition(definition, this.dataTypes.getBuiltInType(node.dataType), node.valueRank);
+            } catch (e) {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: e.message };
+            }
+            this.attachCondition(node);
+            return { success: true, statusCode: StatusCodes.Good, message: `'${node.browseName}' now has a ${node.alarm.type}.` };
+        }
+
+        attachCondition(node) {
+            const condition = new AlarmCondition(node, node.alarm);
+            this.conditions[condition.conditionId] = condition;
+            this.evaluateCondition(node);
+        }
+
+        evaluateCondition(node) {
+            const condition = this.conditions[`${node.nodeId}.Alarm`];
+            // A Bad value says nothing about the process, so it neither raises nor clears an alarm.
+            if (!condition || isBad(node.dataValue.statusCode)) return;
+            if (!condition.evaluate(node.dataValue.value)) return;
+            // A one-shot shelve lasts until the alarm next returns to normal.
+            if (!condition.activeState && condition.shelvingState === 'OneShotShelved') condition.shelvingState = 'Unshelved';
+            this.fireConditionEvent(condition, true);
+        }
+
+        fireConditionEvent(condition, suppressIfShelved = false) {
+            condition.eventId = String(nextEventId++);
+            condition.time = getUtcTimestamp();
+            if (suppressIfShelved && condition.shelvingState !== 'Unshelved') return;
+            const event = condition.toEvent();
+            Object.values(this.eventSubscriptions).forEach(callback => callback(event));
+        }
+
+        subscribeEvents(callback) {
+            const eventSubscriptionId = this.nextEventSubscriptionId++;
+            this.eventSubscriptions[eventSubscriptionId] = callback;
+            return { success: true, statusCode: StatusCodes.Good, message: `Subscribed to events (${eventSubscriptionId}).`, eventSubscriptionId };
+        }
+
+        unsubscribeEvents(eventSubscriptionId) {
+            if (!this.eventSubscriptions[eventSubscriptionId]) {
+                return { success: false, statusCode: StatusCodes.BadSubscriptionIdInvalid, message: `No event subscription with id ${eventSubscriptionId}.` };
+            }
+            delete this.eventSubscriptions[eventSubscriptionId];
+            return { success: true, statusCode: StatusCodes.Good, message: `Unsubscribed from events (${eventSubscriptionId}).` };
+        }
+
+        // ConditionRefresh: the current state of every retained condition, for clients that just subscribed.
+        refreshConditions() {
+            return Object.values(this.conditions).filter(condition => condition.retain).map(condition => condition.toEvent());
+        }
+
+        getCondition(conditionId, eventId) {
+            const condition = this.conditions[conditionId];
+            if (!condition) {
+                return { error: { success: false, statusCode: StatusCodes.BadNodeIdUnknown, message: `No condition '${conditionId}'.` } };
+            }
+            // Ack and Confirm name the event they answer; a stale EventId means the alarm changed meanwhile.
+            if (eventId !== undefined && eventId !== condition.eventId) {
+                return { error: { success: false, statusCode: StatusCodes.BadEventIdUnknown, message: `Event ${eventId} is no longer current for '${conditionId}'.` } };
+            }
+            return { condition };
+        }
+
+        acknowledgeCondition(conditionId, eventId, comment = '') {
+            const { condition, error } = this.getCondition(conditionId, eventId);
+            if (error) return error;
+            if (condition.ackedState) {
+                return { success: false, statusCode: StatusCodes.BadConditionBranchAlreadyAcked, message: `'${conditionId}' is already acknowledged.` };
+            }
+            condition.ackedState = true;
+            condition.comment = comment;
+            this.fireConditionEvent(condition);
+            return { success: true, statusCode: StatusCodes.Good, message: `Acknowledged '${condition.sourceNode.browseName}' alarm.` };
+        }
+
+        confirmCondition(conditionId, eventId, comment = '') {
+            const { condition, error } = this.getCondition(conditionId, eventId);
+            if (error) return error;
+            if (condition.confirmedState) {
+                return { success: false, statusCode: StatusCodes.BadConditionBranchAlreadyConfirmed, message: `'${conditionId}' is already confirmed.` };
+            }
+            if (!condition.ackedState) {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `'${conditionId}' must be acknowledged before it is confirmed.` };
+            }
+            condition.confirmedState = true;
+            condition.comment = comment;
+            this.fireConditionEvent(condition);
+            return { success: true, statusCode: StatusCodes.Good, message: `Confirmed '${condition.sourceNode.browseName}' alarm.` };
+        }
+
+        shelveCondition(conditionId, shelvingState, shelvingTime = 0) {
+            const { condition, error } = this.getCondition(conditionId);
+            if (error) return error;
+            if (shelvingState === 'Unshelved') {
+                if (condition.shelvingState === 'Unshelved') {
+                    return { success: false, statusCode: StatusCodes.BadConditionNotShelved, message: `'${conditionId}' is not shelved.` };
+                }
+            } else if (condition.shelvingState !== 'Unshelved') {
+                return { success: false, statusCode: StatusCodes.BadConditionAlreadyShelved, message: `'${conditionId}' is already shelved.` };
+            } else if (shelvingState === 'TimedShelved' && !(shelvingTime > 0 && shelvingTime <= MAX_TIME_SHELVED)) {
+                return { success: false, statusCode: StatusCodes.BadShelvingTimeOutOfRange, message: `Shelving time must be between 1 ms and ${MAX_TIME_SHELVED} ms.` };
+            } else if (shelvingState !== 'OneShotShelved' && shelvingState !== 'TimedShelved') {
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `Unknown shelving state '${shelvingState}'.` };
+            }
+
+            simulationClock.clearTimer(condition.shelvingTimer);
+            condition.shelvingTimer = null;
+            condition.shelvingState = shelvingState;
+            if (shelvingState === 'TimedShelved') {
+                condition.shelvingTimer = simulationClock.setTimeout(() => this.shelveCondition(conditionId, 'Unshelved'), shelvingTime);
+            }
+            this.fireConditionEvent(condition);
+            return { success: true, statusCode: StatusCodes.Good, message: `'${condition.sourceNode.browseName}' alarm is now ${shelvingState}.` };
+        }
+
+        setSimulationProfile(nodeId, profile) {
+            const node = this.findNode(nodeId);
+            if (!node || node.nodeClass !== 'Variable') {
+                return { success: false, message: `Node '${nodeId}' not found or not a Variable.` };
+            }
+            if (profile === null) {
+                this.stopSignalGenerator(nodeId);
+                delete node.simulation;
+                return { success: true, message: `Removed signal generator from '${node.browseName}'.` };
+            }
+            try {
+                checkSimulationTarget(node, this.dataTypes.getBuiltInType(node.dataType));
+                node.simulation = normalizeSimulationProfile(profile);
+            } catch (e) {
+                return { success: false, message: e.message };
+            }
+            if (this.updateInterval) this.startSignalGenerator(node);
+            return { success: true, message: `'${node.browseName}' now follows a ${node.simulation.type} profile every ${node.simulation.updateRate} ms.` };
+        }
+
+        startSignalGenerator(node) {
+            this.stopSignalGenerator(node.nodeId);
+            const generator = new SignalGenerator(node.simulation, node.dataValue.value);
+            const builtInType = this.dataTypes.getBuiltInType(node.dataType);
+            const startTime = simulationClock.now();
+            this.generators.add(node.nodeId, node.simulation.updateRate, () => {
+                // A node with injected Bad quality stands for a failed sensor: its value goes stale.
+                if (node.qualityOverride !== undefined && isBad(node.qualityOverride)) return;
+                this.setNodeValue(node, toDataTypeValue(builtInType, generator.next(simulationClock.now() - startTime)));
+            });
+        }
+
+        stopSignalGenerator(nodeId) {
+            this.generators.remove(nodeId);
+        }
+
+        on(eventName, listener) {
+            (this.listeners[eventName] = this.listeners[eventName] || []).push(listener);
+        }
+
+        off(eventName, listener) {
+            this.listeners[eventName] = (this.listeners[eventName] || []).filter(existing => existing !== listener);
+        }
+
+        emit(eventName, payload) {
+            (this.listeners[eventName] || []).forEach(listener => listener(payload));
+        }
+
+        startDataSimulation() {
+            if (this.updateInterval) return;
+            this.listVariables().forEach(node => {
+                if (node.simulation) this.startSignalGenerator(node);
+            });
+            this.updateInterval = setInterval(() => this.emit('update'), 2000);
+            this.statusTimer = simulationClock.setInterval(() => this.updateServerStatus(), SERVER_STATUS_UPDATE_INTERVAL);
+        }
+
+        stopDataSimulation() {
+            this.generators.clear();
+            if (this.updateInterval) {
+                clearInterval(this.updateInterval);
+                this.updateInterval = null;
+            }
+            simulationClock.clearTimer(this.statusTimer);
+            this.statusTimer = null;
+        }
+
+        // --- Server Status & Diagnostics ---
+        getDiagnosticsSummary() {
+            const subscriptions = Object.values(this.subscriptions);
+            const { diagnostics } = this;
+            return {
+                ServerViewCount: 0,
+                CurrentSessionCount: Object.keys(this.sessionManager.sessions).length,
+                CumulatedSessionCount: diagnostics.cumulatedSessionCount,
+                SecurityRejectedSessionCount: diagnostics.securityRejectedSessionCount,
+                RejectedSessionCount: diagnostics.rejectedSessionCount,
+                SessionTimeoutCount: diagnostics.sessionTimeoutCount,
+                SessionAbortCount: diagnostics.sessionAbortCount,
+                PublishingIntervalCount: new Set(subscriptions.map(subscription => subscription.publishingInterval)).size,
+                CurrentSubscriptionCount: subscriptions.length,
+                CumulatedSubscriptionCount: diagnostics.cumulatedSubscriptionCount,
+                SecurityRejectedRequestsCount: diagnostics.securityRejectedRequestsCount,
+                RejectedRequestsCount: diagnostics.rejectedRequestsCount
+            };
+        }
+
+        getServerStatus() {
+            return {
+                StartTime: this.startTime, CurrentTime: getUtcTimestamp(), State: 'Running', BuildInfo: { ...BUILD_INFO },
+                SecondsTillShutdown: 0, ShutdownReason: ''
+            };
+        }
+
+        // Writes the current status and diagnostics into the Server object, touching only the values that changed.
+        updateServerStatus() {
+            const status = this.getServerStatus();
+            const summary = this.getDiagnosticsSummary();
+            const values = {
+                2254: [BUILD_INFO.ProductUri], 2255: this.namespaceArray, 2267: 255, 2994: true, 2294: true,
+                2256: status, 2257: status.StartTime, 2258: status.CurrentTime, 2259: status.State, 2260: status.BuildInfo,
+                2992: status.SecondsTillShutdown, 2993: status.ShutdownReason, 2275: summary
+            };
+            BUILD_INFO_FIELDS.forEach(([name, id]) => { values[id] = BUILD_INFO[name]; });
+            DIAGNOSTICS_SUMMARY_FIELDS.forEach(([name, id]) => { values[id] = summary[name]; });
+            Object.entries(values).forEach(([id, raw]) => {
+                const node = this.findNode(`ns=0;i=${id}`);
+                const value = this.dataTypes.convert(node.dataType, raw, node.valueRank);
+                if (JSON.stringify(value) !== JSON.stringify(node.dataValue.value)) this.setNodeValue(node, value);
+            });
+        }
+    }
+
+    // --- Service Sessions ---
+    const DEFAULT_SESSION_TIMEOUT = 30000;
+    const MIN_SESSION_TIMEOUT = 5000;
+    const MAX_SESSION_TIMEOUT = 3600000;
+    // Subscriptions of a closed or timed-out session wait this long for TransferSubscriptions before they are deleted.
+    const ORPHANED_SUBSCRIPTION_LIFETIME = 60000;
+    const SESSION_CHECK_INTERVAL = 1000;
+    const DEFAULT_RESTART_DOWNTIME = 2000;
+    const MAX_INJECTED_LATENCY = 60000;
+
+    // JSON-RPC 2.0 error codes for requests that never reach a service.
+    const RPC_ERRORS = { ParseError: -32700, InvalidRequest: -32600, MethodNotFound: -32601, InvalidParams: -32602, InternalError: -32603 };
+
+    // Application-defined JSON-RPC error for service faults; the OPC UA StatusCode travels in error.data.
+    const SERVICE_FAULT = -32000;
+
+    class ServiceError extends Error {
+        constructor(code, message, statusCode) {
+            super(message);
+            this.name = 'ServiceError';
+            this.code = code;
+            if (statusCode !== undefined) this.statusCode = statusCode;
+        }
+    }
+
+    function requireParameter(params, name) {
+        if (params[name] === undefined || params[name] === null || params[name] === '') {
+            throw new ServiceError(RPC_ERRORS.InvalidParams, `Missing parameter '${name}'.`);
+        }
+        return params[name];
+    }
+
+    function accessDenied(permission, nodeId) {
+        return { success: false, statusCode: StatusCodes.BadUserAccessDenied, message: `${permission} access to '${nodeId}' is denied for this user.` };
+    }
+
+    function requireOwnSubscription(session, subscriptionId) {
+        if (session.subscriptionIds.has(String(subscriptionId))) return null;
+        return { success: false, statusCode: StatusCodes.BadSubscriptionIdInvalid, message: `No subscription with id ${subscriptionId}.` };
+    }
+
+    function createRandomHex(byteCount) {
+        const bytes = new Uint8Array(byteCount);
+        globalThis.crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Session ids are GUID NodeIds, so they stay unique across server restarts.
+    function createSessionId() {
+        const hex = createRandomHex(16);
+        return `ns=1;g=${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // Service name -> handler(session, params). Handlers return what the server methods return, so every
+    // client sees the same { success, statusCode, message } results whether it is in-page or remote.
+    const SERVICE_HANDLERS = {
+        closeSession: (session, params) => session.manager.closeSession(session, params.deleteSubscriptions !== false),
+        keepAlive(session, params) {
+            // Acknowledged messages no longer need to be kept for Republish.
+            (params.acknowledgements || []).forEach(({ subscriptionId, sequenceNumber }) => {
+                if (session.subscriptionIds.has(String(subscriptionId)) && session.server.subscriptions[subscriptionId]) {
+                    session.server.subscriptions[subscriptionId].acknowledge(sequenceNumber);
+                }
+            });
+            return { success: true, statusCode: StatusCodes.Good, sessionId: session.sessionId, serverTime: getUtcTimestamp() };
+        },
+        browse(session, params) {
+            const result = session.server.browseNodes(params.nodeId || ROOT_NODE_ID, params);
+            return { ...result, references: result.references.filter(reference => session.hasPermission(reference.nodeId, 'Browse')) };
+        },
+        translateBrowsePaths(session, params) {
+            const result = session.server.translateBrowsePaths(requireParameter(params, 'browsePaths'));
+            const results = result.results.map(pathResult => {
+                const targetIds = pathResult.targetIds.filter(nodeId => session.hasPermission(nodeId, 'Browse'));
+                if (targetIds.length > 0 || !isGood(pathResult.statusCode)) return { ...pathResult, targetIds };
+                return { statusCode: StatusCodes.BadNoMatch, message: 'No browsable node matches the path.', targetIds };
+            });
+            return { ...result, results };
+        },
+        // Read and Write take either one nodeId or a batch of nodesToRead / nodesToWrite.
+        read(session, params) {
+            if (params.nodesToRead !== undefined) {
+                return session.server.readNodes(params.nodesToRead, session.identity.roles);
+            }
+            const nodeId = requireParameter(params, 'nodeId');
+            return session.server.readAttribute({ nodeId, attributeId: params.attributeId, indexRange: params.indexRange }, session.identity.roles);
+        },
+        write(session, params) {
+            if (params.nodesToWrite !== undefined) {
+                return session.server.writeNodes(params.nodesToWrite, session.identity.roles);
+            }
+            return session.server.writeAttribute({
+                nodeId: requireParameter(params, 'nodeId'), attributeId: params.attributeId, indexRange: params.indexRange, value: requireParameter(params, 'value')
+            }, session.identity.roles);
+        },
+        call(session, params) {
+            const methodId = requireParameter(params, 'methodId');
+            if (!session.hasPermission(methodId, 'Call')) return { ...accessDenied('Call', methodId), inputArgumentResults: [], outputArguments: [] };
+            return session.server.callMethod(requireParameter(params, 'objectId'), methodId, params.inputArguments || []);
+        },
+        createSubscription(session, params) {
+            const manager = session.manager;
+            const result = session.server.createSubscription(params.publishingInterval, response => manager.deliverPublish(response), params.maxKeepAliveCount);
+            if (result.success) manager.assignSubscription(session, result.subscriptionId);
+            return result;
+        },
+        deleteSubscription(session, params) {
+            const subscriptionId = requireParameter(params, 'subscriptionId');
+            const rejection = requireOwnSubscription(session, subscriptionId);
+            if (rejection) return rejection;
+            session.manager.releaseSubscription(subscriptionId);
+            return session.server.deleteSubscription(subscriptionId);
+        },
+        transferSubscriptions(session, params) {
+            const subscriptionIds = requireParameter(params, 'subscriptionIds');
+            if (!Array.isArray(subscriptionIds)) throw new ServiceError(RPC_ERRORS.InvalidParams, "'subscriptionIds' must be an array.");
+            return session.manager.transferSubscriptions(session, subscriptionIds);
+        },
+        republish(session, params) {
+            const subscriptionId = requireParameter(params, 'subscriptionId');
+            return requireOwnSubscription(session, subscriptionId)
+                || session.server.republish(subscriptionId, requireParameter(params, 'retransmitSequenceNumber'));
+        },
+        createMonitoredItem(session, params) {
+            const subscriptionId = requireParameter(params, 'subscriptionId');
+            const nodeId = requireParameter(params, 'nodeId');
+            if (!session.hasPermission(nodeId, 'Subscribe')) return accessDenied('Subscribe', nodeId);
+            return requireOwnSubscription(session, subscriptionId)
+                || session.server.createMonitoredItem(subscriptionId, nodeId, params.parameters || {});
+        },
+        deleteMonitoredItem(session, params) {
+            const subscriptionId = requireParameter(params, 'subscriptionId');
+            return requireOwnSubscription(session, subscriptionId)
+                || session.server.deleteMonitoredItem(subscriptionId, requireParameter(params, 'monitoredItemId'));
+        },
+        historyReadRaw(session, params) {
+            const nodeId = requireParameter(params, 'nodeId');
+            if (!session.hasPermission(nodeId, 'Read')) return accessDenied('Read', nodeId);
+            return session.server.historyReadRaw(nodeId, params.startTime, params.endTime, params.numValuesPerNode);
+        },
+        historyReadProcessed(session, params) {
+            const nodeId = requireParameter(params, 'nodeId');
+            if (!session.hasPermission(nodeId, 'Read')) return accessDenied('Read', nodeId);
+            return session.server.historyReadProcessed(nodeId, params.startTime, params.endTime, params.processingInterval, requireParameter(params, 'aggregateType'));
+        },
+        subscribeEvents(session) {
+            if (session.eventSubscriptionId !== null) {
+                return { success: true, statusCode: StatusCodes.Good, message: 'Already subscribed to events.', eventSubscriptionId: session.eventSubscriptionId };
+            }
+            const result = session.server.subscribeEvents(event => {
+                if (session.hasPermission(event.sourceNodeId, 'Read')) session.notify('event', event);
+            });
+            session.eventSubscriptionId = result.eventSubscriptionId;
+            return result;
+        },
+        conditionRefresh: session => session.server.refreshConditions().filter(event => session.hasPermission(event.sourceNodeId, 'Read')),
+        acknowledge: (session, params) => session.checkConditionCall(params)
+            || session.server.acknowledgeCondition(params.conditionId, params.eventId, params.comment),
+        confirm: (session, params) => session.checkConditionCall(params)
+            || session.server.confirmCondition(params.conditionId, params.eventId, params.comment),
+        shelve: (session, params) => session.checkConditionCall(params)
+            || session.server.shelveCondition(params.conditionId, requireParameter(params, 'shelvingState'), params.shelvingTime)
+    };
+    // Everything else needs an activated session.
+    const UNACTIVATED_SERVICES = ['closeSession'];
+
+    // Services a channel answers itself, before it is bound to a session.
+    const CHANNEL_SERVICES = {
+        getEndpoints: channel => channel.manager.server.getEndpoints(),
+        createSession: (channel, params) => channel.manager.createSession(channel, params),
+        activateSession: (channel, params) => channel.manager.activateSession(channel, params)
+    };
+
+    // A session outlives the channel it was created on: a client that reconnects within the session
+    // timeout activates it again on the new channel and keeps its subscriptions.
+    class ServiceSession {
+        constructor(manager, sessionId, sessionTimeout) {
+            this.manager = manager;
+            this.server = manager.server;
+            this.sessionId = sessionId;
+            this.authenticationToken = createRandomHex(16);
+            this.sessionTimeout = sessionTimeout;
+            this.lastActivity = Date.now();
+            this.channel = null;
+            this.subscriptionIds = new Set();
+            this.eventSubscriptionId = null;
+            // { userName, roles, securityMode, securityPolicy } once ActivateSession succeeded.
+            this.identity = null;
+        }
+
+        handle(service, params) {
+            if (!this.identity && !UNACTIVATED_SERVICES.includes(service)) {
+                throw new ServiceError(SERVICE_FAULT, `'${service}' needs an activated session.`, StatusCodes.BadSessionNotActivated);
+            }
+            this.lastActivity = Date.now();
+            return SERVICE_HANDLERS[service](this, params);
+        }
+
+        // Notifications for a session without a channel are lost; Republish recovers missed publish messages.
+        notify(method, params) {
+            if (this.channel) this.channel.notify(method, params);
+        }
+
+        // Unknown nodes pass, so the service itself reports BadNodeIdUnknown.
+        hasPermission(nodeId, permission) {
+            const permissions = this.server.getUserPermissions(nodeId, this.identity.roles);
+            return permissions === null || permissions.has(permission);
+        }
+
+        // Acknowledge, Confirm and the shelving methods are calls on the condition's source node.
+        checkConditionCall(params) {
+            const conditionId = requireParameter(params, 'conditionId');
+            const condition = this.server.conditions[conditionId];
+            if (condition && !this.hasPermission(condition.sourceNode.nodeId, 'Call')) return accessDenied('Call', condition.sourceNode.nodeId);
+            return null;
+        }
+    }
+
+    // The transport-independent half of a connection. Latency and packet loss injected on the server
+    // apply here, so the in-page client and WebSocket clients see the same faults.
+    class SecureChannel {
+        constructor(manager, onNotification, onServerClose) {
+            this.manager = manager;
+            this.onNotification = onNotification;
+            this.onServerClose = onServerClose;
+            this.session = null;
+            this.isOpen = true;
+        }
+
+        // A dropped request never settles, like a lost packet, so the client runs into its own timeout.
+        request(service, params) {
+            return new Promise((resolve, reject) => {
+                this.transmit(() => {
+                    let result;
+                    try {
+                        result = this.dispatch(service, params || {});
+                    } catch (e) {
+                        this.transmit(() => reject(e));
+                        return;
+                    }
+                    this.transmit(() => resolve(result));
+                });
+            });
+        }
+
+        // Every call is reported to the server's 'serviceCall' listeners, failed ones included.
+        dispatch(service, params) {
+            const server = this.manager.server;
+            // closeSession leaves no session behind, so it is reported under the caller it had.
+            const initialCaller = this.describeCaller();
+            const getCaller = () => (this.session ? this.describeCaller() : initialCaller);
+            let result;
+            try {
+                result = this.route(service, params);
+            } catch (error) {
+                server.diagnostics.rejectedRequestsCount++;
+                server.emit('serviceCall', { ...getCaller(), service, params, error });
+                throw error;
+            }
+            // Failed logins count as rejected sessions instead.
+            const isSessionRequest = !Object.prototype.hasOwnProperty.call(CHANNEL_SERVICES, service);
+            Promise.resolve(result).then(settled => {
+                if (isSessionRequest && settled && settled.statusCode === StatusCodes.BadUserAccessDenied) server.diagnostics.securityRejectedRequestsCount++;
+            }, () => { server.diagnostics.rejectedRequestsCount++; });
+            server.emit('serviceCall', { ...getCaller(), service, params, result });
+            return result;
+        }
+
+        describeCaller() {
+            const session = this.session;
+            return { sessionId: session ? session.sessionId : null, userName: session && session.identity ? session.identity.userName : null };
+        }
+
+        route(service, params) {
+            if (Object.prototype.hasOwnProperty.call(CHANNEL_SERVICES, service)) return CHANNEL_SERVICES[service](this, params);
+            if (!Object.prototype.hasOwnProperty.call(SERVICE_HANDLERS, service)) {
+                throw new ServiceError(RPC_ERRORS.MethodNotFound, `Unknown service '${service}'.`);
+            }
+            if (!this.session) {
+                throw new ServiceError(SERVICE_FAULT, `'${service}' needs a session; call createSession and activateSession first.`, StatusCodes.BadSessionIdInvalid);
+            }
+            return this.session.handle(service, params);
+        }
+
+        notify(method, params) {
+            this.transmit(() => this.onNotification(method, params));
+        }
+
+        transmit(deliver) {
+            const { latency, dropRate } = this.manager.faults;
+            if (!this.isOpen || Math.random() * 100 < dropRate) return;
+            const send = () => {
+                if (this.isOpen) deliver();
+            };
+            if (latency > 0) setTimeout(send, latency);
+            else send();
+        }
+
+        // Called when the client's transport closes; the session stays until it times out.
+        close() {
+            if (!this.isOpen) return;
+            this.isOpen = false;
+            this.manager.channels.delete(this);
+            if (this.session && this.session.channel === this) this.session.channel = null;
+            this.session = null;
+        }
+
+        serverClose(reason) {
+            if (!this.isOpen) return;
+            this.close();
+            this.onServerClose(reason);
+        }
+    }
+
+    // Owns the sessions and channels of one server, times sessions out and injects communication faults.
+    class SessionManager {
+        constructor(server) {
+            this.server = server;
+            this.sessions = {};
+            this.channels = new Set();
+            // subscriptionId -> { sessionId, userName, orphanedAt }; orphanedAt is set while no session owns it.
+            this.subscriptionOwners = {};
+            this.faults = { latency: 0, dropRate: 0 };
+            this.outageUntil = 0;
+            this.checkTimer = null;
+        }
+
+        isAvailable() {
+            return Date.now() >= this.outageUntil;
+        }
+
+        openChannel(onNotification, onServerClose) {
+            if (!this.isAvailable()) {
+                throw new ServiceError(SERVICE_FAULT, 'Server is not reachable.', StatusCodes.BadServerHalted);
+            }
+            const channel = new SecureChannel(this, onNotification, onServerClose);
+            this.channels.add(channel);
+            return channel;
+        }
+
+        createSession(channel, params) {
+            const requestedTimeout = params.requestedSessionTimeout === undefined ? DEFAULT_SESSION_TIMEOUT : Number(params.requestedSessionTimeout);
+            if (isNaN(requestedTimeout)) {
+                this.server.diagnostics.rejectedSessionCount++;
+                return { success: false, statusCode: StatusCodes.BadInvalidArgument, message: `Invalid session timeout '${params.requestedSessionTimeout}'.` };
+            }
+            const sessionTimeout = Math.min(MAX_SESSION_TIMEOUT, Math.max(MIN_SESSION_TIMEOUT, requestedTimeout));
+            const session = new ServiceSession(this, createSessionId(), sessionTimeout);
+            this.sessions[session.sessionId] = session;
+            this.server.diagnostics.cumulatedSessionCount++;
+            this.bindChannel(session, channel);
+            this.startTimeoutCheck();
+            return {
+                success: true,
+                statusCode: StatusCodes.Good,
+                message: `Created session ${session.sessionId} (timeout ${sessionTimeout} ms).`,
+                sessionId: session.sessionId,
+                authenticationToken: session.authenticationToken,
+                revisedSessionTimeout: sessionTimeout
+            };
+        }
+
+        activateSession(channel, params) {
+            const authenticationToken = requireParameter(params, 'authenticationToken');
+            const session = Object.values(this.sessions).find(candidate => candidate.authenticationToken === authenticationToken);
+            const { diagnostics } = this.server;
+            if (!session) {
+                diagnostics.rejectedSessionCount++;
+                return { success: false, statusCode: StatusCodes.BadSessionIdInvalid, message: 'The session does not exist or has timed out.' };
+            }
+            const result = this.server.authenticate(params);
+            // A failed activation leaves an already active session with its previous identity.
+            if (!result.success) {
+                diagnostics.rejectedSessionCount++;
+                diagnostics.securityRejectedSessionCount++;
+                return result;
+            }
+            session.identity = { userName: result.userName, roles: result.roles, securityMode: result.securityMode, securityPolicy: result.securityPolicy };
+            session.lastActivity = Date.now();
+            this.bindChannel(session, channel);
+            return { ...result, sessionId: session.sessionId };
+        }
+
+        bindChannel(session, channel) {
+            if (channel.session && channel.session !== session && channel.session.channel === channel) channel.session.channel = null;
+            if (session.channel && session.channel !== channel) session.channel.session = null;
+            session.channel = channel;
+            channel.session = session;
+        }
+
+        closeSession(session, deleteSubscriptions) {
+            const subscriptionCount = session.subscriptionIds.size;
+            session.subscriptionIds.forEach(subscriptionId => {
+                if (deleteSubscriptions) {
+                    this.releaseSubscription(subscriptionId);
+                    this.server.deleteSubscription(subscriptionId);
+                } else if (this.subscriptionOwners[subscriptionId]) {
+                    this.subscriptionOwners[subscriptionId].orphanedAt = Date.now();
+                }
+            });
+            session.subscriptionIds.clear();
+            if (session.eventSubscriptionId !== null) this.server.unsubscribeEvents(session.eventSubscriptionId);
+            session.eventSubscriptionId = null;
+            if (session.channel) session.channel.session = null;
+            session.channel = null;
+            delete this.sessions[session.sessionId];
+            const kept = deleteSubscriptions || subscriptionCount === 0 ? '' : ` ${subscriptionCount} subscription(s) kept for transfer.`;
+            return { success: true, statusCode: StatusCodes.Good, message: `Closed session ${session.sessionId}.${kept}` };
+        }
+
+        assignSubscription(session, subscriptionId) {
+            session.subscriptionIds.add(String(subscriptionId));
+            this.subscriptionOwners[subscriptionId] = { sessionId: session.sessionId, userName: session.identity.userName, orphanedAt: null };
+        }
+
+        releaseSubscription(subscriptionId) {
+            const owner = this.subscriptionOwners[subscriptionId];
+            if (owner && this.sessions[owner.sessionId]) this.sessions[owner.sessionId].subscriptionIds.delete(String(subscriptionId));
+            delete this.subscriptionOwners[subscriptionId];
+        }
+
+        deliverPublish(notificationMessage) {
+            const owner = this.subscriptionOwners[notificationMessage.subscriptionId];
+            const session = owner && this.sessions[owner.sessionId];
+            if (session) session.notify('publish', notificationMessage);
+        }
+
+        // Only the user that created a subscription may take it over.
+        transferSubscriptions(session, subscriptionIds) {
+            const results = subscriptionIds.map(subscriptionId => {
+                const subscription = this.server.subscriptions[subscriptionId];
+                const owner = this.subscriptionOwners[subscriptionId];
+                if (!subscription || !owner) {
+                    return { subscriptionId, statusCode: StatusCodes.BadSubscriptionIdInvalid, availableSequenceNumbers: [] };
+                }
+                if (owner.userName !== session.identity.userName) {
+                    return { subscriptionId, statusCode: StatusCodes.BadUserAccessDenied, availableSequenceNumbers: [] };
+                }
+                this.releaseSubscription(subscriptionId);
+                this.assignSubscription(session, subscriptionId);
+                return { subscriptionId, statusCode: StatusCodes.Good, availableSequenceNumbers: subscription.getAvailableSequenceNumbers() };
+            });
+            const transferred = results.filter(result => isGood(result.statusCode)).length;
+            return {
+                success: true,
+                statusCode: StatusCodes.Good,
+                message: `Transferred ${transferred} of ${results.length} subscription(s).`,
+                results
+            };
+        }
+
+        startTimeoutCheck() {
+            if (this.checkTimer) return;
+            this.checkTimer = setInterval(() => this.checkTimeouts(), SESSION_CHECK_INTERVAL);
+        }
+
+        checkTimeouts() {
+            const now = Date.now();
+            Object.values(this.sessions).forEach(session => {
+                if (now - session.lastActivity > session.sessionTimeout) {
+                    this.server.diagnostics.sessionTimeoutCount++;
+                    this.closeSession(session, false);
+                }
+            });
+            Object.keys(this.subscriptionOwners).forEach(subscriptionId => {
+                const owner = this.subscriptionOwners[subscriptionId];
+                // Loading a model deletes every subscription behind the sessions' backs.
+                if (!this.server.subscriptions[subscriptionId]) {
+                    this.releaseSubscription(subscriptionId);
+                } else if (owner.orphanedAt !== null && now - owner.orphanedAt > ORPHANED_SUBSCRIPTION_LIFETIME) {
+                    this.releaseSubscription(subscriptionId);
+                    this.server.deleteSubscription(subscriptionId);
+                }
+            });
+            if (Object.keys(this.sessions).length === 0 && Object.keys(this.subscriptionOwners).length === 0) {
+                clearInterval(this.checkTimer);
+                this.checkTimer = null;
+            }
+        }
+
+        listSessions() {
+            const now = Date.now();
+            return Object.values(this.sessions).map(session => ({
+                sessionId: session.sessionId,
+                userName: session.identity ? session.identity.userName : null,
+                isActivated: session.identity !== null,
+                isConnected: session.channel !== null,
+                subscriptionCount: session.subscriptionIds.size,
+                idleTime: now - session.lastActivity,
+                sessionTimeout: session.sessionTimeout
+            }));
+        }
+
+        countOrphanedSubscriptions() {
+            return Object.values(this.subscriptionOwners).filter(owner => owner.orphanedAt !== null).length;
+        }
+
+        setFaults({ latency = 0, dropRate = 0 }) {
+            const latencyMs = Number(latency);
+            const dropPercent = Number(dropRate);
+            if (isNaN(latencyMs) || latencyMs < 0 || latencyMs > MAX_INJECTED_LATENCY) {
+                return { success: false, statusCode: StatusCodes.BadOutOfRange, message: `Latency must be between 0 and ${MAX_INJECTED_LATENCY} ms.` };
+            }
+            if (isNaN(dropPercent) || dropPercent < 0 || dropPercent > 100) {
+                return { success: false, statusCode: StatusCodes.BadOutOfRange, message: 'Packet loss must be between 0 and 100 %.' };
+            }
+            this.faults = { latency: latencyMs, dropRate: dropPercent };
+            return { success: true, statusCode: StatusCodes.Good, message: `Injecting ${latencyMs} ms latency and ${dropPercent} % packet loss.` };
+        }
+
+        closeChannels(reason) {
+            Array.from(this.channels).forEach(channel => channel.serverClose(reason));
+        }
+
+        // Every channel drops and new ones are refused; sessions and subscriptions survive if the outage is short enough.
+        startOutage(duration) {
+            const durationMs = Number(duration);
+            if (isNaN(durationMs) || durationMs <= 0) {
+                return { success: false, statusCode: StatusCodes.BadOutOfRange, message: `Invalid outage duration '${duration}'.` };
+            }
+            this.outageUntil = Date.now() + durationMs;
+            this.closeChannels('Server unreachable (simulated outage).');
+            return { success: true, statusCode: StatusCodes.Good, message: `Server unreachable for ${durationMs / 1000} s.` };
+        }
+
+        // A restart loses all sessions and subscriptions, and starts the diagnostics over; clients have to create them again.
+        restart(downtime = DEFAULT_RESTART_DOWNTIME) {
+            this.outageUntil = Date.now() + downtime;
+            this.closeChannels('Server restarting.');
+            const sessionCount = Object.keys(this.sessions).length;
+            Object.values(this.sessions).forEach(session => this.closeSession(session, true));
+            Object.keys(this.subscriptionOwners).forEach(subscriptionId => {
+                this.releaseSubscription(subscriptionId);
+                this.server.deleteSubscription(subscriptionId);
+            });
+            this.server.startTime = getUtcTimestamp();
+            this.server.diagnostics = createDiagnosticsCounters();
+            this.server.updateServerStatus();
+            return { success: true, statusCode: StatusCodes.Good, message: `Server restarted; ${sessionCount} session(s) lost. Back in ${downtime / 1000} s.` };
+        }
+
+        expireSessions() {
+            const sessions = Object.values(this.sessions);
+            sessions.forEach(session => this.closeSession(session, false));
+            this.server.diagnostics.sessionTimeoutCount += sessions.length;
+            return { success: true, statusCode: StatusCodes.Good, message: `Expired ${sessions.length} session(s); their subscriptions wait for transfer.` };
+        }
+    }
+
+    // --- Scenarios & Recording ---
+    const DEFAULT_SCENARIO_SEED = 1;
+    const DEFAULT_SCENARIO_START_TIME = '2024-01-01T00:00:00.000Z';
+    const DEFAULT_RAMP_DURATION = 1000;
+    const DEFAULT_RAMP_UPDATE_RATE = 100;
+    // How often a playing scenario moves its virtual clock forward, in wall-clock ms.
+    const SCENARIO_PLAY_TICK = 100;
+    const TIME_UNITS = { ms: 1, s: 1000, min: 60000, h: 3600000 };
+    const RECORDING_VERSION = 1;
+    // Alarm workflow calls are replayed; other recorded operations only show up in the replay log,
+    // because their effect on values is already part of the recording.
+    const REPLAYED_SERVICES = ['acknowledge', 'confirm', 'shelve'];
+
+    // Scenario times are milliseconds, or strings with a unit such as '500ms', '5s', '2min' or '1h'.
+    function parseScenarioTime(raw, name) {
+        const match = typeof raw === 'number' ? null : /^\s*(\d+(?:\.\d+)?)\s*(ms|s|min|h)\s*$/.exec(String(raw));
+        const milliseconds = typeof raw === 'number' ? raw : match ? Number(match[1]) * TIME_UNITS[match[2]] : NaN;
+        if (!(milliseconds >= 0)) throw new Error(`${name} '${raw}' is not a time such as 5000, '5s' or '2min'.`);
+        return milliseconds;
+    }
+
+    function stripYamlComment(line) {
+        let quote = null;
+        for (let index = 0; index < line.length; index++) {
+            const char = line[index];
+            if (quote) {
+                if (char === '\\' && quote === '"') index++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '#' && (index === 0 || /\s/.test(line[index - 1]))) {
+                return line.slice(0, index);
+            }
+        }
+        return line;
+    }
+
+    function parseYamlScalar(text, lineNumber) {
+        if (text.startsWith('"') || text.startsWith('[') || text.startsWith('{')) {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                throw new Error(`Line ${lineNumber}: ${text.startsWith('"') ? 'invalid quoted string' : 'flow collections must be written as JSON'}.`);
+            }
+        }
+        if (text.startsWith("'")) {
+            if (!text.endsWith("'") || text.length < 2) throw new Error(`Line ${lineNumber}: unterminated quoted string.`);
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (text === 'null' || text === '~') return null;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+        return text;
+    }
+
+    const YAML_MAPPING_ENTRY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-[{][^:]*?|-[^\s:][^:]*?):(?:\s+(.*))?$/;
+
+    function isYamlSequenceItem(text) {
+        return text === '-' || text.startsWith('- ');
+    }
+
+    // A YAML subset for scenario files: block mappings and sequences, plain and quoted scalars, flow
+    // collections written as JSON and # comments. Anchors, tags and multi-line strings are not supported.
+    function parseYaml(text) {
+        const lines = [];
+        String(text).split(/\r?\n/).forEach((raw, index) => {
+            const content = stripYamlComment(raw).replace(/\s+$/, '');
+            if (content.trim() === '' || content.trim() === '---') return;
+            if (/^ *\t/.test(content)) throw new Error(`Line ${index + 1}: indent with spaces, not tabs.`);
+            lines.push({ indent: content.search(/\S/), text: content.trim(), lineNumber: index + 1 });
+        });
+        let position = 0;
+
+        const parseNode = () => (isYamlSequenceItem(lines[position].text) ? parseSequence(lines[position].indent) : parseMapping(lines[position].indent));
+
+        // The value of a 'key:' or '-' line with nothing after it is the more deeply indented block below.
+        // A sequence may also start at the indent of its key.
+        const parseNestedBlock = (indent, allowSequenceAtIndent) => {
+            const next = lines[position];
+            if (next && next.indent > indent) return parseNode();
+            if (next && allowSequenceAtIndent && next.indent === indent && isYamlSequenceItem(next.text)) return parseSequence(indent);
+            return null;
+        };
+
+        function parseSequence(indent) {
+            const items = [];
+            while (position < lines.length && lines[position].indent === indent && isYamlSequenceItem(lines[position].text)) {
+                const line = lines[position];
+                const rest = line.text.slice(1).trim();
+                if (rest === '') {
+                    position++;
+                    items.push(parseNestedBlock(indent, false));
+                } else if (YAML_MAPPING_ENTRY.test(rest) || isYamlSequenceItem(rest)) {
+                    // '- key: value' starts a mapping whose other keys line up with the first one.
+                    lines[position] = { indent: indent + line.text.indexOf(rest), text: rest, lineNumber: line.lineNumber };
+                    items.push(parseNode());
+                } else {
+                    position++;
+                    items.push(parseYamlScalar(rest, line.lineNumber));
+                }
+            }
+            return items;
+        }
+
+        function parseMapping(indent) {
+            const mapping = {};
+            while (position < lines.length && lines[position].indent === indent && !isYamlSequenceItem(lines[position].text)) {
+                const line = lines[position];
+                const match = YAML_MAPPING_ENTRY.exec(line.text);
+                if (!match) throw new Error(`Line ${line.lineNumber}: expected 'key: value'.`);
+                position++;
+                const key = parseYamlScalar(match[1], line.lineNumber);
+                mapping[key] = match[2] === undefined || match[2] === '' ? parseNestedBlock(indent, true) : parseYamlScalar(match[2], line.lineNumber);
+            }
+            return mapping;
+        }
+
+        if (lines.length === 0) return null;
+        const document = parseNode();
+        if (position < lines.length) throw new Error(`Line ${lines[position].lineNumber}: unexpected indentation.`);
+        return document;
+    }
+
+    function requireStepParameter(step, name) {
+        if (step[name] === undefined) throw new Error(`'${step.action}' needs '${name}'.`);
+        return step[name];
+    }
+
+    function getStatusCodeValue(raw) {
+        const statusCode = typeof raw === 'number' ? raw : StatusCodes[raw];
+        if (statusCode === undefined || getStatusCodeName(statusCode) === undefined) throw new Error(`Unknown StatusCode '${raw}'.`);
+        return statusCode;
+    }
+
+    // action -> { times: parameters given as scenario times, validate(step), run(server, step) }. run returns
+    // a { success, message } result for the scenario log.
+    const SCENARIO_ACTIONS = {
+        set: {
+            validate: step => { requireStepParameter(step, 'nodeId'); requireStepParameter(step, 'value'); },
+            run: (server, step) => server.setValue(step.nodeId, step.value)
+        },
+        ramp: {
+            times: ['duration'],
+            validate: step => { requireStepParameter(step, 'nodeId'); requireStepParameter(step, 'to'); },
+            run: (server, step) => {
+                const node = server.findNode(step.nodeId);
+                const start = step.from !== undefined ? step.from : node && Number(node.dataValue && node.dataValue.value);
+                return server.setSimulationProfile(step.nodeId, {
+                    type: 'ramp',
+                    start,
+                    end: step.to,
+                    duration: step.duration === undefined ? DEFAULT_RAMP_DURATION : step.duration,
+                    updateRate: step.updateRate === undefined ? DEFAULT_RAMP_UPDATE_RATE : step.updateRate
+                });
+            }
+        },
+        generator: {
+            validate: step => requireStepParameter(step, 'nodeId'),
+            run: (server, step) => server.setSimulationProfile(step.nodeId, step.profile || null)
+        },
+        quality: {
+            validate: step => { requireStepParameter(step, 'nodeId'); getStatusCodeValue(requireStepParameter(step, 'statusCode')); },
+            run: (server, step) => server.injectQuality(step.nodeId, getStatusCodeValue(step.statusCode))
+        },
+        call: {
+            validate: step => { requireStepParameter(step, 'objectId'); requireStepParameter(step, 'methodId'); },
+            run: (server, step) => server.callMethod(step.objectId, step.methodId, step.inputArguments || [])
+        },
+        faults: {
+            run: (server, step) => server.sessionManager.setFaults({ latency: step.latency || 0, dropRate: step.packetLoss || 0 })
+        },
+        outage: {
+            times: ['duration'],
+            validate: step => requireStepParameter(step, 'duration'),
+            run: (server, step) => server.sessionManager.startOutage(step.duration)
+        },
+        restart: {
+            times: ['downtime'],
+            run: (server, step) => server.sessionManager.restart(step.downtime === undefined ? DEFAULT_RESTART_DOWNTIME : step.downtime)
+        },
+        expireSessions: {
+            run: server => server.sessionManager.expireSessions()
+        },
+        // Written by recordingToScenario: a recorded value with its original quality and source timestamp.
+        dataValue: {
+            validate: step => { requireStepParameter(step, 'nodeId'); requireStepParameter(step, 'sourceTimestamp'); },
+            run: (server, step) => {
+                const node = server.findNode(step.nodeId);
+                if (!node || node.nodeClass !== 'Variable') return { success: false, message: `Node '${step.nodeId}' not found or not a Variable.` };
+                const statusCode = step.statusCode === undefined ? StatusCodes.Good : step.statusCode;
+                server.updateDataValue(node, createDataValue(step.value, statusCode, step.sourceTimestamp));
+                return { success: true, message: `${node.browseName} = ${JSON.stringify(step.value)} [${getStatusCodeName(statusCode)}]` };
+            }
+        },
+        operation: {
+            validate: step => requireStepParameter(step, 'service'),
+            run: (server, step) => {
+                const caller = step.userName || (step.sessionId ? 'anonymous' : 'no session');
+                const outcome = step.statusCode !== undefined ? getStatusCodeName(step.statusCode) || step.statusCode : step.message || 'done';
+                const recorded = `${step.service} by ${caller}: ${outcome}`;
+                if (!REPLAYED_SERVICES.includes(step.service)) return { success: true, message: recorded };
+                // Event ids are not stable across runs, so the condition's current event is used.
+                const params = step.params || {};
+                const result = step.service === 'acknowledge' ? server.acknowledgeCondition(params.conditionId, undefined, params.comment)
+                    : step.service === 'confirm' ? server.confirmCondition(params.conditionId, undefined, params.comment)
+                        : server.shelveCondition(params.conditionId, params.shelvingState, params.shelvingTime);
+                return { success: result.success, message: `${recorded}; replayed: ${result.message}` };
+            }
+        }
+    };
+
+    function normalizeScenarioStep(step, index) {
+        if (!step || typeof step !== 'object' || Array.isArray(step)) throw new Error(`Step ${index + 1} is not an object.`);
+        const definition = SCENARIO_ACTIONS[step.action];
+        if (!definition) {
+            throw new Error(`Step ${index + 1}: unknown action '${step.action}' (use ${Object.keys(SCENARIO_ACTIONS).join(', ')}).`);
+        }
+        try {
+            const normalized = { ...step, at: parseScenarioTime(requireStepParameter(step, 'at'), 'at') };
+            (definition.times || []).forEach(name => {
+                if (step[name] !== undefined) normalized[name] = parseScenarioTime(step[name], name);
+            });
+            if (definition.validate) definition.validate(normalized);
+            return normalized;
+        } catch (e) {
+            throw new Error(`Step ${index + 1}: ${e.message}`);
+        }
+    }
+
+    // Steps run in order of their 'at' time, steps at the same time in file order.
+    function normalizeScenario(raw) {
+        if (!raw || typeof raw !== 'object' || !Array.isArray(raw.steps)) throw new Error("A scenario needs a 'steps' list.");
+        const seed = raw.seed === undefined ? DEFAULT_SCENARIO_SEED : Number(raw.seed);
+        if (!Number.isInteger(seed)) throw new Error(`Seed '${raw.seed}' is not an integer.`);
+        const startTime = Date.parse(raw.startTime === undefined ? DEFAULT_SCENARIO_START_TIME : raw.startTime);
+        if (isNaN(startTime)) throw new Error(`Start time '${raw.startTime}' is not an ISO date.`);
+        if (raw.model && !Array.isArray(raw.model.nodes)) throw new Error('The scenario model must contain a "nodes" array.');
+        const steps = raw.steps.map(normalizeScenarioStep).sort((a, b) => a.at - b.at);
+        const lastStepAt = steps.length > 0 ? steps[steps.length - 1].at : 0;
+        const duration = raw.duration === undefined ? lastStepAt : parseScenarioTime(raw.duration, 'duration');
+        if (duration < lastStepAt) throw new Error(`The scenario ends at ${duration} ms, before its last step at ${lastStepAt} ms.`);
+        return {
+            name: String(raw.name || 'Scenario'),
+            seed,
+            startTime,
+            duration,
+            model: raw.model || null,
+            simulation: raw.simulation !== false,
+            steps
+        };
+    }
+
+    // Reads a scenario from JSON or YAML; a session recording is turned into its replay scenario.
+    function parseScenario(text, sourceName = '') {
+        const looksLikeJson = sourceName.toLowerCase().endsWith('.json') || /^\s*[{[]/.test(text);
+        const raw = looksLikeJson ? JSON.parse(text) : parseYaml(text);
+        return normalizeScenario(raw && Array.isArray(raw.events) ? recordingToScenario(raw) : raw);
+    }
+
+    // Replays a recording: the recorded model without its signal generators, then every recorded value at
+    // its original time, and the alarm calls of the recorded clients.
+    function recordingToScenario(recording) {
+        if (!recording || recording.version !== RECORDING_VERSION || !Array.isArray(recording.events) || !recording.model) {
+            throw new Error(`Not a version ${RECORDING_VERSION} session recording.`);
+        }
+        return {
+            name: `Replay of ${recording.startTime}`,
+            startTime: recording.startTime,
+            duration: recording.duration,
+            model: recording.model,
+            simulation: false,
+            steps: recording.events.map(event => {
+                const { type, ...fields } = event;
+                return { ...fields, action: type === 'value' ? 'dataValue' : 'operation' };
+            })
+        };
+    }
+
+    // Drives a server through a scenario on the virtual clock: start() reloads the model, seeds the random
+    // numbers and schedules the steps, then play() or advance() move time forward. The same scenario gives
+    // the same values every time. At the end, or on stop(), the clock returns to real time and the plant
+    // carries on from where the scenario left it.
+    class ScenarioRunner {
+        constructor(server, scenario, { onStep = () => {}, onProgress = () => {}, onFinish = () => {} } = {}) {
+            this.server = server;
+            this.scenario = scenario;
+            this.onStep = onStep;
+            this.onProgress = onProgress;
+            this.onFinish = onFinish;
+            // { at, action, success, message } per step that ran
+            this.log = [];
+            this.timers = [];
+            this.playTimer = null;
+            this.isRunning = false;
+            this.isFinished = false;
+        }
+
+        get elapsed() {
+            return this.isRunning ? simulationClock.now() - this.scenario.startTime : 0;
+        }
+
+        get isPlaying() {
+            return this.playTimer !== null;
+        }
+
+        start() {
+            if (this.isRunning) throw new Error('The scenario is already running.');
+            if (simulationClock.isVirtual) throw new Error('Another scenario is running.');
+            const scenario = this.scenario;
+            let model = scenario.model || this.server.model;
+            if (!scenario.simulation) {
+                model = { ...model, nodes: model.nodes.map(definition => ({ ...definition, simulation: undefined })) };
+            }
+            simulationClock.useVirtualTime(scenario.startTime);
+            simulationRandom.seed(scenario.seed);
+            try {
+                this.server.loadModel(model);
+            } catch (e) {
+                simulationClock.useRealTime();
+                throw e;
+            }
+            this.server.startDataSimulation();
+            this.timers = scenario.steps.map(step => simulationClock.setTimeout(() => this.runStep(step), step.at));
+            this.log = [];
+            this.isRunning = true;
+            this.isFinished = false;
+        }
+
+        runStep(step) {
+            let result;
+            try {
+                result = SCENARIO_ACTIONS[step.action].run(this.server, step);
+            } catch (e) {
+                result = { success: false, message: e.message };
+            }
+            const entry = { at: step.at, action: step.action, success: result.success, message: result.message };
+            this.log.push(entry);
+            this.onStep(entry);
+        }
+
+        advance(duration) {
+            if (!this.isRunning || this.isFinished) return;
+            const remaining = this.scenario.duration - this.elapsed;
+            simulationClock.advance(Math.min(Math.max(0, Number(duration) || 0), remaining));
+            this.onProgress(this.elapsed);
+            if (this.elapsed >= this.scenario.duration) this.finish();
+        }
+
+        // speed is the number of scenario seconds per wall-clock second.
+        play(speed = 1) {
+            if (!this.isRunning || this.isFinished) return;
+            this.pause();
+            this.playTimer = setInterval(() => this.advance(SCENARIO_PLAY_TICK * speed), SCENARIO_PLAY_TICK);
+        }
+
+        pause() {
+            clearInterval(this.playTimer);
+            this.playTimer = null;
+        }
+
+        finish() {
+            this.isFinished = true;
+            this.stop();
+            this.onFinish(this.log);
+        }
+
+        stop() {
+            if (!this.isRunning) return;
+            this.pause();
+            this.timers.forEach(timer => simulationClock.clearTimer(timer));
+            this.timers = [];
+            simulationClock.useRealTime();
+            this.isRunning = false;
+        }
+    }
+
+    // Secrets in service parameters are not written to recordings.
+    function redactServiceParams(params) {
+        const redacted = { ...params };
+        delete redacted.authenticationToken;
+        if (redacted.identityToken) redacted.identityToken = { type: redacted.identityToken.type, userName: redacted.identityToken.userName };
+        return redacted;
+    }
+
+    // Records every value change and every client service call (except keep-alives) of a live server, with
+    // the model it started from, so recordingToScenario can play the session back.
+    class SessionRecorder {
+        constructor(server) {
+            this.server = server;
+            this.recording = null;
+            this.startedAt = 0;
+            this.handleValueChange = ({ node, dataValue }) => {
+                // The Server object's status is kept by the server itself and is not replayed.
+                if (getNamespaceIndex(node.nodeId) === 0) return;
+                this.addEvent({ type: 'value', nodeId: node.nodeId, value: dataValue.value, statusCode: dataValue.statusCode, sourceTimestamp: dataValue.sourceTimestamp });
+            };
+            this.handleServiceCall = call => this.recordServiceCall(call);
+        }
+
+        get isRecording() {
+            return this.recording !== null;
+        }
+
+        start() {
+            if (this.isRecording) return;
+            this.startedAt = simulationClock.now();
+            this.recording = {
+                version: RECORDING_VERSION,
+                startTime: new Date(this.startedAt).toISOString(),
+                model: this.server.exportModel(),
+                events: []
+            };
+            this.server.on('valueChange', this.handleValueChange);
+            this.server.on('serviceCall', this.handleServiceCall);
+        }
+
+        addEvent(event, at = simulationClock.now() - this.startedAt) {
+            if (this.recording) this.recording.events.push({ at, ...event });
+        }
+
+        recordServiceCall({ sessionId, userName, service, params, result, error }) {
+            if (service === 'keepAlive') return;
+            const at = simulationClock.now() - this.startedAt;
+            const event = { type: 'operation', service, sessionId, userName, params: redactServiceParams(params) };
+            if (error) {
+                this.addEvent({ ...event, statusCode: error.statusCode, message: error.message }, at);
+                return;
+            }
+            // Results that settle later are filed under the time of the call.
+            Promise.resolve(result).then(settled => {
+                const outcome = settled && !Array.isArray(settled) ? { statusCode: settled.statusCode, message: settled.message } : {};
+                this.addEvent({ ...event, ...outcome }, at);
+            }, e => this.addEvent({ ...event, message: e.message }, at));
+        }
+
+        stop() {
+            if (!this.isRecording) return null;
+            this.server.off('valueChange', this.handleValueChange);
+            this.server.off('serviceCall', this.handleServiceCall);
+            const recording = this.recording;
+            this.recording = null;
+            recording.duration = simulationClock.now() - this.startedAt;
+            recording.events.sort((a, b) => a.at - b.at);
+            return recording;
+        }
+    }
+
+    // --- Audit Log ---
+    const DEFAULT_AUDIT_LOG_CAPACITY = 1000;
+    const AUDIT_CATEGORIES = {
+        Connect: ['getEndpoints', 'createSession', 'activateSession', 'closeSession'],
+        Browse: ['browse', 'translateBrowsePaths'],
+        Read: ['read', 'historyReadRaw', 'historyReadProcessed'],
+        Write: ['write'],
+        Subscribe: [
+            'createSubscription', 'deleteSubscription', 'transferSubscriptions', 'republish', 'createMonitoredItem', 'deleteMonitoredItem',
+            'subscribeEvents', 'conditionRefresh'
+        ],
+        Call: ['call', 'acknowledge', 'confirm', 'shelve']
+    };
+    const AUDIT_OUTCOMES = ['Good', 'Uncertain', 'Bad'];
+    const AUDIT_CSV_COLUMNS = ['timestamp', 'sessionId', 'userName', 'service', 'category', 'nodeIds', 'outcome', 'statusCode', 'message'];
+
+    function getAuditCategory(service) {
+        return Object.keys(AUDIT_CATEGORIES).find(category => AUDIT_CATEGORIES[category].includes(service)) || 'Other';
+    }
+
+    function getAuditNodeIds(params) {
+        const items = [...(Array.isArray(params.nodesToRead) ? params.nodesToRead : []), ...(Array.isArray(params.nodesToWrite) ? params.nodesToWrite : []), params];
+        const nodeIds = [];
+        items.forEach(item => ['nodeId', 'methodId', 'conditionId'].forEach(name => {
+            if (item && item[name] !== undefined && item[name] !== null && !nodeIds.includes(String(item[name]))) nodeIds.push(String(item[name]));
+        }));
+        return nodeIds;
+    }
+
+    // A batch is as good as its worst item; one that only partly failed is Uncertain.
+    function describeBatchOutcome(items) {
+        const statusCodes = items.filter(item => item && typeof item.statusCode === 'number').map(item => item.statusCode);
+        const bad = statusCodes.filter(isBad);
+        if (bad.length > 0) return bad.length === statusCodes.length ? bad[0] : StatusCodes.Uncertain;
+        return statusCodes.find(isUncertain) || StatusCodes.Good;
+    }
+
+    // The StatusCode a service answered with; results without one failed on their arguments or succeeded.
+    function describeServiceOutcome(result) {
+        if (!result) return { statusCode: StatusCodes.Good, message: null };
+        if (Array.isArray(result)) return { statusCode: describeBatchOutcome(result), message: null };
+        if (Array.isArray(result.results) && (result.statusCode === undefined || isGood(result.statusCode))) {
+            return { statusCode: describeBatchOutcome(result.results), message: result.message || null };
+        }
+        let statusCode = StatusCodes.Good;
+        if (typeof result.statusCode === 'number') statusCode = result.statusCode;
+        else if (result.success === false) statusCode = StatusCodes.BadInvalidArgument;
+        return { statusCode, message: result.message || null };
+    }
+
+    function formatCsvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function formatAuditLogCsv(entries) {
+        const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => {
+            if (column === 'nodeIds') return formatCsvField(entry.nodeIds.join(' '));
+            if (column === 'statusCode') return formatCsvField(getStatusCodeName(entry.statusCode));
+            return formatCsvField(entry[column]);
+        }).join(','));
+        return [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    // Keeps the last entries of every client service call (except keep-alives) with who called it, on which
+    // nodes and how it ended. Each new entry is also emitted as the server event 'auditEntry'.
+    class AuditLog {
+        constructor(server, capacity = DEFAULT_AUDIT_LOG_CAPACITY) {
+            this.server = server;
+            this.capacity = capacity;
+            this.entries = [];
+            this.nextEntryId = 1;
+            server.on('serviceCall', call => this.recordServiceCall(call));
+        }
+
+        recordServiceCall({ sessionId, userName, service, params, result, error }) {
+            if (service === 'keepAlive') return;
+            const identityToken = params && params.identityToken;
+            const entry = {
+                timestamp: getUtcTimestamp(),
+                sessionId,
+                userName: userName || (identityToken && identityToken.userName) || null,
+                service,
+                category: getAuditCategory(service),
+                nodeIds: getAuditNodeIds(params || {})
+            };
+            if (error) {
+                this.add({ ...entry, statusCode: error.statusCode === undefined ? StatusCodes.BadInternalError : error.statusCode, message: error.message });
+                return;
+            }
+            // Results that settle later are logged once they do, under the time of the call.
+            Promise.resolve(result).then(
+                settled => this.add({ ...entry, ...describeServiceOutcome(settled) }),
+                e => this.add({ ...entry, statusCode: e.statusCode === undefined ? StatusCodes.BadInternalError : e.statusCode, message: e.message })
+            );
+        }
+
+        add({ statusCode, message, ...entry }) {
+            let outcome = 'Bad';
+            if (isGood(statusCode)) outcome = 'Good';
+            else if (isUncertain(statusCode)) outcome = 'Uncertain';
+            const logged = { id: this.nextEntryId++, ...entry, outcome, statusCode, message };
+            this.entries.push(logged);
+            if (this.entries.length > this.capacity) this.entries.shift();
+            this.server.emit('auditEntry', logged);
+        }
+
+        // Every filter is optional; text matches the service, NodeIds, session, user, StatusCode name and message.
+        matches(entry, { category = null, outcome = null, sessionId = null, text = '' } = {}) {
+            if (category && entry.category !== category) return false;
+            if (outcome && entry.outcome !== outcome) return false;
+            if (sessionId && entry.sessionId !== sessionId) return false;
+            const needle = String(text || '').trim().toLowerCase();
+            if (!needle) return true;
+            const haystack = [entry.service, ...entry.nodeIds, entry.sessionId, entry.userName, getStatusCodeName(entry.statusCode), entry.message];
+            return haystack.some(value => value && String(value).toLowerCase().includes(needle));
+        }
+
+        query(filter = {}) {
+            return this.entries.filter(entry => this.matches(entry, filter));
+        }
+
+        clear() {
+            this.entries = [];
+        }
+    }
+
+    return {
+        StatusCodes,
+        INJECTABLE_STATUS_CODES,
+        getStatusCodeName,
+        isGood,
+        isUncertain,
+        isBad,
+        getUtcTimestamp,
+        SimulationClock,
+        SeededRandom,
+        simulationClock,
+        simulationRandom,
+        ROOT_NODE_ID,
+        OBJECTS_FOLDER_NODE_ID,
+        REFERENCE_TYPES,
+        BROWSE_DIRECTIONS,
+        NODE_CLASS_MASKS,
+        AddressSpace,
+        parseRelativePath,
+        DEFAULT_MODEL,
+        LOAD_TEST_DEFAULTS,
+        createLoadTestModel,
+        parseJsonModel,
+        parseNodeSet2Xml,
+        serializeModelToNodeSet2Xml,
+        SCALAR_VALUE_RANK,
+        INTEGER_RANGES,
+        ATTRIBUTE_IDS,
+        ACCESS_LEVELS,
+        parseIndexRange,
+        DataTypeRegistry,
+        DataTypeError,
+        formatDataType,
+        SIGNAL_PROFILE_DEFAULTS,
+        parseCsvSamples,
+        IndexedDbHistoryStore,
+        SimulatedOpcUaServer,
+        parseYaml,
+        parseScenario,
+        normalizeScenario,
+        recordingToScenario,
+        ScenarioRunner,
+        SessionRecorder,
+        AUDIT_CATEGORIES,
+        AUDIT_OUTCOMES,
+        AuditLog,
+        formatAuditLogCsv,
+        SECURITY_MODES,
+        SECURITY_POLICIES,
+        USER_TOKEN_TYPES,
+        RPC_ERRORS,
+        ServiceError
+    };
+});
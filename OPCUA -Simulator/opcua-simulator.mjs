@@ -0,0 +1,23 @@
+// ES module entry for Node.js: the server, client and PubSub modules with named exports.
+//   import { SimulatedOpcUaServer, OpcUaClient } from './opcua-simulator.mjs';
+import simulator from './opcua-server.js';
+import simulatorClient from './opcua-client.js';
+import simulatorPubSub from './opcua-pubsub.js';
+
+export const {
+    StatusCodes, INJECTABLE_STATUS_CODES, getStatusCodeName, isGood, isUncertain, isBad, getUtcTimestamp,
+    SimulationClock, SeededRandom, simulationClock, simulationRandom,
+    ROOT_NODE_ID, OBJECTS_FOLDER_NODE_ID, REFERENCE_TYPES, BROWSE_DIRECTIONS, NODE_CLASS_MASKS, AddressSpace, parseRelativePath,
+    DEFAULT_MODEL, LOAD_TEST_DEFAULTS, createLoadTestModel, parseJsonModel, parseNodeSet2Xml, serializeModelToNodeSet2Xml,
+    SCALAR_VALUE_RANK, INTEGER_RANGES, ATTRIBUTE_IDS, ACCESS_LEVELS, parseIndexRange, DataTypeRegistry, DataTypeError, formatDataType,
+    SIGNAL_PROFILE_DEFAULTS, parseCsvSamples, IndexedDbHistoryStore, SimulatedOpcUaServer,
+    parseYaml, parseScenario, normalizeScenario, recordingToScenario, ScenarioRunner, SessionRecorder, AUDIT_CATEGORIES, AUDIT_OUTCOMES, AuditLog, formatAuditLogCsv,
+    SECURITY_MODES, SECURITY_POLICIES, USER_TOKEN_TYPES, RPC_ERRORS, ServiceError
+} = simulator;
+
+export const { REQUEST_TIMEOUT, KEEP_ALIVE_INTERVAL, formatRequestError, LocalConnection, RemoteConnection, OpcUaClient } = simulatorClient;
+
+export const {
+    DEFAULT_TOPIC_PREFIX, MIN_PUBLISHING_INTERVAL, normalizePubSubConfig, createDefaultPubSubConfig, decodeNetworkMessage,
+    PubSubPublisher, PubSubSubscriber, matchesTopicFilter, MemoryBroker, MQTT_PACKET_TYPES, encodeMqttPacket, MqttPacketReader, MqttClient
+} = simulatorPubSub;
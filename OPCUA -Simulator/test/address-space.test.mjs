@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SimulatedOpcUaServer, StatusCodes, OBJECTS_FOLDER_NODE_ID, NODE_CLASS_MASKS, ATTRIBUTE_IDS, ACCESS_LEVELS, DEFAULT_MODEL, parseJsonModel, parseNodeSet2Xml,
+    serializeModelToNodeSet2Xml
+} from '../opcua-simulator.mjs';
+import { DOMParser } from './dom-parser.mjs';
+
+// The NodeSet2 import parses with the browser's DOMParser; under Node the tests bring their own.
+globalThis.DOMParser = DOMParser;
+
+const browseNames = result => result.references.map(reference => reference.browseName);
+
+test('the Objects folder organizes the default model', () => {
+    const server = new SimulatedOpcUaServer();
+    const result = server.browseNodes(OBJECTS_FOLDER_NODE_ID);
+    assert.equal(result.statusCode, StatusCodes.Good);
+    assert.deepEqual(browseNames(result).slice(0, 2), ['MyDevices', 'PLC1']);
+    assert.ok(result.references.every(reference => reference.isForward));
+});
+
+test('browsing follows references in both directions', () => {
+    const server = new SimulatedOpcUaServer();
+    const inverse = server.browseNodes('ns=1;s=Temperature', { browseDirection: 'Inverse' });
+    assert.deepEqual(inverse.references.map(reference => [reference.referenceType, reference.nodeId]), [['HasComponent', 'ns=1;s=Folder1']]);
+    const methods = server.browseNodes('ns=1;s=Folder1', { nodeClassMask: NODE_CLASS_MASKS.Method });
+    assert.deepEqual(browseNames(methods), ['ResetCounters', 'SetSetpoint', 'StartSimulation', 'StopSimulation']);
+});
+
+test('object types are instantiated with their mandatory children', () => {
+    const server = new SimulatedOpcUaServer();
+    assert.deepEqual(browseNames(server.browseNodes('ns=1;s=Sensors')), ['Sensor1', 'Sensor2', 'Sensor3']);
+    const sensor2 = server.browseNodes('ns=1;s=Sensor2');
+    assert.ok(browseNames(sensor2).includes('Value'));
+    assert.ok(browseNames(sensor2).includes('SerialNumber'));
+    assert.equal(sensor2.references.find(reference => reference.browseName === 'Value').nodeClass, 'Variable');
+});
+
+test('browse paths resolve to NodeIds', () => {
+    const server = new SimulatedOpcUaServer();
+    const result = server.translateBrowsePaths([
+        { startingNode: OBJECTS_FOLDER_NODE_ID, relativePath: '/1:Sensors/Sensor1.SerialNumber' },
+        { startingNode: OBJECTS_FOLDER_NODE_ID, relativePath: '/1:Nope' }
+    ]);
+    assert.deepEqual(result.results[0].targetIds, ['ns=1;s=Sensor1.SerialNumber']);
+    assert.equal(result.results[1].statusCode, StatusCodes.BadNoMatch);
+});
+
+test('reads and writes return DataValues and StatusCodes', () => {
+    const server = new SimulatedOpcUaServer();
+    const read = server.readNode('ns=1;s=PLC1.MotorSpeedRaw');
+    assert.equal(read.value, 1200);
+    assert.equal(read.statusCode, StatusCodes.Good);
+    assert.ok(read.sourceTimestamp && read.serverTimestamp);
+    assert.equal(server.readNode('ns=1;s=Nope').statusCode, StatusCodes.BadNodeIdUnknown);
+    assert.equal(server.writeNode('ns=1;s=DeviceName', 'x').statusCode, StatusCodes.BadNotWritable);
+    assert.equal(server.writeNode('ns=1;s=PLC1.MotorSpeedRaw', '-5').statusCode, StatusCodes.Good);
+    assert.equal(server.readNode('ns=1;s=PLC1.MotorSpeedRaw').value, -5);
+});
+
+test('methods check their arguments', () => {
+    const server = new SimulatedOpcUaServer();
+    const result = server.callMethod('ns=1;s=Folder1', 'ns=1;s=SetSetpoint', [42]);
+    assert.equal(result.statusCode, StatusCodes.Good);
+    assert.deepEqual(result.outputArguments, [25]);
+    assert.equal(server.readNode('ns=1;s=Setpoint').value, 42);
+    assert.equal(server.callMethod('ns=1;s=Folder1', 'ns=1;s=SetSetpoint', []).statusCode, StatusCodes.BadArgumentsMissing);
+    assert.equal(server.callMethod('ns=1;s=Folder1', 'ns=1;s=SetSetpoint', ['x']).statusCode, StatusCodes.BadInvalidArgument);
+    assert.equal(server.callMethod('ns=1;s=Folder1', 'ns=1;s=ResetCounters', null).statusCode, StatusCodes.Good);
+    assert.equal(server.callMethod('ns=1;s=Folder1', 'ns=1;s=SetSetpoint', 42).statusCode, StatusCodes.BadInvalidArgument);
+});
+
+test('an exported model loads back with its values', () => {
+    const server = new SimulatedOpcUaServer();
+    server.writeNode('ns=1;s=PLC1.MotorSpeedRaw', '777');
+    const copy = new SimulatedOpcUaServer();
+    copy.loadModel(parseJsonModel(JSON.stringify(server.exportModel())));
+    assert.equal(copy.readNode('ns=1;s=PLC1.MotorSpeedRaw').value, 777);
+    assert.equal(copy.listVariables().length, new SimulatedOpcUaServer().listVariables().length);
+    assert.equal(DEFAULT_MODEL.nodes.find(definition => definition.nodeId === 'ns=1;s=PLC1.MotorSpeedRaw').value, 1200);
+});
+
+test('every node class has its own attributes', () => {
+    const server = new SimulatedOpcUaServer();
+    const read = (nodeId, attributeId) => server.readAttribute({ nodeId, attributeId });
+    assert.equal(read('ns=1;s=Folder1', 'NodeClass').value, NODE_CLASS_MASKS.Object);
+    assert.deepEqual(read('ns=1;s=Folder1', 'BrowseName').value, { namespaceIndex: 1, name: 'MyDevices' });
+    assert.equal(read('ns=1;s=Folder1', 'EventNotifier').value, 0);
+    assert.equal(read('ns=1;s=Folder1', 'DataType').statusCode, StatusCodes.BadAttributeIdInvalid);
+    assert.equal(read('ns=1;s=Temperature', ATTRIBUTE_IDS.DataType).value, 'ns=0;i=10');
+    assert.equal(read('ns=1;s=Temperature', 'AccessLevel').value, ACCESS_LEVELS.CurrentRead | ACCESS_LEVELS.CurrentWrite | ACCESS_LEVELS.HistoryRead);
+    assert.equal(read('ns=1;s=Temperature', 'DisplayName').value.text, 'Temperature');
+    assert.equal(read('ns=1;s=Temperature', 'Executable').statusCode, StatusCodes.BadAttributeIdInvalid);
+    assert.equal(read('ns=1;s=ResetCounters', 'Executable').value, true);
+    assert.equal(read('ns=0;i=35', 'InverseName').value.text, 'OrganizedBy');
+    assert.equal(read('ns=1;s=AnalogMeasurementType', 'IsAbstract').value, false);
+    assert.equal(read('ns=1;s=Temperature', 99).statusCode, StatusCodes.BadAttributeIdInvalid);
+    assert.equal(server.writeAttribute({ nodeId: 'ns=1;s=Temperature', attributeId: 'DisplayName', value: 'x' }).statusCode, StatusCodes.BadNotWritable);
+});
+
+test('the user access level follows the user\'s permissions', () => {
+    const server = new SimulatedOpcUaServer();
+    const nodesToRead = [{ nodeId: 'ns=1;s=PLC1.MotorSpeedRaw', attributeId: 'UserAccessLevel' }, { nodeId: 'ns=1;s=ResetCounters', attributeId: 'UserExecutable' }];
+    const [accessLevel, executable] = server.readNodes(nodesToRead, ['Anonymous']).results;
+    assert.equal(accessLevel.value, ACCESS_LEVELS.CurrentRead | ACCESS_LEVELS.HistoryRead);
+    assert.equal(executable.value, false);
+    assert.equal(server.readNodes(nodesToRead).results[0].value, ACCESS_LEVELS.CurrentRead | ACCESS_LEVELS.CurrentWrite | ACCESS_LEVELS.HistoryRead);
+});
+
+test('analog items expose EURange and EngineeringUnits, and writes stay within the range', () => {
+    const server = new SimulatedOpcUaServer();
+    assert.deepEqual(server.readNode('ns=1;s=Temperature.EURange').value, { Low: -40, High: 120 });
+    const units = server.readNode('ns=1;s=Sensor3.Value.EngineeringUnits').value;
+    assert.equal(units.DisplayName.text, 'degC');
+    assert.equal(units.UnitId, 4408652);
+    assert.equal(server.findNode('ns=1;s=Temperature').typeDefinition, 'ns=0;i=2368');
+    assert.equal(server.writeNode('ns=1;s=Temperature', 121).statusCode, StatusCodes.BadOutOfRange);
+    assert.equal(server.writeNode('ns=1;s=Temperature', 120).statusCode, StatusCodes.Good);
+    // The simulation and scenarios drive the device and are not held to the range.
+    assert.equal(server.setValue('ns=1;s=Temperature', 150).statusCode, StatusCodes.Good);
+});
+
+test('attributes and units survive an export', () => {
+    const server = new SimulatedOpcUaServer();
+    const model = server.exportModel();
+    const setpoint = model.nodes.find(definition => definition.nodeId === 'ns=1;s=Setpoint');
+    Object.assign(setpoint, { displayName: 'Set point', description: 'Target temperature', minimumSamplingInterval: 500, euRange: { low: 0, high: 50 } });
+    const copy = new SimulatedOpcUaServer(parseJsonModel(JSON.stringify(model)));
+    assert.equal(copy.readAttribute({ nodeId: 'ns=1;s=Setpoint', attributeId: 'DisplayName' }).value.text, 'Set point');
+    assert.equal(copy.readAttribute({ nodeId: 'ns=1;s=Setpoint', attributeId: 'Description' }).value.text, 'Target temperature');
+    assert.equal(copy.readAttribute({ nodeId: 'ns=1;s=Setpoint', attributeId: 'MinimumSamplingInterval' }).value, 500);
+    assert.deepEqual(copy.readNode('ns=1;s=Setpoint.EURange').value, { Low: 0, High: 50 });
+    assert.equal(copy.findNode('ns=1;s=Pressure').engineeringUnits.displayName, 'kPa');
+    assert.throws(() => new SimulatedOpcUaServer({ nodes: [{ ...setpoint, euRange: { low: 5, high: 5 } }] }), /EURange/);
+});
+
+test('a standard NodeSet2 method brings its argument signature', () => {
+    const argument = (name, dataType) => `<ExtensionObject><TypeId><Identifier>i=297</Identifier></TypeId><Body><Argument>`
+        + `<Name>${name}</Name><DataType><Identifier>${dataType}</Identifier></DataType><ValueRank>-1</ValueRank><ArrayDimensions />`
+        + `<Description><Text>${name} in bar</Text></Description></Argument></Body></ExtensionObject>`;
+    const property = (nodeId, browseName, argumentXml) => `<UAVariable NodeId="${nodeId}" BrowseName="${browseName}" ParentNodeId="ns=1;i=2" DataType="i=296" ValueRank="1" ArrayDimensions="1">`
+        + `<DisplayName>${browseName}</DisplayName><References><Reference ReferenceType="HasTypeDefinition">i=68</Reference>`
+        + `<Reference ReferenceType="HasProperty" IsForward="false">ns=1;i=2</Reference></References>`
+        + `<Value><ListOfExtensionObject xmlns="http://opcfoundation.org/UA/2008/02/Types.xsd">${argumentXml}</ListOfExtensionObject></Value></UAVariable>`;
+    const model = parseNodeSet2Xml(`<?xml version="1.0" encoding="utf-8"?>
+<UANodeSet xmlns="http://opcfoundation.org/UA/2011/03/UANodeSet.xsd">
+  <NamespaceUris><Uri>urn:pump</Uri></NamespaceUris>
+  <UAObject NodeId="ns=1;i=1" BrowseName="1:Pump"><DisplayName>Pump</DisplayName>
+    <References><Reference ReferenceType="Organizes" IsForward="false">i=85</Reference></References></UAObject>
+  <UAMethod NodeId="ns=1;i=2" BrowseName="1:SetPressure" ParentNodeId="ns=1;i=1"><DisplayName>SetPressure</DisplayName>
+    <References><Reference ReferenceType="HasComponent" IsForward="false">ns=1;i=1</Reference>
+      <Reference ReferenceType="HasProperty">ns=1;i=3</Reference><Reference ReferenceType="HasProperty">ns=1;i=4</Reference></References></UAMethod>
+  ${property('ns=1;i=3', 'InputArguments', argument('Pressure', 'i=11'))}
+  ${property('ns=1;i=4', 'OutputArguments', argument('Accepted', 'i=1'))}
+</UANodeSet>`);
+    const server = new SimulatedOpcUaServer(model);
+    const method = server.findNode('ns=1;i=2');
+    assert.deepEqual(method.inputArguments, [{ name: 'Pressure', dataType: 'Double', description: 'Pressure in bar' }]);
+    assert.deepEqual(method.outputArguments.map(output => output.dataType), ['Boolean']);
+    assert.deepEqual(browseNames(server.browseNodes('ns=1;i=2')), ['InputArguments', 'OutputArguments']);
+    assert.equal(server.readNode('ns=1;i=3').value[0].Name, 'Pressure');
+    const copy = new SimulatedOpcUaServer(parseNodeSet2Xml(serializeModelToNodeSet2Xml(server.exportModel())));
+    assert.deepEqual(copy.findNode('ns=1;i=2').inputArguments, method.inputArguments);
+});
+
+test('NodeSet2 variables only historize when they say so', () => {
+    const model = parseNodeSet2Xml(`<?xml version="1.0" encoding="utf-8"?>
+<UANodeSet xmlns="http://opcfoundation.org/UA/2011/03/UANodeSet.xsd">
+  <UAVariable NodeId="ns=1;i=1" BrowseName="1:Level" DataType="Double" AccessLevel="5"><DisplayName>Level</DisplayName>
+    <References><Reference ReferenceType="Organizes" IsForward="false">i=85</Reference></References></UAVariable>
+  <UAVariable NodeId="ns=1;i=2" BrowseName="1:Flow" DataType="Double" Historizing="true"><DisplayName>Flow</DisplayName>
+    <References><Reference ReferenceType="Organizes" IsForward="false">i=85</Reference></References></UAVariable>
+</UANodeSet>`);
+    assert.deepEqual(model.nodes.map(node => node.historizing), [false, true]);
+    const xml = serializeModelToNodeSet2Xml(new SimulatedOpcUaServer(model).exportModel());
+    assert.match(xml, /NodeId="ns=1;i=2"[^>]* Historizing="true"/);
+    assert.doesNotMatch(xml, /NodeId="ns=1;i=1"[^>]* Historizing=/);
+});
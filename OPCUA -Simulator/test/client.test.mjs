@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulatedOpcUaServer, OpcUaClient, StatusCodes, OBJECTS_FOLDER_NODE_ID } from '../opcua-simulator.mjs';
+
+const OPERATOR = { type: 'UserName', userName: 'operator', password: 'operator' };
+
+async function connectClient(identityToken = OPERATOR, server = new SimulatedOpcUaServer()) {
+    const client = new OpcUaClient({ server });
+    await client.connect({ identityToken });
+    return client;
+}
+
+test('connect opens an activated session', async () => {
+    const server = new SimulatedOpcUaServer();
+    const client = new OpcUaClient({ server });
+    assert.equal((await client.getEndpoints()).length, server.getEndpoints().length);
+    const session = await client.connect({ identityToken: OPERATOR });
+    assert.equal(client.isConnected, true);
+    assert.equal(session.userName, 'operator');
+    assert.deepEqual(server.sessionManager.listSessions().map(entry => entry.sessionId), [session.sessionId]);
+    await client.disconnect();
+    assert.equal(client.isConnected, false);
+    assert.equal(server.sessionManager.listSessions().length, 0);
+});
+
+test('rejected logins reject connect with their StatusCode', async () => {
+    const client = new OpcUaClient({ server: new SimulatedOpcUaServer() });
+    await assert.rejects(client.connect({ identityToken: { ...OPERATOR, password: 'wrong' } }), { statusCode: StatusCodes.BadUserAccessDenied });
+    await assert.rejects(client.connect({ securityMode: 'Sign', securityPolicy: 'None' }), error => error.statusCode !== undefined);
+    assert.equal(client.isConnected, false);
+});
+
+test('requests without a session reject with BadNotConnected', async () => {
+    const client = new OpcUaClient({ server: new SimulatedOpcUaServer() });
+    await assert.rejects(client.read('ns=1;s=Temperature'), { statusCode: StatusCodes.BadNotConnected });
+});
+
+test('read and readMultiple return one DataValue per node', async () => {
+    const client = await connectClient();
+    const read = await client.read('ns=1;s=DeviceName');
+    assert.equal(read.value, 'SensorUnit-A');
+    assert.equal(read.statusCode, StatusCodes.Good);
+    const results = await client.readMultiple(['ns=1;s=PLC1.MotorSpeedRaw', 'ns=1;s=Nope', 'ns=1;s=PLC1.MachineState']);
+    assert.deepEqual(results.map(result => result.statusCode), [StatusCodes.Good, StatusCodes.BadNodeIdUnknown, StatusCodes.Good]);
+    assert.deepEqual([results[0].value, results[2].value], [1200, 2]);
+    await client.disconnect();
+});
+
+test('write and writeMultiple return one StatusCode per node', async () => {
+    const client = await connectClient();
+    assert.equal((await client.write('ns=1;s=PLC1.MotorSpeedRaw', '42')).statusCode, StatusCodes.Good);
+    const results = await client.writeMultiple([
+        { nodeId: 'ns=1;s=PLC1.MachineState', value: 'Faulted' },
+        { nodeId: 'ns=1;s=PLC1.ErrorCode', value: '256' },
+        { nodeId: 'ns=1;s=DeviceName', value: 'x' }
+    ]);
+    assert.deepEqual(results.map(result => result.statusCode), [StatusCodes.Good, StatusCodes.BadOutOfRange, StatusCodes.BadNotWritable]);
+    assert.deepEqual((await client.readMultiple(['ns=1;s=PLC1.MotorSpeedRaw', 'ns=1;s=PLC1.MachineState'])).map(result => result.value), [42, 3]);
+    await client.disconnect();
+});
+
+test('batch reads and writes take attribute ids and index ranges', async () => {
+    const client = await connectClient();
+    const reads = await client.readMultiple([
+        { nodeId: 'ns=1;s=PLC1.RecipeSteps', indexRange: '1:2' },
+        { nodeId: 'ns=1;s=PLC1.ZoneTemperatures', indexRange: '1,0:1' },
+        { nodeId: 'ns=1;s=DeviceName', indexRange: '0:5' },
+        { nodeId: 'ns=1;s=PLC1.RecipeSteps', indexRange: '7' },
+        { nodeId: 'ns=1;s=PLC1.RecipeSteps', indexRange: '2:1' },
+        { nodeId: 'ns=1;s=PLC1.RecipeSteps', attributeId: 99 }
+    ]);
+    assert.deepEqual(reads.map(result => result.value).slice(0, 3), [[250, 400], [[175, 180]], 'Sensor']);
+    assert.deepEqual(reads.slice(3).map(result => result.statusCode), [StatusCodes.BadIndexRangeNoData, StatusCodes.BadIndexRangeInvalid, StatusCodes.BadAttributeIdInvalid]);
+
+    const writes = await client.writeMultiple([
+        { nodeId: 'ns=1;s=PLC1.RecipeSteps', indexRange: '0', value: '[50]' },
+        { nodeId: 'ns=1;s=PLC1.RecipeSteps', indexRange: '1:2', value: [1] },
+        { nodeId: 'ns=1;s=PLC1.RecipeSteps', indexRange: '2', value: [40000] },
+        { nodeId: 'ns=1;s=DeviceName', attributeId: 'DisplayName', value: 'x' }
+    ]);
+    assert.deepEqual(writes.map(result => result.statusCode), [StatusCodes.Good, StatusCodes.BadIndexRangeInvalid, StatusCodes.BadOutOfRange, StatusCodes.BadNotWritable]);
+    assert.deepEqual((await client.read('ns=1;s=PLC1.RecipeSteps')).value, [50, 250, 400]);
+    await assert.rejects(client.readMultiple([]), { statusCode: StatusCodes.BadNothingToDo });
+    await client.disconnect();
+});
+
+test('batch items are checked against the user\'s permissions one by one', async () => {
+    const viewer = await connectClient({ type: 'UserName', userName: 'viewer', password: 'viewer' });
+    const results = await viewer.writeMultiple([{ nodeId: 'ns=1;s=PLC1.MotorSpeedRaw', value: 1 }, { nodeId: 'ns=1;s=Nope', value: 1 }]);
+    assert.deepEqual(results.map(result => result.statusCode), [StatusCodes.BadUserAccessDenied, StatusCodes.BadNodeIdUnknown]);
+    await viewer.disconnect();
+});
+
+test('browse, translateBrowsePaths and call go through the session', async () => {
+    const client = await connectClient();
+    const browse = await client.browse(OBJECTS_FOLDER_NODE_ID);
+    assert.ok(browse.references.some(reference => reference.nodeId === 'ns=1;s=Folder1'));
+    const path = await client.translateBrowsePaths([{ startingNode: OBJECTS_FOLDER_NODE_ID, relativePath: '/1:MyDevices/1:Setpoint' }]);
+    assert.deepEqual(path.results[0].targetIds, ['ns=1;s=Setpoint']);
+    const call = await client.call('ns=1;s=Folder1', 'ns=1;s=SetSetpoint', [30]);
+    assert.equal(call.statusCode, StatusCodes.Good);
+    assert.equal((await client.read('ns=1;s=Setpoint')).value, 30);
+    await client.disconnect();
+});
+
+test('role permissions apply to the session user', async () => {
+    const server = new SimulatedOpcUaServer();
+    const viewer = await connectClient({ type: 'UserName', userName: 'viewer', password: 'viewer' }, server);
+    assert.equal((await viewer.read('ns=1;s=PLC1.MotorSpeedRaw')).statusCode, StatusCodes.Good);
+    assert.equal((await viewer.write('ns=1;s=PLC1.MotorSpeedRaw', '1')).statusCode, StatusCodes.BadUserAccessDenied);
+    const operator = await connectClient(OPERATOR, server);
+    assert.equal((await operator.call('ns=1;s=Folder1', 'ns=1;s=StartSimulation')).statusCode, StatusCodes.BadUserAccessDenied);
+    await viewer.disconnect();
+    await operator.disconnect();
+});
+
+test('after a server restart the client reconnects and recreates its subscriptions', async () => {
+    const server = new SimulatedOpcUaServer();
+    const client = await connectClient(OPERATOR, server);
+    const subscription = await client.subscribe('ns=1;s=PLC1.MotorSpeedRaw', { publishingInterval: 100 });
+    const recreated = new Promise(resolve => client.on('subscriptionRecreated', resolve));
+    const reconnected = new Promise(resolve => client.on('reconnected', resolve));
+    server.sessionManager.restart(0);
+    assert.equal(client.isReconnecting, true);
+    const [summary, recreation] = await Promise.all([reconnected, recreated]);
+    assert.match(summary, /recreated 1 subscription/);
+    assert.equal(recreation.previousSubscriptionId, subscription.subscriptionId);
+    assert.equal(recreation.monitoredItems[0].nodeId, 'ns=1;s=PLC1.MotorSpeedRaw');
+    assert.ok(server.subscriptions[recreation.subscriptionId]);
+    assert.deepEqual(Object.keys(client.subscriptions), [String(recreation.subscriptionId)]);
+    await client.disconnect();
+});
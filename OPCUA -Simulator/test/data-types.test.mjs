@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulatedOpcUaServer, StatusCodes, DataTypeRegistry, DataTypeError, DEFAULT_MODEL } from '../opcua-simulator.mjs';
+
+const registry = new DataTypeRegistry(DEFAULT_MODEL.dataTypes);
+
+function assertRejected(dataType, raw, statusCode, valueRank, arrayDimensions) {
+    assert.throws(() => registry.convert(dataType, raw, valueRank, arrayDimensions), error => error instanceof DataTypeError && error.statusCode === statusCode);
+}
+
+test('integers are range checked', () => {
+    assert.equal(registry.convert('Int16', '-32768'), -32768);
+    assertRejected('Int16', '32768', StatusCodes.BadOutOfRange);
+    assertRejected('Byte', '-1', StatusCodes.BadOutOfRange);
+    assertRejected('Int32', '1.5', StatusCodes.BadTypeMismatch);
+    assertRejected('UInt16', 'abc', StatusCodes.BadTypeMismatch);
+});
+
+test('64-bit integers keep every digit', () => {
+    assert.equal(registry.convert('UInt64', '18446744073709551615'), '18446744073709551615');
+    assert.equal(registry.convert('Int64', '-9223372036854775808'), '-9223372036854775808');
+    assertRejected('UInt64', '18446744073709551616', StatusCodes.BadOutOfRange);
+});
+
+test('Booleans, floats and DateTimes are strict', () => {
+    assert.equal(registry.convert('Boolean', 'false'), false);
+    assertRejected('Boolean', 'yes', StatusCodes.BadTypeMismatch);
+    assertRejected('Float', 'true', StatusCodes.BadTypeMismatch);
+    assert.equal(registry.convert('DateTime', '2024-01-15T08:30:00Z'), '2024-01-15T08:30:00.000Z');
+    assertRejected('DateTime', 'not a date', StatusCodes.BadTypeMismatch);
+});
+
+test('arrays follow their value rank and dimensions', () => {
+    assert.deepEqual(registry.convert('Int16', '[1, 2, 3]', 1, [10]), [1, 2, 3]);
+    assertRejected('Int16', JSON.stringify(Array.from({ length: 11 }, (_, index) => index)), StatusCodes.BadOutOfRange, 1, [10]);
+    assert.deepEqual(registry.convert('Float', '[[1, 2], [3, 4]]', 2, [2, 2]), [[1, 2], [3, 4]]);
+    assertRejected('Int16', '5', StatusCodes.BadTypeMismatch, 1, [10]);
+});
+
+test('enumerations accept names and values', () => {
+    assert.equal(registry.convert('MachineState', 'Faulted'), 3);
+    assert.equal(registry.convert('MachineState', '1'), 1);
+    assertRejected('MachineState', 'Exploded', StatusCodes.BadTypeMismatch);
+});
+
+test('structures are converted field by field and survive UA Binary', () => {
+    const value = registry.convert('PumpSettings', JSON.stringify({ Speed: 1, Enabled: false, Mode: 'Stopped', Limits: [1, 2] }));
+    assert.deepEqual(value, { Speed: 1, Enabled: false, Mode: 0, Limits: [1, 2] });
+    assert.deepEqual(registry.decode('PumpSettings', registry.encode('PumpSettings', value)), value);
+    assertRejected('PumpSettings', JSON.stringify({ Speed: 1 }), StatusCodes.BadTypeMismatch);
+});
+
+test('writes are converted to the declared type of the node', () => {
+    const server = new SimulatedOpcUaServer();
+    assert.equal(server.writeNode('ns=1;s=PLC1.MachineState', 'Faulted').statusCode, StatusCodes.Good);
+    assert.equal(server.readNode('ns=1;s=PLC1.MachineState').value, 3);
+    assert.equal(server.writeNode('ns=1;s=PLC1.MotorSpeedRaw', '40000').statusCode, StatusCodes.BadOutOfRange);
+    assert.equal(server.writeNode('ns=1;s=Temperature', 'warm').statusCode, StatusCodes.BadTypeMismatch);
+    assert.equal(server.readNode('ns=1;s=PLC1.MotorSpeedRaw').value, 1200);
+});
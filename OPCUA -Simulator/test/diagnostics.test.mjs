@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulatedOpcUaServer, OpcUaClient, StatusCodes, OBJECTS_FOLDER_NODE_ID, formatAuditLogCsv } from '../opcua-simulator.mjs';
+
+const browseNames = result => result.references.map(reference => reference.browseName);
+
+async function connectClient(server, userName) {
+    const client = new OpcUaClient({ server });
+    await client.connect({ identityToken: { type: 'UserName', userName, password: userName } });
+    return client;
+}
+
+test('the Server object can be browsed and read', () => {
+    const server = new SimulatedOpcUaServer();
+    assert.equal(browseNames(server.browseNodes(OBJECTS_FOLDER_NODE_ID)).at(-1), 'Server');
+    assert.deepEqual(browseNames(server.browseNodes('ns=0;i=2256')),
+        ['StartTime', 'CurrentTime', 'State', 'BuildInfo', 'SecondsTillShutdown', 'ShutdownReason']);
+    const status = server.readNode('ns=0;i=2256');
+    assert.equal(status.dataType, 'ServerStatusDataType');
+    assert.equal(status.value.State, 0);
+    assert.equal(status.value.StartTime, server.startTime);
+    assert.equal(status.encodedValue.typeId, 'ns=0;i=862');
+    assert.deepEqual(server.readNode('ns=0;i=2255').value, server.namespaceArray);
+    assert.equal(server.readNode('ns=0;i=2262').value, 'urn:opcua-simulator');
+    assert.equal(server.readAttribute({ nodeId: 'ns=0;i=2259', attributeId: 'DataType' }).value, 'ns=0;i=852');
+    // The Server object is not part of the model.
+    assert.ok(server.listVariables().every(node => !node.nodeId.startsWith('ns=0;')));
+    assert.ok(server.exportModel().nodes.every(node => !node.nodeId.startsWith('ns=0;')));
+});
+
+test('the diagnostics summary counts sessions, subscriptions and rejected requests', async () => {
+    const server = new SimulatedOpcUaServer();
+    const operator = await connectClient(server, 'operator');
+    await operator.createSubscription({ publishingInterval: 500 });
+    await assert.rejects(connectClient(server, 'nobody'));
+    const viewer = await connectClient(server, 'viewer');
+    assert.equal((await viewer.write('ns=1;s=PLC1.MotorSpeedRaw', '42')).statusCode, StatusCodes.BadUserAccessDenied);
+
+    // The client closes the session whose activation failed.
+    const summary = server.readNode('ns=0;i=2275').value;
+    assert.equal(summary.CurrentSessionCount, 2);
+    assert.equal(summary.CumulatedSessionCount, 3);
+    assert.equal(summary.SecurityRejectedSessionCount, 1);
+    assert.equal(summary.CurrentSubscriptionCount, 1);
+    assert.equal(summary.PublishingIntervalCount, 1);
+    assert.equal(summary.SecurityRejectedRequestsCount, 1);
+    assert.equal(server.readNode('ns=0;i=2277').value, 2);
+
+    await operator.disconnect();
+    await viewer.disconnect();
+    assert.equal(server.readNode('ns=0;i=2277').value, 0);
+    assert.equal(server.readNode('ns=0;i=2285').value, 0);
+    // A session that is never activated, left to expire.
+    await server.sessionManager.openChannel(() => {}, () => {}).request('createSession', {});
+    server.sessionManager.expireSessions();
+    assert.equal(server.readNode('ns=0;i=2281').value, 1);
+});
+
+test('the audit log records every service call with its outcome', async () => {
+    const server = new SimulatedOpcUaServer();
+    const viewer = await connectClient(server, 'viewer');
+    await viewer.read('ns=1;s=Temperature');
+    await viewer.write('ns=1;s=PLC1.MotorSpeedRaw', '42');
+    await viewer.readMultiple(['ns=1;s=Pressure', 'ns=1;s=Nope']);
+
+    const entries = server.auditLog.query();
+    assert.deepEqual(entries.map(entry => entry.service).slice(0, 2), ['createSession', 'activateSession']);
+    assert.ok(entries.every(entry => entry.service !== 'keepAlive'));
+    const [write] = server.auditLog.query({ category: 'Write' });
+    assert.deepEqual([write.userName, write.nodeIds, write.outcome, write.statusCode], ['viewer', ['ns=1;s=PLC1.MotorSpeedRaw'], 'Bad', StatusCodes.BadUserAccessDenied]);
+    assert.equal(write.sessionId, viewer.session.sessionId);
+    assert.deepEqual(server.auditLog.query({ outcome: 'Bad' }), [write]);
+    const [partial] = server.auditLog.query({ outcome: 'Uncertain' });
+    assert.deepEqual([partial.service, partial.statusCode], ['read', StatusCodes.Uncertain]);
+    assert.deepEqual(server.auditLog.query({ text: 'nope' }).map(entry => entry.nodeIds), [['ns=1;s=Pressure', 'ns=1;s=Nope']]);
+    await viewer.readMultiple(['ns=1;s=Nope', 'ns=1;s=Gone']);
+    assert.deepEqual(server.auditLog.query({ outcome: 'Bad' }).map(entry => [entry.service, entry.statusCode]),
+        [['write', StatusCodes.BadUserAccessDenied], ['read', StatusCodes.BadNodeIdUnknown]]);
+
+    const csv = formatAuditLogCsv([write]).split('\r\n');
+    assert.equal(csv[0], 'timestamp,sessionId,userName,service,category,nodeIds,outcome,statusCode,message');
+    assert.match(csv[1], /,viewer,write,Write,ns=1;s=PLC1\.MotorSpeedRaw,Bad,BadUserAccessDenied,/);
+
+    const logged = [];
+    server.on('auditEntry', entry => logged.push(entry));
+    await viewer.disconnect();
+    assert.deepEqual(logged.map(entry => [entry.service, entry.category, entry.userName]), [['closeSession', 'Connect', 'viewer']]);
+    server.auditLog.clear();
+    assert.equal(server.auditLog.query().length, 0);
+});
@@ -0,0 +1,116 @@
+// Node has no DOMParser; this one parses just enough XML for the NodeSet2 import: elements, attributes,
+// namespaces, text, CDATA and character references. Like the browser's, it reports bad XML as a <parsererror>.
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeText(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (reference, name) => {
+        if (name[0] === '#') return String.fromCodePoint(name[1] === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+        if (!Object.prototype.hasOwnProperty.call(ENTITIES, name)) throw new Error(`Unknown entity ${reference}`);
+        return ENTITIES[name];
+    });
+}
+
+class XmlElement {
+    constructor(tagName, attributes = {}, parent = null) {
+        this.tagName = tagName;
+        this.localName = tagName.split(':').pop();
+        this.attributeValues = attributes;
+        this.namespaces = { ...(parent ? parent.namespaces : {}) };
+        Object.keys(attributes).forEach(name => {
+            if (name === 'xmlns') this.namespaces[''] = attributes[name];
+            else if (name.startsWith('xmlns:')) this.namespaces[name.slice(6)] = attributes[name];
+        });
+        const prefix = tagName.includes(':') ? tagName.split(':')[0] : '';
+        this.namespaceURI = this.namespaces[prefix] || null;
+        this.children = [];
+        this.content = [];
+    }
+
+    get firstElementChild() {
+        return this.children[0] || null;
+    }
+
+    get textContent() {
+        return this.content.map(part => typeof part === 'string' ? part : part.textContent).join('');
+    }
+
+    getAttribute(name) {
+        return this.hasAttribute(name) ? this.attributeValues[name] : null;
+    }
+
+    hasAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributeValues, name);
+    }
+
+    descendants() {
+        return this.children.flatMap(child => [child, ...child.descendants()]);
+    }
+
+    getElementsByTagName(tagName) {
+        return this.descendants().filter(element => tagName === '*' || element.tagName === tagName);
+    }
+
+    getElementsByTagNameNS(namespaceURI, localName) {
+        return this.descendants().filter(element => element.namespaceURI === namespaceURI && element.localName === localName);
+    }
+}
+
+class XmlDocument {
+    constructor(documentElement) {
+        this.documentElement = documentElement;
+    }
+
+    getElementsByTagName(tagName) {
+        return [this.documentElement, ...this.documentElement.descendants()].filter(element => tagName === '*' || element.tagName === tagName);
+    }
+}
+
+function parseXml(text) {
+    const open = [];
+    let root = null;
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < text.length) {
+        const match = TOKEN.exec(text);
+        if (!match) throw new Error(`Unexpected '<' at ${TOKEN.lastIndex}`);
+        const [, cdata, closeTag, openTag, attributeText, selfClosing, characters] = match;
+        const parent = open[open.length - 1];
+        if (cdata !== undefined || characters !== undefined) {
+            const content = cdata !== undefined ? cdata : decodeText(characters);
+            if (parent) parent.content.push(content);
+            else if (content.trim()) throw new Error('Text outside the root element');
+        } else if (closeTag) {
+            if (!parent || parent.tagName !== closeTag) throw new Error(`Unexpected </${closeTag}>`);
+            open.pop();
+        } else if (openTag) {
+            const attributes = {};
+            for (const [, name, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE)) {
+                attributes[name] = decodeText(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+            }
+            if (!parent && root) throw new Error('More than one root element');
+            const element = new XmlElement(openTag, attributes, parent);
+            if (parent) {
+                parent.children.push(element);
+                parent.content.push(element);
+            } else {
+                root = element;
+            }
+            if (!selfClosing) open.push(element);
+        }
+    }
+    if (!root || open.length > 0) throw new Error('Unclosed element');
+    return root;
+}
+
+export class DOMParser {
+    parseFromString(text) {
+        try {
+            return new XmlDocument(parseXml(String(text)));
+        } catch (e) {
+            const error = new XmlElement('parsererror');
+            error.content.push(e.message);
+            return new XmlDocument(error);
+        }
+    }
+}
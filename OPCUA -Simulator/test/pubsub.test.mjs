@@ -0,0 +1,172 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import {
+    SimulatedOpcUaServer, StatusCodes, simulationClock, createDefaultPubSubConfig, normalizePubSubConfig, decodeNetworkMessage,
+    PubSubPublisher, PubSubSubscriber, MemoryBroker, matchesTopicFilter, MQTT_PACKET_TYPES, encodeMqttPacket, MqttPacketReader, MqttClient
+} from '../opcua-simulator.mjs';
+
+const CONFIG = {
+    publisherId: 'plant',
+    publishedDataSets: [{ name: 'Process', fields: [{ nodeId: 'ns=1;s=Temperature', name: 'Temperature' }, 'ns=1;s=Pressure'] }],
+    writerGroups: [{
+        name: 'Fast', publishingInterval: 500, keepAliveTime: 2000,
+        dataSetWriters: [{ name: 'Process', dataSetWriterId: 7, dataSet: 'Process', keyFrameCount: 3 }]
+    }]
+};
+
+// Publishers run on the virtual clock; any left running would move on to real timers in afterEach.
+let publishers = [];
+
+beforeEach(() => simulationClock.useVirtualTime(Date.parse('2024-01-01T00:00:00.000Z')));
+afterEach(() => {
+    publishers.forEach(publisher => publisher.stop());
+    publishers = [];
+    simulationClock.useRealTime();
+});
+
+async function startPublishing(server, config = CONFIG) {
+    const broker = new MemoryBroker();
+    const published = [];
+    const publisher = new PubSubPublisher(server, config, { onPublish: entry => published.push(entry) });
+    publisher.start(await broker.connect());
+    publishers.push(publisher);
+    return { broker, publisher, published, dataSetMessages: () => published.filter(entry => entry.message.MessageType === 'ua-data').map(entry => entry.message.Messages[0]) };
+}
+
+test('configurations are checked against the address space', () => {
+    const server = new SimulatedOpcUaServer();
+    const config = normalizePubSubConfig(CONFIG, server);
+    assert.equal(config.topicPrefix, 'opcua/json');
+    assert.deepEqual(config.publishedDataSets[0].fields.map(field => field.name), ['Temperature', 'Pressure']);
+    assert.throws(() => normalizePubSubConfig({ ...CONFIG, publishedDataSets: [{ name: 'Process', fields: ['ns=1;s=Folder1'] }] }, server), /not a Variable/);
+    assert.throws(() => normalizePubSubConfig({ ...CONFIG, writerGroups: [{ ...CONFIG.writerGroups[0], publishingInterval: 10 }] }, server), /at least 100 ms/);
+    assert.throws(() => normalizePubSubConfig({ ...CONFIG, writerGroups: [{ ...CONFIG.writerGroups[0], name: 'a/b' }] }, server), /without '\/'/);
+    const defaults = normalizePubSubConfig(createDefaultPubSubConfig(server), server);
+    assert.ok(defaults.publishedDataSets[0].fields.some(field => field.nodeId === 'ns=1;s=Temperature'));
+});
+
+test('writers send key frames, delta frames with changed fields and keep-alives', async () => {
+    const server = new SimulatedOpcUaServer();
+    const { published, dataSetMessages } = await startPublishing(server);
+    assert.equal(published[0].topic, 'opcua/json/metadata/plant/Fast/Process');
+    assert.deepEqual(published[0].message.MetaData.Fields.map(field => [field.Name, field.BuiltInType]), [['Temperature', 10], ['Pressure', 10]]);
+
+    simulationClock.advance(500);
+    server.setValue('ns=1;s=Pressure', 120);
+    simulationClock.advance(500);
+    simulationClock.advance(2000);
+    const messages = dataSetMessages();
+    assert.deepEqual(messages.map(message => message.MessageType), ['ua-keyframe', 'ua-deltaframe', 'ua-keepalive']);
+    assert.deepEqual(Object.keys(messages[0].Payload), ['Temperature', 'Pressure']);
+    assert.deepEqual(Object.keys(messages[1].Payload), ['Pressure']);
+    assert.equal(messages[1].Payload.Pressure.Value, 120);
+    assert.deepEqual(messages.map(message => message.SequenceNumber), [1, 2, 3]);
+    assert.equal(published.at(-1).topic, 'opcua/json/data/plant/Fast');
+
+    // Every third data message is a key frame, changed or not; keep-alives do not count.
+    server.setValue('ns=1;s=Temperature', 30);
+    simulationClock.advance(500);
+    simulationClock.advance(500);
+    const [delta, keyFrame] = dataSetMessages().slice(-2);
+    assert.deepEqual([delta.MessageType, Object.keys(delta.Payload)], ['ua-deltaframe', ['Temperature']]);
+    assert.deepEqual([keyFrame.MessageType, Object.keys(keyFrame.Payload)], ['ua-keyframe', ['Temperature', 'Pressure']]);
+});
+
+test('bad values keep their status code in the payload', async () => {
+    const server = new SimulatedOpcUaServer();
+    const node = server.findNode('ns=1;s=Temperature');
+    node.dataValue = { ...node.dataValue, statusCode: StatusCodes.BadSensorFailure };
+    const { dataSetMessages } = await startPublishing(server);
+    simulationClock.advance(500);
+    const payload = dataSetMessages()[0].Payload;
+    assert.equal(payload.Temperature.StatusCode, StatusCodes.BadSensorFailure);
+    assert.ok(!('StatusCode' in payload.Pressure));
+});
+
+test('the subscriber merges delta frames and picks up retained metadata', async () => {
+    const server = new SimulatedOpcUaServer();
+    const { broker } = await startPublishing(server);
+    const errors = [];
+    const subscriber = new PubSubSubscriber({ onError: error => errors.push(error) });
+    await subscriber.start(await broker.connect());
+    const writer = subscriber.writers.get('plant/7');
+    assert.deepEqual(writer.metaData.fields.map(field => field.name), ['Temperature', 'Pressure']);
+
+    simulationClock.advance(500);
+    server.setValue('ns=1;s=Pressure', 150);
+    simulationClock.advance(500);
+    assert.equal(writer.lastMessageType, 'ua-deltaframe');
+    assert.equal(writer.fields.get('Pressure').value, 150);
+    assert.equal(writer.fields.get('Temperature').value, server.findNode('ns=1;s=Temperature').dataValue.value);
+    assert.equal(writer.missedMessages, 0);
+
+    (await broker.connect()).publish('opcua/json/data/plant/Fast', 'not json');
+    assert.match(errors[0].message, /Not a JSON NetworkMessage/);
+    subscriber.stop();
+});
+
+test('network messages decode into plain objects', () => {
+    const message = decodeNetworkMessage(JSON.stringify({
+        MessageId: '1', MessageType: 'ua-data', PublisherId: 'other',
+        Messages: [{ DataSetWriterId: 3, SequenceNumber: 9, Payload: { Speed: 12.5, Level: { Value: 3, StatusCode: { Code: StatusCodes.UncertainLastUsableValue } } } }]
+    }));
+    assert.equal(message.messages[0].messageType, 'ua-keyframe');
+    assert.deepEqual(message.messages[0].payload.Speed, { value: 12.5, statusCode: StatusCodes.Good, sourceTimestamp: null });
+    assert.equal(message.messages[0].payload.Level.statusCode, StatusCodes.UncertainLastUsableValue);
+    assert.throws(() => decodeNetworkMessage('{"MessageType":"ua-discovery"}'), /Unsupported/);
+});
+
+test('topic filters support single and multi-level wildcards', () => {
+    assert.ok(matchesTopicFilter('opcua/json/data/#', 'opcua/json/data/plant/Fast'));
+    assert.ok(matchesTopicFilter('opcua/+/data/plant/+', 'opcua/json/data/plant/Fast'));
+    assert.ok(!matchesTopicFilter('opcua/json/data/+', 'opcua/json/data/plant/Fast'));
+    assert.ok(!matchesTopicFilter('opcua/json/metadata/#', 'opcua/json/data/plant'));
+});
+
+test('MQTT packets survive being split across reads', () => {
+    const payload = new Uint8Array(300).fill(65);
+    const packet = encodeMqttPacket(MQTT_PACKET_TYPES.Publish, 1, [payload]);
+    assert.deepEqual(Array.from(packet.subarray(0, 3)), [0x31, 0xAC, 0x02]);
+    const reader = new MqttPacketReader();
+    assert.deepEqual(reader.push(packet.subarray(0, 2)), []);
+    const [decoded] = reader.push(packet.subarray(2));
+    assert.equal(decoded.type, MQTT_PACKET_TYPES.Publish);
+    assert.equal(decoded.flags, 1);
+    assert.deepEqual(decoded.body, payload);
+});
+
+test('the MQTT client connects, subscribes and publishes over TCP', async () => {
+    // A broker that acknowledges everything and echoes publishes back to the client.
+    const broker = net.createServer(socket => {
+        const reader = new MqttPacketReader();
+        socket.on('data', bytes => reader.push(bytes).forEach(packet => {
+            if (packet.type === MQTT_PACKET_TYPES.Connect) socket.write(encodeMqttPacket(MQTT_PACKET_TYPES.ConnAck, 0, [Uint8Array.of(0, 0)]));
+            if (packet.type === MQTT_PACKET_TYPES.Subscribe) socket.write(encodeMqttPacket(MQTT_PACKET_TYPES.SubAck, 0, [packet.body.subarray(0, 2), Uint8Array.of(0)]));
+            if (packet.type === MQTT_PACKET_TYPES.Publish) socket.write(encodeMqttPacket(MQTT_PACKET_TYPES.Publish, packet.flags, [packet.body]));
+        }));
+    });
+    await new Promise(resolve => broker.listen(0, '127.0.0.1', resolve));
+    const closed = [];
+    const client = new MqttClient(`mqtt://127.0.0.1:${broker.address().port}`, { onClose: reason => closed.push(reason) });
+    try {
+        await client.connect();
+        const received = new Promise(resolve => client.subscribe('opcua/json/data/#', (topic, payload) => resolve([topic, new TextDecoder().decode(payload)])));
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(client.publish('opcua/json/data/plant/Fast', '{"MessageType":"ua-data"}', { retain: true }));
+        assert.deepEqual(await received, ['opcua/json/data/plant/Fast', '{"MessageType":"ua-data"}']);
+    } finally {
+        client.close();
+        broker.close();
+    }
+    assert.deepEqual(closed, ['closed by the client']);
+    assert.equal(client.publish('opcua/json/data/plant/Fast', '{}'), false);
+});
+
+test('the MQTT client reports a broker that is not there', async () => {
+    const closed = [];
+    const client = new MqttClient('mqtt://127.0.0.1:1', { onClose: reason => closed.push(reason) });
+    await assert.rejects(client.connect(), /Could not connect to the MQTT broker at mqtt:\/\/127.0.0.1:1/);
+    assert.equal(closed.length, 1);
+    await assert.rejects(new MqttClient('http://127.0.0.1').connect(), /unsupported URL/);
+});
@@ -0,0 +1,121 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulatedOpcUaServer, OpcUaClient, StatusCodes, simulationClock } from '../opcua-simulator.mjs';
+
+// Sampling and publishing run on the virtual clock, so each test decides exactly when they happen.
+const NODE_ID = 'ns=1;s=PLC1.MotorSpeedRaw';
+const OPERATOR = { type: 'UserName', userName: 'operator', password: 'operator' };
+let client;
+
+async function writeAndSample(values, samplingInterval = 100) {
+    for (const value of values) {
+        assert.equal((await client.write(NODE_ID, value)).statusCode, StatusCodes.Good);
+        simulationClock.advance(samplingInterval);
+    }
+}
+
+beforeEach(async () => {
+    simulationClock.useVirtualTime(Date.parse('2024-01-01T00:00:00.000Z'));
+    client = new OpcUaClient({ server: new SimulatedOpcUaServer() });
+    await client.connect({ identityToken: OPERATOR });
+});
+
+afterEach(async () => {
+    await client.disconnect();
+    simulationClock.useRealTime();
+});
+
+test('the first publish delivers the current value', async () => {
+    const changes = [];
+    const subscription = await client.subscribe(NODE_ID, { publishingInterval: 500, samplingInterval: 100 }, change => changes.push(change));
+    assert.equal(subscription.items[0].statusCode, StatusCodes.Good);
+    simulationClock.advance(499);
+    assert.equal(changes.length, 0);
+    simulationClock.advance(1);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].nodeId, NODE_ID);
+    assert.equal(changes[0].dataValue.value, 1200);
+    assert.equal(changes[0].sequenceNumber, 1);
+});
+
+test('changes are delivered once per publishing interval with their source timestamps', async () => {
+    const changes = [];
+    await client.subscribe(NODE_ID, { publishingInterval: 500, samplingInterval: 100, queueSize: 5 }, change => changes.push(change));
+    simulationClock.advance(500);
+    await writeAndSample(['10', '20']);
+    assert.equal(changes.length, 1);
+    simulationClock.advance(300);
+    assert.deepEqual(changes.map(change => [change.sequenceNumber, change.dataValue.value, change.dataValue.sourceTimestamp]), [
+        [1, 1200, '2024-01-01T00:00:00.000Z'],
+        [2, 10, '2024-01-01T00:00:00.500Z'],
+        [2, 20, '2024-01-01T00:00:00.600Z']
+    ]);
+});
+
+test('monitored items of one subscription keep their own settings', async () => {
+    const changes = [];
+    const subscription = await client.subscribe(NODE_ID, { publishingInterval: 1000, samplingInterval: 100 }, change => changes.push(change));
+    const plain = subscription.items[0].monitoredItemId;
+    const deadband = await client.createMonitoredItem(subscription.subscriptionId, NODE_ID, { samplingInterval: 100, deadbandType: 'Absolute', deadbandValue: 5 });
+    simulationClock.advance(1000);
+    changes.length = 0;
+    await writeAndSample(['1203']);
+    simulationClock.advance(900);
+    await writeAndSample(['1210']);
+    simulationClock.advance(900);
+    const valuesOf = monitoredItemId => changes.filter(change => change.monitoredItemId === monitoredItemId).map(change => change.dataValue.value);
+    assert.deepEqual(valuesOf(plain), [1203, 1210]);
+    assert.deepEqual(valuesOf(deadband.monitoredItemId), [1210]);
+});
+
+test('a full queue discards the oldest values and flags the overflow', async () => {
+    const changes = [];
+    await client.subscribe(NODE_ID, { publishingInterval: 1000, samplingInterval: 100, queueSize: 2, discardOldest: true }, change => changes.push(change));
+    simulationClock.advance(1000);
+    changes.length = 0;
+    await writeAndSample(['1', '2', '3', '4']);
+    simulationClock.advance(600);
+    assert.deepEqual(changes.map(change => change.dataValue.value), [3, 4]);
+    assert.ok(changes.some(change => change.overflow));
+});
+
+test('a deleted subscription stops publishing', async () => {
+    const changes = [];
+    const subscription = await client.subscribe(NODE_ID, { publishingInterval: 500, samplingInterval: 100 }, change => changes.push(change));
+    simulationClock.advance(500);
+    assert.equal((await client.deleteSubscription(subscription.subscriptionId)).success, true);
+    await writeAndSample(['5']);
+    simulationClock.advance(1000);
+    assert.equal(changes.length, 1);
+    assert.deepEqual(client.subscriptions, {});
+});
+
+test('an invalid publishing interval is rejected with a StatusCode', async () => {
+    const result = await client.createSubscription({ publishingInterval: 'fast' });
+    assert.deepEqual([result.success, result.statusCode], [false, StatusCodes.BadInvalidArgument]);
+    assert.deepEqual(client.subscriptions, {});
+});
+
+test('the client emits every data change of its subscriptions', async () => {
+    const emitted = [];
+    client.on('dataChange', change => emitted.push(change.dataValue.value));
+    await client.subscribe(NODE_ID, { publishingInterval: 500, samplingInterval: 100 });
+    simulationClock.advance(500);
+    await writeAndSample(['7']);
+    simulationClock.advance(400);
+    assert.deepEqual(emitted, [1200, 7]);
+});
+
+test('processed history interpolates between the nearest samples in time order', () => {
+    // The initial value is stamped with real time, after everything written on the virtual clock.
+    simulationClock.useRealTime();
+    const server = new SimulatedOpcUaServer();
+    const start = Date.parse('2024-01-01T00:00:00.000Z');
+    simulationClock.useVirtualTime(start);
+    for (const value of [0, 10, 20, 30, 40]) {
+        server.writeNode(NODE_ID, value);
+        simulationClock.advance(1000);
+    }
+    const result = server.historyReadProcessed(NODE_ID, new Date(start).toISOString(), new Date(start + 4500).toISOString(), 1500, 'Interpolative');
+    assert.deepEqual(result.dataValues.map(dataValue => dataValue.value), [0, 15, 30]);
+});